@@ -1,41 +1,47 @@
 require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
-const axios = require('axios');
-const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
-const Levenshtein = require('levenshtein');
-const OpenAI = require('openai');
 const crypto = require('crypto');
-const tencentcloud = require("tencentcloud-sdk-nodejs");
-const { Pool } = require('pg'); // PostgreSQL client
+const { pipeline } = require('stream');
+const { createPoolFromEnv, withTransaction } = require('./lib/db');
+const { createMigrator } = require('./lib/migrator');
+const { createStatsRepository } = require('./lib/statsRepository');
+const { createShareRepository } = require('./lib/shareRepository');
+const { renderSharePage, renderShareNotFoundPage } = require('./lib/sharePage');
+const { createAuthService, getBearerToken } = require('./lib/auth');
+const { buildPronunciationDiff, calculatePronunciationScore } = require('./lib/pronunciationScoring');
+const { validateCantoneseWords } = require('./lib/jyutpingValidation');
+const { segmentWords } = require('./lib/wordSegmentation');
+const { splitSentences, splitLongSentences, packChunks, mapSubtitles, estimateCharTimings } = require('./lib/speechTiming');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { getMp3Duration, concatMp3, splitMp3 } = require('./lib/mp3');
+const { ROMANIZATIONS, ROMANIZATION_IDS, DEFAULT_ROMANIZATION, isValidRomanization, convertReading, romanizeWords } = require('./lib/romanization');
+const { SCRIPTS, SCRIPT_IDS, DEFAULT_SCRIPT, isValidScript, convertScript, convertWords } = require('./lib/chineseScript');
+const { calculateAverageScore } = require('./lib/achievements');
+const { createReviewRepository } = require('./lib/reviewRepository');
+const { createRecordRepository, isWordList, normalizeTags } = require('./lib/recordRepository');
+const { createCollectionRepository } = require('./lib/collectionRepository');
+const { createAuditRepository } = require('./lib/auditRepository');
+const { parseGrade, extractReviewItems, GRADE_ALIASES } = require('./lib/srs');
+const { createProviders } = require('./providers');
+const { createMediaStoreFromEnv, parseDataUrl, mediaKeyFor, mediaKeyFromUrl } = require('./lib/mediaStore');
+const { createCache, cacheKey } = require('./lib/cache');
+const { createJobQueue } = require('./lib/jobQueue');
+const { buildArchive, parseArchive, buildVocabularyCsv, buildAnkiDeck } = require('./lib/userArchive');
+const { buildZip } = require('./lib/zip');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
 // ============== POSTGRESQL DATABASE CONNECTION ==============
-let pool = null;
-
-// Initialize PostgreSQL connection if DATABASE_URL is provided
-if (process.env.DATABASE_URL) {
-  pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : false
-  });
-
-  // Test connection
-  pool.connect()
-    .then(() => console.log('✅ PostgreSQL connected successfully'))
-    .catch(err => console.error('❌ PostgreSQL connection error:', err));
-} else {
-  console.log('⚠️  No DATABASE_URL provided, using in-memory storage');
-}
+// Initialize PostgreSQL connection if DATABASE_URL is provided (checked by server.js on startup)
+const pool = createPoolFromEnv();
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -58,22 +64,15 @@ const upload = multer({
   },
 });
 
-// ============== TENCENT CLOUD TTS CLIENT ==============
-// Initialize Tencent Cloud TTS client for Cantonese speech synthesis
-const TtsClient = tencentcloud.tts.v20190823.Client;
-const clientConfig = {
-  credential: {
-    secretId: process.env.TENCENT_SECRET_ID,
-    secretKey: process.env.TENCENT_SECRET_KEY,
-  },
-  region: process.env.TENCENT_TTS_REGION || "ap-guangzhou",
-  profile: {
-    httpProfile: {
-      endpoint: "tts.tencentcloudapi.com",
-    },
-  },
-};
-const ttsClient = new TtsClient(clientConfig);
+// ============== AI PROVIDERS ==============
+// Vision LLM, text LLM, speech recognition and TTS backends, chosen by AI_PROVIDER and
+// the per-kind *_PROVIDER variables (see providers/index.js). AI_PROVIDER=mock runs offline.
+const providers = createProviders(process.env);
+
+// ============== MEDIA STORAGE ==============
+// Uploaded images and synthesized audio are stored under content-hash keys (local
+// filesystem or S3-compatible bucket, see lib/mediaStore.js) and served from /media/:key.
+const mediaStore = createMediaStoreFromEnv(process.env);
 
 // ============== USER CANTONESE LEVEL ENUM ==============
 const CANTONESE_LEVELS = {
@@ -108,14 +107,12 @@ const CANTONESE_LEVELS = {
 
 // ============== DATABASE SCHEMA & STORAGE ==============
 // Fallback to in-memory storage if database is not available
-const userRecords = new Map();
-const shareRecords = new Map();
-const userStats = new Map();
-const userAchievements = new Map();
 const userProfiles = new Map(); // userId -> { cantoneseLevel, preferences }
 
 /**
- * Initialize database tables
+ * Initialize database schema by applying pending migrations
+ * Set DB_MIGRATE_ON_START=false to manage migrations via `npm run migrate` instead
+ * @throws {Error} - A failed migration (the server must not run on a half-migrated schema)
  */
 async function initializeDatabase() {
   if (!pool) {
@@ -123,325 +120,79 @@ async function initializeDatabase() {
     return;
   }
 
-  const createTables = `
-    -- User profiles table
-    CREATE TABLE IF NOT EXISTS user_profiles (
-      user_id VARCHAR(255) PRIMARY KEY,
-      cantonese_level VARCHAR(50) DEFAULT 'beginner',
-      preferences JSONB DEFAULT '{}',
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    );
-
-    -- Learning records table
-    CREATE TABLE IF NOT EXISTS learning_records (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      user_id VARCHAR(255) NOT NULL,
-      mandarin TEXT NOT NULL,
-      cantonese TEXT NOT NULL,
-      cantonese_words JSONB,
-      audio_url TEXT,
-      image_url TEXT,
-      timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      INDEX idx_user_timestamp (user_id, timestamp DESC)
-    );
-
-    -- Share records table
-    CREATE TABLE IF NOT EXISTS share_records (
-      share_id VARCHAR(20) PRIMARY KEY,
-      mandarin TEXT NOT NULL,
-      cantonese TEXT NOT NULL,
-      cantonese_words JSONB,
-      image_url TEXT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      expires_at TIMESTAMP NOT NULL
-    );
-
-    -- User statistics table
-    CREATE TABLE IF NOT EXISTS user_statistics (
-      user_id VARCHAR(255) PRIMARY KEY,
-      total_stories INTEGER DEFAULT 0,
-      practice_count INTEGER DEFAULT 0,
-      best_score INTEGER DEFAULT 0,
-      total_score INTEGER DEFAULT 0,
-      total_study_time INTEGER DEFAULT 0,
-      last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    );
-
-    -- User achievements table
-    CREATE TABLE IF NOT EXISTS user_achievements (
-      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-      user_id VARCHAR(255) NOT NULL,
-      achievement_id VARCHAR(50) NOT NULL,
-      unlocked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE (user_id, achievement_id),
-      INDEX idx_user_achievements (user_id)
-    );
-  `;
+  if (process.env.DB_MIGRATE_ON_START === 'false') {
+    console.log('⚠️  Skipping migrations on startup (DB_MIGRATE_ON_START=false)');
+    return;
+  }
 
   try {
-    await pool.query(createTables);
-    console.log('✅ Database tables initialized successfully');
+    const applied = await createMigrator({ pool }).up();
+    console.log(applied.length > 0
+      ? `✅ Database migrated (${applied.length} migration(s) applied)`
+      : '✅ Database schema is up to date');
   } catch (error) {
     console.error('❌ Database initialization error:', error);
+    throw error;
   }
 }
 
-// Initialize tables on startup
-initializeDatabase();
-
-// Achievement definitions
-const ACHIEVEMENTS = {
-  first_story: {
-    id: 'first_story',
-    title: '初出茅庐',
-    description: '完成第一个粤语故事',
-    icon: 'star',
-    condition: (stats) => stats.totalStories >= 1
-  },
-  ten_stories: {
-    title: '勤学苦练',
-    description: '学习了10个粤语故事',
-    icon: 'school',
-    condition: (stats) => stats.totalStories >= 10
-  },
-  fifty_stories: {
-    id: 'fifty_stories',
-    title: '粤语达人',
-    description: '学习了50个粤语故事',
-    icon: 'emoji_events',
-    condition: (stats) => stats.totalStories >= 50
-  },
-  practice_master: {
-    id: 'practice_master',
-    title: '跟读高手',
-    description: '跟读练习达到100次',
-    icon: 'record_voice_over',
-    condition: (stats) => stats.practiceCount >= 100
-  },
-  perfect_score: {
-    id: 'perfect_score',
-    title: '完美发音',
-    description: '获得一次满分评价',
-    icon: 'verified',
-    condition: (stats) => stats.bestScore === 100
-  },
-  excellent_student: {
-    id: 'excellent_student',
-    title: '优秀学员',
-    description: '平均分达到90分',
-    icon: 'workspace_premium',
-    condition: (stats) => stats.averageScore && stats.averageScore >= 90
-  }
-};
-
-/**
- * Generate a unique ID
- * @returns {string} - Unique ID
- */
-function generateId() {
-  return crypto.randomBytes(16).toString('hex');
-}
-
-/**
- * Save a learning record
- * @param {string} userId - User identifier (can be device ID, session ID, etc.)
- * @param {object} data - Record data
- * @returns {object} - Saved record with ID
- */
-function saveRecord(userId, data) {
-  const recordId = generateId();
-  const record = {
-    id: recordId,
-    userId: userId,
-    timestamp: new Date().toISOString(),
-    ...data
-  };
-
-  // Initialize user's records array if not exists
-  if (!userRecords.has(userId)) {
-    userRecords.set(userId, []);
-  }
-
-  // Add record to user's history
-  userRecords.get(userId).unshift(record); // Add to beginning (newest first)
-
-  // Keep only last 100 records per user
-  const records = userRecords.get(userId);
-  if (records.length > 100) {
-    records.pop(); // Remove oldest
-  }
-
-  console.log(`Record saved: ${recordId} for user: ${userId}`);
-  return record;
-}
-
-/**
- * Get user's history records
- * @param {string} userId - User identifier
- * @param {number} limit - Maximum number of records to return
- * @returns {Array} - Array of records
- */
-function getUserHistory(userId, limit = 20) {
-  const records = userRecords.get(userId) || [];
-  return records.slice(0, limit);
-}
-
-/**
- * Delete a specific record
- * @param {string} userId - User identifier
- * @param {string} recordId - Record ID
- * @returns {boolean} - Success status
- */
-function deleteRecord(userId, recordId) {
-  const records = userRecords.get(userId);
-  if (!records) return false;
+// Learning records (history & library) persist to learning_records when pool is set
+const recordRepository = createRecordRepository({ pool });
 
-  const index = records.findIndex(r => r.id === recordId);
-  if (index === -1) return false;
+// Collections of saved stories persist to collections when pool is set
+const collectionRepository = createCollectionRepository({ pool });
 
-  records.splice(index, 1);
-  console.log(`Record deleted: ${recordId} for user: ${userId}`);
-  return true;
-}
+// Statistics & achievements persist to user_statistics / user_achievements when pool is set
+const statsRepository = createStatsRepository({ pool });
 
-/**
- * Create a shareable record
- * @param {object} data - Data to share
- * @returns {object} - Share record with share ID
- */
-function createShareRecord(data) {
-  const shareId = generateId().substring(0, 8); // Shorter ID for sharing
-  const shareRecord = {
-    shareId: shareId,
-    createdAt: new Date().toISOString(),
-    expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days
-    ...data
-  };
+// Share links persist to share_records when pool is set
+const shareRepository = createShareRepository({ pool });
 
-  shareRecords.set(shareId, shareRecord);
-  console.log(`Share record created: ${shareId}`);
-  return shareRecord;
-}
+// Accounts & session tokens persist to user_accounts / user_sessions when pool is set
+const authService = createAuthService({ pool });
 
-/**
- * Get share record by ID
- * @param {string} shareId - Share ID
- * @returns {object|null} - Share record or null if not found/expired
- */
-function getShareRecord(shareId) {
-  const record = shareRecords.get(shareId);
-  if (!record) return null;
+// Spaced-repetition deck persists to review_items when pool is set
+const reviewRepository = createReviewRepository({ pool });
 
-  // Check if expired
-  if (new Date(record.expiresAt) < new Date()) {
-    shareRecords.delete(shareId);
-    return null;
-  }
+// Account events (deletion requested, cancelled, erased) persist to audit_log when pool is set
+const auditRepository = createAuditRepository({ pool });
 
-  return record;
-}
+// Generated stories and synthesized speech: in-memory LRU, plus cache_entries when pool is set
+const cache = createCache({
+  pool,
+  enabled: process.env.CACHE_ENABLED !== 'false',
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || undefined,
+  defaultTtlMs: (parseFloat(process.env.CACHE_TTL_HOURS) || 168) * 60 * 60 * 1000,
+});
+const CACHE_NAMESPACES = ['story', 'tts'];
 
-/**
- * Get or initialize user statistics
- * @param {string} userId - User identifier
- * @returns {object} - User statistics
- */
-function getUserStats(userId) {
-  if (!userStats.has(userId)) {
-    userStats.set(userId, {
-      totalStories: 0,
-      practiceCount: 0,
-      bestScore: 0,
-      totalScore: 0,
-      totalStudyTime: 0, // in minutes
-      lastUpdated: new Date().toISOString()
-    });
-  }
-  return userStats.get(userId);
-}
+// Finished generation jobs are kept this long for GET /api/jobs/:id
+const JOB_RETENTION_MS = (parseFloat(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
 
 /**
- * Update user statistics after completing a story
- * @param {string} userId - User identifier
- * @param {object} data - Update data { score?, practiceTime?, isPractice? }
+ * Periodic maintenance: purge expired share links, sessions, cache entries and finished jobs,
+ * and erase accounts whose deletion grace period has ended
+ * Scheduled by server.js
  */
-function updateUserStats(userId, data = {}) {
-  const stats = getUserStats(userId);
-
-  if (data.isPractice) {
-    stats.practiceCount += 1;
-    if (data.score !== undefined) {
-      stats.totalScore += data.score;
-      stats.bestScore = Math.max(stats.bestScore, data.score);
+async function runMaintenance() {
+  try {
+    const removedShares = await shareRepository.purgeExpired();
+    const removedSessions = await authService.purgeExpiredSessions();
+    const removedCacheEntries = await cache.purgeExpired();
+    const removedJobs = await jobQueue.purgeFinished(JOB_RETENTION_MS);
+    if (removedShares > 0 || removedSessions > 0 || removedCacheEntries > 0 || removedJobs > 0) {
+      console.log(`Purged ${removedShares} expired share records, ${removedSessions} expired sessions, ${removedCacheEntries} expired cache entries and ${removedJobs} finished jobs`);
     }
-  } else {
-    stats.totalStories += 1;
-  }
-
-  if (data.practiceTime) {
-    stats.totalStudyTime += data.practiceTime;
-  }
-
-  stats.lastUpdated = new Date().toISOString();
-
-  // Check for new achievements
-  checkAndUnlockAchievements(userId, stats);
-
-  return stats;
-}
-
-/**
- * Check and unlock achievements based on user stats
- * @param {string} userId - User identifier
- * @param {object} stats - User statistics
- */
-function checkAndUnlockAchievements(userId, stats) {
-  if (!userAchievements.has(userId)) {
-    userAchievements.set(userId, []);
-  }
 
-  const unlocked = userAchievements.get(userId);
-  const statsWithAverage = {
-    ...stats,
-    averageScore: stats.practiceCount > 0 ? Math.round(stats.totalScore / stats.practiceCount) : 0
-  };
-
-  // Check each achievement
-  for (const [key, achievement] of Object.entries(ACHIEVEMENTS)) {
-    if (!unlocked.find(a => a.id === achievement.id)) {
-      if (achievement.condition(statsWithAverage)) {
-        unlocked.push({
-          ...achievement,
-          unlockedAt: new Date().toISOString()
-        });
-        console.log(`Achievement unlocked: ${achievement.title} for user: ${userId}`);
-      }
+    const erasedAccounts = await purgeDeletedAccounts();
+    if (erasedAccounts > 0) {
+      console.log(`Erased ${erasedAccounts} accounts whose deletion grace period ended`);
     }
+  } catch (error) {
+    console.error('Maintenance error:', error.message);
   }
 }
 
-/**
- * Get user achievements
- * @param {string} userId - User identifier
- * @returns {Array} - Array of unlocked achievements
- */
-function getUserAchievements(userId) {
-  if (!userAchievements.has(userId)) {
-    return [];
-  }
-
-  const unlocked = userAchievements.get(userId);
-  const unlockedIds = new Set(unlocked.map(a => a.id));
-
-  // Return all achievements with unlock status
-  return Object.values(ACHIEVEMENTS).map(achievement => ({
-    ...achievement,
-    unlocked: unlockedIds.has(achievement.id),
-    unlockedAt: unlocked.find(a => a.id === achievement.id)?.unlockedAt || null
-  }));
-}
-
 /**
  * ============== USER PROFILE & CANTONESE LEVEL ==============
  */
@@ -523,12 +274,123 @@ async function updateUserCantoneseLevel(userId, level) {
   return profile;
 }
 
+/**
+ * Check a preferences update
+ * @param {object} preferences - Preferences from the request body
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validatePreferences(preferences) {
+  if (typeof preferences !== 'object' || preferences === null || Array.isArray(preferences)) {
+    return 'preferences must be an object';
+  }
+  if (preferences.romanization !== undefined && !isValidRomanization(preferences.romanization)) {
+    return `Invalid romanization. Must be one of: ${ROMANIZATION_IDS.join(', ')}`;
+  }
+  if (preferences.script !== undefined && !isValidScript(preferences.script)) {
+    return `Invalid script. Must be one of: ${SCRIPT_IDS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Merge new values into the user's preferences
+ * @param {string} userId - User identifier
+ * @param {object} preferences - Preference keys to set
+ * @returns {Promise<object>} - Updated profile
+ */
+async function updateUserPreferences(userId, preferences) {
+  // Make sure the profile exists before merging into it
+  await getUserProfile(userId);
+
+  if (pool) {
+    try {
+      const result = await pool.query(
+        `UPDATE user_profiles
+         SET preferences = COALESCE(preferences, '{}'::jsonb) || $1::jsonb, updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $2
+         RETURNING *`,
+        [JSON.stringify(preferences), userId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Database error in updateUserPreferences:', error);
+    }
+  }
+
+  // Fallback to in-memory storage
+  const profile = userProfiles.get(userId) || { userId, cantoneseLevel: 'beginner', preferences: {} };
+  profile.preferences = { ...profile.preferences, ...preferences };
+  userProfiles.set(userId, profile);
+  return profile;
+}
+
+/**
+ * Pick the romanization system and Chinese script for a response
+ * `romanization` / `script` query parameters win over the signed-in user's preferences
+ * @param {object} req - Express request (after requireAuth or optionalAuth)
+ * @returns {Promise<{romanization: string, script: string}>} - Display preferences
+ */
+async function resolveDisplayPreferences(req) {
+  const options = [
+    { key: 'romanization', isValid: isValidRomanization, ids: ROMANIZATION_IDS, fallback: DEFAULT_ROMANIZATION },
+    { key: 'script', isValid: isValidScript, ids: SCRIPT_IDS, fallback: DEFAULT_SCRIPT },
+  ];
+
+  for (const { key, isValid, ids } of options) {
+    if (req.query[key] !== undefined && !isValid(req.query[key])) {
+      const error = new Error(`Invalid ${key}. Must be one of: ${ids.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  let preferences = {};
+  if (req.userId && options.some(({ key }) => req.query[key] === undefined)) {
+    const profile = await getUserProfile(req.userId);
+    preferences = profile.preferences || {};
+  }
+
+  const resolved = {};
+  for (const { key, isValid, fallback } of options) {
+    if (req.query[key] !== undefined) resolved[key] = req.query[key];
+    else if (isValid(preferences[key])) resolved[key] = preferences[key];
+    else resolved[key] = fallback;
+  }
+  return resolved;
+}
+
+/**
+ * Apply display preferences to story content
+ * Converts mandarin / cantonese / cantoneseWords to the chosen script, adds the
+ * chosen romanization to each cantoneseWords entry and segments the story into
+ * glossed word tokens (cantoneseTokens)
+ * @param {object} content - Object with mandarin, cantonese and cantoneseWords
+ * @param {{romanization: string, script: string}} display - Display preferences
+ * @returns {object} - Converted copy of the content
+ */
+function localizeContent(content, { romanization, script }) {
+  const cantoneseWords = romanizeWords(convertWords(content.cantoneseWords, script), romanization);
+
+  return {
+    ...content,
+    mandarin: convertScript(content.mandarin, script),
+    cantonese: convertScript(content.cantonese, script),
+    cantoneseWords,
+    cantoneseTokens: segmentWords(cantoneseWords).map(token => ({
+      ...token,
+      romanized: convertReading(token.jyutping, romanization),
+      mandarin: convertScript(token.mandarin, script),
+    })),
+  };
+}
+
 /**
  * Get story generation prompt based on user's Cantonese level
  * @param {string} level - Cantonese level
+ * @param {string} script - Chinese script id (traditional, simplified)
  * @returns {object} - Prompt configuration
  */
-function getLevelPromptConfig(level) {
+function getLevelPromptConfig(level, script = DEFAULT_SCRIPT) {
   const configs = {
     beginner: {
       mandarinLength: '2句话',
@@ -553,215 +415,112 @@ function getLevelPromptConfig(level) {
     }
   };
 
-  return configs[level] || configs.beginner;
-}
-
-// ============== DATABASE STORAGE OPERATIONS ==============
-
-/**
- * Database-aware save record function
- * @param {string} userId - User identifier
- * @param {object} data - Record data
- * @returns {Promise<object>} - Saved record
- */
-async function saveRecord(userId, data) {
-  const recordId = generateId();
-  const record = {
-    id: recordId,
-    userId: userId,
-    timestamp: new Date().toISOString(),
-    ...data
+  // Sample vocabulary is written in Simplified; show it in the script the learner reads
+  const config = configs[level] || configs.beginner;
+  const scriptName = Object.values(SCRIPTS).find(item => item.id === script)?.name || SCRIPTS.SIMPLIFIED.name;
+  return {
+    mandarinLength: config.mandarinLength,
+    cantoneseLength: config.cantoneseLength,
+    vocabulary: convertScript(config.vocabulary, script),
+    examples: convertScript(config.examples, script),
+    tone: config.tone,
+    scriptName,
   };
-
-  if (pool) {
-    try {
-      const result = await pool.query(
-        `INSERT INTO learning_records
-         (user_id, mandarin, cantonese, cantonese_words, audio_url, image_url)
-         VALUES ($1, $2, $3, $4, $5, $6)
-         RETURNING id, timestamp`,
-        [userId, data.mandarin, data.cantonese,
-         JSON.stringify(data.cantoneseWords || []),
-         data.audioUrl, data.imageUrl]
-      );
-      record.id = result.rows[0].id;
-      record.timestamp = result.rows[0].timestamp;
-    } catch (error) {
-      console.error('Database save error:', error);
-      // Fall through to in-memory storage
-    }
-  }
-
-  // In-memory fallback
-  if (!userRecords.has(userId)) {
-    userRecords.set(userId, []);
-  }
-  userRecords.get(userId).unshift(record);
-  const records = userRecords.get(userId);
-  if (records.length > 100) records.pop();
-
-  console.log(`Record saved: ${recordId} for user: ${userId}`);
-  return record;
 }
 
-/**
- * Database-aware get user history function
- * @param {string} userId - User identifier
- * @param {number} limit - Maximum records
- * @returns {Promise<Array>} - Records
- */
-async function getUserHistory(userId, limit = 20) {
-  if (pool) {
-    try {
-      const result = await pool.query(
-        `SELECT id, user_id, mandarin, cantonese,
-         cantonese_words as "cantoneseWords",
-         audio_url as "audioUrl", image_url as "imageUrl", timestamp
-         FROM learning_records
-         WHERE user_id = $1
-         ORDER BY timestamp DESC
-         LIMIT $2`,
-        [userId, limit]
-      );
-      return result.rows;
-    } catch (error) {
-      console.error('Database get history error:', error);
-    }
-  }
-
-  // In-memory fallback
-  const records = userRecords.get(userId) || [];
-  return records.slice(0, limit);
-}
+// ============== DEVICE HISTORY MIGRATION ==============
 
 /**
- * Database-aware delete record function
- * @param {string} userId - User identifier
- * @param {string} recordId - Record ID
- * @returns {Promise<boolean>} - Success
+ * Attach a legacy device ID's history to an account
+ * Moves learning records, statistics, achievements and (if the account has none) the profile.
+ * With a database every write runs in one transaction, so a failure moves nothing
+ * @param {string} deviceId - Legacy device/anonymous user ID
+ * @param {string} userId - Account user ID
+ * @returns {Promise<{recordsMoved: number, newAchievements: Array}>} - Migration summary
  */
-async function deleteRecord(userId, recordId) {
-  if (pool) {
-    try {
-      const result = await pool.query(
-        `DELETE FROM learning_records
-         WHERE id = $1 AND user_id = $2
-         RETURNING id`,
-        [recordId, userId]
-      );
-      if (result.rows.length > 0) {
-        console.log(`Record deleted: ${recordId} for user: ${userId}`);
-        return true;
+async function attachDeviceHistory(deviceId, userId) {
+  /**
+   * Claim the device and move its data
+   * @param {object} db - Transaction client, or null for in-memory storage
+   * @returns {Promise<number>} - Records moved
+   */
+  const moveDeviceData = async db => {
+    const options = db ? { db } : {};
+    await authService.claimDevice(userId, deviceId, options);
+    const moved = await recordRepository.moveUser(deviceId, userId, options);
+
+    if (db) {
+      try {
+        await db.query(
+          `UPDATE user_profiles SET user_id = $2, updated_at = CURRENT_TIMESTAMP
+           WHERE user_id = $1
+           AND NOT EXISTS (SELECT 1 FROM user_profiles WHERE user_id = $2)`,
+          [deviceId, userId]
+        );
+      } catch (error) {
+        console.error('Database attach device error:', error);
+        throw error;
       }
-      return false;
-    } catch (error) {
-      console.error('Database delete error:', error);
     }
-  }
-
-  // In-memory fallback
-  const records = userRecords.get(userId);
-  if (!records) return false;
-  const index = records.findIndex(r => r.id === recordId);
-  if (index === -1) return false;
-  records.splice(index, 1);
-  console.log(`Record deleted: ${recordId} for user: ${userId}`);
-  return true;
-}
 
-/**
- * Database-aware get user stats function
- * @param {string} userId - User identifier
- * @returns {Promise<object>} - User statistics
- */
-async function getUserStatsDb(userId) {
-  if (pool) {
-    try {
-      const result = await pool.query(
-        'SELECT * FROM user_statistics WHERE user_id = $1',
-        [userId]
-      );
+    await statsRepository.mergeUser(deviceId, userId, options);
+    return moved;
+  };
 
-      if (result.rows.length > 0) {
-        return result.rows[0];
-      }
+  const recordsMoved = pool
+    ? await withTransaction(pool, moveDeviceData)
+    : await moveDeviceData(null);
 
-      // Create new stats
-      const newStats = await pool.query(
-        `INSERT INTO user_statistics (user_id)
-         VALUES ($1)
-         RETURNING *`,
-        [userId]
-      );
-      return newStats.rows[0];
-    } catch (error) {
-      console.error('Database get stats error:', error);
-    }
+  // In-memory profile
+  if (userProfiles.has(deviceId) && !userProfiles.has(userId)) {
+    userProfiles.set(userId, { ...userProfiles.get(deviceId), userId });
+    userProfiles.delete(deviceId);
   }
 
-  // In-memory fallback
-  return getUserStats(userId);
+  // Combined counters may cross thresholds neither user reached alone
+  const { newAchievements } = await statsRepository.checkAchievements(userId);
+
+  console.log(`Device ${deviceId} attached to account ${userId} (${recordsMoved} records)`);
+  return { recordsMoved, newAchievements };
 }
 
-// ============== DEEPINFRA API (Image to Cantonese Text) ==============
+// ============== VISION / TEXT LLM (Image to Cantonese Text) ==============
 
 /**
- * Call DeepInfra to generate Mandarin description from image
+ * Ask the vision LLM for a Mandarin description of the image
  * @param {Buffer} imageBuffer - Image file buffer
  * @param {string} level - User's Cantonese level (beginner, intermediate, advanced)
+ * @param {string} script - Chinese script to write in (traditional, simplified)
  * @returns {Promise<string>} - Mandarin text description
  */
-async function generateMandarinText(imageBuffer, level = 'beginner') {
+async function generateMandarinText(imageBuffer, level = 'beginner', script = DEFAULT_SCRIPT) {
   try {
-    const client = new OpenAI({
-      apiKey: process.env.DEEPINFRA_API_KEY,
-      baseURL: 'https://api.deepinfra.com/v1/openai',
-    });
-
-    const base64Image = imageBuffer.toString('base64');
-    const config = getLevelPromptConfig(level);
-
-    const response = await client.chat.completions.create({
-      model: 'Qwen/Qwen2.5-VL-32B-Instruct',
-      messages: [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:image/jpeg;base64,${base64Image}`,
-              },
-            },
-            {
-              type: 'text',
-              text: `请用标准普通话书面语描述这张照片的内容（${config.mandarinLength}）。
+    const config = getLevelPromptConfig(level, script);
+
+    const mandarinText = await providers.vision.describeImage({
+      image: imageBuffer,
+      prompt: `请用标准普通话书面语描述这张照片的内容（${config.mandarinLength}）。
 
 要求：
 - 使用标准普通话书面语，类似新闻联播风格
 - 使用标准词汇：这里、这个、他们、什么、怎么、戴着、坐着、房间、里面、墙、门、窗户
 - 不要使用粤语词汇
+- 使用${config.scriptName}书写
 - 语言风格：${config.tone}
 
 只输出描述文本，不要添加其他内容。`,
-            },
-          ],
-        },
-      ],
-      max_tokens: level === 'advanced' ? 400 : 250,
+      maxTokens: level === 'advanced' ? 400 : 250,
       temperature: 0.3,
     });
 
-    const mandarinText = response.choices[0]?.message?.content?.trim();
-
     if (!mandarinText) {
-      throw new Error('Empty response from DeepInfra API');
+      throw new Error(`Empty response from ${providers.vision.label}`);
     }
 
     return mandarinText;
 
   } catch (error) {
-    console.error('DeepInfra API Error (Mandarin):', error.message);
+    console.error('Vision LLM Error (Mandarin):', error.message);
     throw new Error(`Failed to generate Mandarin text: ${error.message}`);
   }
 }
@@ -770,23 +529,15 @@ async function generateMandarinText(imageBuffer, level = 'beginner') {
  * Translate Mandarin text to Cantonese with Jyutping romanization
  * @param {string} mandarinText - Mandarin text to translate
  * @param {string} level - User's Cantonese level (beginner, intermediate, advanced)
- * @returns {Promise<{cantonese: string, pinyin: string}>} - Cantonese translation with pinyin
+ * @param {string} script - Chinese script to write in (traditional, simplified)
+ * @returns {Promise<{cantonese: string, words: Array, lowConfidence: Array, pinyin: string}>} - Cantonese translation with checked Jyutping
  */
-async function translateToCantoneseWithPinyin(mandarinText, level = 'beginner') {
+async function translateToCantoneseWithPinyin(mandarinText, level = 'beginner', script = DEFAULT_SCRIPT) {
   try {
-    const client = new OpenAI({
-      apiKey: process.env.DEEPINFRA_API_KEY,
-      baseURL: 'https://api.deepinfra.com/v1/openai',
-    });
-
-    const config = getLevelPromptConfig(level);
+    const config = getLevelPromptConfig(level, script);
 
-    const response = await client.chat.completions.create({
-      model: 'Qwen/Qwen2.5-VL-32B-Instruct',
-      messages: [
-        {
-          role: 'user',
-          content: `请将以下普通话文本翻译成地道粤语口语，并为每个粤语字标注耶鲁拼音（Jyutping）。
+    const cantoneseWithPinyin = await providers.text.complete({
+      prompt: `请将以下普通话文本翻译成地道粤语口语，并为每个粤语字标注粤拼（Jyutping，香港语言学学会方案）。
 
 ${mandarinText}
 
@@ -794,24 +545,21 @@ ${mandarinText}
 1. 粤语翻译长度：${config.cantoneseLength}
 2. 词汇难度：${config.vocabulary}
 3. 保持原意不变，只是把普通话换成地道粤语说法
-4. 为每个粤语字标注耶鲁拼音，格式：字(拼音)，如：我(ngóh)、喺(hái)
+4. 为每个粤语字标注粤拼，声调用数字 1-6 写在音节末尾，不要用耶鲁拼音或声调符号，格式：字(粤拼)，如：我(ngo5)、喺(hai2)
 5. 语言风格：${config.tone}
 6. 只输出带拼音的粤语翻译，不要输出普通话原文
+7. 使用${config.scriptName}书写粤语字
 
 输出格式示例：
-我(ngóh)喺(hái)街(gaai)度(dou)饮(yám)奶(naaih)茶(chàh)
+我(ngo5)喺(hai2)街(gaai1)度(dou6)饮(jam2)奶(naai5)茶(caa4)
 
 请输出：`,
-        },
-      ],
-      max_tokens: level === 'advanced' ? 500 : 350,
+      maxTokens: level === 'advanced' ? 500 : 350,
       temperature: 0.3,
     });
 
-    const cantoneseWithPinyin = response.choices[0]?.message?.content?.trim();
-
     if (!cantoneseWithPinyin) {
-      throw new Error('Empty response from DeepInfra API');
+      throw new Error(`Empty response from ${providers.text.label}`);
     }
 
     console.log('Cantonese with pinyin:', cantoneseWithPinyin);
@@ -819,10 +567,20 @@ ${mandarinText}
     // Parse the response to separate cantonese text and pinyin
     const parsed = parseCantoneseWithPinyin(cantoneseWithPinyin);
 
-    return parsed;
+    // Check every reading against the Jyutping grammar and the offline dictionary
+    const checked = validateCantoneseWords(parsed.words);
+    if (checked.corrections > 0 || checked.lowConfidence.length > 0) {
+      console.log(`⚠️ Jyutping check: ${checked.corrections} reading(s) corrected, ${checked.lowConfidence.length} low-confidence`);
+    }
+
+    return {
+      ...parsed,
+      words: checked.words,
+      lowConfidence: checked.lowConfidence,
+    };
 
   } catch (error) {
-    console.error('DeepInfra API Error (Cantonese):', error.message);
+    console.error('Text LLM Error (Cantonese):', error.message);
     throw new Error(`Failed to translate to Cantonese: ${error.message}`);
   }
 }
@@ -865,18 +623,21 @@ function parseCantoneseWithPinyin(textWithPinyin) {
  * Uses two separate AI calls for better accuracy
  * @param {Buffer} imageBuffer - Image file buffer
  * @param {string} level - User's Cantonese level (beginner, intermediate, advanced)
- * @returns {Promise<{mandarin: string, cantonese: string, cantoneseWords: Array}>} - Structured bilingual text
+ * @param {string} script - Chinese script to write in (traditional, simplified)
+ * @param {object} hooks - { onMandarin(text) }, called between the two AI calls
+ * @returns {Promise<{mandarin: string, cantonese: string, cantoneseWords: Array, lowConfidenceChars: Array}>} - Structured bilingual text
  */
-async function generateBilingualText(imageBuffer, level = 'beginner') {
+async function generateBilingualText(imageBuffer, level = 'beginner', script = DEFAULT_SCRIPT, { onMandarin } = {}) {
   try {
     // Step 1: Generate Mandarin description
     console.log('Generating Mandarin text...');
-    const mandarinText = await generateMandarinText(imageBuffer, level);
+    const mandarinText = await generateMandarinText(imageBuffer, level, script);
     console.log('Mandarin text generated:', mandarinText.substring(0, 50) + '...');
+    if (onMandarin) onMandarin(mandarinText);
 
     // Step 2: Translate to Cantonese with pinyin
     console.log('Translating to Cantonese with pinyin...');
-    const cantoneseData = await translateToCantoneseWithPinyin(mandarinText, level);
+    const cantoneseData = await translateToCantoneseWithPinyin(mandarinText, level, script);
     console.log('Cantonese text generated:', cantoneseData.cantonese.substring(0, 50) + '...');
 
     // Return structured data
@@ -884,6 +645,7 @@ async function generateBilingualText(imageBuffer, level = 'beginner') {
       mandarin: mandarinText,
       cantonese: cantoneseData.cantonese,
       cantoneseWords: cantoneseData.words,
+      lowConfidenceChars: cantoneseData.lowConfidence,
       // Legacy format for backward compatibility
       combinedText: `**（普通话版）**\n${mandarinText}\n\n**（粤语版）**\n${cantoneseData.cantonese}`
     };
@@ -894,6 +656,24 @@ async function generateBilingualText(imageBuffer, level = 'beginner') {
   }
 }
 
+// Bump when the story prompts change so cached stories are regenerated
+const STORY_CACHE_VERSION = 1;
+
+/**
+ * generateBilingualText through the cache
+ * Keyed by the image's content hash, level and script (plus the models that wrote it),
+ * so uploading the same photo again skips both LLM calls
+ * @param {Buffer} imageBuffer - Image file buffer
+ * @param {string} level - User's Cantonese level
+ * @param {string} script - Chinese script
+ * @param {object} hooks - { onMandarin } (only called when the story is not cached)
+ * @returns {Promise<object>} - Same as generateBilingualText
+ */
+async function generateBilingualTextCached(imageBuffer, level = 'beginner', script = DEFAULT_SCRIPT, hooks = {}) {
+  const key = cacheKey(STORY_CACHE_VERSION, providers.vision.name, providers.text.name, imageBuffer, level, script);
+  return cache.wrap('story', key, () => generateBilingualText(imageBuffer, level, script, hooks));
+}
+
 /**
  * Fallback: Generate Chinese description then translate to Cantonese story
  * This is used when the direct Cantonese story generation fails
@@ -904,43 +684,16 @@ async function generateCantoneseStoryWithFallback(imageBuffer) {
   try {
     console.log('Attempting fallback: Chinese → Cantonese story translation...');
 
-    // Initialize DeepInfra OpenAI client
-    const client = new OpenAI({
-      apiKey: process.env.DEEPINFRA_API_KEY,
-      baseURL: 'https://api.deepinfra.com/v1/openai',
-    });
-
-    // Convert image buffer to base64
-    const base64Image = imageBuffer.toString('base64');
-
     // Step 1: Generate Chinese description first
     const chineseDescriptionPrompt = `请用简体中文描述这张图片中的场景，包括人物、动作和背景。控制在2-3句话，简洁明了。`;
 
-    const chineseResponse = await client.chat.completions.create({
-      model: 'Qwen/Qwen2.5-VL-32B-Instruct',
-      messages: [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:image/jpeg;base64,${base64Image}`,
-              },
-            },
-            {
-              type: 'text',
-              text: chineseDescriptionPrompt,
-            },
-          ],
-        },
-      ],
-      max_tokens: 300,
+    const chineseText = await providers.vision.describeImage({
+      image: imageBuffer,
+      prompt: chineseDescriptionPrompt,
+      maxTokens: 300,
       temperature: 0.7,
     });
 
-    const chineseText = chineseResponse.choices[0]?.message?.content?.trim();
-
     if (!chineseText) {
       throw new Error('Failed to generate Chinese description in fallback');
     }
@@ -977,20 +730,12 @@ ${chineseText}
 
 **请改编成双语学习材料：**`;
 
-    const cantoneseResponse = await client.chat.completions.create({
-      model: 'Qwen/Qwen2.5-VL-32B-Instruct',
-      messages: [
-        {
-          role: 'user',
-          content: translationPrompt,
-        },
-      ],
-      max_tokens: 500,
+    const cantoneseStory = await providers.text.complete({
+      prompt: translationPrompt,
+      maxTokens: 500,
       temperature: 0.8,
     });
 
-    const cantoneseStory = cantoneseResponse.choices[0]?.message?.content?.trim();
-
     if (!cantoneseStory) {
       throw new Error('Failed to translate to Cantonese story in fallback');
     }
@@ -1005,130 +750,19 @@ ${chineseText}
   }
 }
 
-// ============== TENCENT CLOUD TTS API (Text to Cantonese Speech) ==============
-
-/**
- * Extract and clean Cantonese text from story
- * Removes markdown symbols and extracts only Cantonese portion
- * @param {string} text - Full story text with Mandarin and Cantonese
- * @returns {string} - Cleaned Cantonese text only
- */
-function extractAndCleanCantoneseText(text) {
-  // Extract only Cantonese text
-  const cantoneseTextMatch = text.match(/\*\*（粤语版）\*\*\s*\n([\s\S]*)/i);
-  if (!cantoneseTextMatch) {
-    console.warn('Cannot find Cantonese text marker, using full text');
-    return text;
-  }
-
-  let cleanCantoneseText = cantoneseTextMatch[1].trim();
-
-  // Stop at the next major section (###) or language explanation section
-  // AI sometimes adds extra explanations like "语言规范说明"
-  const sections = cleanCantoneseText.split(/\n###\s*/);
-  cleanCantoneseText = sections[0].trim();
-
-  // Further clean up - stop at horizontal rules or explanatory headings
-  const lines = cleanCantoneseText.split('\n');
-  const cleanedLines = [];
-  for (const line of lines) {
-    // Stop if we hit explanatory content
-    if (line.match(/^(语言规范|场景描述|说明|注意|希望|如果)/)) {
-      break;
-    }
-    cleanedLines.push(line);
-  }
-  cleanCantoneseText = cleanedLines.join('\n').trim();
-
-  // Remove all markdown formatting symbols
-  cleanCantoneseText = cleanCantoneseText
-    .replace(/\*\*/g, '')  // Remove bold markers
-    .replace(/#{1,6}\s*/g, '')  // Remove headers (### )
-    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')  // Remove markdown links but keep text
-    .replace(/\[([^\]]+)\]/g, '$1')  // Remove brackets
-    .replace(/^#+\s*/gm, '')  // Remove any remaining markdown headers at line start
-    .replace(/^---+$/gm, '')  // Remove horizontal rules
-    .trim();
-
-  // Limit length for TTS (Tencent Cloud has character limit)
-  if (cleanCantoneseText.length > 200) {
-    // Take first 2-3 sentences
-    const sentences = cleanCantoneseText.split(/[。！？！\n]/);
-    cleanCantoneseText = sentences.slice(0, 3).join('。').trim();
-    if (!cleanCantoneseText.endsWith('。')) {
-      cleanCantoneseText += '。';
-    }
-  }
-
-  return cleanCantoneseText;
-}
-
-/**
- * Call Tencent Cloud TTS to synthesize Cantonese speech from text
- * Uses Tencent Cloud's Text To Voice API with Cantonese voice
- * @param {string} text - Cantonese text to synthesize
- * @returns {Promise<Buffer>} - Audio buffer (MP3 format)
- */
-async function synthesizeCantoneseSpeechWithTencent(text) {
-  try {
-    console.log('Using Tencent Cloud TTS for Cantonese synthesis');
-
-    // Extract and clean Cantonese text
-    const cleanCantoneseText = extractAndCleanCantoneseText(text);
-    console.log('Cleaned Cantonese text:', cleanCantoneseText);
-
-    // Intelligent voice selection for Cantonese
-    // Analyze story content to determine appropriate voice
-    const analysis = analyzeStoryForVoiceSelection(cleanCantoneseText);
-
-    // Select VoiceType based on analysis
-    // Tencent Cloud TTS Cantonese voices:
-    // - 101019: 智彤 - 粤语女声
-    // - 101020: 智伟 - 粤语男声
-    let selectedVoiceType = 101019; // Default: female voice
-
-    if (analysis.hasMaleProtagonist) {
-      selectedVoiceType = 101020; // Male voice for male protagonist
-      console.log('Selected: 智伟 (Cantonese male voice) - story has male protagonist');
-    } else if (analysis.hasFemaleProtagonist || analysis.isChildrenStory) {
-      selectedVoiceType = 101019; // Female voice for female protagonist or children
-      console.log('Selected: 智彤 (Cantonese female voice) - story has female protagonist or is children\'s content');
-    } else {
-      console.log('Selected: 智彤 (Cantonese female voice) - default');
-    }
-
-    const params = {
-      Text: cleanCantoneseText,
-      SessionId: Date.now().toString(),
-      VoiceType: selectedVoiceType,
-      PrimaryLanguage: 1,  // 1 = Chinese
-      SampleRate: 16000,
-      Codec: "mp3",
-      Speed: 1.0,
-      Volume: 5.0,
-    };
-
-    const response = await ttsClient.TextToVoice(params);
-    console.log('Tencent Cloud TTS response:', response);
+// ============== TTS (Text to Cantonese Speech) ==============
 
-    if (!response.Audio) {
-      throw new Error('No audio data returned from Tencent Cloud TTS');
-    }
-
-    // Tencent returns base64 encoded audio
-    const audioBuffer = Buffer.from(response.Audio, 'base64');
-    console.log(`Tencent Cloud TTS successful, audio size: ${audioBuffer.length} bytes`);
-
-    return audioBuffer;
-
-  } catch (error) {
-    console.error('Tencent Cloud TTS Error:', error.message);
-    throw new Error(`Failed to synthesize speech with Tencent Cloud: ${error.message}`);
-  }
-}
+// Tencent Cloud TextToVoice accepts at most 150 Chinese characters per request
+const MAX_TTS_TEXT_LENGTH = 150;
+// Parallel TTS requests per story
+const TTS_CONCURRENCY = parseInt(process.env.TTS_CONCURRENCY, 10) || 3;
+// Provider speech rate (Tencent: -2 to 6); unset uses the provider default
+const TTS_SPEED = process.env.TTS_SPEED !== undefined && process.env.TTS_SPEED !== ''
+  ? parseFloat(process.env.TTS_SPEED)
+  : undefined;
 
 /**
- * Analyze story content for intelligent voice selection (Tencent Cloud TTS)
+ * Analyze story content for intelligent voice selection
  * @param {string} text - Cantonese text to analyze
  * @returns {Object} - Analysis result
  */
@@ -1141,78 +775,174 @@ function analyzeStoryForVoiceSelection(text) {
 }
 
 /**
- * Call Tencent Cloud TTS to synthesize Cantonese speech from text
- * Uses Tencent Cloud's intelligent voice selection with VoiceType 101019 (Cantonese)
- * @param {string} text - Cantonese text to synthesize
- * @returns {Promise<Buffer>} - Audio buffer (MP3 format)
+ * Pick a male or female voice from the story content
+ * @param {string} text - Cantonese text
+ * @returns {string} - 'male' | 'female'
  */
-async function synthesizeCantoneseSpeech(text) {
-  try {
-    return await synthesizeCantoneseSpeechWithTencent(text);
+function selectVoice(text) {
+  const analysis = analyzeStoryForVoiceSelection(text);
+
+  if (analysis.hasMaleProtagonist) {
+    console.log('Selected: Cantonese male voice - story has male protagonist');
+    return 'male';
+  }
+  if (analysis.hasFemaleProtagonist || analysis.isChildrenStory) {
+    console.log('Selected: Cantonese female voice - story has female protagonist or is children\'s content');
+  } else {
+    console.log('Selected: Cantonese female voice - default');
+  }
+  return 'female';
+}
+
+/**
+ * Call the TTS provider through the cache
+ * Keyed by text, voice and speed, so re-synthesizing the same sentence is free
+ * @param {string} text - Text to speak
+ * @param {string} voice - 'male' | 'female'
+ * @param {boolean} withTimings - Use synthesizeWithTimings instead of synthesize
+ * @returns {Promise<Buffer|{audio: Buffer, subtitles: Array}>} - Provider result
+ */
+async function requestSpeech(text, voice, withTimings) {
+  const method = withTimings ? 'synthesizeWithTimings' : 'synthesize';
+  const key = cacheKey(providers.tts.name, method, text, voice, TTS_SPEED === undefined ? 'default' : TTS_SPEED);
+  return cache.wrap('tts', key, () => providers.tts[method]({ text, voice, speed: TTS_SPEED }));
+}
+
+/**
+ * Synthesize one chunk of a story
+ * Times are relative to the start of the chunk
+ * @param {object} chunk - { start, end, text, parts } from packChunks
+ * @param {Array<{char: string}>} cantoneseWords - Story readings
+ * @param {string} voice - 'male' | 'female'
+ * @param {boolean} withTimings - Ask the provider for timestamps
+ * @returns {Promise<object|null>} - { audio, durationMs, segments, charTimings }, or null when timestamps were asked for but not returned
+ */
+async function synthesizeChunk(chunk, cantoneseWords, voice, withTimings) {
+  if (withTimings) {
+    const { audio, subtitles } = await requestSpeech(chunk.text, voice, true);
+    const charTimings = mapSubtitles(subtitles, cantoneseWords, chunk);
+    if (charTimings.length === 0) return null;
+
+    // Each part after the first starts where its first character is spoken
+    const durationMs = getMp3Duration(audio) || charTimings[charTimings.length - 1].endMs;
+    const pieces = chunk.parts.length === 1
+      ? [{ audio, startMs: 0, endMs: durationMs }]
+      : splitMp3(audio, chunk.parts.slice(1).map(part => {
+        const first = charTimings.find(timing => timing.index >= part.start);
+        return first ? first.startMs : Infinity;
+      }));
+
+    return {
+      audio,
+      durationMs,
+      segments: chunk.parts.map((part, index) => ({ ...part, ...pieces[index] })),
+      charTimings,
+    };
+  }
+
+  const audio = await requestSpeech(chunk.text, voice, false);
+  const durationMs = getMp3Duration(audio);
+
+  return {
+    audio,
+    durationMs,
+    segments: [{ start: chunk.start, end: chunk.end, text: chunk.text, audio, startMs: 0, endMs: durationMs }],
+    charTimings: estimateCharTimings(cantoneseWords, chunk, 0, durationMs),
+  };
+}
+
+/**
+ * Synthesize a story as one track plus per-sentence segments and character timings
+ * The story is cut into requests within the TTS length limit (whole sentences where
+ * possible) that run with bounded concurrency. With provider timestamps, sentences are
+ * packed into as few requests as fit; otherwise each sentence is synthesized on its own
+ * and timings are estimated. If the MP3s cannot be joined, the chunks are returned as a
+ * playlist instead of one track.
+ * @param {Array<{char: string, pinyin: string}>} cantoneseWords - Story readings
+ * @returns {Promise<{audio: Buffer|null, playlist: Array<Buffer>|null, segments: Array, charTimings: Array, timingSource: string}>} - MP3 track (or playlist), sentences with their audio, timings keyed by cantoneseWords index
+ */
+async function synthesizeStoryAudio(cantoneseWords) {
+  try {
+    console.log(`Using ${providers.tts.label} for Cantonese synthesis`);
+
+    const parts = splitLongSentences(splitSentences(cantoneseWords), cantoneseWords, MAX_TTS_TEXT_LENGTH);
+    if (parts.length === 0) {
+      throw new Error('No Cantonese text to synthesize');
+    }
+
+    const voice = selectVoice(parts.map(part => part.text).join(''));
+
+    let results = null;
+    let timingSource = 'provider';
+
+    if (typeof providers.tts.synthesizeWithTimings === 'function') {
+      const chunks = packChunks(parts, MAX_TTS_TEXT_LENGTH);
+      results = await mapWithConcurrency(chunks, TTS_CONCURRENCY,
+        chunk => synthesizeChunk(chunk, cantoneseWords, voice, true));
+
+      if (results.some(result => result === null)) {
+        console.warn('⚠️ TTS returned no timestamps, synthesizing sentence by sentence');
+        results = null;
+      }
+    }
+
+    if (!results) {
+      timingSource = 'estimated';
+      const chunks = parts.map(part => ({ ...part, parts: [part] }));
+      results = await mapWithConcurrency(chunks, TTS_CONCURRENCY,
+        chunk => synthesizeChunk(chunk, cantoneseWords, voice, false));
+    }
+
+    // Lay the chunks end to end
+    const segments = [];
+    const charTimings = [];
+    let offsetMs = 0;
+
+    for (const result of results) {
+      for (const segment of result.segments) {
+        segments.push({ ...segment, startMs: offsetMs + segment.startMs, endMs: offsetMs + segment.endMs });
+      }
+      for (const timing of result.charTimings) {
+        charTimings.push({ ...timing, startMs: offsetMs + timing.startMs, endMs: offsetMs + timing.endMs });
+      }
+      offsetMs += result.durationMs;
+    }
+
+    let audio = null;
+    let playlist = null;
+    try {
+      audio = results.length === 1 ? results[0].audio : concatMp3(results.map(result => result.audio));
+    } catch (error) {
+      console.warn(`⚠️ Cannot join TTS audio (${error.message}), returning a playlist of ${results.length} parts`);
+      playlist = results.map(result => result.audio);
+    }
+
+    console.log(`TTS successful: ${segments.length} segments in ${results.length} requests, ${Math.round(offsetMs)} ms`);
+
+    return { audio, playlist, segments, charTimings, timingSource };
+
   } catch (error) {
-    console.error('Tencent Cloud TTS Error:', error.message);
-    throw new Error(`Failed to synthesize speech with Tencent Cloud: ${error.message}`);
+    console.error('TTS Error:', error.message);
+    throw new Error(`Failed to synthesize speech: ${error.message}`);
   }
 }
 
-// ============== DEEPINFRA WHISPER API (Cantonese Speech Recognition) ==============
+// ============== SPEECH RECOGNITION (Cantonese ASR) ==============
 
 /**
- * Call DeepInfra Whisper to recognize Cantonese speech
- * Uses OpenAI's Whisper model via DeepInfra REST API
+ * Recognize Cantonese speech with the configured ASR provider
  * @param {Buffer} audioBuffer - Audio file buffer
  * @returns {Promise<{text: string, confidence: number}>} - Recognized text and confidence score
  */
 async function recognizeCantoneseSpeech(audioBuffer) {
   try {
-    // Create form data with audio file
-    const FormData = require('form-data');
-    const form = new FormData();
-
-    // Append audio buffer as a file
-    form.append('audio', audioBuffer, {
-      filename: 'audio.mp3',
-      contentType: 'audio/mp3',
-    });
-
-    // Note: Model is now specified in the URL, not as a parameter
-    // form.append('language', 'zh'); // Optional: language parameter (Whisper auto-detects)
-    // form.append('response_format', 'verbose_json'); // Not needed - default response includes segments
-
-    // Call DeepInfra's Whisper REST API
-    // 2025-02-07: Fixed endpoint from /v1/openai/whisper (404) to /v1/inference/openai/whisper-large-v3
-    const response = await axios.post(
-      `https://api.deepinfra.com/v1/inference/openai/whisper-large-v3`,
-      form,
-      {
-        headers: {
-          ...form.getHeaders(),
-          'Authorization': `Bearer ${process.env.DEEPINFRA_API_KEY}`,
-        },
-        timeout: 60000,
-      }
-    );
-
-    // Extract the recognized text
-    const text = response.data.text?.trim() || '';
+    const { text, confidence } = await providers.asr.transcribe(audioBuffer);
 
     if (!text) {
-      throw new Error('Empty response from Whisper API');
-    }
-
-    // Calculate average confidence from segments if available
-    let confidence = 0.95; // Default high confidence
-    if (response.data.segments && response.data.segments.length > 0) {
-      // Use average probability from segments as confidence
-      const avgProbability = response.data.segments.reduce(
-        (sum, seg) => sum + (seg.avg_logprob || 0),
-        0
-      ) / response.data.segments.length;
-      // Convert logprob to confidence (rough approximation)
-      confidence = Math.max(0.5, Math.min(1.0, (avgProbability + 2) / 4));
+      throw new Error(`Empty response from ${providers.asr.label}`);
     }
 
-    console.log(`Whisper recognized text: ${text.substring(0, 50)}...`);
+    console.log(`ASR recognized text: ${text.substring(0, 50)}...`);
 
     return {
       text: text,
@@ -1220,83 +950,255 @@ async function recognizeCantoneseSpeech(audioBuffer) {
     };
 
   } catch (error) {
-    console.error('DeepInfra Whisper API Error:', error.message);
+    console.error('Speech Recognition Error:', error.message);
     if (error.response) {
-      console.error('DeepInfra Whisper Response:', error.response.data);
+      console.error('ASR Response:', error.response.data);
     }
     throw new Error(`Failed to recognize speech: ${error.message}`);
   }
 }
 
-// ============== SCORING LOGIC ==============
-
-/**
- * Calculate pronunciation score based on text similarity and confidence
- * @param {string} originalText - Original Cantonese text
- * @param {string} userText - User's recognized speech text
- * @param {number} confidence - ASR confidence score (0-1)
- * @returns {Object} - Score breakdown with encouragement messages
- */
-function calculatePronunciationScore(originalText, userText, confidence) {
-  // Normalize texts for comparison
-  const normalize = (text) => text.toLowerCase().replace(/[^\u4e00-\u9fa5a-z0-9]/g, '');
-
-  const normalizedOriginal = normalize(originalText);
-  const normalizedUser = normalize(userText);
-
-  // Calculate Levenshtein distance
-  const distance = new Levenshtein(normalizedOriginal, normalizedUser).distance;
-  const maxLen = Math.max(normalizedOriginal.length, normalizedUser.length) || 1;
-  const similarity = 1 - (distance / maxLen);
-
-  // Calculate comprehensive score
-  // 60% weight on text similarity, 25% on ASR confidence, 15% on tone accuracy
-  const similarityScore = similarity * 100;
-  const confidenceScore = confidence * 100;
-  // Estimate tone accuracy based on how well they matched (simplified approach)
-  const toneAccuracy = Math.min(100, Math.max(60, similarityScore * 0.9 + confidenceScore * 0.1));
-
-  const score = Math.round(similarityScore * 0.6 + confidenceScore * 0.25 + toneAccuracy * 0.15);
-
-  // Determine accuracy level
-  let accuracy = 'Poor';
-  if (score >= 90) accuracy = 'Excellent';
-  else if (score >= 75) accuracy = 'Good';
-  else if (score >= 60) accuracy = 'Fair';
-
-  // Estimate fluency based on score and confidence
-  const fluency = Math.min(100, Math.round((score * 0.7 + confidenceScore * 0.3) * 0.95 + 5));
-
-  // Generate encouragement messages based on score
-  let title, message;
-  if (score >= 90) {
-    title = '好犀利！(太棒了)';
-    message = '发音非常自然，继续保持。';
-  } else if (score >= 80) {
-    title = '唔错喔！(很好)';
-    message = '发音很标准，再接再厉！';
-  } else if (score >= 70) {
-    title = '过得去！(还可以)';
-    message = '有些地方需要练习，加油！';
-  } else if (score >= 60) {
-    title = '继续努力！(再努力)';
-    message = '多听多说，一定会有进步！';
-  } else {
-    title = '重新嚟过！(再试试)';
-    message = '不要气馁，多练习几次！';
+// ============== MEDIA URLS ==============
+
+/**
+ * Get the base URL that /media/:key links are built on
+ * MEDIA_PUBLIC_URL overrides it when media is served by a CDN or reverse proxy
+ * @param {object} req - Express request
+ * @returns {string} - Base URL without a trailing slash
+ */
+function mediaBaseUrl(req) {
+  return (process.env.MEDIA_PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+/**
+ * Store media and return its URL
+ * Falls back to a data URL if the media store is unavailable, so the response still plays
+ * @param {string} baseUrl - From mediaBaseUrl()
+ * @param {Buffer} buffer - Contents
+ * @param {string} contentType - MIME type
+ * @returns {Promise<string>} - /media/:key URL (or data URL on failure)
+ */
+async function storeMedia(baseUrl, buffer, contentType) {
+  try {
+    const { key } = await mediaStore.put(buffer, contentType);
+    return `${baseUrl}/media/${key}`;
+  } catch (error) {
+    console.warn(`⚠️ Failed to store media (${error.message}), returning a data URL`);
+    return `data:${contentType};base64,${buffer.toString('base64')}`;
+  }
+}
+
+/**
+ * Move a client-supplied data URL into the media store
+ * Anything that is not a supported data URL (already a link, empty) is returned unchanged
+ * @param {object} req - Express request
+ * @param {string} value - audioUrl / imageUrl from the request body
+ * @returns {Promise<string>} - URL to persist
+ */
+async function storeDataUrl(req, value) {
+  const parsed = parseDataUrl(value);
+  if (!parsed) return value;
+  return storeMedia(mediaBaseUrl(req), parsed.buffer, parsed.contentType);
+}
+
+// ============== STORY GENERATION PIPELINE ==============
+// photo -> Mandarin description -> Cantonese with Jyutping -> speech -> stored media.
+// Shared by /api/generate (one response) and /api/generate/stream (one event per stage).
+
+const GENERATION_STAGES = ['mandarin', 'cantonese', 'audio'];
+// Keep-alive comment interval for /api/generate/stream
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Write the bilingual story for a photo, falling back to the single-prompt story
+ * @param {Buffer} imageBuffer - Image file buffer
+ * @param {string} level - User's Cantonese level
+ * @param {string} script - Chinese script
+ * @param {Function} onMandarin - Called with the Mandarin text as soon as it exists
+ * @returns {Promise<object>} - { mandarin, cantonese, cantoneseWords, lowConfidenceChars, combinedText }
+ */
+async function generateStoryText(imageBuffer, level, script, onMandarin) {
+  try {
+    const bilingualData = await generateBilingualTextCached(imageBuffer, level, script, { onMandarin });
+    console.log('Generated story:', bilingualData.cantonese.substring(0, 50) + '...');
+    return bilingualData;
+  } catch (primaryError) {
+    console.warn('Primary generation failed, attempting fallback...', primaryError.message);
+    try {
+      // Fallback returns old format text, we need to handle it
+      const fallbackText = await generateCantoneseStoryWithFallback(imageBuffer);
+      console.log('Fallback generation succeeded');
+
+      // Parse fallback text to extract mandarin and cantonese
+      const mandarinMatch = fallbackText.match(/\*\*（普通话版）\*\*\s*\n([\s\S]*?)\n\n\*\*（粤语版）\*\*/);
+      const cantoneseMatch = fallbackText.match(/\*\*（粤语版）\*\*\s*\n([\s\S]*)/);
+
+      const cantonese = cantoneseMatch ? cantoneseMatch[1].trim() : fallbackText;
+
+      // Fallback text has no pinyin, so every reading comes from the dictionary
+      const checked = validateCantoneseWords(parseCantoneseWithPinyin(cantonese).words);
+
+      return {
+        mandarin: mandarinMatch ? mandarinMatch[1].trim() : '',
+        cantonese: cantonese,
+        cantoneseWords: checked.words,
+        lowConfidenceChars: checked.lowConfidence,
+        combinedText: fallbackText
+      };
+    } catch (fallbackError) {
+      console.error('Both primary and fallback generation failed:', fallbackError.message);
+      throw new Error(`Failed to generate Cantonese story: ${primaryError.message}. Fallback also failed: ${fallbackError.message}`);
+    }
+  }
+}
+
+/**
+ * Turn a photo into a story with audio
+ * Stages are reported in order as they finish: 'mandarin' ({ mandarin }), 'cantonese'
+ * (story text, readings and tokens) and 'audio' (media URLs and timings)
+ * @param {object} input - { image, imageType, level, display, baseUrl }
+ * @param {Function} onStage - (stage, data) => void
+ * @returns {Promise<object>} - /api/generate response data (every stage merged)
+ */
+async function runGenerationPipeline({ image, imageType, level, display, baseUrl }, onStage = () => {}) {
+  // Store the photo while the models work
+  const imageUrlPromise = storeMedia(baseUrl, image, imageType);
+
+  // Step 1: Mandarin description, then Cantonese with pinyin, at the user's level
+  // (a cached story or the fallback delivers both at once)
+  let reportedMandarin = null;
+  const reportMandarin = mandarin => {
+    if (mandarin === reportedMandarin) return;
+    reportedMandarin = mandarin;
+    onStage('mandarin', { mandarin: convertScript(mandarin, display.script) });
+  };
+
+  const bilingualData = await generateStoryText(image, level, display.script, reportMandarin);
+  reportMandarin(bilingualData.mandarin);
+
+  // The model does not always stick to the requested script, so convert the output as well
+  const localized = localizeContent(bilingualData, display);
+
+  const story = {
+    mandarin: localized.mandarin,
+    cantonese: localized.cantonese,
+    cantoneseWords: localized.cantoneseWords, // Array of {char, pinyin, romanized, source, lowConfidence}
+    cantoneseTokens: localized.cantoneseTokens, // Word-level tokens spanning cantoneseWords[start, end) with glosses
+    lowConfidenceChars: (bilingualData.lowConfidenceChars || []).map(item => ({
+      ...item,
+      char: convertScript(item.char, display.script),
+    })), // Readings the learner should double-check
+    romanization: display.romanization,
+    script: display.script,
+    userLevel: level, // Return the user's level for reference
+
+    // Legacy format for backward compatibility
+    text: convertScript(bilingualData.combinedText, display.script),
+  };
+  onStage('cantonese', story);
+
+  // Step 2: Synthesize speech sentence by sentence, with character timings
+  const storyAudio = await synthesizeStoryAudio(bilingualData.cantoneseWords);
+
+  // Step 3: Store the audio, and link to it instead of inlining base64
+  const toAudioUrl = buffer => storeMedia(baseUrl, buffer, 'audio/mpeg');
+  const [imageUrl, audioUrl, audioPlaylist, segmentAudioUrls] = await Promise.all([
+    imageUrlPromise,
+    storyAudio.audio ? toAudioUrl(storyAudio.audio) : null,
+    storyAudio.playlist ? Promise.all(storyAudio.playlist.map(toAudioUrl)) : null,
+    Promise.all(storyAudio.segments.map(segment => toAudioUrl(segment.audio))),
+  ]);
+
+  const audio = {
+    imageUrl: imageUrl, // /media/:key link to the uploaded photo
+    audioUrl: audioUrl, // null when the parts could not be joined; play audioPlaylist instead
+    audioPlaylist: audioPlaylist,
+    audioFormat: 'mp3',
+    audioSegments: storyAudio.segments.map((segment, index) => ({
+      start: segment.start,
+      end: segment.end,
+      text: convertScript(segment.text, display.script),
+      startMs: segment.startMs,
+      endMs: segment.endMs,
+      audioUrl: segmentAudioUrls[index],
+    })), // One entry per sentence, spanning cantoneseWords[start, end)
+    charTimings: storyAudio.charTimings, // {index, startMs, endMs} per spoken character of cantoneseWords
+    timingSource: storyAudio.timingSource,
+  };
+  onStage('audio', audio);
+
+  return { ...story, ...audio, type: 'story' };
+}
+
+/**
+ * Read the level and display preferences for a generate request
+ * @param {object} req - Express request (after optionalAuth)
+ * @returns {Promise<{level: string, display: {romanization: string, script: string}}>} - Generation settings
+ */
+async function resolveGenerationSettings(req) {
+  const display = await resolveDisplayPreferences(req);
+
+  // Get user's Cantonese level when the request is authenticated
+  let level = 'beginner'; // Default level
+  if (req.userId) {
+    try {
+      const profile = await getUserProfile(req.userId);
+      level = profile.cantonese_level || profile.cantoneseLevel || 'beginner';
+      console.log(`User level: ${level}`);
+    } catch (error) {
+      console.warn('Failed to get user profile, using default level:', error.message);
+    }
   }
 
+  return { level, display };
+}
+
+// ============== GENERATION JOBS ==============
+// POST /api/jobs queues the pipeline instead of holding the request open; workers
+// (started by server.js) run it with retries. The photo waits in the media store.
+
+const jobQueue = createJobQueue({
+  pool,
+  handler: runGenerationJob,
+  // The account was erased while the job ran: drop the media it just stored
+  onDiscard: (job, result) => removeUnreferencedMedia(jobMediaKeys({ ...job, result })),
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3,
+  retryDelayMs: parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 5000,
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000,
+});
+
+/**
+ * Job handler: run the generation pipeline for a queued photo
+ * @param {object} job - Claimed job ({ params: { imageKey, imageType, level, display, baseUrl } })
+ * @param {object} context - { reportStage }
+ * @returns {Promise<object>} - /api/generate response data
+ */
+async function runGenerationJob(job, { reportStage }) {
+  const { imageKey, imageType, level, display, baseUrl } = job.params;
+  const image = await mediaStore.readBuffer(imageKey);
+  console.log(`Running generation job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  return runGenerationPipeline({ image, imageType, level, display, baseUrl }, stage => reportStage(stage));
+}
+
+/**
+ * Format a job for GET /api/jobs/:id
+ * @param {object} job - Job from the queue
+ * @returns {object} - Public job status
+ */
+function formatJob(job) {
   return {
-    score: Math.max(0, Math.min(100, score)),
-    accuracy,
-    fluency,
-    toneAccuracy: Math.round(toneAccuracy),
-    similarity: Math.round(similarity * 100),
-    confidence: Math.round(confidence * 100),
-    encouragement: {
-      title,
-      message,
-    },
+    jobId: job.id,
+    status: job.status, // queued | running | succeeded | failed
+    stage: job.stage, // Last finished pipeline stage
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: job.error, // Last failure (also set while a retry is queued)
+    result: job.status === 'succeeded' ? job.result : null, // /api/generate data
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
   };
 }
 
@@ -1310,425 +1212,1419 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * POST /api/generate
- * Generate Cantonese text with pinyin and speech from uploaded image
- * Supports user-specific Cantonese level for difficulty adjustment
+ * Middleware: require "Authorization: Bearer <CACHE_ADMIN_TOKEN>"
+ * Cache administration is disabled (403) when the token is not set
+ */
+function requireCacheAdmin(req, res, next) {
+  const adminToken = process.env.CACHE_ADMIN_TOKEN;
+  const token = getBearerToken(req) || '';
+
+  if (!adminToken) {
+    return res.status(403).json({
+      success: false,
+      error: 'Cache administration is disabled (CACHE_ADMIN_TOKEN is not set)',
+    });
+  }
+
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  const given = crypto.createHash('sha256').update(token).digest();
+  if (!crypto.timingSafeEqual(expected, given)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid cache admin token',
+    });
+  }
+
+  next();
+}
+
+/**
+ * GET /api/cache/stats
+ * Hit/miss counters of the story and speech cache, for monitoring
+ * Requires "Authorization: Bearer <CACHE_ADMIN_TOKEN>"
+ */
+app.get('/api/cache/stats', requireCacheAdmin, (req, res) => {
+  res.json({ success: true, data: cache.stats() });
+});
+
+/**
+ * DELETE /api/cache/:namespace
+ * Drop cached stories ('story') or speech ('tts'), e.g. after changing prompts or voices
+ * Requires "Authorization: Bearer <CACHE_ADMIN_TOKEN>"; disabled when the token is not set
  */
-app.post('/api/generate', upload.single('image'), async (req, res) => {
+app.delete('/api/cache/:namespace', requireCacheAdmin, async (req, res) => {
   try {
-    // Validate request
-    if (!req.file) {
+    const { namespace } = req.params;
+    if (!CACHE_NAMESPACES.includes(namespace)) {
       return res.status(400).json({
         success: false,
-        error: 'No image file provided. Please upload an image with field name "image"',
+        error: `Unknown cache namespace. Valid namespaces: ${CACHE_NAMESPACES.join(', ')}`,
       });
     }
 
-    const { userId } = req.body;
-    console.log('Processing image:', req.file.originalname);
-
-    // Get user's Cantonese level if userId is provided
-    let userLevel = 'beginner'; // Default level
-    if (userId) {
-      try {
-        const profile = await getUserProfile(userId);
-        userLevel = profile.cantonese_level || 'beginner';
-        console.log(`User level: ${userLevel}`);
-      } catch (error) {
-        console.warn('Failed to get user profile, using default level:', error.message);
-      }
-    }
-
-    // Step 1: Generate bilingual story from image (Mandarin + Cantonese with pinyin)
-    // Generate based on user's Cantonese level
-    let bilingualData;
-    try {
-      bilingualData = await generateBilingualText(req.file.buffer, userLevel);
-      console.log('Generated story:', bilingualData.cantonese.substring(0, 50) + '...');
-    } catch (primaryError) {
-      console.warn('Primary generation failed, attempting fallback...', primaryError.message);
-      try {
-        // Fallback returns old format text, we need to handle it
-        const fallbackText = await generateCantoneseStoryWithFallback(req.file.buffer);
-        console.log('Fallback generation succeeded');
-
-        // Parse fallback text to extract mandarin and cantonese
-        const mandarinMatch = fallbackText.match(/\*\*（普通话版）\*\*\s*\n([\s\S]*?)\n\n\*\*（粤语版）\*\*/);
-        const cantoneseMatch = fallbackText.match(/\*\*（粤语版）\*\*\s*\n([\s\S]*)/);
-
-        bilingualData = {
-          mandarin: mandarinMatch ? mandarinMatch[1].trim() : '',
-          cantonese: cantoneseMatch ? cantoneseMatch[1].trim() : fallbackText,
-          cantoneseWords: [], // Fallback doesn't include pinyin
-          combinedText: fallbackText
-        };
-      } catch (fallbackError) {
-        console.error('Both primary and fallback generation failed:', fallbackError.message);
-        throw new Error(`Failed to generate Cantonese story: ${primaryError.message}. Fallback also failed: ${fallbackError.message}`);
-      }
-    }
-
-    // Step 2: Synthesize speech from Cantonese text (only the Cantonese part)
-    const audioBuffer = await synthesizeCantoneseSpeech(bilingualData.cantonese);
-    console.log('Synthesized audio size:', audioBuffer.length, 'bytes');
-
-    // Step 3: Convert audio to base64 for client
-    const audioBase64 = audioBuffer.toString('base64');
-    const audioUrl = `data:audio/mp3;base64,${audioBase64}`;
+    const removed = await cache.invalidate(namespace);
+    console.log(`✅ Cache invalidated: ${namespace} (${removed} entries)`);
 
-    // Return success response with new structured format
     res.json({
       success: true,
       data: {
-        // New structured format
-        mandarin: bilingualData.mandarin,
-        cantonese: bilingualData.cantonese,
-        cantoneseWords: bilingualData.cantoneseWords, // Array of {char, pinyin}
-        userLevel: userLevel, // Return the user's level for reference
-
-        // Legacy format for backward compatibility
-        text: bilingualData.combinedText,
-
-        audioUrl: audioUrl,
-        audioFormat: 'mp3',
-        type: 'story',
+        namespace,
+        removed,
+        message: 'Cache invalidated successfully',
       },
     });
 
   } catch (error) {
-    console.error('Generate endpoint error:', error);
-    res.status(500).json({
+    console.error('Cache invalidation endpoint error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to generate Cantonese content',
+      error: error.message || 'Failed to invalidate cache',
     });
   }
 });
 
 /**
- * POST /api/evaluate
- * Evaluate user's Cantonese pronunciation
+ * POST /api/auth/register
+ * Create an account and return a session token
+ * Optional deviceId attaches the existing device history to the new account
  */
-app.post('/api/evaluate', upload.single('audio'), async (req, res) => {
+app.post('/api/auth/register', async (req, res) => {
   try {
-    // Validate request
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No audio file provided. Please upload an audio file with field name "audio"',
-      });
-    }
+    const { username, password, deviceId } = req.body;
 
-    const originalText = req.body.originalText;
-    if (!originalText) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing originalText in request body',
-      });
+    // Reject a bad or taken deviceId before the account exists
+    if (deviceId) {
+      await authService.assertDeviceClaimable(deviceId);
     }
 
-    console.log('Evaluating audio:', req.file.originalname);
-    console.log('Original text:', originalText);
-
-    // Step 1: Recognize user's speech
-    const { text: userText, confidence } = await recognizeCantoneseSpeech(req.file.buffer);
-    console.log('Recognized text:', userText, 'Confidence:', confidence);
+    const account = await authService.register(username, password);
 
-    // Step 2: Calculate pronunciation score with encouragement
-    const scoreData = calculatePronunciationScore(originalText, userText, confidence);
+    let deviceMigration = null;
+    if (deviceId) {
+      try {
+        deviceMigration = await attachDeviceHistory(deviceId, account.userId);
+      } catch (error) {
+        // Claimed by another account in the meantime, or the move failed: don't keep a half-made account
+        await authService.deleteAccount(account.userId);
+        throw error;
+      }
+    }
 
-    // Return success response with enhanced data
-    res.json({
+    res.status(201).json({
       success: true,
       data: {
-        originalText: originalText,
-        userText: userText,
-        score: scoreData.score,
-        accuracy: scoreData.accuracy,
-        fluency: scoreData.fluency,
-        toneAccuracy: scoreData.toneAccuracy,
-        similarity: scoreData.similarity,
-        confidence: scoreData.confidence,
-        encouragement: scoreData.encouragement,
+        userId: account.userId,
+        username: account.username,
+        token: account.token,
+        expiresAt: account.expiresAt,
+        ...(deviceMigration && {
+          linkedDevice: { deviceId, recordsMoved: deviceMigration.recordsMoved },
+        }),
       },
     });
 
   } catch (error) {
-    console.error('Evaluate endpoint error:', error);
-    res.status(500).json({
+    console.error('Register endpoint error:', error.message);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to evaluate pronunciation',
+      error: error.message || 'Failed to register',
     });
   }
 });
 
 /**
- * POST /api/save
- * Save a learning record to user's history
+ * POST /api/auth/login
+ * Verify username/password and return a session token
  */
-app.post('/api/save', async (req, res) => {
+app.post('/api/auth/login', async (req, res) => {
   try {
-    const { userId, mandarin, cantonese, cantoneseWords, audioUrl, imageUrl } = req.body;
+    const { username, password } = req.body;
 
-    // Validate required fields
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing userId in request body',
-      });
-    }
+    const session = await authService.login(username, password);
 
-    if (!mandarin || !cantonese) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing mandarin or cantonese text in request body',
-      });
+    if (session.deletionCancelled) {
+      await auditRepository.record(session.userId, 'account.deletion_cancelled', { via: 'login' });
     }
 
-    // Save record
-    const record = saveRecord(userId, {
-      mandarin,
-      cantonese,
-      cantoneseWords: cantoneseWords || [],
-      audioUrl,
-      imageUrl,
-    });
-
     res.json({
       success: true,
       data: {
-        id: record.id,
-        timestamp: record.timestamp,
-        message: 'Record saved successfully',
+        userId: session.userId,
+        username: session.username,
+        token: session.token,
+        expiresAt: session.expiresAt,
+        ...(session.deletionCancelled && { deletionCancelled: true }),
       },
     });
 
   } catch (error) {
-    console.error('Save endpoint error:', error);
-    res.status(500).json({
+    console.error('Login endpoint error:', error.message);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to save record',
+      error: error.message || 'Failed to log in',
     });
   }
 });
 
 /**
- * GET /api/history
- * Get user's learning history
+ * POST /api/auth/logout
+ * Revoke the current session token
  */
-app.get('/api/history', (req, res) => {
+app.post('/api/auth/logout', authService.requireAuth, async (req, res) => {
   try {
-    const { userId, limit } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing userId parameter',
-      });
-    }
-
-    const records = getUserHistory(userId, limit ? parseInt(limit) : 20);
+    await authService.revokeSession(getBearerToken(req));
 
     res.json({
       success: true,
       data: {
-        count: records.length,
-        records: records,
+        message: 'Logged out successfully',
       },
     });
 
   } catch (error) {
-    console.error('History endpoint error:', error);
+    console.error('Logout endpoint error:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to fetch history',
+      error: error.message || 'Failed to log out',
     });
   }
 });
 
 /**
- * DELETE /api/history/:id
- * Delete a specific record from user's history
+ * GET /api/auth/me
+ * Get the account behind the current session token
+ */
+app.get('/api/auth/me', authService.requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      userId: req.user.userId,
+      username: req.user.username,
+    },
+  });
+});
+
+/**
+ * POST /api/auth/link-device
+ * Attach the history stored under a legacy device ID to the current account
  */
-app.delete('/api/history/:id', (req, res) => {
+app.post('/api/auth/link-device', authService.requireAuth, async (req, res) => {
   try {
-    const { userId } = req.query;
-    const { id } = req.params;
+    const { deviceId } = req.body;
 
-    if (!userId) {
+    if (!deviceId) {
       return res.status(400).json({
         success: false,
-        error: 'Missing userId parameter',
+        error: 'Missing deviceId in request body',
       });
     }
 
-    const success = deleteRecord(userId, id);
-
-    if (!success) {
-      return res.status(404).json({
-        success: false,
-        error: 'Record not found or does not belong to user',
-      });
-    }
+    const { recordsMoved, newAchievements } = await attachDeviceHistory(deviceId, req.userId);
 
     res.json({
       success: true,
       data: {
-        message: 'Record deleted successfully',
+        deviceId,
+        recordsMoved,
+        newAchievements,
+        message: 'Device history attached successfully',
       },
     });
 
   } catch (error) {
-    console.error('Delete history endpoint error:', error);
-    res.status(500).json({
+    console.error('Link device endpoint error:', error.message);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to delete record',
+      error: error.message || 'Failed to link device',
     });
   }
 });
 
 /**
- * POST /api/share
- * Create a shareable link for a story
+ * POST /api/generate
+ * Generate Cantonese text with pinyin and speech from uploaded image
+ * Supports user-specific Cantonese level for difficulty adjustment
  */
-app.post('/api/share', async (req, res) => {
+app.post('/api/generate', authService.optionalAuth, upload.single('image'), async (req, res) => {
   try {
-    const { mandarin, cantonese, cantoneseWords, imageUrl } = req.body;
-
-    // Validate required fields
-    if (!mandarin || !cantonese) {
+    // Validate request
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        error: 'Missing mandarin or cantonese text in request body',
+        error: 'No image file provided. Please upload an image with field name "image"',
       });
     }
 
-    // Create share record
-    const shareRecord = createShareRecord({
-      mandarin,
-      cantonese,
-      cantoneseWords: cantoneseWords || [],
-      imageUrl,
-    });
+    const { level, display } = await resolveGenerationSettings(req);
+    console.log('Processing image:', req.file.originalname);
 
-    // Generate share URL (assuming the app is hosted at the same domain)
-    const shareUrl = `${req.protocol}://${req.get('host')}/share/${shareRecord.shareId}`;
+    const data = await runGenerationPipeline({
+      image: req.file.buffer,
+      imageType: req.file.mimetype,
+      level,
+      display,
+      baseUrl: mediaBaseUrl(req),
+    });
 
     res.json({
       success: true,
-      data: {
+      data,
+    });
+
+  } catch (error) {
+    console.error('Generate endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to generate Cantonese content',
+    });
+  }
+});
+
+/**
+ * POST /api/generate/stream
+ * Same as /api/generate, but answers with Server-Sent Events as each stage finishes:
+ * mandarin -> cantonese -> audio -> done (full /api/generate data), or error
+ * Validation errors are still plain JSON responses, sent before the stream starts
+ */
+app.post('/api/generate/stream', authService.optionalAuth, upload.single('image'), async (req, res) => {
+  let streaming = false;
+  let closed = false;
+  let heartbeat = null;
+
+  /**
+   * Send one event (dropped once the client has gone)
+   * @param {string} event - Event name
+   * @param {object} data - JSON payload
+   */
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    // Validate request
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No image file provided. Please upload an image with field name "image"',
+      });
+    }
+
+    const { level, display } = await resolveGenerationSettings(req);
+    console.log('Processing image (stream):', req.file.originalname);
+
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    streaming = true;
+
+    // The pipeline keeps running if the client leaves; its results land in the cache
+    res.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+    });
+    // Comment lines keep proxies from timing out the connection during slow stages
+    heartbeat = setInterval(() => {
+      if (!closed) res.write(': keep-alive\n\n');
+    }, SSE_HEARTBEAT_MS);
+
+    send('start', { stages: GENERATION_STAGES });
+
+    const data = await runGenerationPipeline({
+      image: req.file.buffer,
+      imageType: req.file.mimetype,
+      level,
+      display,
+      baseUrl: mediaBaseUrl(req),
+    }, send);
+
+    send('done', data);
+    clearInterval(heartbeat);
+    res.end();
+
+  } catch (error) {
+    console.error('Generate stream endpoint error:', error);
+    clearInterval(heartbeat);
+
+    if (!streaming) {
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to generate Cantonese content',
+      });
+    }
+
+    send('error', { error: error.message || 'Failed to generate Cantonese content' });
+    res.end();
+  }
+});
+
+/**
+ * POST /api/jobs
+ * Queue story generation for an uploaded image; poll GET /api/jobs/:id for the result
+ */
+app.post('/api/jobs', authService.optionalAuth, upload.single('image'), async (req, res) => {
+  try {
+    // Validate request
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No image file provided. Please upload an image with field name "image"',
+      });
+    }
+
+    const { level, display } = await resolveGenerationSettings(req);
+    const { key: imageKey, contentType: imageType } = await mediaStore.put(req.file.buffer, req.file.mimetype);
+
+    const job = await jobQueue.enqueue({
+      userId: req.userId || null,
+      params: { imageKey, imageType, level, display, baseUrl: mediaBaseUrl(req) },
+    });
+
+    const statusUrl = `/api/jobs/${job.id}`;
+    res.status(202).location(statusUrl).json({
+      success: true,
+      data: {
+        jobId: job.id,
+        status: job.status,
+        statusUrl,
+      },
+    });
+
+  } catch (error) {
+    console.error('Create job error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to queue generation job',
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Status of a generation job, with the /api/generate data once it has succeeded
+ * Jobs created while signed in are only visible to that user
+ */
+app.get('/api/jobs/:id', authService.optionalAuth, async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+
+    if (!job || (job.userId && job.userId !== req.userId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatJob(job),
+    });
+
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve job',
+    });
+  }
+});
+
+// Longest text /api/evaluate compares (in characters). The character alignment grows with
+// the product of both lengths, so an unbounded originalText could exhaust memory
+const MAX_EVALUATION_TEXT_LENGTH = 500;
+
+/**
+ * POST /api/evaluate
+ * Evaluate user's Cantonese pronunciation
+ */
+app.post('/api/evaluate', authService.optionalAuth, upload.single('audio'), async (req, res) => {
+  try {
+    // Validate request
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No audio file provided. Please upload an audio file with field name "audio"',
+      });
+    }
+
+    const originalText = req.body.originalText;
+    if (!originalText || typeof originalText !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing originalText in request body',
+      });
+    }
+    if (Array.from(originalText).length > MAX_EVALUATION_TEXT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `originalText is too long (max ${MAX_EVALUATION_TEXT_LENGTH} characters)`,
+      });
+    }
+
+    // Optional readings (the cantoneseWords array from /api/generate), sent as a JSON string
+    let cantoneseWords = [];
+    if (req.body.cantoneseWords) {
+      try {
+        cantoneseWords = JSON.parse(req.body.cantoneseWords);
+      } catch (error) {
+        cantoneseWords = null;
+      }
+      if (!isWordList(cantoneseWords)) {
+        return res.status(400).json({
+          success: false,
+          error: 'cantoneseWords must be a JSON array of word objects',
+        });
+      }
+    }
+
+    console.log('Evaluating audio:', req.file.originalname);
+    console.log('Original text:', originalText);
+
+    const { script } = await resolveDisplayPreferences(req);
+
+    // Step 1: Recognize user's speech
+    const { text: recognizedText, confidence } = await recognizeCantoneseSpeech(req.file.buffer);
+    console.log('Recognized text:', recognizedText, 'Confidence:', confidence);
+
+    if (Array.from(recognizedText).length > MAX_EVALUATION_TEXT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Recording is too long to evaluate (transcript over ${MAX_EVALUATION_TEXT_LENGTH} characters)`,
+      });
+    }
+
+    // Speech recognition may answer in either script; put both sides in the same one so that
+    // 係/系 or 邊/边 are not counted as mistakes
+    const expectedText = convertScript(originalText, script);
+    const userText = convertScript(recognizedText, script);
+
+    // Score and diff read the original text with the story's readings
+    const readings = convertWords(cantoneseWords, script);
+
+    // Step 2: Calculate pronunciation score with encouragement
+    const scoreData = calculatePronunciationScore(expectedText, userText, confidence, readings);
+
+    // Step 3: Align original and recognized text character by character
+    const diff = buildPronunciationDiff(expectedText, userText, readings);
+
+    // Return success response with enhanced data
+    res.json({
+      success: true,
+      data: {
+        originalText: expectedText,
+        userText: userText,
+        script: script,
+        score: scoreData.score,
+        accuracy: scoreData.accuracy,
+        fluency: scoreData.fluency,
+        toneAccuracy: scoreData.toneAccuracy,
+        initialAccuracy: scoreData.initialAccuracy,
+        finalAccuracy: scoreData.finalAccuracy,
+        syllableAccuracy: scoreData.syllableAccuracy,
+        similarity: scoreData.similarity,
+        confidence: scoreData.confidence,
+        encouragement: scoreData.encouragement,
+        diff: diff.characters,
+        diffSummary: diff.summary,
+      },
+    });
+
+  } catch (error) {
+    console.error('Evaluate endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to evaluate pronunciation',
+    });
+  }
+});
+
+/**
+ * POST /api/save
+ * Save a learning record to user's history
+ */
+app.post('/api/save', authService.requireAuth, async (req, res) => {
+  try {
+    const { mandarin, cantonese, cantoneseWords, audioUrl, imageUrl } = req.body;
+    const userId = req.userId;
+
+    // Validate required fields
+    if (!mandarin || !cantonese) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing mandarin or cantonese text in request body',
+      });
+    }
+    if (cantoneseWords !== undefined && cantoneseWords !== null && !isWordList(cantoneseWords)) {
+      return res.status(400).json({
+        success: false,
+        error: 'cantoneseWords must be an array of word objects',
+      });
+    }
+
+    // Save record (inline data URLs are moved to the media store first)
+    const record = await recordRepository.save(userId, {
+      mandarin,
+      cantonese,
+      cantoneseWords: cantoneseWords || [],
+      audioUrl: await storeDataUrl(req, audioUrl),
+      imageUrl: await storeDataUrl(req, imageUrl),
+    });
+
+    // Add the story's characters and phrases to the review deck; the record is saved either way
+    let reviewItemsAdded = 0;
+    try {
+      reviewItemsAdded = await reviewRepository.addItems(
+        userId,
+        extractReviewItems(cantoneseWords, cantonese),
+        record.id
+      );
+    } catch (error) {
+      console.warn('⚠️ Failed to add review items:', error.message);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: record.id,
+        timestamp: record.timestamp,
+        reviewItemsAdded,
+        message: 'Record saved successfully',
+      },
+    });
+
+  } catch (error) {
+    console.error('Save endpoint error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to save record',
+    });
+  }
+});
+
+/**
+ * GET /api/history
+ * Get user's learning history, newest first
+ * Pages with ?limit= (1-100, default 20) and ?cursor= (nextCursor of the previous page)
+ */
+app.get('/api/history', authService.requireAuth, async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+    const userId = req.userId;
+
+    if (limit !== undefined && !/^[1-9]\d*$/.test(limit)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit. Must be a positive integer',
+      });
+    }
+
+    const display = await resolveDisplayPreferences(req);
+    const page = await recordRepository.list(userId, {
+      limit: limit ? parseInt(limit, 10) : 20,
+      cursor: cursor || null,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        count: page.records.length,
+        nextCursor: page.nextCursor, // null on the last page
+        romanization: display.romanization,
+        script: display.script,
+        records: page.records.map(record => localizeContent(record, display)),
+      },
+    });
+
+  } catch (error) {
+    console.error('History endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to fetch history',
+    });
+  }
+});
+
+/**
+ * Validate the organization fields of a PATCH /api/history/:id body
+ * @param {string} userId - User identifier (collections must belong to this user)
+ * @param {object} body - { collectionId, tags, favorite }, each optional
+ * @returns {Promise<object>} - Changes for recordRepository.update
+ */
+async function parseRecordChanges(userId, { collectionId, tags, favorite } = {}) {
+  const invalid = message => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+  const changes = {};
+
+  if (collectionId !== undefined) {
+    if (collectionId !== null && !(await collectionRepository.get(userId, collectionId))) {
+      const error = new Error('Collection not found');
+      error.status = 404;
+      throw error;
+    }
+    changes.collectionId = collectionId;
+  }
+
+  if (tags !== undefined) {
+    changes.tags = normalizeTags(tags);
+  }
+
+  if (favorite !== undefined) {
+    if (typeof favorite !== 'boolean') {
+      throw invalid('favorite must be true or false');
+    }
+    changes.favorite = favorite;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw invalid('Provide at least one of collectionId, tags or favorite');
+  }
+  return changes;
+}
+
+/**
+ * PATCH /api/history/:id
+ * Organize a saved story: move it to a collection (null takes it out), set its tags, mark it favorite
+ */
+app.patch('/api/history/:id', authService.requireAuth, async (req, res) => {
+  try {
+    const changes = await parseRecordChanges(req.userId, req.body);
+    const record = await recordRepository.update(req.userId, req.params.id, changes);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Record not found or does not belong to user',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: record.id,
+        collectionId: record.collectionId,
+        tags: record.tags,
+        favorite: record.favorite,
+      },
+    });
+
+  } catch (error) {
+    console.error('Update history endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to update record',
+    });
+  }
+});
+
+/**
+ * DELETE /api/history/:id
+ * Delete a specific record from user's history
+ */
+app.delete('/api/history/:id', authService.requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { id } = req.params;
+
+    const success = await recordRepository.remove(userId, id);
+
+    if (!success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Record not found or does not belong to user',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Record deleted successfully',
+      },
+    });
+
+  } catch (error) {
+    console.error('Delete history endpoint error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete record',
+    });
+  }
+});
+
+/**
+ * POST /api/share
+ * Create a shareable link for a story
+ * Shares created while signed in are deleted with the account (DELETE /api/user)
+ */
+app.post('/api/share', authService.optionalAuth, async (req, res) => {
+  try {
+    const { mandarin, cantonese, cantoneseWords, imageUrl, audioUrl } = req.body;
+
+    // Validate required fields
+    if (!mandarin || !cantonese) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing mandarin or cantonese text in request body',
+      });
+    }
+    if (cantoneseWords !== undefined && cantoneseWords !== null && !isWordList(cantoneseWords)) {
+      return res.status(400).json({
+        success: false,
+        error: 'cantoneseWords must be an array of word objects',
+      });
+    }
+
+    // Create share record (inline data URLs are moved to the media store first)
+    const shareRecord = await shareRepository.create({
+      mandarin,
+      cantonese,
+      cantoneseWords: cantoneseWords || [],
+      imageUrl: await storeDataUrl(req, imageUrl),
+      audioUrl: await storeDataUrl(req, audioUrl),
+      userId: req.userId || null,
+    });
+
+    // Generate share URL (assuming the app is hosted at the same domain)
+    const shareUrl = `${req.protocol}://${req.get('host')}/share/${shareRecord.shareId}`;
+
+    res.json({
+      success: true,
+      data: {
         shareId: shareRecord.shareId,
         shareUrl: shareUrl,
         expiresAt: shareRecord.expiresAt,
-        message: 'Share link created successfully',
+        message: 'Share link created successfully',
+      },
+    });
+
+  } catch (error) {
+    console.error('Share endpoint error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create share link',
+    });
+  }
+});
+
+/**
+ * GET /api/share/:id
+ * Get shared story by share ID
+ */
+app.get('/api/share/:id', authService.optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const display = await resolveDisplayPreferences(req);
+
+    const shareRecord = await shareRepository.get(id);
+
+    if (!shareRecord) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found or has expired',
+      });
+    }
+
+    const localized = localizeContent(shareRecord, display);
+
+    res.json({
+      success: true,
+      data: {
+        mandarin: localized.mandarin,
+        cantonese: localized.cantonese,
+        cantoneseWords: localized.cantoneseWords,
+        cantoneseTokens: localized.cantoneseTokens,
+        romanization: display.romanization,
+        script: display.script,
+        imageUrl: shareRecord.imageUrl,
+        audioUrl: shareRecord.audioUrl,
+        createdAt: shareRecord.createdAt,
+        expiresAt: shareRecord.expiresAt,
       },
     });
 
   } catch (error) {
-    console.error('Share endpoint error:', error);
+    console.error('Get share endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to fetch shared story',
+    });
+  }
+});
+
+/**
+ * GET /share/:id
+ * Public HTML page for a shared story (target of shareUrl)
+ */
+app.get('/share/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const shareRecord = await shareRepository.get(id);
+
+    if (!shareRecord) {
+      return res.status(404).type('html').send(renderShareNotFoundPage());
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const html = renderSharePage(shareRecord, {
+      pageUrl: `${baseUrl}/share/${encodeURIComponent(id)}`,
+      baseUrl,
+    });
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('html').send(html);
+
+  } catch (error) {
+    console.error('Share page error:', error);
+    res.status(500).type('html').send(renderShareNotFoundPage());
+  }
+});
+
+/**
+ * GET /media/:key
+ * Stored image or audio; keys are content hashes, so responses are cacheable forever
+ * Supports single byte ranges (audio seeking) and If-None-Match
+ */
+app.get('/media/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    const media = await mediaStore.stat(key);
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        error: 'Media not found',
+      });
+    }
+
+    const etag = `"${key.split('.')[0]}"`;
+    res.set({
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'Accept-Ranges': 'bytes',
+      'Content-Type': media.contentType,
+      ETag: etag,
+    });
+
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
+    }
+
+    let range = null;
+    const ranges = req.range(media.size, { combine: true });
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${media.size}`);
+      return res.status(416).end();
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = { start: ranges[0].start, end: ranges[0].end };
+      res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${media.size}`);
+    }
+
+    res.set('Content-Length', String(range ? range.end - range.start + 1 : media.size));
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const body = await mediaStore.read(key, range);
+    pipeline(body, res, error => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Media stream error:', error.message);
+      }
+    });
+
+  } catch (error) {
+    console.error('Media endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to fetch media',
+    });
+  }
+});
+
+// Ways /api/library can group stories
+const LIBRARY_GROUPINGS = ['date', 'collection', 'tag'];
+
+/**
+ * Summarize a saved story for the library
+ * @param {object} record - Learning record
+ * @returns {object} - Library story
+ */
+function toLibraryStory(record) {
+  return {
+    id: record.id,
+    timestamp: record.timestamp,
+    mandarin: record.mandarin,
+    cantonese: record.cantonese,
+    cantoneseWords: record.cantoneseWords,
+    imageUrl: record.imageUrl,
+    hasAudio: !!record.audioUrl,
+    collectionId: record.collectionId,
+    tags: record.tags,
+    favorite: record.favorite,
+  };
+}
+
+/**
+ * Group library records by date, collection or tag
+ * Collection and tag groups end with a null group for stories without one;
+ * a story with several tags appears in each of their groups
+ * @param {Array} records - Records, newest first
+ * @param {string} groupBy - One of LIBRARY_GROUPINGS
+ * @param {Array} collections - The user's collections (for groupBy=collection)
+ * @returns {Array} - Groups of { date | collection | tag, stories }
+ */
+function groupLibrary(records, groupBy, collections) {
+  const groups = new Map();
+  const addTo = (key, record) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(toLibraryStory(record));
+  };
+
+  if (groupBy === 'collection') {
+    for (const collection of collections) groups.set(collection.id, []);
+    records.forEach(record => addTo(record.collectionId, record));
+    const ungrouped = groups.get(null);
+    groups.delete(null);
+    return [
+      ...collections.map(({ id, name }) => ({ collection: { id, name }, stories: groups.get(id) })),
+      ...(ungrouped ? [{ collection: null, stories: ungrouped }] : []),
+    ];
+  }
+
+  if (groupBy === 'tag') {
+    records.forEach(record => {
+      if (record.tags.length === 0) addTo(null, record);
+      record.tags.forEach(tag => addTo(tag, record));
+    });
+    const ungrouped = groups.get(null);
+    groups.delete(null);
+    return [
+      ...[...groups.entries()]
+        .sort(([a, aStories], [b, bStories]) => bStories.length - aStories.length || (a < b ? -1 : 1))
+        .map(([tag, stories]) => ({ tag, stories })),
+      ...(ungrouped ? [{ tag: null, stories: ungrouped }] : []),
+    ];
+  }
+
+  // Group by date for better UI display
+  records.forEach(record => addTo(new Date(record.timestamp).toLocaleDateString('zh-CN'), record));
+  return [...groups.entries()].map(([date, stories]) => ({ date, stories }));
+}
+
+/**
+ * GET /api/library
+ * Get user's story library (saved stories)
+ * ?groupBy=date (default), collection or tag
+ */
+app.get('/api/library', authService.requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const groupBy = req.query.groupBy || 'date';
+
+    if (!LIBRARY_GROUPINGS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid groupBy. Must be one of: ${LIBRARY_GROUPINGS.join(', ')}`,
+      });
+    }
+
+    const { records } = await recordRepository.list(userId, { limit: 50 }); // Get up to 50 stories
+    const collections = groupBy === 'collection' ? await collectionRepository.list(userId) : [];
+
+    res.json({
+      success: true,
+      data: {
+        total: records.length,
+        groupBy,
+        grouped: groupLibrary(records, groupBy, collections),
+        recent: records.slice(0, 10).map(s => ({
+          id: s.id,
+          timestamp: s.timestamp,
+          mandarin: s.mandarin,
+          cantonese: s.cantonese,
+          cantoneseWords: s.cantoneseWords,
+          imageUrl: s.imageUrl,
+          favorite: s.favorite
+        }))
+      },
+    });
+
+  } catch (error) {
+    console.error('Library endpoint error:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to create share link',
+      error: error.message || 'Failed to fetch library',
     });
   }
 });
 
+// Longest accepted `q` for /api/library/search
+const MAX_SEARCH_QUERY_LENGTH = 50;
+
 /**
- * GET /api/share/:id
- * Get shared story by share ID
+ * Parse a from/to date filter
+ * A bare date (YYYY-MM-DD, UTC) covers that whole day, so `to` moves to the next midnight
+ * @param {string} value - Query value (date or ISO 8601 date-time)
+ * @param {string} name - Parameter name for the error message
+ * @param {boolean} isEnd - True for `to` (exclusive upper bound)
+ * @returns {Date|null} - Parsed date, or null when the parameter is absent
+ */
+function parseSearchDate(value, name, isEnd) {
+  if (value === undefined || value === '') return null;
+
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    const error = new Error(`Invalid ${name}. Use a date (YYYY-MM-DD) or an ISO 8601 date-time`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+/**
+ * GET /api/library/search
+ * Search the user's saved stories by text (q), Jyutping (jyutping), date range (from, to)
+ * and organization (collectionId, tag, favorite)
+ * Paged like /api/history
+ */
+app.get('/api/library/search', authService.requireAuth, async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const jyutping = typeof req.query.jyutping === 'string' ? req.query.jyutping.trim() : '';
+    const collectionId = typeof req.query.collectionId === 'string' ? req.query.collectionId : '';
+    const tag = typeof req.query.tag === 'string' ? req.query.tag.trim() : '';
+    const { favorite } = req.query;
+
+    if (q.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Search text is too long (max ${MAX_SEARCH_QUERY_LENGTH} characters)`,
+      });
+    }
+    if (limit !== undefined && !/^[1-9]\d*$/.test(limit)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit. Must be a positive integer',
+      });
+    }
+    if (favorite !== undefined && favorite !== 'true' && favorite !== 'false') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid favorite. Must be true or false',
+      });
+    }
+
+    const from = parseSearchDate(req.query.from, 'from', false);
+    const to = parseSearchDate(req.query.to, 'to', true);
+
+    if (!q && !jyutping && !from && !to && !collectionId && !tag && favorite === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide at least one of q, jyutping, from, to, collectionId, tag or favorite',
+      });
+    }
+    if (collectionId && !(await collectionRepository.get(req.userId, collectionId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found',
+      });
+    }
+
+    const display = await resolveDisplayPreferences(req);
+
+    // Stories are saved in whichever script the learner was reading, so match both
+    const terms = q ? [...new Set([q, ...SCRIPT_IDS.map(script => convertScript(q, script))])] : [];
+
+    const page = await recordRepository.list(req.userId, {
+      limit: limit ? parseInt(limit, 10) : 20,
+      cursor: cursor || null,
+      terms,
+      jyutping: jyutping || null,
+      from,
+      to,
+      collectionId: collectionId || null,
+      tag: tag || null,
+      favorite: favorite === undefined ? null : favorite === 'true',
+    });
+
+    res.json({
+      success: true,
+      data: {
+        count: page.records.length,
+        nextCursor: page.nextCursor, // null on the last page
+        query: {
+          q: q || null,
+          jyutping: jyutping || null,
+          from: from ? from.toISOString() : null,
+          to: to ? to.toISOString() : null, // Exclusive
+          collectionId: collectionId || null,
+          tag: tag || null,
+          favorite: favorite === undefined ? null : favorite === 'true',
+        },
+        romanization: display.romanization,
+        script: display.script,
+        records: page.records.map(record => localizeContent(record, display)),
+      },
+    });
+
+  } catch (error) {
+    console.error('Library search endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to search library',
+    });
+  }
+});
+
+/**
+ * GET /api/collections
+ * List the user's collections with the number of stories in each
+ */
+app.get('/api/collections', authService.requireAuth, async (req, res) => {
+  try {
+    const [collections, counts] = await Promise.all([
+      collectionRepository.list(req.userId),
+      recordRepository.countByCollection(req.userId),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        collections: collections.map(collection => ({
+          ...collection,
+          recordCount: counts.get(collection.id) || 0,
+        })),
+      },
+    });
+
+  } catch (error) {
+    console.error('List collections endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to fetch collections',
+    });
+  }
+});
+
+/**
+ * POST /api/collections
+ * Create a collection ({ name }, unique per user)
+ */
+app.post('/api/collections', authService.requireAuth, async (req, res) => {
+  try {
+    const collection = await collectionRepository.create(req.userId, req.body.name);
+
+    res.status(201).json({
+      success: true,
+      data: { ...collection, recordCount: 0 },
+    });
+
+  } catch (error) {
+    console.error('Create collection endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to create collection',
+    });
+  }
+});
+
+/**
+ * PUT /api/collections/:id
+ * Rename a collection ({ name })
+ */
+app.put('/api/collections/:id', authService.requireAuth, async (req, res) => {
+  try {
+    const collection = await collectionRepository.rename(req.userId, req.params.id, req.body.name);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: collection,
+    });
+
+  } catch (error) {
+    console.error('Rename collection endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to rename collection',
+    });
+  }
+});
+
+/**
+ * DELETE /api/collections/:id
+ * Delete a collection; its stories stay in the library without a collection
  */
-app.get('/api/share/:id', (req, res) => {
+app.delete('/api/collections/:id', authService.requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const shareRecord = getShareRecord(id);
+    if (!(await collectionRepository.get(req.userId, id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found',
+      });
+    }
+
+    // Both or neither: a failed delete must not leave the collection's stories uncategorized
+    const deleteCollection = async db => {
+      const options = db ? { db } : {};
+      const cleared = await recordRepository.clearCollection(req.userId, id, options);
+      await collectionRepository.remove(req.userId, id, options);
+      return cleared;
+    };
+
+    const recordsUncategorized = pool
+      ? await withTransaction(pool, deleteCollection)
+      : await deleteCollection(null);
+
+    res.json({
+      success: true,
+      data: {
+        recordsUncategorized,
+        message: 'Collection deleted successfully',
+      },
+    });
+
+  } catch (error) {
+    console.error('Delete collection endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to delete collection',
+    });
+  }
+});
+
+/**
+ * GET /api/tags
+ * List the tags the user has put on saved stories, most used first
+ */
+app.get('/api/tags', authService.requireAuth, async (req, res) => {
+  try {
+    const tags = await recordRepository.listTags(req.userId);
+
+    res.json({
+      success: true,
+      data: { tags },
+    });
+
+  } catch (error) {
+    console.error('List tags endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to fetch tags',
+    });
+  }
+});
+
+/**
+ * Apply display preferences to a review item
+ * @param {object} item - Review item (text and context stored in Simplified)
+ * @param {{romanization: string, script: string}} display - Display preferences
+ * @returns {object} - Item with converted text and a `romanized` reading
+ */
+function localizeReviewItem(item, { romanization, script }) {
+  return {
+    ...item,
+    text: convertScript(item.text, script),
+    context: convertScript(item.context, script),
+    romanized: convertReading(item.jyutping, romanization),
+  };
+}
+
+/**
+ * GET /api/review/due
+ * Get the review items that are due (spaced repetition, SM-2)
+ */
+app.get('/api/review/due', authService.requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const display = await resolveDisplayPreferences(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
 
-    if (!shareRecord) {
-      return res.status(404).json({
-        success: false,
-        error: 'Share link not found or has expired',
-      });
-    }
+    const { items, dueCount, totalCount } = await reviewRepository.getDue(userId, { limit });
 
     res.json({
       success: true,
       data: {
-        mandarin: shareRecord.mandarin,
-        cantonese: shareRecord.cantonese,
-        cantoneseWords: shareRecord.cantoneseWords,
-        imageUrl: shareRecord.imageUrl,
-        createdAt: shareRecord.createdAt,
-        expiresAt: shareRecord.expiresAt,
+        dueCount,
+        totalCount,
+        romanization: display.romanization,
+        script: display.script,
+        items: items.map(item => localizeReviewItem(item, display)),
       },
     });
 
   } catch (error) {
-    console.error('Get share endpoint error:', error);
-    res.status(500).json({
+    console.error('Review due endpoint error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to fetch shared story',
+      error: error.message || 'Failed to fetch review items',
     });
   }
 });
 
 /**
- * GET /api/library
- * Get user's story library (saved stories)
+ * POST /api/review/:itemId
+ * Grade a review item and schedule its next review
  */
-app.get('/api/library', (req, res) => {
+app.post('/api/review/:itemId', authService.requireAuth, async (req, res) => {
   try {
-    const { userId } = req.query;
+    const userId = req.userId;
+    const { itemId } = req.params;
 
-    if (!userId) {
+    const grade = parseGrade(req.body.grade);
+    if (grade === null) {
       return res.status(400).json({
         success: false,
-        error: 'Missing userId parameter',
+        error: `Invalid grade. Must be an integer 0-5 or one of: ${Object.keys(GRADE_ALIASES).join(', ')}`,
       });
     }
 
-    const records = getUserHistory(userId, 50); // Get up to 50 stories
+    const item = await reviewRepository.review(userId, itemId, grade);
 
-    // Group by date for better UI display
-    const grouped = {};
-    records.forEach(record => {
-      const date = new Date(record.timestamp).toLocaleDateString('zh-CN');
-      if (!grouped[date]) {
-        grouped[date] = [];
-      }
-      grouped[date].push(record);
-    });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review item not found or does not belong to user',
+      });
+    }
+
+    const display = await resolveDisplayPreferences(req);
 
     res.json({
       success: true,
       data: {
-        total: records.length,
-        grouped: Object.entries(grouped).map(([date, stories]) => ({
-          date,
-          stories: stories.map(s => ({
-            id: s.id,
-            timestamp: s.timestamp,
-            mandarin: s.mandarin,
-            cantonese: s.cantonese,
-            cantoneseWords: s.cantoneseWords,
-            imageUrl: s.imageUrl,
-            hasAudio: !!s.audioUrl
-          }))
-        })),
-        recent: records.slice(0, 10).map(s => ({
-          id: s.id,
-          timestamp: s.timestamp,
-          mandarin: s.mandarin,
-          cantonese: s.cantonese,
-          cantoneseWords: s.cantoneseWords,
-          imageUrl: s.imageUrl
-        }))
+        grade,
+        item: localizeReviewItem(item, display),
+        nextDueAt: item.dueAt,
       },
     });
 
   } catch (error) {
-    console.error('Library endpoint error:', error);
-    res.status(500).json({
+    console.error('Review item endpoint error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to fetch library',
+      error: error.message || 'Failed to record review',
     });
   }
 });
@@ -1737,19 +2633,11 @@ app.get('/api/library', (req, res) => {
  * GET /api/achievements
  * Get user's achievements
  */
-app.get('/api/achievements', (req, res) => {
+app.get('/api/achievements', authService.requireAuth, async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing userId parameter',
-      });
-    }
+    const userId = req.userId;
 
-    const achievements = getUserAchievements(userId);
-    const stats = getUserStats(userId);
+    const achievements = await statsRepository.getAchievements(userId);
 
     const unlockedCount = achievements.filter(a => a.unlocked).length;
     const totalCount = achievements.length;
@@ -1778,16 +2666,9 @@ app.get('/api/achievements', (req, res) => {
  * GET /api/user/profile
  * Get user profile including Cantonese level
  */
-app.get('/api/user/profile', async (req, res) => {
+app.get('/api/user/profile', authService.requireAuth, async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing userId parameter',
-      });
-    }
+    const userId = req.userId;
 
     const profile = await getUserProfile(userId);
 
@@ -1815,28 +2696,50 @@ app.get('/api/user/profile', async (req, res) => {
  * PUT /api/user/profile
  * Update user profile (Cantonese level and preferences)
  */
-app.put('/api/user/profile', async (req, res) => {
+app.put('/api/user/profile', authService.requireAuth, async (req, res) => {
   try {
-    const { userId, cantoneseLevel, preferences } = req.body;
+    const { cantoneseLevel, preferences } = req.body;
+    const userId = req.userId;
 
-    if (!userId) {
+    const hasLevel = cantoneseLevel !== undefined && cantoneseLevel !== null;
+    if (hasLevel && (typeof cantoneseLevel !== 'string' || !CANTONESE_LEVELS[cantoneseLevel.toUpperCase()])) {
       return res.status(400).json({
         success: false,
-        error: 'Missing userId in request body',
+        error: `Invalid cantoneseLevel. Must be one of: ${Object.keys(CANTONESE_LEVELS).join(', ')}`,
       });
     }
 
-    if (cantoneseLevel && !CANTONESE_LEVELS[cantoneseLevel.toUpperCase()]) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid cantoneseLevel. Must be one of: ${Object.keys(CANTONESE_LEVELS).join(', ')}`,
-      });
+    if (preferences !== undefined) {
+      const preferencesError = validatePreferences(preferences);
+      if (preferencesError) {
+        return res.status(400).json({
+          success: false,
+          error: preferencesError,
+        });
+      }
     }
 
-    // Update Cantonese level if provided
-    let updatedProfile;
-    if (cantoneseLevel) {
+    // Ensure the profile exists, then apply whichever fields were provided
+    let updatedProfile = await getUserProfile(userId);
+    const messages = [];
+
+    if (hasLevel) {
       updatedProfile = await updateUserCantoneseLevel(userId, cantoneseLevel);
+      messages.push(`粤语水平已更新为：${CANTONESE_LEVELS[cantoneseLevel.toUpperCase()].name}`);
+    }
+
+    if (preferences !== undefined) {
+      updatedProfile = await updateUserPreferences(userId, preferences);
+      const changes = [];
+      if (preferences.romanization) {
+        const system = Object.values(ROMANIZATIONS).find(item => item.id === preferences.romanization);
+        changes.push(`拼音方案已更新为：${system.name}`);
+      }
+      if (preferences.script) {
+        const script = Object.values(SCRIPTS).find(item => item.id === preferences.script);
+        changes.push(`字体已更新为：${script.name}`);
+      }
+      messages.push(...(changes.length > 0 ? changes : ['偏好设置已更新']));
     }
 
     res.json({
@@ -1845,7 +2748,7 @@ app.put('/api/user/profile', async (req, res) => {
         userId: updatedProfile.user_id || updatedProfile.userId,
         cantoneseLevel: updatedProfile.cantonese_level || updatedProfile.cantoneseLevel,
         preferences: updatedProfile.preferences,
-        message: `粤语水平已更新为：${CANTONESE_LEVELS[cantoneseLevel.toUpperCase()].name}`,
+        message: messages.length > 0 ? messages.join('；') : '资料未变更',
       },
     });
 
@@ -1888,42 +2791,55 @@ app.get('/api/user/levels', (req, res) => {
   }
 });
 
+/**
+ * GET /api/user/romanizations
+ * Get all supported romanization systems
+ */
+app.get('/api/user/romanizations', (req, res) => {
+  try {
+    const systems = Object.values(ROMANIZATIONS).map(system => ({
+      id: system.id,
+      name: system.name,
+      example: convertReading('gwong2 dung1 waa2', system.id), // 广东话
+      isDefault: system.id === DEFAULT_ROMANIZATION,
+    }));
+
+    res.json({
+      success: true,
+      data: systems,
+    });
+
+  } catch (error) {
+    console.error('Get romanizations endpoint error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch romanizations',
+    });
+  }
+});
+
 /**
  * GET /api/user/stats
  * Get user's learning statistics
  */
-app.get('/api/user/stats', (req, res) => {
+app.get('/api/user/stats', authService.requireAuth, async (req, res) => {
   try {
-    const { userId } = req.query;
+    const userId = req.userId;
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing userId parameter',
-      });
-    }
-
-    const stats = getUserStats(userId);
-    const achievements = getUserAchievements(userId);
-    const records = getUserHistory(userId, 100);
+    const stats = await statsRepository.getStats(userId);
+    const achievements = await statsRepository.getAchievements(userId);
 
     // Calculate additional statistics
-    const averageScore = stats.practiceCount > 0
-      ? Math.round(stats.totalScore / stats.practiceCount)
-      : 0;
-
-    const thisWeek = records.filter(r => {
-      const recordDate = new Date(r.timestamp);
-      const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-      return recordDate >= weekAgo;
-    }).length;
-
-    const today = records.filter(r => {
-      const recordDate = new Date(r.timestamp);
-      const todayStart = new Date();
-      todayStart.setHours(0, 0, 0, 0);
-      return recordDate >= todayStart;
-    }).length;
+    const averageScore = calculateAverageScore(stats);
+
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const todayStart = new Date();
+    todayStart.setHours(0, 0, 0, 0);
+
+    const [thisWeek, today] = await Promise.all([
+      recordRepository.countSince(userId, weekAgo),
+      recordRepository.countSince(userId, todayStart),
+    ]);
 
     res.json({
       success: true,
@@ -1955,29 +2871,29 @@ app.get('/api/user/stats', (req, res) => {
  * POST /api/user/stats
  * Update user statistics (call after completing a story or practice)
  */
-app.post('/api/user/stats', async (req, res) => {
+app.post('/api/user/stats', authService.requireAuth, async (req, res) => {
   try {
-    const { userId, score, practiceTime, isPractice } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing userId in request body',
-      });
+    const { score, practiceTime, isPractice } = req.body;
+    const userId = req.userId;
+
+    // Out-of-range values are clamped by the repository; anything not a number is refused
+    const isNumeric = value => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== ''))
+      && Number.isFinite(Number(value));
+    for (const [name, value] of Object.entries({ score, practiceTime })) {
+      if (value !== undefined && value !== null && !isNumeric(value)) {
+        return res.status(400).json({
+          success: false,
+          error: `${name} must be a number`,
+        });
+      }
     }
 
-    const updatedStats = updateUserStats(userId, {
+    const { stats: updatedStats, newAchievements } = await statsRepository.recordActivity(userId, {
       score,
       practiceTime: practiceTime || 1, // default 1 minute
       isPractice: isPractice || false
     });
 
-    // Get updated achievements
-    const achievements = getUserAchievements(userId);
-    const newAchievements = achievements.filter(a =>
-      a.unlocked && new Date(a.unlockedAt) > new Date(updatedStats.lastUpdated)
-    );
-
     res.json({
       success: true,
       data: {
@@ -1998,6 +2914,436 @@ app.post('/api/user/stats', async (req, res) => {
   }
 });
 
+// ============== EXPORT & IMPORT ==============
+
+const EXPORT_FORMATS = ['json', 'csv', 'anki'];
+
+/**
+ * Read every saved record of a user, newest first
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} - Learning records
+ */
+async function listAllRecords(userId) {
+  const records = [];
+  let cursor = null;
+  do {
+    const page = await recordRepository.list(userId, { limit: 100, cursor });
+    records.push(...page.records);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return records;
+}
+
+/**
+ * Collect the story audio an Anki export ships with its deck
+ * Stored audio is read from the media store; inline data URLs are named like stored media.
+ * Audio that cannot be read is left out and its note gets an empty audio field
+ * @param {Array} records - Learning records
+ * @returns {Promise<{audioKeys: Map<string, string>, files: Map<string, Buffer>}>} - Record ID -> file name, file name -> contents
+ */
+async function collectAnkiAudio(records) {
+  const audioKeys = new Map();
+  const files = new Map();
+
+  for (const record of records) {
+    const inline = parseDataUrl(record.audioUrl);
+    const key = inline ? mediaKeyFor(inline.buffer, inline.contentType) : mediaKeyFromUrl(record.audioUrl);
+    if (!key) continue;
+
+    if (!files.has(key)) {
+      try {
+        files.set(key, inline ? inline.buffer : await mediaStore.readBuffer(key));
+      } catch (error) {
+        console.warn(`⚠️ Leaving audio ${key} out of the Anki export:`, error.message);
+        continue;
+      }
+    }
+    audioKeys.set(record.id, key);
+  }
+
+  return { audioKeys, files };
+}
+
+/**
+ * GET /api/export
+ * Download the user's data: ?format=json (full archive, default), csv (vocabulary) or anki
+ * (zip of the deck and its audio)
+ */
+app.get('/api/export', authService.requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const format = req.query.format || 'json';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`,
+      });
+    }
+
+    const records = await listAllRecords(userId);
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      res.attachment(`learn-cantonese-vocabulary-${date}.csv`);
+      return res.send(buildVocabularyCsv(records));
+    }
+
+    if (format === 'anki') {
+      const { audioKeys, files } = await collectAnkiAudio(records);
+      const zip = buildZip([
+        { name: 'learn-cantonese-anki.txt', data: buildAnkiDeck(records, { audioKeys }) },
+        ...[...files].map(([key, data]) => ({ name: `collection.media/${key}`, data })),
+      ]);
+      res.attachment(`learn-cantonese-anki-${date}.zip`);
+      return res.send(zip);
+    }
+
+    const [profile, collections, stats, achievements] = await Promise.all([
+      getUserProfile(userId),
+      collectionRepository.list(userId),
+      statsRepository.getStats(userId),
+      statsRepository.getAchievements(userId),
+    ]);
+
+    const archive = buildArchive({
+      user: req.user,
+      profile: {
+        cantoneseLevel: profile.cantonese_level || profile.cantoneseLevel,
+        preferences: profile.preferences,
+      },
+      collections,
+      records,
+      stats,
+      achievements,
+    });
+
+    res.attachment(`learn-cantonese-${date}.json`);
+    res.send(JSON.stringify(archive, null, 2));
+
+  } catch (error) {
+    console.error('Export endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to export data',
+    });
+  }
+});
+
+/**
+ * POST /api/import
+ * Restore a JSON archive from GET /api/export (uploaded as `archive` or sent as the JSON body)
+ * Idempotent: stories already saved, collections with the same name and counters already
+ * as high as the archive's are left as they are
+ */
+app.post('/api/import', authService.requireAuth, upload.single('archive'), async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    let raw = req.body;
+    if (req.file) {
+      try {
+        raw = JSON.parse(req.file.buffer.toString('utf8'));
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid archive: not valid JSON',
+        });
+      }
+    }
+
+    const archive = parseArchive(raw, { mediaBaseUrl: mediaBaseUrl(req) });
+    const level = archive.profile && archive.profile.cantoneseLevel;
+    const preferences = archive.profile && archive.profile.preferences;
+
+    if (level !== undefined && level !== null && (typeof level !== 'string' || !CANTONESE_LEVELS[level.toUpperCase()])) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid archive: profile.cantoneseLevel must be one of: ${Object.keys(CANTONESE_LEVELS).join(', ')}`,
+      });
+    }
+    const preferencesError = preferences !== undefined && preferences !== null && validatePreferences(preferences);
+    if (preferencesError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid archive: ${preferencesError}`,
+      });
+    }
+
+    // Collections are matched by name; archived IDs are remapped to this account's collections
+    const collectionIds = new Map();
+    const existingCollections = new Map(
+      (await collectionRepository.list(userId)).map(collection => [collection.name, collection.id])
+    );
+    let collectionsCreated = 0;
+    for (const { id, name } of archive.collections) {
+      if (!existingCollections.has(name)) {
+        existingCollections.set(name, (await collectionRepository.create(userId, name)).id);
+        collectionsCreated++;
+      }
+      collectionIds.set(id, existingCollections.get(name));
+    }
+
+    const records = [];
+    for (const record of archive.records) {
+      records.push({
+        ...record,
+        collectionId: collectionIds.get(record.collectionId) || null,
+        audioUrl: await storeDataUrl(req, record.audioUrl),
+        imageUrl: await storeDataUrl(req, record.imageUrl),
+      });
+    }
+    const imported = await recordRepository.importRecords(userId, records);
+
+    // Rebuild the review deck from the restored stories, as /api/save does
+    let reviewItemsAdded = 0;
+    for (const record of imported) {
+      try {
+        reviewItemsAdded += await reviewRepository.addItems(
+          userId,
+          extractReviewItems(record.cantoneseWords, record.cantonese),
+          record.id
+        );
+      } catch (error) {
+        console.warn('⚠️ Failed to add review items:', error.message);
+      }
+    }
+
+    await getUserProfile(userId);
+    if (level) await updateUserCantoneseLevel(userId, level.toLowerCase());
+    if (preferences) await updateUserPreferences(userId, preferences);
+
+    const { stats, newAchievements } = await statsRepository.restoreUser(userId, {
+      stats: archive.stats,
+      achievements: archive.achievements,
+      storyCount: archive.records.length,
+    });
+
+    console.log(`✅ Archive imported for ${userId}: ${imported.length} of ${archive.records.length} records`);
+
+    res.json({
+      success: true,
+      data: {
+        recordsImported: imported.length,
+        recordsSkipped: archive.records.length - imported.length,
+        collectionsCreated,
+        reviewItemsAdded,
+        stats,
+        newAchievements,
+      },
+    });
+
+  } catch (error) {
+    console.error('Import endpoint error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to import data',
+    });
+  }
+});
+
+// ============== ACCOUNT DELETION ==============
+// DELETE /api/user signs the account out everywhere and schedules erasure after a grace
+// period (logging in again cancels it); runMaintenance erases accounts whose period is over.
+// Erasure removes every row keyed by the user ID and the media only this user linked to.
+
+// Days between the request and erasure (0 erases immediately)
+const parsedGraceDays = parseFloat(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+const ACCOUNT_DELETION_GRACE_DAYS = Number.isFinite(parsedGraceDays) && parsedGraceDays >= 0 ? parsedGraceDays : 30;
+
+/**
+ * Collect the media keys a job's photo and result point at
+ * @param {object} job - Generation job
+ * @returns {Array<string|null>} - Media keys (null for data URLs)
+ */
+function jobMediaKeys(job) {
+  const result = job.result || {};
+  return [
+    job.params?.imageKey || null,
+    mediaKeyFromUrl(result.imageUrl),
+    mediaKeyFromUrl(result.audioUrl),
+    ...(result.audioPlaylist || []).map(mediaKeyFromUrl),
+    ...(result.audioSegments || []).map(segment => mediaKeyFromUrl(segment.audioUrl)),
+  ];
+}
+
+/**
+ * Delete a user's profile
+ * @param {string} userId - User identifier
+ * @returns {Promise<boolean>} - Whether a profile existed
+ */
+async function removeUserProfile(userId) {
+  // getUserProfile falls back to memory on database errors, so clear both
+  let removed = userProfiles.delete(userId);
+
+  if (pool) {
+    try {
+      const result = await pool.query('DELETE FROM user_profiles WHERE user_id = $1', [userId]);
+      removed = removed || result.rowCount > 0;
+    } catch (error) {
+      console.error('Database remove profile error:', error);
+      throw error;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Delete media that nothing else links to any more
+ * The store is content-addressed, so another user's record, share or generation job may hold the same file
+ * @param {Array<string|null>} keys - Keys the erased data linked to
+ * @returns {Promise<{removed: number, kept: number}>} - Files deleted, files still in use
+ */
+async function removeUnreferencedMedia(keys) {
+  const candidates = [...new Set(keys.filter(Boolean))];
+  const inUse = new Set([
+    ...await recordRepository.findMediaReferences(candidates),
+    ...await shareRepository.findMediaReferences(candidates),
+    ...await jobQueue.findMediaReferences(candidates),
+  ]);
+
+  let removed = 0;
+  for (const key of candidates) {
+    if (inUse.has(key)) continue;
+    try {
+      await mediaStore.remove(key);
+      removed++;
+    } catch (error) {
+      console.warn(`⚠️ Failed to delete media ${key}:`, error.message);
+    }
+  }
+  return { removed, kept: inUse.size };
+}
+
+/**
+ * Erase an account and everything stored under its user ID
+ * The account row goes last, so a failure part-way leaves it scheduled and maintenance retries
+ * @param {string} userId - User identifier
+ * @param {string} trigger - 'request' (immediate deletion) or 'grace_period' (maintenance)
+ * @returns {Promise<object>} - What was removed (also written to the audit log)
+ */
+async function eraseAccount(userId, trigger) {
+  const records = await recordRepository.removeUser(userId);
+  const shares = await shareRepository.removeUser(userId);
+  const jobs = await jobQueue.removeUser(userId);
+  const collections = await collectionRepository.removeUser(userId);
+  const reviewItems = await reviewRepository.removeUser(userId);
+  const stats = await statsRepository.removeUser(userId);
+  const profile = await removeUserProfile(userId);
+
+  const media = await removeUnreferencedMedia([
+    ...records.flatMap(record => [mediaKeyFromUrl(record.audioUrl), mediaKeyFromUrl(record.imageUrl)]),
+    ...shares.flatMap(share => [mediaKeyFromUrl(share.audioUrl), mediaKeyFromUrl(share.imageUrl)]),
+    ...jobs.flatMap(jobMediaKeys),
+  ]);
+
+  await authService.deleteAccount(userId);
+
+  const erased = {
+    records: records.length,
+    collections,
+    reviewItems,
+    shares: shares.length,
+    jobs: jobs.length,
+    achievements: stats.achievements,
+    stats: stats.stats,
+    profile,
+    mediaRemoved: media.removed,
+    mediaKept: media.kept,
+  };
+  await auditRepository.record(userId, 'account.erased', { trigger, ...erased });
+  console.log(`✅ Account erased: ${userId} (${records.length} records, ${media.removed} media files)`);
+  return erased;
+}
+
+/**
+ * Erase every account whose deletion grace period has ended
+ * @param {Date} now - Current time (tests pass a later one)
+ * @returns {Promise<number>} - Accounts erased
+ */
+async function purgeDeletedAccounts(now = new Date()) {
+  const userIds = await authService.listDueDeletions(now);
+
+  let erased = 0;
+  for (const userId of userIds) {
+    try {
+      await eraseAccount(userId, 'grace_period');
+      erased++;
+    } catch (error) {
+      console.error(`❌ Failed to erase account ${userId}:`, error.message);
+    }
+  }
+  return erased;
+}
+
+/**
+ * DELETE /api/user
+ * Delete the account and all its data (profile, history, collections, review deck, statistics,
+ * achievements, shares, jobs and media). Requires the password.
+ * By default the account is signed out and erased after ACCOUNT_DELETION_GRACE_DAYS (logging
+ * in again cancels); { "immediate": true } erases it now
+ */
+app.delete('/api/user', authService.requireAuth, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { password, immediate = false } = req.body;
+
+    if (typeof immediate !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'immediate must be true or false',
+      });
+    }
+
+    await authService.confirmPassword(userId, password);
+
+    if (immediate || ACCOUNT_DELETION_GRACE_DAYS === 0) {
+      await auditRepository.record(userId, 'account.deletion_requested', { immediate: true });
+      // Scheduled first, so maintenance finishes the erasure if it fails part-way
+      await authService.scheduleDeletion(userId, new Date());
+      const erased = await eraseAccount(userId, 'request');
+
+      return res.json({
+        success: true,
+        data: {
+          userId,
+          status: 'erased',
+          erased,
+          message: 'Account and all its data have been deleted',
+        },
+      });
+    }
+
+    const deletionScheduledAt = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    const sessionsRevoked = await authService.scheduleDeletion(userId, deletionScheduledAt);
+    await auditRepository.record(userId, 'account.deletion_requested', {
+      immediate: false,
+      scheduledFor: deletionScheduledAt.toISOString(),
+      sessionsRevoked,
+    });
+    console.log(`Account deletion scheduled: ${userId} at ${deletionScheduledAt.toISOString()}`);
+
+    res.status(202).json({
+      success: true,
+      data: {
+        userId,
+        status: 'scheduled',
+        deletionScheduledAt: deletionScheduledAt.toISOString(),
+        gracePeriodDays: ACCOUNT_DELETION_GRACE_DAYS,
+        message: 'Account scheduled for deletion. Log in again before then to cancel',
+      },
+    });
+
+  } catch (error) {
+    console.error('Delete user endpoint error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to delete account',
+    });
+  }
+});
+
 /**
  * Error handling middleware
  */
@@ -2018,6 +3364,13 @@ app.use((error, req, res, next) => {
     });
   }
 
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
   console.error('Unhandled error:', error);
   res.status(500).json({
     success: false,
@@ -2025,59 +3378,17 @@ app.use((error, req, res, next) => {
   });
 });
 
-// ============== START SERVER ==============
-app.listen(PORT, () => {
-  const storageType = pool ? 'PostgreSQL Database' : 'In-Memory Storage';
-
-  console.log(`
-╔════════════════════════════════════════════════════════════╗
-║          🎤 拍照学粤语 API Server Started 🎤             ║
-╠════════════════════════════════════════════════════════════╣
-║  Server running on: http://localhost:${PORT}                  ║
-║                                                         ║
-║  Core APIs:                                             ║
-║  Health check:    GET  /health                             ║
-║  Generate:        POST /api/generate (支持用户水平调整)   ║
-║  Evaluate:        POST /api/evaluate                       ║
-║                                                         ║
-║  Save & Library:                                         ║
-║  Save:            POST /api/save                           ║
-║  History:         GET  /api/history                        ║
-║  Library:         GET  /api/library                        ║
-║  Delete:          DELETE /api/history/:id                  ║
-║                                                         ║
-║  Share & Social:                                         ║
-║  Share:           POST /api/share                          ║
-║  Get Share:       GET  /api/share/:id                      ║
-║                                                         ║
-║  User & Gamification:                                    ║
-║  Profile:         GET  /api/user/profile                   ║
-║  Update Profile:  PUT  /api/user/profile                  ║
-║  Get Levels:     GET  /api/user/levels                    ║
-║  User Stats:      GET  /api/user/stats                     ║
-║  Update Stats:    POST /api/user/stats                    ║
-║  Achievements:    GET  /api/achievements                   ║
-╚════════════════════════════════════════════════════════════╝
-
-✅ APIs configured:
-   - DeepInfra Vision (Qwen2.5-VL-32B-Instruct) - 图像识别与文本生成
-   - DeepInfra API (Cantonese Translation + Jyutping) - 粤语翻译与拼音
-   - Tencent Cloud TTS (粤语) - 语音合成
-   - DeepInfra Whisper (whisper-large-v3) - 语音识别
-   - ${storageType} - 存储系统
-   - Achievement System (6 成就) - 成就系统
-
-🆕 Features:
-   - Automatic Jyutping romanization for Cantonese text
-   - Structured bilingual output with pinyin annotations
-   - Intelligent voice selection (Male/Female)
-   - Enhanced scoring with tone accuracy & encouragement
-   - User statistics & leveling system
-   - Achievement tracking & unlocking
-   - Adaptive difficulty based on user's Cantonese level (初级/中级/高级)
-
-⚠️  Make sure all required environment variables are set!
-${!pool ? '⚠️  No DATABASE_URL found - using in-memory storage (data will be lost on restart)\n' : ''}`);
-});
-
-module.exports = app;
+module.exports = {
+  app,
+  pool,
+  providers,
+  mediaStore,
+  cache,
+  jobQueue,
+  recordRepository,
+  collectionRepository,
+  auditRepository,
+  initializeDatabase,
+  runMaintenance,
+  purgeDeletedAccounts,
+};
@@ -0,0 +1,81 @@
+// ============== ACHIEVEMENT DEFINITIONS ==============
+
+/**
+ * Achievement definitions
+ * Each condition receives camelCase statistics with a derived averageScore
+ */
+const ACHIEVEMENTS = {
+  first_story: {
+    id: 'first_story',
+    title: '初出茅庐',
+    description: '完成第一个粤语故事',
+    icon: 'star',
+    condition: (stats) => stats.totalStories >= 1
+  },
+  ten_stories: {
+    id: 'ten_stories',
+    title: '勤学苦练',
+    description: '学习了10个粤语故事',
+    icon: 'school',
+    condition: (stats) => stats.totalStories >= 10
+  },
+  fifty_stories: {
+    id: 'fifty_stories',
+    title: '粤语达人',
+    description: '学习了50个粤语故事',
+    icon: 'emoji_events',
+    condition: (stats) => stats.totalStories >= 50
+  },
+  practice_master: {
+    id: 'practice_master',
+    title: '跟读高手',
+    description: '跟读练习达到100次',
+    icon: 'record_voice_over',
+    condition: (stats) => stats.practiceCount >= 100
+  },
+  perfect_score: {
+    id: 'perfect_score',
+    title: '完美发音',
+    description: '获得一次满分评价',
+    icon: 'verified',
+    condition: (stats) => stats.bestScore === 100
+  },
+  excellent_student: {
+    id: 'excellent_student',
+    title: '优秀学员',
+    description: '平均分达到90分',
+    icon: 'workspace_premium',
+    condition: (stats) => stats.averageScore && stats.averageScore >= 90
+  }
+};
+
+/**
+ * Calculate average practice score
+ * @param {object} stats - User statistics
+ * @returns {number} - Rounded average score (0 when no practice yet)
+ */
+function calculateAverageScore(stats) {
+  return stats.practiceCount > 0 ? Math.round(stats.totalScore / stats.practiceCount) : 0;
+}
+
+/**
+ * Find achievements whose conditions are met by the given statistics
+ * @param {object} stats - User statistics
+ * @returns {Array<string>} - Achievement IDs that should be unlocked
+ */
+function findEarnedAchievementIds(stats) {
+  const statsWithAverage = {
+    ...stats,
+    averageScore: calculateAverageScore(stats)
+  };
+
+  return Object.values(ACHIEVEMENTS)
+    .filter(achievement => achievement.condition(statsWithAverage))
+    .map(achievement => achievement.id);
+}
+
+module.exports = {
+  ACHIEVEMENTS,
+  calculateAverageScore,
+  findEarnedAchievementIds,
+};
@@ -0,0 +1,165 @@
+// ============== SEQUENCE ALIGNMENT (PRONUNCIATION DIFF) ==============
+
+const STATUS = {
+  MATCHED: 'matched',
+  SUBSTITUTED: 'substituted',
+  INSERTED: 'inserted',
+  DELETED: 'deleted',
+};
+
+/**
+ * Align two sequences with minimum edit distance and return the edit script
+ * Among equally short scripts the one with the most matches wins, and remaining
+ * ties prefer substitution over deletion over insertion
+ * @param {Array} expected - Expected sequence (e.g. characters of the original text)
+ * @param {Array} actual - Actual sequence (e.g. characters of the ASR transcript)
+ * @param {Function} equals - Equality test (defaults to ===)
+ * @returns {Array<{status: string, expectedIndex: number|null, actualIndex: number|null}>} - Edit operations in order
+ */
+function alignSequences(expected, actual, equals = (a, b) => a === b) {
+  const rows = expected.length + 1;
+  const cols = actual.length + 1;
+
+  // dist[i][j] = edit distance between expected[0..i) and actual[0..j)
+  // hits[i][j] = most matches achievable at that distance
+  const dist = Array.from({ length: rows }, () => new Array(cols).fill(0));
+  const hits = Array.from({ length: rows }, () => new Array(cols).fill(0));
+  for (let i = 0; i < rows; i++) dist[i][0] = i;
+  for (let j = 0; j < cols; j++) dist[0][j] = j;
+
+  // Candidate steps into cell (i, j), in tie-break order
+  const candidates = (i, j) => {
+    const steps = [];
+    if (i > 0 && j > 0) {
+      const same = equals(expected[i - 1], actual[j - 1]);
+      steps.push({
+        status: same ? STATUS.MATCHED : STATUS.SUBSTITUTED,
+        di: 1, dj: 1,
+        dist: dist[i - 1][j - 1] + (same ? 0 : 1),
+        hits: hits[i - 1][j - 1] + (same ? 1 : 0),
+      });
+    }
+    if (i > 0) {
+      steps.push({ status: STATUS.DELETED, di: 1, dj: 0, dist: dist[i - 1][j] + 1, hits: hits[i - 1][j] });
+    }
+    if (j > 0) {
+      steps.push({ status: STATUS.INSERTED, di: 0, dj: 1, dist: dist[i][j - 1] + 1, hits: hits[i][j - 1] });
+    }
+    return steps;
+  };
+
+  const best = (steps) => steps.reduce((winner, step) =>
+    (step.dist < winner.dist || (step.dist === winner.dist && step.hits > winner.hits)) ? step : winner
+  );
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const step = best(candidates(i, j));
+      dist[i][j] = step.dist;
+      hits[i][j] = step.hits;
+    }
+  }
+
+  // Backtrace from the bottom-right corner
+  const operations = [];
+  let i = expected.length;
+  let j = actual.length;
+
+  while (i > 0 || j > 0) {
+    const step = best(candidates(i, j));
+    operations.push({
+      status: step.status,
+      expectedIndex: step.di ? i - 1 : null,
+      actualIndex: step.dj ? j - 1 : null,
+    });
+    i -= step.di;
+    j -= step.dj;
+  }
+
+  return operations.reverse();
+}
+
+/**
+ * Map each character of the expected text to its Jyutping from cantoneseWords
+ * cantoneseWords entries may hold one character or a multi-character chunk with
+ * space-separated syllables; anything that cannot be lined up gets null
+ * @param {Array<string>} chars - Normalized characters of the expected text
+ * @param {Array<{char: string, pinyin: string}>} cantoneseWords - Readings from /api/generate
+ * @param {Function} normalize - Text normalization used for scoring
+ * @returns {Array<string|null>} - Jyutping per character
+ */
+function mapJyutpingToCharacters(chars, cantoneseWords, normalize) {
+  const readings = [];
+
+  for (const word of Array.isArray(cantoneseWords) ? cantoneseWords : []) {
+    const wordChars = Array.from(normalize(word?.char || ''));
+    const syllables = String(word?.pinyin || '').trim().split(/\s+/).filter(Boolean);
+
+    wordChars.forEach((char, index) => {
+      let jyutping = null;
+      if (syllables.length === wordChars.length) {
+        jyutping = syllables[index];
+      } else if (wordChars.length === 1 && syllables.length > 0) {
+        jyutping = syllables.join(' ');
+      }
+      readings.push({ char, jyutping });
+    });
+  }
+
+  // Walk both lists; readings that drift from the text are skipped rather than misassigned
+  const result = [];
+  let cursor = 0;
+  for (const char of chars) {
+    let found = null;
+    for (let k = cursor; k < readings.length; k++) {
+      if (readings[k].char === char) {
+        found = readings[k].jyutping;
+        cursor = k + 1;
+        break;
+      }
+    }
+    result.push(found);
+  }
+
+  return result;
+}
+
+/**
+ * Build a per-character pronunciation diff between the original text and the transcript
+ * @param {string} originalText - Normalized expected text
+ * @param {string} userText - Normalized ASR transcript
+ * @param {Array<string|null>} jyutpingByChar - Jyutping for each expected character
+ * @returns {{characters: Array, summary: object}} - Diff entries and counts per status
+ */
+function buildCharacterDiff(originalText, userText, jyutpingByChar = []) {
+  const expectedChars = Array.from(originalText);
+  const actualChars = Array.from(userText);
+
+  const summary = {
+    [STATUS.MATCHED]: 0,
+    [STATUS.SUBSTITUTED]: 0,
+    [STATUS.INSERTED]: 0,
+    [STATUS.DELETED]: 0,
+  };
+
+  const characters = alignSequences(expectedChars, actualChars).map(op => {
+    summary[op.status]++;
+    return {
+      status: op.status,
+      expected: op.expectedIndex !== null ? expectedChars[op.expectedIndex] : null,
+      actual: op.actualIndex !== null ? actualChars[op.actualIndex] : null,
+      // Position in the expected text, so the app can highlight the syllable to retry
+      index: op.expectedIndex,
+      jyutping: op.expectedIndex !== null ? (jyutpingByChar[op.expectedIndex] || null) : null,
+    };
+  });
+
+  return { characters, summary };
+}
+
+module.exports = {
+  STATUS,
+  alignSequences,
+  mapJyutpingToCharacters,
+  buildCharacterDiff,
+};
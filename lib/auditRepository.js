@@ -0,0 +1,102 @@
+// ============== AUDIT LOG REPOSITORY ==============
+// Append-only record of account events (deletion requested, cancelled, erased).
+// Entries outlive the account, so details hold counts and dates, never the user's content.
+
+const MAX_MEMORY_ENTRIES = 1000;
+
+/**
+ * Convert an audit_log row to the entry shape
+ * @param {object} row - Database row
+ * @returns {object} - Audit entry
+ */
+function mapAuditRow(row) {
+  return {
+    id: String(row.id),
+    userId: row.user_id,
+    action: row.action,
+    details: row.details || {},
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+/**
+ * Create the audit log repository
+ * Stores entries in audit_log when a pool is given, otherwise in process memory
+ * (the newest 1000 entries)
+ * @param {object} options - { pool }
+ * @returns {object} - Repository API
+ */
+function createAuditRepository({ pool = null } = {}) {
+  const entries = []; // Oldest first
+  let nextId = 1;
+
+  /**
+   * Append an entry
+   * @param {string} userId - User the event is about
+   * @param {string} action - Event name, e.g. 'account.deletion_requested'
+   * @param {object} details - JSON-compatible details
+   * @returns {Promise<object>} - Stored entry
+   */
+  async function record(userId, action, details = {}) {
+    let entry;
+
+    if (pool) {
+      try {
+        const result = await pool.query(
+          `INSERT INTO audit_log (user_id, action, details)
+           VALUES ($1, $2, $3)
+           RETURNING *`,
+          [userId, action, JSON.stringify(details)]
+        );
+        entry = mapAuditRow(result.rows[0]);
+      } catch (error) {
+        console.error('Database audit log error:', error);
+        throw error;
+      }
+    } else {
+      entry = {
+        id: String(nextId++),
+        userId,
+        action,
+        details,
+        createdAt: new Date().toISOString()
+      };
+      entries.push(entry);
+      if (entries.length > MAX_MEMORY_ENTRIES) entries.shift();
+    }
+
+    console.log(`Audit: ${action} for user: ${userId}`);
+    return entry;
+  }
+
+  /**
+   * List the entries about a user, oldest first
+   * @param {string} userId - User identifier
+   * @returns {Promise<Array>} - Audit entries
+   */
+  async function listByUser(userId) {
+    if (pool) {
+      try {
+        const result = await pool.query(
+          'SELECT * FROM audit_log WHERE user_id = $1 ORDER BY created_at ASC, id ASC',
+          [userId]
+        );
+        return result.rows.map(mapAuditRow);
+      } catch (error) {
+        console.error('Database list audit log error:', error);
+        throw error;
+      }
+    }
+
+    return entries.filter(entry => entry.userId === userId).map(entry => ({ ...entry }));
+  }
+
+  return {
+    record,
+    listByUser
+  };
+}
+
+module.exports = {
+  createAuditRepository
+};
@@ -0,0 +1,553 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ============== ACCOUNTS & SESSIONS ==============
+
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[\p{L}\p{N}_.-]{3,32}$/u;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+
+// scrypt cost parameters (N=2^15, r=8, p=1 ≈ 32MB per hash)
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status
+ */
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Hash a password with a random salt
+ * Format: scrypt$N$r$p$salt$hash (salt and hash base64)
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - Encoded password hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, SCRYPT_PARAMS);
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Verify a password against an encoded hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} encoded - Encoded password hash from hashPassword
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+async function verifyPassword(password, encoded) {
+  const [scheme, N, r, p, salt, hash] = String(encoded).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p), maxmem: SCRYPT_PARAMS.maxmem,
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Hash a session token for storage (only the hash is persisted)
+ * @param {string} token - Opaque session token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Validate registration input
+ * @param {string} username - Requested username
+ * @param {string} password - Requested password
+ */
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw authError(400, 'Username must be 3-32 characters (letters, digits, "_", "." or "-")');
+  }
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+    throw authError(400, `Password must be ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters`);
+  }
+}
+
+/**
+ * Validate a legacy device ID
+ * @param {string} deviceId - Legacy device/anonymous user ID
+ */
+function validateDeviceId(deviceId) {
+  if (typeof deviceId !== 'string' || deviceId.length === 0 || deviceId.length > 255) {
+    throw authError(400, 'Invalid deviceId');
+  }
+  if (deviceId.startsWith('acct_')) {
+    throw authError(400, 'Account IDs cannot be linked as devices');
+  }
+}
+
+/**
+ * Convert a user_accounts row to the account shape
+ * @param {object} row - Database row
+ * @returns {object} - Account
+ */
+function mapAccountRow(row) {
+  return {
+    userId: row.user_id,
+    username: row.username,
+    passwordHash: row.password_hash,
+    deletionScheduledAt: row.deletion_scheduled_at ? new Date(row.deletion_scheduled_at).toISOString() : null,
+  };
+}
+
+/**
+ * Read a bearer token from the Authorization header
+ * @param {object} req - Express request
+ * @returns {string|null} - Token or null
+ */
+function getBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Create the authentication service
+ * Accounts and opaque session tokens live in user_accounts / user_sessions when a pool
+ * is given, otherwise in process memory
+ * @param {object} options - { pool }
+ * @returns {object} - Auth service API
+ */
+function createAuthService({ pool = null } = {}) {
+  const accounts = new Map(); // userId -> { userId, username, passwordHash, createdAt, deletionScheduledAt }
+  const usernames = new Map(); // lower-cased username -> userId
+  const sessions = new Map(); // tokenHash -> { userId, expiresAt }
+  const deviceLinks = new Map(); // deviceId -> userId
+
+  /**
+   * Look up an account by username (case-insensitive)
+   * @param {string} username - Username
+   * @returns {Promise<object|null>} - Account or null
+   */
+  async function findAccountByUsername(username) {
+    if (pool) {
+      const result = await pool.query(
+        `SELECT user_id, username, password_hash, deletion_scheduled_at
+         FROM user_accounts WHERE LOWER(username) = LOWER($1)`,
+        [username]
+      );
+      return result.rows.length > 0 ? mapAccountRow(result.rows[0]) : null;
+    }
+
+    const userId = usernames.get(username.toLowerCase());
+    return userId ? accounts.get(userId) : null;
+  }
+
+  /**
+   * Look up an account by user ID
+   * @param {string} userId - User identifier
+   * @returns {Promise<object|null>} - Account or null
+   */
+  async function findAccountById(userId) {
+    if (pool) {
+      const result = await pool.query(
+        `SELECT user_id, username, password_hash, deletion_scheduled_at
+         FROM user_accounts WHERE user_id = $1`,
+        [userId]
+      );
+      return result.rows.length > 0 ? mapAccountRow(result.rows[0]) : null;
+    }
+
+    return accounts.get(userId) || null;
+  }
+
+  /**
+   * Issue a new session token for a user
+   * @param {string} userId - User identifier
+   * @returns {Promise<{token: string, expiresAt: string}>} - Token (shown once) and expiry
+   */
+  async function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+    if (pool) {
+      await pool.query(
+        'INSERT INTO user_sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+        [hashToken(token), userId, expiresAt]
+      );
+    } else {
+      sessions.set(hashToken(token), { userId, expiresAt: expiresAt.toISOString() });
+    }
+
+    return { token, expiresAt: expiresAt.toISOString() };
+  }
+
+  /**
+   * Register a new account and start a session
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<{userId: string, username: string, token: string, expiresAt: string}>}
+   */
+  async function register(username, password) {
+    validateCredentials(username, password);
+
+    if (await findAccountByUsername(username)) {
+      throw authError(409, 'Username is already taken');
+    }
+
+    const userId = `acct_${crypto.randomBytes(12).toString('hex')}`;
+    const passwordHash = await hashPassword(password);
+
+    if (pool) {
+      try {
+        await pool.query(
+          'INSERT INTO user_accounts (user_id, username, password_hash) VALUES ($1, $2, $3)',
+          [userId, username, passwordHash]
+        );
+      } catch (error) {
+        // Unique index on LOWER(username) catches concurrent registrations
+        if (error.code === '23505') {
+          throw authError(409, 'Username is already taken');
+        }
+        console.error('Database register error:', error);
+        throw error;
+      }
+    } else {
+      accounts.set(userId, {
+        userId, username, passwordHash, createdAt: new Date().toISOString(), deletionScheduledAt: null,
+      });
+      usernames.set(username.toLowerCase(), userId);
+    }
+
+    console.log(`Account registered: ${userId}`);
+    const session = await createSession(userId);
+    return { userId, username, ...session };
+  }
+
+  /**
+   * Verify credentials and start a session
+   * Signing in during the deletion grace period cancels the deletion
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<{userId: string, username: string, token: string, expiresAt: string, deletionCancelled: boolean}>}
+   */
+  async function login(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      throw authError(400, 'Missing username or password');
+    }
+
+    const account = await findAccountByUsername(username);
+    // Same message for unknown user and wrong password to avoid account enumeration
+    if (!account || !(await verifyPassword(password, account.passwordHash))) {
+      throw authError(401, 'Invalid username or password');
+    }
+
+    const deletionCancelled = Boolean(account.deletionScheduledAt);
+    if (deletionCancelled) {
+      await setDeletionSchedule(account.userId, null);
+      console.log(`Account deletion cancelled: ${account.userId}`);
+    }
+
+    const session = await createSession(account.userId);
+    return { userId: account.userId, username: account.username, ...session, deletionCancelled };
+  }
+
+  /**
+   * Check the password of a signed-in user (re-authentication before destructive actions)
+   * @param {string} userId - User identifier
+   * @param {string} password - Password
+   * @returns {Promise<void>} - Rejects with 400 (missing) or 401 (wrong password)
+   */
+  async function confirmPassword(userId, password) {
+    if (typeof password !== 'string' || password.length === 0) {
+      throw authError(400, 'Missing password in request body');
+    }
+
+    const account = await findAccountById(userId);
+    if (!account || !(await verifyPassword(password, account.passwordHash))) {
+      throw authError(401, 'Incorrect password');
+    }
+  }
+
+  /**
+   * Set or clear the time an account is due to be erased
+   * @param {string} userId - User identifier
+   * @param {Date|null} deleteAt - Deletion time, or null to cancel
+   * @returns {Promise<void>}
+   */
+  async function setDeletionSchedule(userId, deleteAt) {
+    if (pool) {
+      await pool.query(
+        'UPDATE user_accounts SET deletion_scheduled_at = $2, updated_at = CURRENT_TIMESTAMP WHERE user_id = $1',
+        [userId, deleteAt]
+      );
+      return;
+    }
+
+    const account = accounts.get(userId);
+    if (account) account.deletionScheduledAt = deleteAt ? deleteAt.toISOString() : null;
+  }
+
+  /**
+   * Mark an account for deletion and sign it out everywhere
+   * @param {string} userId - User identifier
+   * @param {Date} deleteAt - When maintenance may erase it
+   * @returns {Promise<number>} - Sessions revoked
+   */
+  async function scheduleDeletion(userId, deleteAt) {
+    await setDeletionSchedule(userId, deleteAt);
+    return revokeAllSessions(userId);
+  }
+
+  /**
+   * List accounts whose deletion grace period has ended
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<string>>} - User IDs
+   */
+  async function listDueDeletions(now = new Date()) {
+    if (pool) {
+      const result = await pool.query(
+        `SELECT user_id FROM user_accounts
+         WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= $1
+         ORDER BY deletion_scheduled_at ASC`,
+        [now]
+      );
+      return result.rows.map(row => row.user_id);
+    }
+
+    return [...accounts.values()]
+      .filter(account => account.deletionScheduledAt && new Date(account.deletionScheduledAt) <= now)
+      .sort((a, b) => new Date(a.deletionScheduledAt) - new Date(b.deletionScheduledAt))
+      .map(account => account.userId);
+  }
+
+  /**
+   * Delete an account with its sessions and device links (the username becomes free)
+   * @param {string} userId - User identifier
+   * @returns {Promise<boolean>} - False if there was no such account
+   */
+  async function deleteAccount(userId) {
+    if (pool) {
+      // user_sessions and device_links cascade
+      const result = await pool.query('DELETE FROM user_accounts WHERE user_id = $1', [userId]);
+      return result.rowCount > 0;
+    }
+
+    const account = accounts.get(userId);
+    if (!account) return false;
+
+    await revokeAllSessions(userId);
+    for (const [deviceId, ownerId] of deviceLinks) {
+      if (ownerId === userId) deviceLinks.delete(deviceId);
+    }
+    usernames.delete(account.username.toLowerCase());
+    accounts.delete(userId);
+    return true;
+  }
+
+  /**
+   * Resolve a session token to its user
+   * @param {string} token - Opaque session token
+   * @returns {Promise<{userId: string, username: string}|null>} - User or null if invalid/expired
+   */
+  async function verifySession(token) {
+    if (!token) return null;
+    const tokenHash = hashToken(token);
+
+    if (pool) {
+      const result = await pool.query(
+        `SELECT s.user_id, a.username
+         FROM user_sessions s
+         JOIN user_accounts a ON a.user_id = s.user_id
+         WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP`,
+        [tokenHash]
+      );
+      return result.rows.length > 0
+        ? { userId: result.rows[0].user_id, username: result.rows[0].username }
+        : null;
+    }
+
+    const session = sessions.get(tokenHash);
+    if (!session) return null;
+    if (new Date(session.expiresAt) <= new Date()) {
+      sessions.delete(tokenHash);
+      return null;
+    }
+    const account = accounts.get(session.userId);
+    return account ? { userId: account.userId, username: account.username } : null;
+  }
+
+  /**
+   * Revoke a session token (logout)
+   * @param {string} token - Opaque session token
+   * @returns {Promise<void>}
+   */
+  async function revokeSession(token) {
+    if (pool) {
+      await pool.query('DELETE FROM user_sessions WHERE token_hash = $1', [hashToken(token)]);
+      return;
+    }
+    sessions.delete(hashToken(token));
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} userId - User identifier
+   * @returns {Promise<number>} - Sessions revoked
+   */
+  async function revokeAllSessions(userId) {
+    if (pool) {
+      const result = await pool.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+      return result.rowCount;
+    }
+
+    let revoked = 0;
+    for (const [tokenHash, session] of sessions) {
+      if (session.userId === userId) {
+        sessions.delete(tokenHash);
+        revoked++;
+      }
+    }
+    return revoked;
+  }
+
+  /**
+   * Delete expired sessions
+   * @returns {Promise<number>} - Number of sessions removed
+   */
+  async function purgeExpiredSessions() {
+    if (pool) {
+      const result = await pool.query('DELETE FROM user_sessions WHERE expires_at <= CURRENT_TIMESTAMP');
+      return result.rowCount;
+    }
+
+    const now = new Date();
+    let removed = 0;
+    for (const [tokenHash, session] of sessions) {
+      if (new Date(session.expiresAt) <= now) {
+        sessions.delete(tokenHash);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Check that a device ID could be claimed by a new account (before registering it)
+   * @param {string} deviceId - Legacy device/anonymous user ID
+   * @returns {Promise<void>} - Rejects with 400 (malformed) or 409 (linked to an account)
+   */
+  async function assertDeviceClaimable(deviceId) {
+    validateDeviceId(deviceId);
+
+    let ownerId;
+    if (pool) {
+      const result = await pool.query('SELECT user_id FROM device_links WHERE device_id = $1', [deviceId]);
+      ownerId = result.rows[0]?.user_id;
+    } else {
+      ownerId = deviceLinks.get(deviceId);
+    }
+
+    if (ownerId) {
+      throw authError(409, 'This device is already linked to another account');
+    }
+  }
+
+  /**
+   * Claim a legacy device ID for an account
+   * A device ID can only ever be attached to one account
+   * @param {string} userId - Account user ID
+   * @param {string} deviceId - Legacy device/anonymous user ID
+   * @param {object} options - { db } (a transaction client; defaults to the pool)
+   * @returns {Promise<void>}
+   */
+  async function claimDevice(userId, deviceId, { db = pool } = {}) {
+    validateDeviceId(deviceId);
+
+    let ownerId;
+    if (pool) {
+      const result = await db.query(
+        `INSERT INTO device_links (device_id, user_id) VALUES ($1, $2)
+         ON CONFLICT (device_id) DO UPDATE SET device_id = EXCLUDED.device_id
+         RETURNING user_id`,
+        [deviceId, userId]
+      );
+      ownerId = result.rows[0].user_id;
+    } else {
+      if (!deviceLinks.has(deviceId)) {
+        deviceLinks.set(deviceId, userId);
+      }
+      ownerId = deviceLinks.get(deviceId);
+    }
+
+    if (ownerId !== userId) {
+      throw authError(409, 'This device is already linked to another account');
+    }
+  }
+
+  /**
+   * Express middleware: require a valid session and set req.userId / req.user
+   */
+  async function requireAuth(req, res, next) {
+    try {
+      const user = await verifySession(getBearerToken(req));
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required. Send "Authorization: Bearer <token>"',
+        });
+      }
+      req.user = user;
+      req.userId = user.userId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Express middleware: attach the user when a valid token is sent, but never reject
+   */
+  async function optionalAuth(req, res, next) {
+    try {
+      const user = await verifySession(getBearerToken(req));
+      if (user) {
+        req.user = user;
+        req.userId = user.userId;
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    register,
+    login,
+    verifySession,
+    revokeSession,
+    revokeAllSessions,
+    purgeExpiredSessions,
+    assertDeviceClaimable,
+    claimDevice,
+    confirmPassword,
+    scheduleDeletion,
+    listDueDeletions,
+    deleteAccount,
+    requireAuth,
+    optionalAuth,
+  };
+}
+
+module.exports = {
+  createAuthService,
+  getBearerToken,
+  hashPassword,
+  verifyPassword,
+};
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+
+// ============== AI RESULT CACHE ==============
+// Two tiers: an in-process LRU in front of the cache_entries table (when a pool is given),
+// so every instance shares results and they survive restarts. Values are JSON; Buffers
+// (audio) round-trip as base64. Both tiers hold serialized values, so callers can never
+// mutate what another request gets back. Cache failures are logged and treated as misses:
+// the cache must never break the request it is speeding up.
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Build a cache key from the inputs that determine a result
+ * @param {...any} parts - Strings, numbers or Buffers (Buffers are hashed by content)
+ * @returns {string} - SHA-256 hex digest
+ */
+function cacheKey(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) {
+    const bytes = Buffer.isBuffer(part) ? part : Buffer.from(String(part));
+    // Length-prefix each part so ('ab', 'c') and ('a', 'bc') differ
+    hash.update(`${bytes.length}:`).update(bytes);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Serialize a value, storing Buffers as { $buffer: base64 }
+ * @param {any} value - JSON-compatible value, possibly containing Buffers
+ * @returns {string} - JSON text
+ */
+function serialize(value) {
+  return JSON.stringify(value, function replacer(key, current) {
+    const original = this[key];
+    return Buffer.isBuffer(original) ? { $buffer: original.toString('base64') } : current;
+  });
+}
+
+/**
+ * Inverse of serialize
+ * @param {string} text - JSON text
+ * @returns {any} - Value with Buffers restored
+ */
+function deserialize(text) {
+  return JSON.parse(text, (key, value) => (
+    value && typeof value.$buffer === 'string' ? Buffer.from(value.$buffer, 'base64') : value
+  ));
+}
+
+/**
+ * Create a bounded least-recently-used map with per-entry expiry
+ * @param {number} maxEntries - Entries kept before the least recently used is evicted
+ * @returns {object} - { get, set, delete, clear, size }
+ */
+function createLruCache(maxEntries = DEFAULT_MAX_ENTRIES) {
+  const entries = new Map(); // key -> { value, expiresAt }; Map order is recency order
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return undefined;
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value, expiresAt) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    /**
+     * Remove entries whose key starts with a prefix
+     * @param {string} prefix - Key prefix ('' for everything)
+     * @returns {number} - Entries removed
+     */
+    clear(prefix = '') {
+      let removed = 0;
+      for (const key of [...entries.keys()]) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+/**
+ * Create the two-tier cache
+ * @param {object} options - { pool, maxEntries, defaultTtlMs, enabled }
+ * @returns {object} - Cache API
+ */
+function createCache({
+  pool = null,
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  defaultTtlMs = DEFAULT_TTL_MS,
+  enabled = true,
+} = {}) {
+  const memory = createLruCache(maxEntries);
+  const inFlight = new Map(); // namespace:key -> Promise, so concurrent misses compute once
+  const counters = new Map(); // namespace -> counters
+
+  /**
+   * Get (creating) the counters of a namespace
+   * @param {string} namespace - Namespace
+   * @returns {object} - Counters
+   */
+  function countersFor(namespace) {
+    if (!counters.has(namespace)) {
+      counters.set(namespace, { memoryHits: 0, databaseHits: 0, misses: 0, sets: 0, invalidations: 0, errors: 0 });
+    }
+    return counters.get(namespace);
+  }
+
+  /**
+   * Look up a cached value
+   * @param {string} namespace - Namespace (e.g. 'story', 'tts')
+   * @param {string} key - Key from cacheKey()
+   * @returns {Promise<any>} - Cached value, or undefined on a miss
+   */
+  async function get(namespace, key) {
+    if (!enabled) return undefined;
+    const stats = countersFor(namespace);
+
+    const cached = memory.get(`${namespace}:${key}`);
+    if (cached !== undefined) {
+      stats.memoryHits++;
+      return deserialize(cached);
+    }
+
+    if (pool) {
+      try {
+        const result = await pool.query(
+          `SELECT value::text AS value, expires_at FROM cache_entries
+           WHERE namespace = $1 AND key = $2 AND expires_at > CURRENT_TIMESTAMP`,
+          [namespace, key]
+        );
+        if (result.rows.length > 0) {
+          const { value, expires_at: expiresAt } = result.rows[0];
+          memory.set(`${namespace}:${key}`, value, new Date(expiresAt).getTime());
+          stats.databaseHits++;
+          return deserialize(value);
+        }
+      } catch (error) {
+        stats.errors++;
+        console.warn(`⚠️ Cache read failed (${namespace}):`, error.message);
+      }
+    }
+
+    stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Store a value in both tiers
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key from cacheKey()
+   * @param {any} value - JSON-compatible value (Buffers allowed)
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async function set(namespace, key, value, ttlMs = defaultTtlMs) {
+    if (!enabled) return;
+    const stats = countersFor(namespace);
+    const text = serialize(value);
+    const expiresAt = Date.now() + ttlMs;
+
+    memory.set(`${namespace}:${key}`, text, expiresAt);
+    stats.sets++;
+
+    if (pool) {
+      try {
+        await pool.query(
+          `INSERT INTO cache_entries (namespace, key, value, expires_at)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (namespace, key)
+           DO UPDATE SET value = EXCLUDED.value, expires_at = EXCLUDED.expires_at, created_at = CURRENT_TIMESTAMP`,
+          [namespace, key, text, new Date(expiresAt)]
+        );
+      } catch (error) {
+        stats.errors++;
+        console.warn(`⚠️ Cache write failed (${namespace}):`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Return the cached value, or compute, store and return it
+   * Concurrent calls for the same key share one computation; errors are not cached
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key from cacheKey()
+   * @param {Function} compute - async () => value
+   * @param {object} options - { ttlMs, shouldCache: value => boolean }
+   * @returns {Promise<any>} - Value
+   */
+  async function wrap(namespace, key, compute, { ttlMs = defaultTtlMs, shouldCache = () => true } = {}) {
+    if (!enabled) return compute();
+
+    const cached = await get(namespace, key);
+    if (cached !== undefined) return cached;
+
+    const flightKey = `${namespace}:${key}`;
+    if (inFlight.has(flightKey)) return inFlight.get(flightKey);
+
+    const promise = (async () => {
+      const value = await compute();
+      if (shouldCache(value)) await set(namespace, key, value, ttlMs);
+      return value;
+    })();
+
+    inFlight.set(flightKey, promise);
+    try {
+      return await promise;
+    } finally {
+      inFlight.delete(flightKey);
+    }
+  }
+
+  /**
+   * Remove one entry, or every entry of a namespace
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key (omit to clear the whole namespace)
+   * @returns {Promise<number>} - Entries removed (database rows when a pool is set)
+   */
+  async function invalidate(namespace, key) {
+    const stats = countersFor(namespace);
+    let removed = key ? Number(memory.delete(`${namespace}:${key}`)) : memory.clear(`${namespace}:`);
+
+    if (pool) {
+      const result = key
+        ? await pool.query('DELETE FROM cache_entries WHERE namespace = $1 AND key = $2', [namespace, key])
+        : await pool.query('DELETE FROM cache_entries WHERE namespace = $1', [namespace]);
+      removed = result.rowCount;
+    }
+
+    stats.invalidations += removed;
+    return removed;
+  }
+
+  /**
+   * Remove every entry in every namespace
+   * @returns {Promise<void>}
+   */
+  async function clear() {
+    memory.clear();
+    if (pool) {
+      await pool.query('DELETE FROM cache_entries');
+    }
+  }
+
+  /**
+   * Delete expired database entries (the LRU drops them lazily)
+   * @returns {Promise<number>} - Rows removed
+   */
+  async function purgeExpired() {
+    if (!pool) return 0;
+    const result = await pool.query('DELETE FROM cache_entries WHERE expires_at <= CURRENT_TIMESTAMP');
+    return result.rowCount;
+  }
+
+  /**
+   * Hit/miss counters for monitoring
+   * @returns {object} - { enabled, tiers, memory: { entries, maxEntries }, namespaces }
+   */
+  function stats() {
+    const namespaces = {};
+    for (const [namespace, counts] of counters) {
+      const hits = counts.memoryHits + counts.databaseHits;
+      const lookups = hits + counts.misses;
+      namespaces[namespace] = {
+        hits,
+        ...counts,
+        hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : null,
+      };
+    }
+
+    return {
+      enabled,
+      tiers: pool ? ['memory', 'postgres'] : ['memory'],
+      memory: { entries: memory.size, maxEntries },
+      namespaces,
+    };
+  }
+
+  return {
+    get,
+    set,
+    wrap,
+    invalidate,
+    clear,
+    purgeExpired,
+    stats,
+  };
+}
+
+module.exports = {
+  cacheKey,
+  createLruCache,
+  createCache,
+};
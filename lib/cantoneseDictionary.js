@@ -0,0 +1,45 @@
+const ToJyutping = require('to-jyutping');
+
+// ============== OFFLINE CANTONESE PRONUNCIATION DICTIONARY ==============
+// Backed by the to-jyutping word list (CanCLID, BSD-2-Clause), which ships with the
+// package and covers both Traditional and Simplified characters. No network access.
+
+/**
+ * Look up the Jyutping reading of every character in a text
+ * Readings are chosen with word context, e.g. 行 in 銀行 → hong4, in 行路 → haang4
+ * @param {string} text - Chinese text
+ * @returns {Array<{char: string, jyutping: string|null}>} - One entry per character (null for punctuation/unknown)
+ */
+function lookupText(text) {
+  return ToJyutping.getJyutpingList(String(text || '')).map(([char, jyutping]) => ({
+    char,
+    jyutping: jyutping || null,
+  }));
+}
+
+/**
+ * Get every known reading of each character in a text
+ * @param {string} text - Chinese text
+ * @returns {Array<{char: string, candidates: Array<string>}>} - Candidate readings, most common first
+ */
+function lookupCandidates(text) {
+  return ToJyutping.getJyutpingCandidates(String(text || '')).map(([char, candidates]) => ({
+    char,
+    candidates: candidates || [],
+  }));
+}
+
+/**
+ * Convert a text to its sequence of Jyutping syllables, skipping characters without a reading
+ * @param {string} text - Chinese text
+ * @returns {Array<{char: string, jyutping: string}>} - Syllables in reading order
+ */
+function textToSyllables(text) {
+  return lookupText(text).filter(entry => entry.jyutping);
+}
+
+module.exports = {
+  lookupText,
+  lookupCandidates,
+  textToSyllables,
+};
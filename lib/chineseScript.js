@@ -0,0 +1,127 @@
+const OpenCC = require('opencc-js');
+
+// ============== TRADITIONAL / SIMPLIFIED CONVERSION ==============
+// Offline OpenCC tables (Hong Kong variant for Traditional), plus Cantonese fixes the
+// general-purpose tables get wrong. Conversions keep the text length, so per-character
+// data such as cantoneseWords stays aligned.
+
+const SCRIPTS = {
+  TRADITIONAL: { id: 'traditional', name: '繁體中文', locale: 'zh-HK' },
+  SIMPLIFIED: { id: 'simplified', name: '简体中文', locale: 'zh-CN' },
+};
+
+const SCRIPT_IDS = Object.values(SCRIPTS).map(script => script.id);
+const DEFAULT_SCRIPT = SCRIPTS.SIMPLIFIED.id;
+
+// Written Cantonese uses 係 for "to be" and 晒 for "all/completely"; OpenCC leaves
+// 系 alone and turns 晒 into 曬. Longer entries win, so the listed words keep their
+// standard spelling.
+const CANTONESE_TRADITIONAL_FIXES = [
+  ['系', '係'],
+  ['系統', '系統'], ['系列', '系列'], ['體系', '體系'], ['系數', '系數'], ['派系', '派系'],
+  ['直系', '直系'], ['旁系', '旁系'], ['星系', '星系'], ['語系', '語系'], ['學系', '學系'],
+  ['中文系', '中文系'], ['系主任', '系主任'],
+  ['曬', '晒'],
+  ['曬太陽', '曬太陽'], ['曬衫', '曬衫'], ['曬乾', '曬乾'], ['曬黑', '曬黑'], ['日曬', '日曬'],
+  ['麪', '麵'],
+];
+
+// Simplified Cantonese keeps 餸, 嗰, 孻 and 鱲 as they are; OpenCC simplifies them to
+// rare supplementary-plane characters (𩠌, 𠮶, 𡥧, 𫚭) that most fonts cannot show.
+const CANTONESE_SIMPLIFIED_FIXES = [
+  ['𩠌', '餸'],
+  ['𠮶', '嗰'],
+  ['𡥧', '孻'],
+  ['𫚭', '鱲'],
+];
+
+let toTraditional = null;
+let toSimplified = null;
+
+/**
+ * Get a converter for the target script, building the tables on first use
+ * @param {string} script - Script id
+ * @returns {Function} - Converter (string) => string
+ */
+function getConverter(script) {
+  if (script === SCRIPTS.TRADITIONAL.id) {
+    if (!toTraditional) {
+      toTraditional = OpenCC.ConverterFactory(
+        OpenCC.Locale.from.cn,
+        OpenCC.Locale.to.hk,
+        [CANTONESE_TRADITIONAL_FIXES]
+      );
+    }
+    return toTraditional;
+  }
+
+  if (!toSimplified) {
+    toSimplified = OpenCC.ConverterFactory(
+      OpenCC.Locale.from.hk,
+      OpenCC.Locale.to.cn,
+      [CANTONESE_SIMPLIFIED_FIXES]
+    );
+  }
+  return toSimplified;
+}
+
+/**
+ * Check whether a script id is supported
+ * @param {string} id - Script id
+ * @returns {boolean} - Whether it is supported
+ */
+function isValidScript(id) {
+  return SCRIPT_IDS.includes(id);
+}
+
+/**
+ * Convert text to Traditional or Simplified characters
+ * Text already in the target script is returned unchanged
+ * @param {string} text - Chinese text in either script
+ * @param {string} script - Target script id
+ * @returns {string} - Converted text
+ */
+function convertScript(text, script = DEFAULT_SCRIPT) {
+  if (!text || !isValidScript(script)) return text;
+  return getConverter(script)(String(text));
+}
+
+/**
+ * Convert the characters of a cantoneseWords array
+ * The whole text is converted at once so phrase-level rules see the context. Entries that
+ * are not objects (e.g. null in an old saved record) become empty ones, so indexes into the
+ * array stay valid
+ * @param {Array<{char: string}>} words - cantoneseWords array
+ * @param {string} script - Target script id
+ * @returns {Array<object>} - Entries with converted `char`
+ */
+function convertWords(words, script = DEFAULT_SCRIPT) {
+  if (!Array.isArray(words) || words.length === 0) return [];
+
+  words = words.map(word => (typeof word === 'object' && word !== null ? word : {}));
+  const chars = words.map(word => String(word.char || ''));
+  const converted = Array.from(convertScript(chars.join(''), script));
+  const original = Array.from(chars.join(''));
+
+  // Fall back to per-entry conversion if a rule ever changed the length
+  if (converted.length !== original.length) {
+    return words.map(word => ({ ...word, char: convertScript(word.char, script) }));
+  }
+
+  let offset = 0;
+  return words.map((word, index) => {
+    const length = Array.from(chars[index]).length;
+    const char = converted.slice(offset, offset + length).join('');
+    offset += length;
+    return { ...word, char };
+  });
+}
+
+module.exports = {
+  SCRIPTS,
+  SCRIPT_IDS,
+  DEFAULT_SCRIPT,
+  isValidScript,
+  convertScript,
+  convertWords,
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+
+// ============== COLLECTIONS REPOSITORY (user-defined groups of saved stories) ==============
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status
+ */
+function collectionError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Validate and normalize a collection name
+ * @param {any} name - Name from the request body
+ * @returns {string} - Trimmed name
+ */
+function normalizeCollectionName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+    throw collectionError(400, `Collection name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Convert a collections row to the collection shape
+ * @param {object} row - Database row
+ * @returns {object} - Collection
+ */
+function mapCollectionRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString()
+  };
+}
+
+/**
+ * Create the collections repository
+ * Stores collections in the collections table when a pool is given, otherwise in process memory
+ * Records point at their collection (learning_records.collection_id); see recordRepository
+ * @param {object} options - { pool }
+ * @returns {object} - Repository API
+ */
+function createCollectionRepository({ pool = null } = {}) {
+  const userCollections = new Map(); // userId -> Map(collectionId -> collection)
+
+  /**
+   * Find a name clash among a user's in-memory collections
+   * @param {string} userId - User identifier
+   * @param {string} name - Normalized name
+   * @param {string} exceptId - Collection being renamed
+   */
+  function assertNameFree(userId, name, exceptId = null) {
+    for (const collection of (userCollections.get(userId) || new Map()).values()) {
+      if (collection.name === name && collection.id !== exceptId) {
+        throw collectionError(409, 'A collection with this name already exists');
+      }
+    }
+  }
+
+  /**
+   * List a user's collections, oldest first
+   * @param {string} userId - User identifier
+   * @returns {Promise<Array>} - Collections
+   */
+  async function list(userId) {
+    if (pool) {
+      try {
+        const result = await pool.query(
+          'SELECT * FROM collections WHERE user_id = $1 ORDER BY created_at ASC, name ASC',
+          [userId]
+        );
+        return result.rows.map(mapCollectionRow);
+      } catch (error) {
+        console.error('Database list collections error:', error);
+        throw error;
+      }
+    }
+
+    return [...(userCollections.get(userId) || new Map()).values()].map(collection => ({ ...collection }));
+  }
+
+  /**
+   * Get one of a user's collections
+   * @param {string} userId - User identifier
+   * @param {string} collectionId - Collection ID
+   * @returns {Promise<object|null>} - Collection, or null if the user has no such collection
+   */
+  async function get(userId, collectionId) {
+    if (!UUID_PATTERN.test(String(collectionId))) return null;
+
+    if (pool) {
+      try {
+        const result = await pool.query(
+          'SELECT * FROM collections WHERE id = $1 AND user_id = $2',
+          [collectionId, userId]
+        );
+        return result.rows.length > 0 ? mapCollectionRow(result.rows[0]) : null;
+      } catch (error) {
+        console.error('Database get collection error:', error);
+        throw error;
+      }
+    }
+
+    const collection = userCollections.get(userId)?.get(collectionId);
+    return collection ? { ...collection } : null;
+  }
+
+  /**
+   * Create a collection
+   * @param {string} userId - User identifier
+   * @param {string} name - Collection name (unique per user)
+   * @returns {Promise<object>} - New collection
+   */
+  async function create(userId, name) {
+    const normalized = normalizeCollectionName(name);
+
+    if (pool) {
+      try {
+        const result = await pool.query(
+          'INSERT INTO collections (user_id, name) VALUES ($1, $2) RETURNING *',
+          [userId, normalized]
+        );
+        return mapCollectionRow(result.rows[0]);
+      } catch (error) {
+        if (error.code === '23505') {
+          throw collectionError(409, 'A collection with this name already exists');
+        }
+        console.error('Database create collection error:', error);
+        throw error;
+      }
+    }
+
+    assertNameFree(userId, normalized);
+    const now = new Date().toISOString();
+    const collection = { id: crypto.randomUUID(), name: normalized, createdAt: now, updatedAt: now };
+    if (!userCollections.has(userId)) {
+      userCollections.set(userId, new Map());
+    }
+    userCollections.get(userId).set(collection.id, collection);
+    return { ...collection };
+  }
+
+  /**
+   * Rename a collection
+   * @param {string} userId - User identifier
+   * @param {string} collectionId - Collection ID
+   * @param {string} name - New name
+   * @returns {Promise<object|null>} - Renamed collection, or null if the user has no such collection
+   */
+  async function rename(userId, collectionId, name) {
+    const normalized = normalizeCollectionName(name);
+    if (!UUID_PATTERN.test(String(collectionId))) return null;
+
+    if (pool) {
+      try {
+        const result = await pool.query(
+          `UPDATE collections SET name = $3, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND user_id = $2
+           RETURNING *`,
+          [collectionId, userId, normalized]
+        );
+        return result.rows.length > 0 ? mapCollectionRow(result.rows[0]) : null;
+      } catch (error) {
+        if (error.code === '23505') {
+          throw collectionError(409, 'A collection with this name already exists');
+        }
+        console.error('Database rename collection error:', error);
+        throw error;
+      }
+    }
+
+    const collection = userCollections.get(userId)?.get(collectionId);
+    if (!collection) return null;
+    assertNameFree(userId, normalized, collectionId);
+    Object.assign(collection, { name: normalized, updatedAt: new Date().toISOString() });
+    return { ...collection };
+  }
+
+  /**
+   * Delete a collection (its records are kept, see recordRepository.clearCollection)
+   * @param {string} userId - User identifier
+   * @param {string} collectionId - Collection ID
+   * @param {object} options - { db } (a transaction client; defaults to the pool)
+   * @returns {Promise<boolean>} - False if the user has no such collection
+   */
+  async function remove(userId, collectionId, { db = pool } = {}) {
+    if (!UUID_PATTERN.test(String(collectionId))) return false;
+
+    if (pool) {
+      try {
+        const result = await db.query(
+          'DELETE FROM collections WHERE id = $1 AND user_id = $2',
+          [collectionId, userId]
+        );
+        return result.rowCount > 0;
+      } catch (error) {
+        console.error('Database delete collection error:', error);
+        throw error;
+      }
+    }
+
+    return userCollections.get(userId)?.delete(collectionId) || false;
+  }
+
+  /**
+   * Delete every collection of a user (account erasure)
+   * @param {string} userId - User identifier
+   * @returns {Promise<number>} - Collections removed
+   */
+  async function removeUser(userId) {
+    if (pool) {
+      try {
+        const result = await pool.query('DELETE FROM collections WHERE user_id = $1', [userId]);
+        return result.rowCount;
+      } catch (error) {
+        console.error('Database remove user collections error:', error);
+        throw error;
+      }
+    }
+
+    const removed = userCollections.get(userId)?.size || 0;
+    userCollections.delete(userId);
+    return removed;
+  }
+
+  return {
+    list,
+    get,
+    create,
+    rename,
+    remove,
+    removeUser
+  };
+}
+
+module.exports = {
+  createCollectionRepository,
+  normalizeCollectionName
+};
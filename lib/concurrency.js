@@ -0,0 +1,29 @@
+// ============== BOUNDED CONCURRENCY ==============
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * Results keep the input order; the first rejection rejects the whole call
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
@@ -0,0 +1,45 @@
+const { Pool } = require('pg'); // PostgreSQL client
+
+// ============== POSTGRESQL DATABASE CONNECTION ==============
+
+/**
+ * Create a PostgreSQL pool from environment variables
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {Pool|null} - Connection pool, or null when DATABASE_URL is not set
+ */
+function createPoolFromEnv(env = process.env) {
+  if (!env.DATABASE_URL) {
+    return null;
+  }
+
+  return new Pool({
+    connectionString: env.DATABASE_URL,
+    ssl: env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : false
+  });
+}
+
+/**
+ * Run queries in one transaction, rolled back if any of them fails
+ * @param {Pool} pool - Connection pool
+ * @param {Function} work - async (client) => result; must send every query through client
+ * @returns {Promise<any>} - Result of work
+ */
+async function withTransaction(pool, work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  createPoolFromEnv,
+  withTransaction,
+};
@@ -0,0 +1,489 @@
+const crypto = require('crypto');
+const { MEDIA_URL_PATTERN } = require('./mediaStore');
+
+// ============== GENERATION JOB QUEUE ==============
+// Jobs live in generation_jobs when a pool is given, otherwise in process memory.
+// Workers claim the oldest runnable job with FOR UPDATE SKIP LOCKED, so any number of
+// instances can share the table. A failed attempt is retried with exponential backoff
+// until maxAttempts; a job whose worker died (lease expired) is put back in the queue.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FINISHED_STATUSES = ['succeeded', 'failed'];
+
+/**
+ * Collect the keys of /media/:key links anywhere in a job result
+ * @param {*} value - Result, or a part of it
+ * @param {Set<string>} keys - Keys found so far
+ * @returns {Set<string>} - Keys
+ */
+function resultMediaKeys(value, keys = new Set()) {
+  if (typeof value === 'string') {
+    const match = value.match(MEDIA_URL_PATTERN);
+    if (match) keys.add(match[1]);
+  } else if (value && typeof value === 'object') {
+    for (const item of Object.values(value)) resultMediaKeys(item, keys);
+  }
+  return keys;
+}
+
+/**
+ * Media keys a job needs: its photo (params.imageKey) and the links in its result
+ * @param {object} params - Job params
+ * @param {*} result - Job result, if any
+ * @returns {Array<string>} - Keys
+ */
+function jobMediaKeys(params, result = null) {
+  const keys = resultMediaKeys(result);
+  if (typeof params?.imageKey === 'string') keys.add(params.imageKey);
+  return [...keys];
+}
+
+/**
+ * Convert a generation_jobs row to the job shape
+ * @param {object} row - Database row
+ * @returns {object} - Job
+ */
+function mapJobRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    status: row.status,
+    stage: row.stage,
+    params: row.params,
+    result: row.result,
+    error: row.error,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAfter: new Date(row.run_after).toISOString(),
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+    finishedAt: row.finished_at ? new Date(row.finished_at).toISOString() : null,
+  };
+}
+
+/**
+ * Create the job queue
+ * @param {object} options - { pool, handler, onDiscard, concurrency, maxAttempts, retryDelayMs, pollIntervalMs, leaseMs }
+ *   handler: async (job, { reportStage }) => result (JSON-compatible)
+ *   onDiscard: async (job, result) => void, called when a job was deleted (removeUser) while
+ *   it ran, so its result cannot be stored; lets the caller clean up what the handler made
+ * @returns {object} - Queue API
+ */
+function createJobQueue({
+  pool = null,
+  handler,
+  onDiscard = async () => {},
+  concurrency = 2,
+  maxAttempts = 3,
+  retryDelayMs = 5000,
+  pollIntervalMs = 1000,
+  leaseMs = 10 * 60 * 1000,
+} = {}) {
+  const jobs = new Map(); // jobId -> job (in-memory mode)
+
+  let running = false;
+  let timer = null;
+  let scheduledAt = Infinity; // When the pending timer fires
+  let ticking = null;
+  let tickAgain = false;
+  const active = new Set(); // Promises of jobs being run by this process
+
+  /**
+   * Add a job to the queue
+   * @param {object} data - { userId, params }
+   * @returns {Promise<object>} - Queued job
+   */
+  async function enqueue({ userId = null, params }) {
+    let job;
+
+    if (pool) {
+      try {
+        const result = await pool.query(
+          `INSERT INTO generation_jobs (user_id, params, max_attempts, media_keys)
+           VALUES ($1, $2, $3, $4)
+           RETURNING *`,
+          [userId, JSON.stringify(params), maxAttempts, jobMediaKeys(params)]
+        );
+        job = mapJobRow(result.rows[0]);
+      } catch (error) {
+        console.error('Database enqueue job error:', error);
+        throw error;
+      }
+    } else {
+      const now = new Date().toISOString();
+      job = {
+        id: crypto.randomUUID(),
+        userId,
+        status: 'queued',
+        stage: null,
+        params,
+        result: null,
+        error: null,
+        attempts: 0,
+        maxAttempts,
+        runAfter: now,
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null,
+        lockedAt: null,
+      };
+      jobs.set(job.id, job);
+    }
+
+    console.log(`Job queued: ${job.id}`);
+    if (running) wake();
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object|null>} - Job, or null if not found
+   */
+  async function get(jobId) {
+    if (!UUID_PATTERN.test(String(jobId))) return null;
+
+    if (pool) {
+      try {
+        const result = await pool.query('SELECT * FROM generation_jobs WHERE id = $1', [jobId]);
+        return result.rows.length > 0 ? mapJobRow(result.rows[0]) : null;
+      } catch (error) {
+        console.error('Database get job error:', error);
+        throw error;
+      }
+    }
+
+    const job = jobs.get(jobId);
+    if (!job) return null;
+    const { lockedAt, ...publicJob } = job;
+    return { ...publicJob };
+  }
+
+  /**
+   * Claim the oldest runnable job
+   * @returns {Promise<object|null>} - Job now 'running', or null if none is ready
+   */
+  async function claim() {
+    if (pool) {
+      const result = await pool.query(
+        `UPDATE generation_jobs
+         SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = (
+           SELECT id FROM generation_jobs
+           WHERE status = 'queued' AND run_after <= CURRENT_TIMESTAMP
+           ORDER BY run_after, created_at
+           FOR UPDATE SKIP LOCKED
+           LIMIT 1
+         )
+         RETURNING *`
+      );
+      return result.rows.length > 0 ? mapJobRow(result.rows[0]) : null;
+    }
+
+    const now = Date.now();
+    const next = [...jobs.values()]
+      .filter(job => job.status === 'queued' && new Date(job.runAfter).getTime() <= now)
+      .sort((a, b) => new Date(a.runAfter) - new Date(b.runAfter) || new Date(a.createdAt) - new Date(b.createdAt))[0];
+    if (!next) return null;
+
+    Object.assign(next, {
+      status: 'running',
+      attempts: next.attempts + 1,
+      lockedAt: now,
+      updatedAt: new Date(now).toISOString(),
+    });
+    return { ...next };
+  }
+
+  /**
+   * Apply changes to a job
+   * @param {string} jobId - Job ID
+   * @param {object} changes - { status, stage, result, error, runAfter, finished }
+   * @returns {Promise<boolean>} - False if the job no longer exists
+   */
+  async function update(jobId, { status, stage, result, error, runAfter, finished = false }) {
+    if (pool) {
+      const updated = await pool.query(
+        `UPDATE generation_jobs
+         SET status = COALESCE($2, status),
+             stage = COALESCE($3, stage),
+             result = COALESCE($4, result),
+             media_keys = media_keys || $9::text[],
+             error = CASE WHEN $5::boolean THEN $6 ELSE error END,
+             run_after = COALESCE($7, run_after),
+             locked_at = CASE WHEN $2 IS NULL THEN locked_at ELSE NULL END,
+             finished_at = CASE WHEN $8::boolean THEN CURRENT_TIMESTAMP ELSE finished_at END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [jobId, status || null, stage || null, result === undefined ? null : JSON.stringify(result),
+         error !== undefined, error === undefined ? null : error,
+         runAfter || null, finished, result === undefined ? [] : jobMediaKeys(null, result)]
+      );
+      return updated.rowCount > 0;
+    }
+
+    const job = jobs.get(jobId);
+    if (!job) return false;
+    const now = new Date().toISOString();
+    if (status) Object.assign(job, { status, lockedAt: null });
+    if (stage) job.stage = stage;
+    if (result !== undefined) job.result = result;
+    if (error !== undefined) job.error = error;
+    if (runAfter) job.runAfter = runAfter.toISOString();
+    if (finished) job.finishedAt = now;
+    job.updatedAt = now;
+    return true;
+  }
+
+  /**
+   * Run one claimed job and record the outcome
+   * @param {object} job - Claimed job
+   * @returns {Promise<void>}
+   */
+  async function runJob(job) {
+    const reportStage = stage => {
+      update(job.id, { stage }).catch(error => {
+        console.warn(`⚠️ Failed to record stage of job ${job.id}:`, error.message);
+      });
+    };
+
+    try {
+      const result = await handler(job, { reportStage });
+      const stored = await update(job.id, { status: 'succeeded', result, error: null, finished: true });
+      if (stored) {
+        console.log(`✅ Job succeeded: ${job.id} (attempt ${job.attempts})`);
+      } else {
+        console.warn(`⚠️ Job ${job.id} was deleted while running, discarding its result`);
+        await onDiscard(job, result).catch(error => {
+          console.warn(`⚠️ Failed to discard the result of job ${job.id}:`, error.message);
+        });
+      }
+    } catch (error) {
+      if (job.attempts < job.maxAttempts) {
+        const delayMs = retryDelayMs * 2 ** (job.attempts - 1);
+        await update(job.id, {
+          status: 'queued',
+          error: error.message,
+          runAfter: new Date(Date.now() + delayMs),
+        });
+        console.warn(`⚠️ Job ${job.id} attempt ${job.attempts} failed (${error.message}), retrying in ${delayMs} ms`);
+        schedule(delayMs);
+      } else {
+        await update(job.id, { status: 'failed', error: error.message, finished: true });
+        console.error(`❌ Job failed: ${job.id} after ${job.attempts} attempts:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Put jobs whose worker disappeared (lease expired) back in the queue
+   * @returns {Promise<number>} - Jobs requeued
+   */
+  async function requeueStale() {
+    if (pool) {
+      const result = await pool.query(
+        `UPDATE generation_jobs
+         SET status = 'queued', locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE status = 'running' AND locked_at < $1`,
+        [new Date(Date.now() - leaseMs)]
+      );
+      return result.rowCount;
+    }
+
+    let requeued = 0;
+    for (const job of jobs.values()) {
+      if (job.status === 'running' && job.lockedAt < Date.now() - leaseMs) {
+        Object.assign(job, { status: 'queued', lockedAt: null });
+        requeued++;
+      }
+    }
+    return requeued;
+  }
+
+  /**
+   * Claim and start jobs until the concurrency limit or the queue is reached
+   * @returns {Promise<void>}
+   */
+  async function tick() {
+    if (ticking) {
+      tickAgain = true;
+      return ticking;
+    }
+
+    ticking = (async () => {
+      do {
+        tickAgain = false;
+        try {
+          const requeued = await requeueStale();
+          if (requeued > 0) console.warn(`⚠️ Requeued ${requeued} stale job(s)`);
+
+          while (running && active.size < concurrency) {
+            const job = await claim();
+            if (!job) break;
+
+            const promise = runJob(job)
+              .catch(error => console.error(`Job ${job.id} bookkeeping error:`, error.message))
+              .finally(() => {
+                active.delete(promise);
+                if (running) wake();
+              });
+            active.add(promise);
+          }
+        } catch (error) {
+          console.error('Job worker error:', error.message);
+        }
+      } while (tickAgain && running);
+    })();
+
+    try {
+      await ticking;
+    } finally {
+      ticking = null;
+    }
+    if (running) schedule(pollIntervalMs);
+  }
+
+  /**
+   * Run tick() after a delay (the earliest pending request wins)
+   * @param {number} delayMs - Delay in milliseconds
+   */
+  function schedule(delayMs) {
+    if (!running) return;
+    const at = Date.now() + delayMs;
+    if (timer && at >= scheduledAt) return;
+    clearTimeout(timer);
+    scheduledAt = at;
+    timer = setTimeout(() => {
+      timer = null;
+      scheduledAt = Infinity;
+      tick();
+    }, delayMs);
+    timer.unref();
+  }
+
+  /**
+   * Look for work right away
+   */
+  function wake() {
+    schedule(0);
+  }
+
+  /**
+   * Start the worker loop in this process
+   */
+  function start() {
+    if (running) return;
+    if (typeof handler !== 'function') {
+      throw new Error('Job queue needs a handler to start workers');
+    }
+    running = true;
+    wake();
+  }
+
+  /**
+   * Stop claiming jobs and wait for the ones in progress
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+    scheduledAt = Infinity;
+    if (ticking) await ticking.catch(() => {});
+    await Promise.all(active);
+  }
+
+  /**
+   * Delete finished jobs older than a cutoff
+   * @param {number} olderThanMs - Age of finished jobs to remove
+   * @returns {Promise<number>} - Jobs removed
+   */
+  async function purgeFinished(olderThanMs) {
+    const cutoff = new Date(Date.now() - olderThanMs);
+
+    if (pool) {
+      const result = await pool.query(
+        'DELETE FROM generation_jobs WHERE status = ANY($1) AND finished_at < $2',
+        [FINISHED_STATUSES, cutoff]
+      );
+      return result.rowCount;
+    }
+
+    let removed = 0;
+    for (const [jobId, job] of jobs) {
+      if (FINISHED_STATUSES.includes(job.status) && new Date(job.finishedAt) < cutoff) {
+        jobs.delete(jobId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Delete every job of a user, whatever its status (account erasure)
+   * A worker still running one finishes it, but its result is handed to onDiscard instead of stored
+   * @param {string} userId - User identifier
+   * @returns {Promise<Array>} - Jobs removed (callers collect their media)
+   */
+  async function removeUser(userId) {
+    if (pool) {
+      const result = await pool.query('DELETE FROM generation_jobs WHERE user_id = $1 RETURNING *', [userId]);
+      return result.rows.map(mapJobRow);
+    }
+
+    const removed = [];
+    for (const [jobId, job] of jobs) {
+      if (job.userId === userId) {
+        jobs.delete(jobId);
+        removed.push(job);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Find which media keys any job still needs: its photo (params.imageKey) or a
+   * /media/:key link in its result
+   * @param {Array<string>} keys - Media keys
+   * @returns {Promise<Set<string>>} - Keys in use
+   */
+  async function findMediaReferences(keys) {
+    if (keys.length === 0) return new Set();
+
+    if (pool) {
+      // media_keys has a GIN index (migration 010), which serves the && overlap test
+      const result = await pool.query(
+        `SELECT DISTINCT key
+         FROM generation_jobs, unnest(media_keys) AS key
+         WHERE media_keys && $1::text[] AND key = ANY($1)`,
+        [keys]
+      );
+      return new Set(result.rows.map(row => row.key));
+    }
+
+    const wanted = new Set(keys);
+    const found = new Set();
+    for (const job of jobs.values()) {
+      for (const key of jobMediaKeys(job.params, job.result)) {
+        if (wanted.has(key)) found.add(key);
+      }
+    }
+    return found;
+  }
+
+  return {
+    enqueue,
+    get,
+    start,
+    stop,
+    requeueStale,
+    purgeFinished,
+    removeUser,
+    findMediaReferences,
+  };
+}
+
+module.exports = {
+  createJobQueue,
+};
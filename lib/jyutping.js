@@ -0,0 +1,174 @@
+// ============== JYUTPING GRAMMAR ==============
+// LSHK Jyutping: syllable = [initial] + final + tone (1-6)
+
+const INITIALS = [
+  'b', 'p', 'm', 'f', 'd', 't', 'n', 'l', 'g', 'k', 'ng', 'h', 'gw', 'kw', 'w', 'z', 'c', 's', 'j',
+];
+
+const FINALS = [
+  'aa', 'aai', 'aau', 'aam', 'aan', 'aang', 'aap', 'aat', 'aak',
+  'a', 'ai', 'au', 'am', 'an', 'ang', 'ap', 'at', 'ak',
+  'e', 'ei', 'eu', 'em', 'en', 'eng', 'ep', 'et', 'ek',
+  'i', 'iu', 'im', 'in', 'ing', 'ip', 'it', 'ik',
+  'o', 'oi', 'ou', 'on', 'ong', 'ot', 'ok',
+  'oe', 'oeng', 'oet', 'oek',
+  'eo', 'eoi', 'eon', 'eot',
+  'u', 'ui', 'un', 'ung', 'ut', 'uk',
+  'yu', 'yun', 'yut',
+  'm', 'ng', // syllabic nasals, e.g. m4 (唔), ng5 (五)
+];
+
+const INITIAL_SET = new Set(INITIALS);
+const FINAL_SET = new Set(FINALS);
+
+// Longest initials first so "ng"/"gw"/"kw" win over "n"/"g"/"k"
+const INITIALS_BY_LENGTH = [...INITIALS].sort((a, b) => b.length - a.length);
+
+/**
+ * Parse a Jyutping syllable into initial, final and tone
+ * @param {string} syllable - Syllable such as "gwong2" or "m4"
+ * @param {object} options - { requireTone: true }
+ * @returns {{syllable: string, initial: string, final: string, tone: number|null}|null} - Parts, or null if invalid
+ */
+function parseJyutpingSyllable(syllable, { requireTone = true } = {}) {
+  const match = String(syllable || '').trim().toLowerCase().match(/^([a-z]+)([1-6])?$/);
+  if (!match) return null;
+
+  const [, body, toneDigit] = match;
+  if (requireTone && !toneDigit) return null;
+
+  for (const initial of [...INITIALS_BY_LENGTH, '']) {
+    if (!body.startsWith(initial)) continue;
+    const final = body.slice(initial.length);
+    if (FINAL_SET.has(final)) {
+      return {
+        syllable: body + (toneDigit || ''),
+        initial,
+        final,
+        tone: toneDigit ? Number(toneDigit) : null,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a string is a single valid Jyutping syllable with tone
+ * @param {string} syllable - Syllable to check
+ * @returns {boolean} - Whether it is valid
+ */
+function isValidJyutping(syllable) {
+  return parseJyutpingSyllable(syllable) !== null;
+}
+
+/**
+ * Remove the tone number from a syllable
+ * @param {string} syllable - Syllable such as "gaai1"
+ * @returns {string} - Toneless syllable such as "gaai"
+ */
+function stripTone(syllable) {
+  return String(syllable || '').toLowerCase().replace(/[1-6]$/, '');
+}
+
+// ============== YALE → JYUTPING ==============
+// Yale marks tone with a diacritic (contour) plus an "h" after the vowel (low register)
+
+const YALE_TONE_MARKS = {
+  '\u0304': 'level', // macron: ā
+  '\u0300': 'falling', // grave: à
+  '\u0301': 'rising', // acute: á
+};
+
+// [contour][low register] -> Jyutping tone
+const YALE_TONES = {
+  level: [1, 1],
+  falling: [1, 4],
+  rising: [2, 5],
+  none: [3, 6],
+};
+
+const YALE_INITIALS = { j: 'z', ch: 'c', y: 'j' };
+
+const YALE_FINALS = {
+  a: 'aa', // Yale writes a bare "a" for the long vowel
+  eu: 'oe', eung: 'oeng', euk: 'oek',
+  eui: 'eoi', eun: 'eon', eut: 'eot',
+};
+
+/**
+ * Convert a Yale syllable (diacritics or tone numbers) to Jyutping
+ * A bare syllable without diacritic, "h" or number carries no tone information; it is
+ * returned without a tone when requireTone is false, otherwise rejected
+ * @param {string} syllable - Yale syllable such as "ngóh", "chàh" or "yuhng6"
+ * @param {object} options - { requireTone: true }
+ * @returns {string|null} - Jyutping syllable such as "ngo5", or null if it cannot be read
+ */
+function yaleToJyutping(syllable, { requireTone = true } = {}) {
+  let body = String(syllable || '').trim().toLowerCase().normalize('NFD');
+
+  let contour = 'none';
+  for (const [mark, name] of Object.entries(YALE_TONE_MARKS)) {
+    if (body.includes(mark)) contour = name;
+  }
+  body = body.replace(/[\u0300-\u036f]/g, '');
+
+  const numbered = body.match(/^([a-z]+)([1-6])$/);
+  let tone = numbered ? Number(numbered[2]) : null;
+  if (numbered) body = numbered[1];
+  if (!/^[a-z]+$/.test(body)) return null;
+
+  // The low-register "h" is any h after the initial ("ch" and a leading "h" are initials)
+  const initialLength = body.startsWith('ch') ? 2 : 1;
+  const head = body.slice(0, initialLength);
+  const rest = body.slice(initialLength);
+  const lowRegister = rest.includes('h');
+  body = head + rest.replace(/h/g, '');
+
+  if (tone === null && (contour !== 'none' || lowRegister)) {
+    tone = YALE_TONES[contour][lowRegister ? 1 : 0];
+  }
+  if (tone === null && requireTone) return null;
+  const toneDigit = tone === null ? '' : String(tone);
+
+  // Syllabic nasals keep their spelling: m̀h → m4, ńgh → ng5
+  if (body === 'm' || body === 'ng') return `${body}${toneDigit}`;
+
+  const initial = ['ch', 'ng', 'gw', 'kw'].find(i => body.startsWith(i))
+    || (/^[bpmfdtnlgkhwjsy]/.test(body) ? body[0] : '');
+  let final = body.slice(initial.length);
+
+  // Yale "yu..." after y is Jyutping "jyu..." except yung/yuk (jung/juk)
+  if (initial === 'y' && final.startsWith('u') && final !== 'ung' && final !== 'uk') {
+    final = `y${final}`;
+  }
+
+  final = YALE_FINALS[final] || final;
+  const result = `${YALE_INITIALS[initial] ?? initial}${final}${toneDigit}`;
+
+  return parseJyutpingSyllable(result, { requireTone }) ? result : null;
+}
+
+/**
+ * Read a romanized syllable that may be Jyutping or Yale and return Jyutping
+ * @param {string} syllable - Syllable as written by a person or a model
+ * @param {object} options - { requireTone: true }
+ * @returns {string|null} - Valid Jyutping syllable, or null
+ */
+function toJyutping(syllable, { requireTone = true } = {}) {
+  const text = String(syllable || '').trim().toLowerCase();
+  if (parseJyutpingSyllable(text, { requireTone })) return text;
+  return yaleToJyutping(text, { requireTone });
+}
+
+module.exports = {
+  INITIALS,
+  FINALS,
+  INITIAL_SET,
+  FINAL_SET,
+  parseJyutpingSyllable,
+  isValidJyutping,
+  stripTone,
+  yaleToJyutping,
+  toJyutping,
+};
@@ -0,0 +1,145 @@
+const { lookupText, lookupCandidates } = require('./cantoneseDictionary');
+const { toJyutping, stripTone } = require('./jyutping');
+
+// ============== JYUTPING VALIDATION FOR GENERATED TEXT ==============
+// The model's romanization is checked against the Jyutping grammar and the offline
+// dictionary: Yale is converted, missing or wrong readings are replaced, and characters
+// the dictionary cannot confirm are flagged for the learner.
+
+const REASONS = {
+  AMBIGUOUS_READING: 'ambiguous_reading', // model and dictionary disagree on a polyphonic character
+  NOT_IN_DICTIONARY: 'not_in_dictionary', // only the model's reading is available
+  NO_READING: 'no_reading', // neither the model nor the dictionary has a reading
+};
+
+const HAN_CHAR = /\p{Script=Han}/u;
+
+/**
+ * Split parsed words into one entry per Chinese character
+ * Runs of punctuation and other symbols stay together and carry no reading
+ * @param {Array<{char: string, pinyin: string}>} words - Output of parseCantoneseWithPinyin
+ * @returns {Array<{char: string, modelPinyin: string|null}>} - Per-character entries
+ */
+function splitIntoCharacters(words) {
+  const entries = [];
+
+  for (const word of Array.isArray(words) ? words : []) {
+    const chars = Array.from(String(word.char || ''));
+    const syllables = String(word.pinyin || '').trim().split(/[\s,，'’-]+/).filter(Boolean);
+    const hanCount = chars.filter(char => HAN_CHAR.test(char)).length;
+    let syllableIndex = 0;
+
+    for (const char of chars) {
+      if (!HAN_CHAR.test(char)) {
+        const last = entries[entries.length - 1];
+        if (last && last.modelPinyin === undefined) {
+          last.char += char;
+        } else {
+          entries.push({ char, modelPinyin: undefined });
+        }
+        continue;
+      }
+
+      // Readings are only trusted when they line up one-to-one with the characters
+      const modelPinyin = syllables.length === hanCount ? syllables[syllableIndex++] : null;
+      entries.push({ char, modelPinyin });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Decide the reading of one character from the model output and the dictionary
+ * @param {string|null} modelPinyin - Reading written by the model (any romanization)
+ * @param {string|null} contextReading - Dictionary reading chosen with word context
+ * @param {Array<string>} candidates - Every reading the dictionary knows
+ * @returns {{pinyin: string, source: string|null, reason: string|null}} - Chosen reading
+ */
+function resolveReading(modelPinyin, contextReading, candidates) {
+  const fromModel = toJyutping(modelPinyin);
+
+  if (candidates.length === 0) {
+    if (fromModel) return { pinyin: fromModel, source: 'model', reason: REASONS.NOT_IN_DICTIONARY };
+    return { pinyin: '', source: null, reason: REASONS.NO_READING };
+  }
+
+  if (fromModel && fromModel === contextReading) {
+    return { pinyin: fromModel, source: 'model', reason: null };
+  }
+
+  // A known but less likely reading: keep it, but let the learner double-check
+  if (fromModel && candidates.includes(fromModel)) {
+    return { pinyin: fromModel, source: 'model', reason: REASONS.AMBIGUOUS_READING };
+  }
+
+  // Right syllable with a wrong or missing tone: take the dictionary's tone
+  const toneless = toJyutping(modelPinyin, { requireTone: false });
+  if (toneless) {
+    const base = stripTone(toneless);
+    const sameSyllable = stripTone(contextReading) === base
+      ? contextReading
+      : candidates.find(candidate => stripTone(candidate) === base);
+    if (sameSyllable) return { pinyin: sameSyllable, source: 'dictionary', reason: null };
+  }
+
+  return { pinyin: contextReading, source: 'dictionary', reason: null };
+}
+
+/**
+ * Validate and correct the readings of generated Cantonese text
+ * @param {Array<{char: string, pinyin: string}>} words - Output of parseCantoneseWithPinyin
+ * @returns {{words: Array, lowConfidence: Array, corrections: number}} - Per-character words
+ *   ({char, pinyin, source, lowConfidence}), flagged characters and the number of changed readings
+ */
+function validateCantoneseWords(words) {
+  const entries = splitIntoCharacters(words);
+
+  // Look up the whole text at once so polyphonic characters are read in context
+  const text = entries.map(entry => entry.char).join('');
+  const contextReadings = lookupText(text);
+  const candidateLists = lookupCandidates(text);
+
+  const result = [];
+  const lowConfidence = [];
+  let corrections = 0;
+  let position = 0;
+
+  for (const entry of entries) {
+    const length = Array.from(entry.char).length;
+
+    if (entry.modelPinyin === undefined) {
+      result.push({ char: entry.char, pinyin: '', source: null, lowConfidence: false });
+      position += length;
+      continue;
+    }
+
+    const contextReading = contextReadings[position]?.jyutping || null;
+    const candidates = candidateLists[position]?.candidates || [];
+    position += length;
+
+    const { pinyin, source, reason } = resolveReading(entry.modelPinyin, contextReading, candidates);
+    if (source === 'dictionary' && pinyin !== entry.modelPinyin) corrections++;
+
+    const word = { char: entry.char, pinyin, source, lowConfidence: reason !== null };
+    if (source === 'dictionary' && entry.modelPinyin) word.modelPinyin = entry.modelPinyin;
+    result.push(word);
+
+    if (reason) {
+      lowConfidence.push({
+        index: result.length - 1,
+        char: entry.char,
+        pinyin,
+        candidates: [...new Set([pinyin, contextReading, ...candidates].filter(Boolean))],
+        reason,
+      });
+    }
+  }
+
+  return { words: result, lowConfidence, corrections };
+}
+
+module.exports = {
+  REASONS,
+  validateCantoneseWords,
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============== LOCAL FILESYSTEM MEDIA DRIVER ==============
+// Objects live in <directory>/<first two characters of the key>/<key>. Writes go to a
+// temporary file first and are renamed into place, so readers never see partial files.
+
+/**
+ * Create the local filesystem media driver
+ * @param {object} options - { directory }
+ * @returns {object} - Driver with putObject / statObject / getObject / deleteObject
+ */
+function createLocalMediaDriver({ directory }) {
+  if (!directory) {
+    throw new Error('Local media storage needs a directory (MEDIA_LOCAL_DIR)');
+  }
+
+  /**
+   * Resolve the file path of a key
+   * @param {string} key - Object key (validated by the media store)
+   * @returns {string} - Absolute path
+   */
+  function objectPath(key) {
+    return path.join(directory, key.slice(0, 2), key);
+  }
+
+  return {
+    name: 'local',
+    label: `Local filesystem (${directory})`,
+
+    /**
+     * Write an object
+     * @param {string} key - Object key
+     * @param {Buffer} body - Contents
+     * @returns {Promise<void>}
+     */
+    async putObject(key, body) {
+      const target = objectPath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      const temporary = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.promises.writeFile(temporary, body);
+      await fs.promises.rename(temporary, target);
+    },
+
+    /**
+     * Get an object's size
+     * @param {string} key - Object key
+     * @returns {Promise<{size: number}|null>} - Size, or null if missing
+     */
+    async statObject(key) {
+      try {
+        const stats = await fs.promises.stat(objectPath(key));
+        return { size: stats.size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    /**
+     * Open an object for reading
+     * @param {string} key - Object key
+     * @param {{start: number, end: number}|null} range - Inclusive byte range, or null for everything
+     * @returns {Promise<{body: import('stream').Readable}>} - Readable stream
+     */
+    async getObject(key, range = null) {
+      return { body: fs.createReadStream(objectPath(key), range || {}) };
+    },
+
+    /**
+     * Delete an object (missing objects are ignored)
+     * @param {string} key - Object key
+     * @returns {Promise<void>}
+     */
+    async deleteObject(key) {
+      await fs.promises.rm(objectPath(key), { force: true });
+    },
+  };
+}
+
+module.exports = {
+  createLocalMediaDriver,
+};
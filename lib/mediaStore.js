@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createLocalMediaDriver } = require('./localMediaDriver');
+const { createS3MediaDriver } = require('./s3MediaDriver');
+
+// ============== MEDIA STORE (content-addressed images & audio) ==============
+// Objects are keyed by the SHA-256 of their bytes plus an extension, so the same image or
+// clip is stored once however many records reference it, and keys never change meaning
+// (which lets /media/:key be cached forever).
+
+const EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+const CONTENT_TYPE_ALIASES = {
+  'audio/mp3': 'audio/mpeg',
+  'image/jpg': 'image/jpeg',
+};
+
+const CONTENT_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([type, ext]) => [ext, type]));
+const KEY_PATTERN = /^[0-9a-f]{64}\.(mp3|jpg|png|webp|gif)$/;
+const DATA_URL_PATTERN = /^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]*)$/;
+// The key of a /media/:key link (also used as a PostgreSQL regular expression)
+const MEDIA_URL_PATTERN = /\/media\/([^/?#]+)$/;
+
+/**
+ * Normalize a MIME type to one the store accepts
+ * @param {string} contentType - MIME type, possibly with parameters
+ * @returns {string|null} - Canonical MIME type, or null if unsupported
+ */
+function normalizeContentType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const canonical = CONTENT_TYPE_ALIASES[type] || type;
+  return EXTENSIONS[canonical] ? canonical : null;
+}
+
+/**
+ * Check that a string is a well-formed media key
+ * @param {string} key - Candidate key
+ * @returns {boolean} - Whether it is <sha256>.<ext>
+ */
+function isValidKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+/**
+ * Get the MIME type of a key
+ * @param {string} key - Media key
+ * @returns {string} - MIME type
+ */
+function contentTypeOf(key) {
+  return CONTENT_TYPES[path.extname(key).slice(1)];
+}
+
+/**
+ * Decode a base64 data URL
+ * @param {string} value - Candidate data URL
+ * @returns {{contentType: string, buffer: Buffer}|null} - Decoded data, or null if not a supported data URL
+ */
+function parseDataUrl(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.match(DATA_URL_PATTERN);
+  if (!match) return null;
+  const contentType = normalizeContentType(match[1]);
+  if (!contentType) return null;
+  return { contentType, buffer: Buffer.from(match[2], 'base64') };
+}
+
+/**
+ * Compute the key the store files bytes under
+ * @param {Buffer} buffer - Contents
+ * @param {string} contentType - Supported MIME type (see normalizeContentType)
+ * @returns {string} - '<sha256 hex>.<ext>'
+ */
+function mediaKeyFor(buffer, contentType) {
+  return `${crypto.createHash('sha256').update(buffer).digest('hex')}.${EXTENSIONS[normalizeContentType(contentType)]}`;
+}
+
+/**
+ * Get the media key a /media/:key URL points at
+ * @param {string} value - Stored audioUrl / imageUrl
+ * @returns {string|null} - Media key, or null for data URLs and other links
+ */
+function mediaKeyFromUrl(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.match(MEDIA_URL_PATTERN);
+  return match && isValidKey(match[1]) ? match[1] : null;
+}
+
+/**
+ * Create a media store on top of a driver
+ * @param {object} options - { driver }
+ * @returns {object} - Media store
+ */
+function createMediaStore({ driver }) {
+  return {
+    driver: driver.name,
+    label: driver.label,
+
+    /**
+     * Store bytes under their content hash (a no-op if already stored)
+     * @param {Buffer} buffer - Contents
+     * @param {string} contentType - MIME type
+     * @returns {Promise<{key: string, size: number, contentType: string}>} - Stored object
+     */
+    async put(buffer, contentType) {
+      const type = normalizeContentType(contentType);
+      if (!type) {
+        const error = new Error(`Unsupported media type: ${contentType}`);
+        error.status = 415;
+        throw error;
+      }
+
+      const key = mediaKeyFor(buffer, type);
+      if (!(await driver.statObject(key))) {
+        await driver.putObject(key, buffer, type);
+      }
+      return { key, size: buffer.length, contentType: type };
+    },
+
+    /**
+     * Store a data URL
+     * @param {string} dataUrl - base64 data URL
+     * @returns {Promise<{key: string, size: number, contentType: string}|null>} - Stored object, or null if not a supported data URL
+     */
+    async putDataUrl(dataUrl) {
+      const parsed = parseDataUrl(dataUrl);
+      if (!parsed) return null;
+      return this.put(parsed.buffer, parsed.contentType);
+    },
+
+    /**
+     * Look up an object
+     * @param {string} key - Media key
+     * @returns {Promise<{key: string, size: number, contentType: string}|null>} - Object info, or null if missing
+     */
+    async stat(key) {
+      if (!isValidKey(key)) return null;
+      const stats = await driver.statObject(key);
+      return stats ? { key, size: stats.size, contentType: contentTypeOf(key) } : null;
+    },
+
+    /**
+     * Stream an object
+     * @param {string} key - Media key
+     * @param {{start: number, end: number}|null} range - Inclusive byte range, or null for everything
+     * @returns {Promise<import('stream').Readable>} - Contents
+     */
+    async read(key, range = null) {
+      const { body } = await driver.getObject(key, range);
+      return body;
+    },
+
+    /**
+     * Read a whole object into memory
+     * @param {string} key - Media key
+     * @returns {Promise<Buffer>} - Contents
+     */
+    async readBuffer(key) {
+      const chunks = [];
+      for await (const chunk of await this.read(key)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    },
+
+    /**
+     * Delete an object
+     * @param {string} key - Media key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+      if (!isValidKey(key)) return;
+      await driver.deleteObject(key);
+    },
+  };
+}
+
+/**
+ * Create the media store configured by environment variables
+ * MEDIA_STORAGE=local (default) uses MEDIA_LOCAL_DIR; MEDIA_STORAGE=s3 uses the S3_* variables
+ * @param {object} env - Environment variables
+ * @returns {object} - Media store
+ */
+function createMediaStoreFromEnv(env = process.env) {
+  const kind = (env.MEDIA_STORAGE || 'local').toLowerCase();
+
+  let driver;
+  if (kind === 'local') {
+    driver = createLocalMediaDriver({
+      directory: path.resolve(env.MEDIA_LOCAL_DIR || path.join(__dirname, '..', 'media')),
+    });
+  } else if (kind === 's3') {
+    driver = createS3MediaDriver({
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION || 'us-east-1',
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE !== undefined
+        ? env.S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(env.S3_ENDPOINT),
+    });
+  } else {
+    throw new Error(`Unknown MEDIA_STORAGE "${env.MEDIA_STORAGE}" (expected local or s3)`);
+  }
+
+  return createMediaStore({ driver });
+}
+
+module.exports = {
+  MEDIA_URL_PATTERN,
+  isValidKey,
+  parseDataUrl,
+  mediaKeyFor,
+  mediaKeyFromUrl,
+  createMediaStore,
+  createMediaStoreFromEnv,
+};
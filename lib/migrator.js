@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============== SCHEMA MIGRATIONS ==============
+
+const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+// Arbitrary constant so concurrent instances never apply migrations twice
+const MIGRATION_LOCK_KEY = 7420131;
+
+/**
+ * Read migration files from disk, ordered by version
+ * File names follow NNN_description.sql, e.g. 001_initial_schema.sql
+ * @param {string} directory - Migrations directory
+ * @returns {Array<{version: number, name: string, sql: string, checksum: string}>} - Migrations
+ */
+function loadMigrations(directory) {
+  const migrations = fs.readdirSync(directory)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const sql = fs.readFileSync(path.join(directory, file), 'utf8');
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex'),
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version: ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Format a migration as it appears on disk, e.g. 001_initial_schema
+ * @param {{version: number, name: string}} migration - Migration
+ * @returns {string} - Display name
+ */
+function formatMigrationName(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+/**
+ * Create a migrator bound to a connection pool
+ * @param {object} options - { pool, directory }
+ * @returns {object} - Migrator API { up, status }
+ */
+function createMigrator({ pool, directory = DEFAULT_MIGRATIONS_DIR }) {
+  if (!pool) {
+    throw new Error('A database pool is required to run migrations');
+  }
+
+  /**
+   * Create the schema_migrations tracking table if needed
+   * @param {object} client - Database client
+   */
+  async function ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * Get applied migrations keyed by version
+   * @param {object} client - Database client
+   * @returns {Promise<Map<number, object>>} - Applied migration rows
+   */
+  async function getApplied(client) {
+    const result = await client.query(
+      'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return new Map(result.rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Apply every pending migration, each in its own transaction
+   * @returns {Promise<Array<{version: number, name: string}>>} - Migrations applied by this call
+   */
+  async function up() {
+    const migrations = loadMigrations(directory);
+    const client = await pool.connect();
+    const appliedNow = [];
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      await ensureMigrationsTable(client);
+      const applied = await getApplied(client);
+
+      for (const migration of migrations) {
+        const existing = applied.get(migration.version);
+        if (existing) {
+          if (existing.checksum !== migration.checksum) {
+            console.warn(`⚠️  Migration ${formatMigrationName(migration)} was modified after it was applied`);
+          }
+          continue;
+        }
+
+        try {
+          await client.query('BEGIN');
+          await client.query(migration.sql);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, migration.checksum]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${formatMigrationName(migration)} failed: ${error.message}`);
+        }
+
+        console.log(`✅ Applied migration ${formatMigrationName(migration)}`);
+        appliedNow.push({ version: migration.version, name: migration.name });
+      }
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+
+    return appliedNow;
+  }
+
+  /**
+   * Report applied and pending migrations
+   * @returns {Promise<Array<{version: number, name: string, applied: boolean, appliedAt: string|null, modified: boolean}>>}
+   */
+  async function status() {
+    const migrations = loadMigrations(directory);
+    const client = await pool.connect();
+
+    try {
+      await ensureMigrationsTable(client);
+      const applied = await getApplied(client);
+
+      return migrations.map(migration => {
+        const existing = applied.get(migration.version);
+        return {
+          version: migration.version,
+          name: migration.name,
+          applied: !!existing,
+          appliedAt: existing ? new Date(existing.applied_at).toISOString() : null,
+          modified: !!existing && existing.checksum !== migration.checksum,
+        };
+      });
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    up,
+    status,
+  };
+}
+
+module.exports = {
+  createMigrator,
+  formatMigrationName,
+  loadMigrations,
+};
@@ -0,0 +1,209 @@
+// ============== MP3 FRAME UTILITIES ==============
+// Just enough MPEG audio parsing to measure, cut and join the MP3s returned by TTS
+// providers. MP3 frames are independent, so cutting and joining on frame boundaries
+// gives playable files without re-encoding. ID3 tags and Xing/Info/VBRI header frames
+// are dropped from the output because their frame counts would no longer match.
+
+const BITRATES = {
+  // kbps by bitrate index; index 0 (free) and 15 (bad) are unsupported
+  v1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  v2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+const SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000], // MPEG-2.5
+};
+
+/**
+ * Parse a 4-byte MPEG audio frame header
+ * @param {Buffer} buffer - MP3 data
+ * @param {number} offset - Byte offset of the header
+ * @returns {object|null} - { length, samples, sampleRate, durationMs, isInfoFrame }, or null if not a frame
+ */
+function parseFrameHeader(buffer, offset) {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const version = (buffer[offset + 1] >> 3) & 0x03; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03; // 3 = Layer I, 2 = Layer II, 1 = Layer III
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const mono = (buffer[offset + 3] >> 6) === 3;
+
+  if (version === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const layer = 4 - layerBits;
+  const isMpeg1 = version === 3;
+  const bitrate = BITRATES[isMpeg1 ? 'v1' : 'v2'][layer][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+
+  let samples;
+  let length;
+  if (layer === 1) {
+    samples = 384;
+    length = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+  } else {
+    samples = layer === 3 && !isMpeg1 ? 576 : 1152;
+    length = Math.floor(((samples / 8) * bitrate) / sampleRate) + padding;
+  }
+
+  if (offset + length > buffer.length) return null;
+
+  // Encoders put a Xing/Info (or VBRI) header in an otherwise silent first frame
+  let isInfoFrame = false;
+  if (layer === 3) {
+    const sideInfo = isMpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+    const tag = buffer.toString('latin1', offset + 4 + sideInfo, offset + 8 + sideInfo);
+    isInfoFrame = tag === 'Xing' || tag === 'Info' || buffer.toString('latin1', offset + 36, offset + 40) === 'VBRI';
+  }
+
+  return { length, samples, sampleRate, durationMs: (samples / sampleRate) * 1000, isInfoFrame };
+}
+
+/**
+ * Get the size of a leading ID3v2 tag
+ * @param {Buffer} buffer - MP3 data
+ * @returns {number} - Tag size in bytes (0 if there is none)
+ */
+function id3v2Size(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  const hasFooter = (buffer[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+/**
+ * List the audio frames of an MP3, skipping tags, header frames and junk between frames
+ * @param {Buffer} buffer - MP3 data
+ * @returns {Array<{offset: number, length: number, startMs: number, durationMs: number, sampleRate: number}>} - Frames in order
+ */
+function parseFrames(buffer) {
+  if (!Buffer.isBuffer(buffer)) return [];
+
+  const frames = [];
+  let offset = id3v2Size(buffer);
+  let startMs = 0;
+
+  while (offset + 4 <= buffer.length) {
+    const header = parseFrameHeader(buffer, offset);
+    if (!header) {
+      offset++; // resynchronise
+      continue;
+    }
+
+    if (!header.isInfoFrame) {
+      frames.push({
+        offset,
+        length: header.length,
+        startMs,
+        durationMs: header.durationMs,
+        sampleRate: header.sampleRate,
+      });
+      startMs += header.durationMs;
+    }
+    offset += header.length;
+  }
+
+  return frames;
+}
+
+/**
+ * Get the time at which a frame starts
+ * @param {Array<object>} frames - Output of parseFrames
+ * @param {number} index - Frame index (frames.length for the end of the track)
+ * @returns {number} - Time in milliseconds
+ */
+function frameTime(frames, index) {
+  if (index < frames.length) return frames[index].startMs;
+  if (frames.length === 0) return 0;
+  const last = frames[frames.length - 1];
+  return last.startMs + last.durationMs;
+}
+
+/**
+ * Get the playing time of an MP3
+ * @param {Buffer} buffer - MP3 data
+ * @returns {number} - Duration in milliseconds (0 if no frames were found)
+ */
+function getMp3Duration(buffer) {
+  const frames = parseFrames(buffer);
+  return Math.round(frameTime(frames, frames.length));
+}
+
+/**
+ * Join MP3 files into one track
+ * @param {Array<Buffer>} buffers - MP3 files, all with the same sample rate
+ * @returns {Buffer} - Concatenated audio frames
+ */
+function concatMp3(buffers) {
+  const parts = [];
+  let sampleRate = null;
+
+  for (const buffer of buffers) {
+    const frames = parseFrames(buffer);
+    if (frames.length === 0) {
+      throw new Error('Cannot concatenate MP3: no audio frames found');
+    }
+    if (sampleRate !== null && frames[0].sampleRate !== sampleRate) {
+      throw new Error(`Cannot concatenate MP3: sample rate ${frames[0].sampleRate} does not match ${sampleRate}`);
+    }
+    sampleRate = frames[0].sampleRate;
+
+    for (const frame of frames) {
+      parts.push(buffer.subarray(frame.offset, frame.offset + frame.length));
+    }
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Cut an MP3 into consecutive pieces at the given times
+ * Each cut moves to the nearest frame boundary, so the pieces tile the whole track
+ * @param {Buffer} buffer - MP3 data
+ * @param {Array<number>} cutsMs - Cut points in milliseconds, ascending
+ * @returns {Array<{audio: Buffer, startMs: number, endMs: number}>} - cutsMs.length + 1 pieces
+ */
+function splitMp3(buffer, cutsMs) {
+  const frames = parseFrames(buffer);
+  const boundaries = [0];
+
+  for (const cut of cutsMs) {
+    let index = boundaries[boundaries.length - 1];
+    while (index < frames.length && frames[index].startMs + frames[index].durationMs / 2 < cut) index++;
+    boundaries.push(index);
+  }
+  boundaries.push(frames.length);
+
+  const pieces = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const slice = frames.slice(boundaries[i], boundaries[i + 1]);
+    pieces.push({
+      audio: Buffer.concat(slice.map(frame => buffer.subarray(frame.offset, frame.offset + frame.length))),
+      startMs: Math.round(frameTime(frames, boundaries[i])),
+      endMs: Math.round(frameTime(frames, boundaries[i + 1])),
+    });
+  }
+
+  return pieces;
+}
+
+module.exports = {
+  parseFrames,
+  getMp3Duration,
+  concatMp3,
+  splitMp3,
+};
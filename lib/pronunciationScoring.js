@@ -0,0 +1,237 @@
+const Levenshtein = require('levenshtein');
+const { STATUS, alignSequences, buildCharacterDiff, mapJyutpingToCharacters } = require('./alignment');
+const { lookupText } = require('./cantoneseDictionary');
+const { parseJyutpingSyllable, isValidJyutping } = require('./jyutping');
+
+// ============== SCORING LOGIC ==============
+
+// Weights of the syllable parts when a syllable is only partly right
+const PART_WEIGHTS = { initial: 0.3, final: 0.3, tone: 0.4 };
+
+/**
+ * Normalize text for pronunciation comparison
+ * Keeps only Chinese characters and lower-cased ASCII letters/digits
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalizeForScoring(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{Script=Han}a-z0-9]/gu, '');
+}
+
+/**
+ * Look up Jyutping for each character of a normalized text
+ * @param {string} normalizedText - Text from normalizeForScoring
+ * @returns {Array<string|null>} - Jyutping per character
+ */
+function dictionaryJyutping(normalizedText) {
+  return lookupText(normalizedText).map(entry => entry.jyutping);
+}
+
+/**
+ * Look up Jyutping for each character of the original text
+ * Prefers the readings shown to the learner (cantoneseWords) and falls back to the dictionary,
+ * so 行 in 行街 is expected as haang4 rather than the dictionary's default hang4
+ * @param {string} normalizedOriginal - Original text from normalizeForScoring
+ * @param {Array<{char: string, pinyin: string}>} cantoneseWords - Optional readings for the original text
+ * @returns {Array<string|null>} - Jyutping per character
+ */
+function expectedJyutping(normalizedOriginal, cantoneseWords = []) {
+  const fromWords = mapJyutpingToCharacters(
+    Array.from(normalizedOriginal), cantoneseWords, normalizeForScoring
+  );
+  const fromDictionary = dictionaryJyutping(normalizedOriginal);
+  return fromWords.map((reading, index) =>
+    (reading && isValidJyutping(reading)) ? reading : fromDictionary[index]
+  );
+}
+
+/**
+ * Look up Jyutping for each character of the recognized text
+ * A character that matches the aligned original character takes the original's reading;
+ * the rest come from the dictionary
+ * @param {string} normalizedOriginal - Original text from normalizeForScoring
+ * @param {string} normalizedUser - Recognized text from normalizeForScoring
+ * @param {Array<string|null>} expected - Jyutping per original character (expectedJyutping)
+ * @returns {Array<string|null>} - Jyutping per recognized character
+ */
+function recognizedJyutping(normalizedOriginal, normalizedUser, expected) {
+  const readings = dictionaryJyutping(normalizedUser);
+  const operations = alignSequences(Array.from(normalizedOriginal), Array.from(normalizedUser));
+  for (const op of operations) {
+    if (op.status === STATUS.MATCHED && expected[op.expectedIndex]) {
+      readings[op.actualIndex] = expected[op.expectedIndex];
+    }
+  }
+  return readings;
+}
+
+/**
+ * Compare expected and recognized Jyutping syllable by syllable
+ * Homophones (different characters, same syllable) count as correct, and partly
+ * right syllables earn credit for matching initial, final and tone separately
+ * @param {Array<string>} expected - Expected syllables
+ * @param {Array<string>} actual - Recognized syllables
+ * @returns {object} - Accuracy rates (0-1) and overall phonetic similarity
+ */
+function compareSyllables(expected, actual) {
+  const operations = alignSequences(expected, actual);
+  const hits = { syllable: 0, initial: 0, final: 0, tone: 0 };
+  let credit = 0;
+
+  for (const op of operations) {
+    if (op.status === STATUS.MATCHED) {
+      hits.syllable++;
+      hits.initial++;
+      hits.final++;
+      hits.tone++;
+      credit += 1;
+    } else if (op.status === STATUS.SUBSTITUTED) {
+      const want = parseJyutpingSyllable(expected[op.expectedIndex]);
+      const got = parseJyutpingSyllable(actual[op.actualIndex]);
+      if (!want || !got) continue;
+
+      const initialOk = want.initial === got.initial;
+      const finalOk = want.final === got.final;
+      const toneOk = want.tone === got.tone;
+      hits.initial += initialOk ? 1 : 0;
+      hits.final += finalOk ? 1 : 0;
+      hits.tone += toneOk ? 1 : 0;
+      credit += (initialOk ? PART_WEIGHTS.initial : 0)
+        + (finalOk ? PART_WEIGHTS.final : 0)
+        + (toneOk ? PART_WEIGHTS.tone : 0);
+    }
+    // Deleted and inserted syllables earn nothing
+  }
+
+  const expectedCount = expected.length || 1;
+  return {
+    syllableAccuracy: hits.syllable / expectedCount,
+    initialAccuracy: hits.initial / expectedCount,
+    finalAccuracy: hits.final / expectedCount,
+    toneAccuracy: hits.tone / expectedCount,
+    // Insertions grow the denominator, so extra syllables lower the similarity
+    phoneticSimilarity: operations.length > 0 ? credit / operations.length : 0,
+  };
+}
+
+/**
+ * Build the per-character diff between the original text and the recognized speech
+ * @param {string} originalText - Original Cantonese text
+ * @param {string} userText - User's recognized speech text
+ * @param {Array<{char: string, pinyin: string}>} cantoneseWords - Optional readings for the original text
+ * @returns {{characters: Array, summary: object}} - Per-character diff
+ */
+function buildPronunciationDiff(originalText, userText, cantoneseWords = []) {
+  const normalizedOriginal = normalizeForScoring(originalText);
+  const normalizedUser = normalizeForScoring(userText);
+
+  const expected = expectedJyutping(normalizedOriginal, cantoneseWords);
+  const actualJyutping = dictionaryJyutping(normalizedUser);
+
+  const diff = buildCharacterDiff(normalizedOriginal, normalizedUser, expected);
+
+  // Attach the recognized reading so homophone substitutions can be shown as correct;
+  // a matched character reads as the original (the same rule the score uses)
+  let actualIndex = 0;
+  for (const entry of diff.characters) {
+    const reading = entry.actual !== null ? (actualJyutping[actualIndex++] || null) : null;
+    entry.actualJyutping = entry.status === STATUS.MATCHED ? entry.jyutping : reading;
+    entry.samePronunciation = entry.status === STATUS.SUBSTITUTED
+      && !!entry.jyutping && entry.jyutping === entry.actualJyutping;
+  }
+
+  return diff;
+}
+
+/**
+ * Calculate pronunciation score based on Jyutping similarity and confidence
+ * Both texts are converted to Jyutping (the original with the same readings as
+ * buildPronunciationDiff) and compared per syllable; initials, finals and tones are
+ * scored separately
+ * @param {string} originalText - Original Cantonese text
+ * @param {string} userText - User's recognized speech text
+ * @param {number} confidence - ASR confidence score (0-1)
+ * @param {Array<{char: string, pinyin: string}>} cantoneseWords - Optional readings for the original text
+ * @returns {Object} - Score breakdown with encouragement messages
+ */
+function calculatePronunciationScore(originalText, userText, confidence, cantoneseWords = []) {
+  // Normalize texts for comparison
+  const normalizedOriginal = normalizeForScoring(originalText);
+  const normalizedUser = normalizeForScoring(userText);
+
+  // Character-level similarity (kept for reference)
+  const distance = new Levenshtein(normalizedOriginal, normalizedUser).distance;
+  const maxLen = Math.max(normalizedOriginal.length, normalizedUser.length) || 1;
+  const similarity = 1 - (distance / maxLen);
+
+  // Syllable-level comparison
+  const expected = expectedJyutping(normalizedOriginal, cantoneseWords);
+  const expectedSyllables = expected.filter(Boolean);
+  const actualSyllables = recognizedJyutping(normalizedOriginal, normalizedUser, expected).filter(Boolean);
+  const phonetic = expectedSyllables.length > 0
+    ? compareSyllables(expectedSyllables, actualSyllables)
+    : {
+      // No Chinese characters to look up: fall back to plain text similarity
+      syllableAccuracy: similarity,
+      initialAccuracy: similarity,
+      finalAccuracy: similarity,
+      toneAccuracy: similarity,
+      phoneticSimilarity: similarity,
+    };
+
+  // Calculate comprehensive score
+  // 75% weight on phonetic similarity, 25% on ASR confidence
+  const confidenceScore = confidence * 100;
+  const score = Math.round(phonetic.phoneticSimilarity * 100 * 0.75 + confidenceScore * 0.25);
+
+  // Determine accuracy level
+  let accuracy = 'Poor';
+  if (score >= 90) accuracy = 'Excellent';
+  else if (score >= 75) accuracy = 'Good';
+  else if (score >= 60) accuracy = 'Fair';
+
+  // Estimate fluency based on score and confidence
+  const fluency = Math.min(100, Math.round((score * 0.7 + confidenceScore * 0.3) * 0.95 + 5));
+
+  // Generate encouragement messages based on score
+  let title, message;
+  if (score >= 90) {
+    title = '好犀利！(太棒了)';
+    message = '发音非常自然，继续保持。';
+  } else if (score >= 80) {
+    title = '唔错喔！(很好)';
+    message = '发音很标准，再接再厉！';
+  } else if (score >= 70) {
+    title = '过得去！(还可以)';
+    message = '有些地方需要练习，加油！';
+  } else if (score >= 60) {
+    title = '继续努力！(再努力)';
+    message = '多听多说，一定会有进步！';
+  } else {
+    title = '重新嚟过！(再试试)';
+    message = '不要气馁，多练习几次！';
+  }
+
+  return {
+    score: Math.max(0, Math.min(100, score)),
+    accuracy,
+    fluency,
+    toneAccuracy: Math.round(phonetic.toneAccuracy * 100),
+    initialAccuracy: Math.round(phonetic.initialAccuracy * 100),
+    finalAccuracy: Math.round(phonetic.finalAccuracy * 100),
+    syllableAccuracy: Math.round(phonetic.syllableAccuracy * 100),
+    similarity: Math.round(similarity * 100),
+    confidence: Math.round(confidence * 100),
+    encouragement: {
+      title,
+      message,
+    },
+  };
+}
+
+module.exports = {
+  normalizeForScoring,
+  compareSyllables,
+  buildPronunciationDiff,
+  calculatePronunciationScore,
+};
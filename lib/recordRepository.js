@@ -0,0 +1,719 @@
+const crypto = require('crypto');
+const { mediaKeyFromUrl } = require('./mediaStore');
+
+// ============== LEARNING RECORDS REPOSITORY (history & library) ==============
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_MEMORY_RECORDS = 100; // Per user, in-memory storage only; favorites do not count
+const MAX_PAGE_SIZE = 100;
+const MAX_JYUTPING_SYLLABLES = 10;
+const JYUTPING_SYLLABLE = /^[a-z]{1,6}[1-6]?$/;
+const MAX_TAGS_PER_RECORD = 10;
+const MAX_TAG_LENGTH = 20;
+
+/**
+ * Convert a learning_records row to the record shape
+ * @param {object} row - Database row
+ * @returns {object} - Learning record
+ */
+function mapRecordRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    timestamp: new Date(row.timestamp).toISOString(),
+    mandarin: row.mandarin,
+    cantonese: row.cantonese,
+    cantoneseWords: row.cantonese_words || [],
+    audioUrl: row.audio_url,
+    imageUrl: row.image_url,
+    collectionId: row.collection_id || null,
+    tags: row.tags || [],
+    favorite: row.favorite === true
+  };
+}
+
+/**
+ * Check that a cantoneseWords value is an array of word objects ({ char, pinyin, ... })
+ * @param {any} words - cantoneseWords from a request body or archive
+ * @returns {boolean} - Whether it is a valid word list
+ */
+function isWordList(words) {
+  return Array.isArray(words)
+    && words.every(word => typeof word === 'object' && word !== null && !Array.isArray(word));
+}
+
+/**
+ * Validate and normalize a record's tags (trimmed, empty and duplicate tags dropped)
+ * @param {any} tags - Tags from a request body or archive
+ * @returns {Array<string>} - Normalized tags
+ */
+function normalizeTags(tags) {
+  const invalid = message => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw invalid('tags must be an array of strings');
+  }
+  const normalized = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS_PER_RECORD) {
+    throw invalid(`Too many tags (max ${MAX_TAGS_PER_RECORD} per story)`);
+  }
+  if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    throw invalid(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+  }
+  return normalized;
+}
+
+/**
+ * Build the searchable Jyutping of a story (learning_records.jyutping)
+ * @param {Array<{pinyin: string}>} cantoneseWords - Characters with readings
+ * @returns {string} - Readings in order separated by spaces, '-' where a character has none
+ */
+function buildJyutpingText(cantoneseWords) {
+  if (!Array.isArray(cantoneseWords)) return '';
+  return cantoneseWords
+    .map(word => String(word?.pinyin || '').trim().toLowerCase() || '-')
+    .join(' ');
+}
+
+/**
+ * Turn a Jyutping query into a regular expression over buildJyutpingText() output
+ * Syllables must be adjacent; a syllable without a tone number matches any tone
+ * @param {string} query - e.g. 'gaai1 si5', 'gaai si'
+ * @returns {string} - Pattern valid both in JavaScript and PostgreSQL
+ */
+function buildJyutpingPattern(query) {
+  const syllables = String(query).trim().toLowerCase().split(/\s+/);
+  if (syllables.length > MAX_JYUTPING_SYLLABLES || !syllables.every(syllable => JYUTPING_SYLLABLE.test(syllable))) {
+    const error = new Error('Invalid jyutping. Use syllables separated by spaces, with optional tone numbers 1-6 (e.g. "gaai1 si5")');
+    error.status = 400;
+    throw error;
+  }
+  const body = syllables.map(syllable => (/[1-6]$/.test(syllable) ? syllable : `${syllable}[1-6]`)).join(' ');
+  return `(^| )${body}( |$)`;
+}
+
+/**
+ * Escape LIKE wildcards so a search term matches literally
+ * @param {string} term - Search term
+ * @returns {string} - Escaped term
+ */
+function escapeLike(term) {
+  return term.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Sort order of history: newest first, ties broken by ID (matches the SQL ORDER BY)
+ * @param {object} a - Record
+ * @param {object} b - Record
+ * @returns {number} - Comparison result
+ */
+function compareNewestFirst(a, b) {
+  return b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id);
+}
+
+/**
+ * Drop the oldest records beyond the in-memory cap, keeping favorites
+ * @param {Array} records - A user's records, newest first (modified in place)
+ */
+function trimToCap(records) {
+  let excess = records.filter(record => !record.favorite).length - MAX_MEMORY_RECORDS;
+  for (let index = records.length - 1; index >= 0 && excess > 0; index--) {
+    if (!records[index].favorite) {
+      records.splice(index, 1);
+      excess--;
+    }
+  }
+}
+
+/**
+ * Encode the position after a record as an opaque history cursor
+ * @param {string} sortKey - Record timestamp at full precision
+ * @param {string} id - Record ID (tie-breaker)
+ * @returns {string} - Cursor
+ */
+function encodeCursor(sortKey, id) {
+  return Buffer.from(JSON.stringify([sortKey, id])).toString('base64url');
+}
+
+/**
+ * Decode a history cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {{sortKey: string, id: string}} - Position
+ */
+function decodeCursor(cursor) {
+  try {
+    const [sortKey, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof sortKey === 'string' && !Number.isNaN(Date.parse(sortKey)) && UUID_PATTERN.test(id)) {
+      return { sortKey, id };
+    }
+  } catch (error) {
+    // Fall through to the 400 below
+  }
+  const error = new Error('Invalid cursor');
+  error.status = 400;
+  throw error;
+}
+
+/**
+ * Create the learning records repository
+ * Stores records in learning_records when a pool is given, otherwise in process memory
+ * (newest first, capped at 100 per user not counting favorites)
+ * @param {object} options - { pool }
+ * @returns {object} - Repository API
+ */
+function createRecordRepository({ pool = null } = {}) {
+  const userRecords = new Map(); // userId -> records, newest first
+
+  /**
+   * Save a learning record
+   * @param {string} userId - User identifier
+   * @param {object} data - { mandarin, cantonese, cantoneseWords, audioUrl, imageUrl }
+   * @returns {Promise<object>} - Saved record
+   */
+  async function save(userId, data) {
+    if (pool) {
+      try {
+        const result = await pool.query(
+          `INSERT INTO learning_records
+           (user_id, mandarin, cantonese, cantonese_words, audio_url, image_url, jyutping)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [userId, data.mandarin, data.cantonese,
+           JSON.stringify(data.cantoneseWords || []),
+           data.audioUrl || null, data.imageUrl || null,
+           buildJyutpingText(data.cantoneseWords)]
+        );
+        const record = mapRecordRow(result.rows[0]);
+        console.log(`Record saved: ${record.id} for user: ${userId}`);
+        return record;
+      } catch (error) {
+        console.error('Database save record error:', error);
+        throw error;
+      }
+    }
+
+    const record = {
+      id: crypto.randomUUID(),
+      userId,
+      timestamp: new Date().toISOString(),
+      mandarin: data.mandarin,
+      cantonese: data.cantonese,
+      cantoneseWords: data.cantoneseWords || [],
+      audioUrl: data.audioUrl || null,
+      imageUrl: data.imageUrl || null,
+      collectionId: null,
+      tags: [],
+      favorite: false
+    };
+
+    if (!userRecords.has(userId)) {
+      userRecords.set(userId, []);
+    }
+    const records = userRecords.get(userId);
+    records.unshift(record);
+    records.sort(compareNewestFirst); // Only reorders records saved in the same millisecond
+    trimToCap(records);
+
+    console.log(`Record saved: ${record.id} for user: ${userId}`);
+    return { ...record };
+  }
+
+  /**
+   * List a user's records, newest first, optionally filtered (library search)
+   * @param {string} userId - User identifier
+   * @param {object} options - { limit, cursor, terms, jyutping, from, to, collectionId, tag, favorite }
+   *   cursor: nextCursor of the previous page
+   *   terms: substrings, a record matches if its mandarin or cantonese contains any of them
+   *   jyutping: syllables in reading order, e.g. 'gaai1 si5' or 'gaai si' (any tone)
+   *   from / to: Dates, from inclusive and to exclusive
+   *   collectionId / tag / favorite: organization filters
+   * @returns {Promise<{records: Array, nextCursor: string|null}>} - One page of records
+   */
+  async function list(userId, {
+    limit = 20,
+    cursor = null,
+    terms = [],
+    jyutping = null,
+    from = null,
+    to = null,
+    collectionId = null,
+    tag = null,
+    favorite = null,
+  } = {}) {
+    const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+    const after = cursor ? decodeCursor(cursor) : null;
+    const jyutpingPattern = jyutping ? buildJyutpingPattern(jyutping) : null;
+
+    if (pool) {
+      const conditions = ['user_id = $1'];
+      const params = [userId];
+      const param = value => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      if (terms.length > 0) {
+        conditions.push(`(${terms.map(term => {
+          const pattern = param(`%${escapeLike(term)}%`);
+          return `mandarin ILIKE ${pattern} OR cantonese ILIKE ${pattern}`;
+        }).join(' OR ')})`);
+      }
+      if (jyutpingPattern) conditions.push(`jyutping ~ ${param(jyutpingPattern)}`);
+      if (from) conditions.push(`timestamp >= ${param(from)}`);
+      if (to) conditions.push(`timestamp < ${param(to)}`);
+      if (collectionId) conditions.push(`collection_id = ${param(collectionId)}`);
+      if (tag) conditions.push(`tags @> ${param([tag])}::text[]`);
+      if (favorite !== null) conditions.push(`favorite = ${param(favorite)}`);
+      if (after) {
+        conditions.push(`(timestamp, id) < (${param(after.sortKey)}::timestamp, ${param(after.id)}::uuid)`);
+      }
+
+      try {
+        // Fetch one extra row to learn whether another page exists. The cursor keeps the
+        // timestamp at microsecond precision so rows saved in the same millisecond are not skipped.
+        const result = await pool.query(
+          `SELECT *, to_char(timestamp, 'YYYY-MM-DD"T"HH24:MI:SS.US') AS sort_key
+           FROM learning_records
+           WHERE ${conditions.join(' AND ')}
+           ORDER BY timestamp DESC, id DESC
+           LIMIT ${param(pageSize + 1)}`,
+          params
+        );
+        const rows = result.rows.slice(0, pageSize);
+        const last = rows[rows.length - 1];
+        return {
+          records: rows.map(mapRecordRow),
+          nextCursor: result.rows.length > pageSize ? encodeCursor(last.sort_key, last.id) : null
+        };
+      } catch (error) {
+        console.error('Database list records error:', error);
+        throw error;
+      }
+    }
+
+    const lowerTerms = terms.map(term => term.toLowerCase());
+    const jyutpingRegex = jyutpingPattern ? new RegExp(jyutpingPattern) : null;
+    const records = (userRecords.get(userId) || []).filter(record => (
+      (lowerTerms.length === 0 || lowerTerms.some(term => (
+        record.mandarin.toLowerCase().includes(term) || record.cantonese.toLowerCase().includes(term)
+      )))
+      && (!jyutpingRegex || jyutpingRegex.test(buildJyutpingText(record.cantoneseWords)))
+      && (!from || new Date(record.timestamp) >= from)
+      && (!to || new Date(record.timestamp) < to)
+      && (!collectionId || record.collectionId === collectionId)
+      && (!tag || record.tags.includes(tag))
+      && (favorite === null || record.favorite === favorite)
+    ));
+
+    // Records are kept in history order, so the page starts at the first record past the cursor
+    const start = after
+      ? records.findIndex(record => record.timestamp < after.sortKey
+        || (record.timestamp === after.sortKey && record.id < after.id))
+      : 0;
+    const page = start === -1 ? [] : records.slice(start, start + pageSize);
+    const last = page[page.length - 1];
+
+    return {
+      records: page.map(record => ({ ...record, tags: [...record.tags] })),
+      nextCursor: start !== -1 && start + pageSize < records.length ? encodeCursor(last.timestamp, last.id) : null
+    };
+  }
+
+  /**
+   * Delete one of a user's records
+   * @param {string} userId - User identifier
+   * @param {string} recordId - Record ID
+   * @returns {Promise<boolean>} - False if the user has no such record
+   */
+  async function remove(userId, recordId) {
+    if (!UUID_PATTERN.test(String(recordId))) return false;
+
+    if (pool) {
+      try {
+        const result = await pool.query(
+          'DELETE FROM learning_records WHERE id = $1 AND user_id = $2',
+          [recordId, userId]
+        );
+        if (result.rowCount === 0) return false;
+      } catch (error) {
+        console.error('Database delete record error:', error);
+        throw error;
+      }
+    } else {
+      const records = userRecords.get(userId) || [];
+      const index = records.findIndex(record => record.id === recordId);
+      if (index === -1) return false;
+      records.splice(index, 1);
+    }
+
+    console.log(`Record deleted: ${recordId} for user: ${userId}`);
+    return true;
+  }
+
+  /**
+   * Count a user's records saved since a point in time
+   * @param {string} userId - User identifier
+   * @param {Date} since - Start of the period
+   * @returns {Promise<number>} - Record count
+   */
+  async function countSince(userId, since) {
+    if (pool) {
+      try {
+        const result = await pool.query(
+          'SELECT COUNT(*) AS count FROM learning_records WHERE user_id = $1 AND timestamp >= $2',
+          [userId, since]
+        );
+        return parseInt(result.rows[0].count, 10);
+      } catch (error) {
+        console.error('Database count records error:', error);
+        throw error;
+      }
+    }
+
+    return (userRecords.get(userId) || []).filter(record => new Date(record.timestamp) >= since).length;
+  }
+
+  /**
+   * Move every record of one user ID to another (device history -> account)
+   * @param {string} fromUserId - Previous owner
+   * @param {string} toUserId - New owner
+   * @param {object} options - { db } (a transaction client; defaults to the pool)
+   * @returns {Promise<number>} - Records moved
+   */
+  async function moveUser(fromUserId, toUserId, { db = pool } = {}) {
+    if (pool) {
+      try {
+        const result = await db.query(
+          'UPDATE learning_records SET user_id = $2 WHERE user_id = $1',
+          [fromUserId, toUserId]
+        );
+        return result.rowCount;
+      } catch (error) {
+        console.error('Database move records error:', error);
+        throw error;
+      }
+    }
+
+    const moved = userRecords.get(fromUserId);
+    if (!moved) return 0;
+
+    const merged = [...moved, ...(userRecords.get(toUserId) || [])]
+      .map(record => ({ ...record, userId: toUserId }))
+      .sort(compareNewestFirst);
+    trimToCap(merged);
+    userRecords.set(toUserId, merged);
+    userRecords.delete(fromUserId);
+    return moved.length;
+  }
+
+  /**
+   * Add records restored from an export archive, keeping their original timestamps
+   * A record is skipped when the user already has one with the same timestamp (to the
+   * millisecond, the precision of exported timestamps) and text, so importing twice is harmless
+   * @param {string} userId - User identifier
+   * @param {Array} records - { timestamp, mandarin, cantonese, cantoneseWords, audioUrl, imageUrl, collectionId, tags, favorite }
+   * @returns {Promise<Array>} - Records that were added
+   */
+  async function importRecords(userId, records) {
+    const sameRecord = (a, b) => (
+      new Date(a.timestamp).getTime() === new Date(b.timestamp).getTime()
+      && a.mandarin === b.mandarin
+      && a.cantonese === b.cantonese
+    );
+    const unique = records.filter((record, index) => records.findIndex(other => sameRecord(record, other)) === index);
+    if (unique.length === 0) return [];
+
+    if (pool) {
+      try {
+        const result = await pool.query(
+          `INSERT INTO learning_records
+           (user_id, timestamp, mandarin, cantonese, cantonese_words, audio_url, image_url,
+            jyutping, collection_id, tags, favorite)
+           SELECT $1::varchar, item.timestamp, item.mandarin, item.cantonese, item.cantonese_words,
+             item.audio_url, item.image_url, item.jyutping, item.collection_id,
+             ARRAY(SELECT jsonb_array_elements_text(item.tags)), item.favorite
+           FROM unnest($2::timestamp[], $3::text[], $4::text[], $5::jsonb[], $6::text[], $7::text[],
+             $8::text[], $9::uuid[], $10::jsonb[], $11::boolean[])
+             AS item(timestamp, mandarin, cantonese, cantonese_words, audio_url, image_url,
+               jyutping, collection_id, tags, favorite)
+           WHERE NOT EXISTS (
+             SELECT 1 FROM learning_records existing
+             WHERE existing.user_id = $1
+             AND date_trunc('milliseconds', existing.timestamp) = item.timestamp
+             AND existing.mandarin = item.mandarin
+             AND existing.cantonese = item.cantonese
+           )
+           RETURNING *`,
+          [userId,
+           unique.map(record => new Date(record.timestamp)),
+           unique.map(record => record.mandarin),
+           unique.map(record => record.cantonese),
+           unique.map(record => JSON.stringify(record.cantoneseWords || [])),
+           unique.map(record => record.audioUrl || null),
+           unique.map(record => record.imageUrl || null),
+           unique.map(record => buildJyutpingText(record.cantoneseWords)),
+           unique.map(record => record.collectionId || null),
+           unique.map(record => JSON.stringify(record.tags || [])),
+           unique.map(record => record.favorite === true)]
+        );
+        console.log(`Records imported: ${result.rowCount} of ${records.length} for user: ${userId}`);
+        return result.rows.map(mapRecordRow).sort(compareNewestFirst);
+      } catch (error) {
+        console.error('Database import records error:', error);
+        throw error;
+      }
+    }
+
+    if (!userRecords.has(userId)) {
+      userRecords.set(userId, []);
+    }
+    const existing = userRecords.get(userId);
+    const added = unique
+      .filter(record => !existing.some(other => sameRecord(record, other)))
+      .map(record => ({
+        id: crypto.randomUUID(),
+        userId,
+        timestamp: new Date(record.timestamp).toISOString(),
+        mandarin: record.mandarin,
+        cantonese: record.cantonese,
+        cantoneseWords: record.cantoneseWords || [],
+        audioUrl: record.audioUrl || null,
+        imageUrl: record.imageUrl || null,
+        collectionId: record.collectionId || null,
+        tags: [...(record.tags || [])],
+        favorite: record.favorite === true
+      }))
+      .sort(compareNewestFirst);
+
+    existing.push(...added);
+    existing.sort(compareNewestFirst);
+    trimToCap(existing);
+    const kept = added.filter(record => existing.includes(record)); // Old imports may fall past the cap
+
+    console.log(`Records imported: ${kept.length} of ${records.length} for user: ${userId}`);
+    return kept.map(record => ({ ...record, tags: [...record.tags] }));
+  }
+
+  /**
+   * Change how a record is organized
+   * @param {string} userId - User identifier
+   * @param {string} recordId - Record ID
+   * @param {object} changes - { collectionId, tags, favorite } (omitted fields are left alone)
+   * @returns {Promise<object|null>} - Updated record, or null if the user has no such record
+   */
+  async function update(userId, recordId, { collectionId, tags, favorite }) {
+    if (!UUID_PATTERN.test(String(recordId))) return null;
+
+    if (pool) {
+      const assignments = [];
+      const params = [recordId, userId];
+      const param = value => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+      if (collectionId !== undefined) assignments.push(`collection_id = ${param(collectionId)}::uuid`);
+      if (tags !== undefined) assignments.push(`tags = ${param(tags)}::text[]`);
+      if (favorite !== undefined) assignments.push(`favorite = ${param(favorite)}`);
+
+      try {
+        const result = await pool.query(
+          assignments.length > 0
+            ? `UPDATE learning_records SET ${assignments.join(', ')}
+               WHERE id = $1 AND user_id = $2
+               RETURNING *`
+            : 'SELECT * FROM learning_records WHERE id = $1 AND user_id = $2',
+          params
+        );
+        return result.rows.length > 0 ? mapRecordRow(result.rows[0]) : null;
+      } catch (error) {
+        console.error('Database update record error:', error);
+        throw error;
+      }
+    }
+
+    const records = userRecords.get(userId) || [];
+    const record = records.find(item => item.id === recordId);
+    if (!record) return null;
+
+    if (collectionId !== undefined) record.collectionId = collectionId;
+    if (tags !== undefined) record.tags = [...tags];
+    if (favorite !== undefined) record.favorite = favorite;
+    return { ...record, tags: [...record.tags] };
+  }
+
+  /**
+   * Take every record out of a collection (the collection is being deleted)
+   * @param {string} userId - User identifier
+   * @param {string} collectionId - Collection ID
+   * @param {object} options - { db } (a transaction client; defaults to the pool)
+   * @returns {Promise<number>} - Records taken out
+   */
+  async function clearCollection(userId, collectionId, { db = pool } = {}) {
+    if (pool) {
+      try {
+        const result = await db.query(
+          'UPDATE learning_records SET collection_id = NULL WHERE user_id = $1 AND collection_id = $2',
+          [userId, collectionId]
+        );
+        return result.rowCount;
+      } catch (error) {
+        console.error('Database clear collection error:', error);
+        throw error;
+      }
+    }
+
+    let cleared = 0;
+    for (const record of userRecords.get(userId) || []) {
+      if (record.collectionId === collectionId) {
+        record.collectionId = null;
+        cleared++;
+      }
+    }
+    return cleared;
+  }
+
+  /**
+   * Count a user's records per collection
+   * @param {string} userId - User identifier
+   * @returns {Promise<Map<string, number>>} - collectionId -> record count
+   */
+  async function countByCollection(userId) {
+    if (pool) {
+      try {
+        const result = await pool.query(
+          `SELECT collection_id, COUNT(*) AS count FROM learning_records
+           WHERE user_id = $1 AND collection_id IS NOT NULL
+           GROUP BY collection_id`,
+          [userId]
+        );
+        return new Map(result.rows.map(row => [row.collection_id, parseInt(row.count, 10)]));
+      } catch (error) {
+        console.error('Database count collection records error:', error);
+        throw error;
+      }
+    }
+
+    const counts = new Map();
+    for (const record of userRecords.get(userId) || []) {
+      if (record.collectionId) counts.set(record.collectionId, (counts.get(record.collectionId) || 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * List the tags a user has used, most used first
+   * @param {string} userId - User identifier
+   * @returns {Promise<Array<{tag: string, count: number}>>} - Tags with record counts
+   */
+  async function listTags(userId) {
+    if (pool) {
+      try {
+        const result = await pool.query(
+          `SELECT tag, COUNT(*) AS count
+           FROM learning_records, unnest(tags) AS tag
+           WHERE user_id = $1
+           GROUP BY tag
+           ORDER BY count DESC, tag ASC`,
+          [userId]
+        );
+        return result.rows.map(row => ({ tag: row.tag, count: parseInt(row.count, 10) }));
+      } catch (error) {
+        console.error('Database list tags error:', error);
+        throw error;
+      }
+    }
+
+    const counts = new Map();
+    for (const record of userRecords.get(userId) || []) {
+      for (const tag of record.tags) counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+    return [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0));
+  }
+
+  /**
+   * Delete every record of a user (account erasure)
+   * @param {string} userId - User identifier
+   * @returns {Promise<Array>} - Records removed (callers collect their media)
+   */
+  async function removeUser(userId) {
+    if (pool) {
+      try {
+        const result = await pool.query(
+          'DELETE FROM learning_records WHERE user_id = $1 RETURNING *',
+          [userId]
+        );
+        return result.rows.map(mapRecordRow);
+      } catch (error) {
+        console.error('Database remove user records error:', error);
+        throw error;
+      }
+    }
+
+    const removed = userRecords.get(userId) || [];
+    userRecords.delete(userId);
+    return removed;
+  }
+
+  /**
+   * Find which media keys any record still links to (as audioUrl or imageUrl)
+   * @param {Array<string>} keys - Media keys
+   * @returns {Promise<Set<string>>} - Keys in use
+   */
+  async function findMediaReferences(keys) {
+    if (keys.length === 0) return new Set();
+
+    if (pool) {
+      try {
+        // audio_key and image_key are indexed columns generated from the URLs (migration 010)
+        const result = await pool.query(
+          `SELECT audio_key AS key FROM learning_records WHERE audio_key = ANY($1)
+           UNION
+           SELECT image_key FROM learning_records WHERE image_key = ANY($1)`,
+          [keys]
+        );
+        return new Set(result.rows.map(row => row.key));
+      } catch (error) {
+        console.error('Database find record media error:', error);
+        throw error;
+      }
+    }
+
+    const wanted = new Set(keys);
+    const found = new Set();
+    for (const records of userRecords.values()) {
+      for (const record of records) {
+        for (const key of [mediaKeyFromUrl(record.audioUrl), mediaKeyFromUrl(record.imageUrl)]) {
+          if (wanted.has(key)) found.add(key);
+        }
+      }
+    }
+    return found;
+  }
+
+  return {
+    save,
+    list,
+    update,
+    remove,
+    countSince,
+    moveUser,
+    importRecords,
+    clearCollection,
+    countByCollection,
+    listTags,
+    removeUser,
+    findMediaReferences
+  };
+}
+
+module.exports = {
+  createRecordRepository,
+  isWordList,
+  normalizeTags
+};
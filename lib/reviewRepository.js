@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const { createInitialState, scheduleReview } = require('./srs');
+
+// ============== REVIEW ITEMS REPOSITORY (spaced repetition deck) ==============
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Convert a review_items row to the review item shape
+ * @param {object} row - Database row
+ * @returns {object} - Review item
+ */
+function mapReviewRow(row) {
+  return {
+    id: row.id,
+    text: row.text,
+    jyutping: row.jyutping,
+    kind: row.kind,
+    context: row.context,
+    sourceRecordId: row.source_record_id,
+    easeFactor: Math.round(row.ease_factor * 100) / 100,
+    intervalDays: row.interval_days,
+    repetitions: row.repetitions,
+    lapses: row.lapses,
+    dueAt: new Date(row.due_at).toISOString(),
+    lastReviewedAt: row.last_reviewed_at ? new Date(row.last_reviewed_at).toISOString() : null,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+/**
+ * Create the review items repository
+ * Stores the deck in review_items when a pool is given, otherwise in process memory
+ * @param {object} options - { pool }
+ * @returns {object} - Repository API
+ */
+function createReviewRepository({ pool = null } = {}) {
+  const userDecks = new Map(); // userId -> Map(text -> review item)
+
+  /**
+   * Add items to a user's deck; items already in the deck keep their schedule
+   * @param {string} userId - User identifier
+   * @param {Array<{text, jyutping, kind, context}>} items - Output of extractReviewItems
+   * @param {string} sourceRecordId - Learning record the items came from
+   * @returns {Promise<number>} - Number of new items
+   */
+  async function addItems(userId, items, sourceRecordId = null) {
+    if (items.length === 0) return 0;
+
+    if (pool) {
+      try {
+        const result = await pool.query(
+          `INSERT INTO review_items (user_id, text, jyutping, kind, context, source_record_id)
+           SELECT $1, item.text, item.jyutping, item.kind, item.context, $6
+           FROM unnest($2::varchar[], $3::varchar[], $4::varchar[], $5::text[])
+             AS item(text, jyutping, kind, context)
+           ON CONFLICT (user_id, text) DO NOTHING
+           RETURNING id`,
+          [userId,
+           items.map(item => item.text),
+           items.map(item => item.jyutping),
+           items.map(item => item.kind),
+           items.map(item => item.context),
+           sourceRecordId]
+        );
+        return result.rowCount;
+      } catch (error) {
+        console.error('Database add review items error:', error);
+        throw error;
+      }
+    }
+
+    if (!userDecks.has(userId)) {
+      userDecks.set(userId, new Map());
+    }
+    const deck = userDecks.get(userId);
+    const now = new Date();
+    let added = 0;
+
+    for (const item of items) {
+      if (deck.has(item.text)) continue;
+      deck.set(item.text, {
+        id: crypto.randomUUID(),
+        ...item,
+        sourceRecordId,
+        ...createInitialState(now),
+        createdAt: now.toISOString()
+      });
+      added++;
+    }
+
+    return added;
+  }
+
+  /**
+   * Get the items that are due, most overdue first
+   * @param {string} userId - User identifier
+   * @param {object} options - { limit, now }
+   * @returns {Promise<{items: Array, dueCount: number, totalCount: number}>} - Due items and deck size
+   */
+  async function getDue(userId, { limit = 20, now = new Date() } = {}) {
+    if (pool) {
+      try {
+        const [items, counts] = await Promise.all([
+          pool.query(
+            `SELECT * FROM review_items
+             WHERE user_id = $1 AND due_at <= $2
+             ORDER BY due_at ASC, created_at ASC
+             LIMIT $3`,
+            [userId, now, limit]
+          ),
+          pool.query(
+            `SELECT COUNT(*) FILTER (WHERE due_at <= $2) AS due_count, COUNT(*) AS total_count
+             FROM review_items WHERE user_id = $1`,
+            [userId, now]
+          ),
+        ]);
+        return {
+          items: items.rows.map(mapReviewRow),
+          dueCount: parseInt(counts.rows[0].due_count, 10),
+          totalCount: parseInt(counts.rows[0].total_count, 10)
+        };
+      } catch (error) {
+        console.error('Database get due review items error:', error);
+        throw error;
+      }
+    }
+
+    const deck = [...(userDecks.get(userId) || new Map()).values()];
+    const due = deck
+      .filter(item => new Date(item.dueAt) <= now)
+      .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt) || new Date(a.createdAt) - new Date(b.createdAt));
+
+    return {
+      items: due.slice(0, limit).map(item => ({ ...item })),
+      dueCount: due.length,
+      totalCount: deck.length
+    };
+  }
+
+  /**
+   * Grade a review and reschedule the item
+   * The row is locked while the new schedule is computed so concurrent reviews apply in turn
+   * @param {string} userId - User identifier
+   * @param {string} itemId - Review item ID
+   * @param {number} grade - Grade 0-5
+   * @param {Date} now - Review time
+   * @returns {Promise<object|null>} - Updated item, or null if not found
+   */
+  async function review(userId, itemId, grade, now = new Date()) {
+    if (pool) {
+      if (!UUID_PATTERN.test(itemId)) return null;
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const current = await client.query(
+          'SELECT * FROM review_items WHERE id = $1 AND user_id = $2 FOR UPDATE',
+          [itemId, userId]
+        );
+        if (current.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return null;
+        }
+
+        const next = scheduleReview(mapReviewRow(current.rows[0]), grade, now);
+        const result = await client.query(
+          `UPDATE review_items
+           SET ease_factor = $3, interval_days = $4, repetitions = $5, lapses = $6,
+               due_at = $7, last_reviewed_at = $8
+           WHERE id = $1 AND user_id = $2
+           RETURNING *`,
+          [itemId, userId, next.easeFactor, next.intervalDays, next.repetitions, next.lapses,
+           next.dueAt, next.lastReviewedAt]
+        );
+        await client.query('COMMIT');
+        return mapReviewRow(result.rows[0]);
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        console.error('Database review item error:', error);
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    const item = [...(userDecks.get(userId) || new Map()).values()].find(entry => entry.id === itemId);
+    if (!item) return null;
+
+    Object.assign(item, scheduleReview(item, grade, now));
+    return { ...item };
+  }
+
+  /**
+   * Delete a user's whole deck (account erasure)
+   * @param {string} userId - User identifier
+   * @returns {Promise<number>} - Items removed
+   */
+  async function removeUser(userId) {
+    if (pool) {
+      try {
+        const result = await pool.query('DELETE FROM review_items WHERE user_id = $1', [userId]);
+        return result.rowCount;
+      } catch (error) {
+        console.error('Database remove user review items error:', error);
+        throw error;
+      }
+    }
+
+    const removed = userDecks.get(userId)?.size || 0;
+    userDecks.delete(userId);
+    return removed;
+  }
+
+  return {
+    addItems,
+    getDue,
+    review,
+    removeUser,
+  };
+}
+
+module.exports = {
+  createReviewRepository,
+};
@@ -0,0 +1,185 @@
+const ToJyutping = require('to-jyutping');
+const { parseJyutpingSyllable } = require('./jyutping');
+
+// ============== ROMANIZATION SYSTEMS ==============
+// Readings are stored as Jyutping; other systems are rendered from it on output
+
+const ROMANIZATIONS = {
+  JYUTPING: { id: 'jyutping', name: '粤拼 (Jyutping)' },
+  YALE: { id: 'yale', name: '耶鲁拼音（声调符号）' },
+  YALE_NUMERIC: { id: 'yale_numeric', name: '耶鲁拼音（数字声调）' },
+  GUANGDONG: { id: 'guangdong', name: '广州话拼音方案' },
+  IPA: { id: 'ipa', name: '国际音标 (IPA)' },
+};
+
+const ROMANIZATION_IDS = Object.values(ROMANIZATIONS).map(system => system.id);
+const DEFAULT_ROMANIZATION = ROMANIZATIONS.JYUTPING.id;
+
+/**
+ * Check whether a romanization id is supported
+ * @param {string} id - Romanization id
+ * @returns {boolean} - Whether it is supported
+ */
+function isValidRomanization(id) {
+  return ROMANIZATION_IDS.includes(id);
+}
+
+// ============== YALE ==============
+
+const YALE_INITIALS = { z: 'j', c: 'ch', j: 'y' };
+
+const YALE_FINALS = {
+  aa: 'a',
+  oe: 'eu', oeng: 'eung', oek: 'euk', oet: 'eut',
+  eoi: 'eui', eon: 'eun', eot: 'eut',
+};
+
+// Tone -> [combining mark, low-register "h"]
+const YALE_TONE_MARKS = {
+  1: ['\u0304', false],
+  2: ['\u0301', false],
+  3: ['', false],
+  4: ['\u0300', true],
+  5: ['\u0301', true],
+  6: ['', true],
+};
+
+/**
+ * Spell a parsed syllable in Yale without any tone marking
+ * @param {object} parts - Output of parseJyutpingSyllable
+ * @returns {string} - Toneless Yale spelling
+ */
+function yaleSpelling({ initial, final }) {
+  // Jyutping "jyu..." is plain "yu..." in Yale
+  if (initial === 'j' && final.startsWith('yu')) return final;
+  return `${YALE_INITIALS[initial] ?? initial}${YALE_FINALS[final] || final}`;
+}
+
+/**
+ * Convert a Jyutping syllable to Yale with diacritics, e.g. ngo5 → ngóh
+ * @param {object} parts - Output of parseJyutpingSyllable
+ * @returns {string} - Yale syllable
+ */
+function toYale(parts) {
+  const spelling = yaleSpelling(parts);
+  const [mark, lowRegister] = YALE_TONE_MARKS[parts.tone];
+
+  // Syllabic nasals carry the mark on the nasal itself: m̀h, ńgh
+  if (parts.final === 'm' || parts.final === 'ng') {
+    const nasal = parts.initial === 'h' ? spelling.slice(1) : spelling;
+    const prefix = parts.initial === 'h' ? 'h' : '';
+    return `${prefix}${nasal[0]}${mark}${nasal.slice(1)}${lowRegister ? 'h' : ''}`.normalize('NFC');
+  }
+
+  // The mark goes on the first vowel; the "h" follows the whole vowel cluster
+  const match = spelling.match(/^(.*?)([aeiou][aeiouy]*)(.*)$/);
+  if (!match) return spelling;
+  const [, onset, vowels, coda] = match;
+  return `${onset}${vowels[0]}${mark}${vowels.slice(1)}${lowRegister ? 'h' : ''}${coda}`.normalize('NFC');
+}
+
+/**
+ * Convert a Jyutping syllable to Yale with tone numbers, e.g. ngo5 → ngo5, zyu1 → jyu1
+ * @param {object} parts - Output of parseJyutpingSyllable
+ * @returns {string} - Numbered Yale syllable
+ */
+function toYaleNumeric(parts) {
+  return `${yaleSpelling(parts)}${parts.tone}`;
+}
+
+// ============== GUANGDONG PINYIN ==============
+
+const GUANGDONG_FINALS = {
+  aa: 'a', aai: 'ai', aau: 'ao', aam: 'am', aan: 'an', aang: 'ang', aap: 'ab', aat: 'ad', aak: 'ag',
+  ai: 'ei', au: 'eo', am: 'em', an: 'en', ang: 'eng', ap: 'eb', at: 'ed', ak: 'eg',
+  e: 'é', ei: 'éi', eu: 'éu', em: 'ém', en: 'én', eng: 'éng', ep: 'éb', et: 'éd', ek: 'ég',
+  i: 'i', iu: 'iu', im: 'im', in: 'in', ing: 'ing', ip: 'ib', it: 'id', ik: 'ig',
+  o: 'o', oi: 'oi', ou: 'ou', on: 'on', ong: 'ong', ot: 'od', ok: 'og',
+  oe: 'ê', oeng: 'êng', oet: 'êd', oek: 'êg',
+  eo: 'ê', eoi: 'êu', eon: 'ên', eot: 'êd',
+  u: 'u', ui: 'ui', un: 'un', ung: 'ung', ut: 'ud', uk: 'ug',
+  yu: 'ü', yun: 'ün', yut: 'üd',
+  m: 'm', ng: 'ng',
+};
+
+/**
+ * Convert a Jyutping syllable to Guangdong Pinyin, e.g. zyu1 → ju1, hoeng1 → hêng1
+ * @param {object} parts - Output of parseJyutpingSyllable
+ * @returns {string} - Guangdong Pinyin syllable
+ */
+function toGuangdong({ initial, final, tone }) {
+  let spelledInitial = initial === 'j' ? 'y' : initial;
+  let spelledFinal = GUANGDONG_FINALS[final] || final;
+
+  // z/c/s become j/q/x before i and ü
+  if (['z', 'c', 's'].includes(initial) && /^[iü]/.test(spelledFinal)) {
+    spelledInitial = { z: 'j', c: 'q', s: 'x' }[initial];
+  }
+  // ü is written u after j/q/x/y, as in Hanyu Pinyin
+  if (['j', 'q', 'x', 'y'].includes(spelledInitial)) {
+    spelledFinal = spelledFinal.replace('ü', 'u');
+  }
+
+  return `${spelledInitial}${spelledFinal}${tone}`;
+}
+
+// ============== CONVERSION ==============
+
+const CONVERTERS = {
+  [ROMANIZATIONS.JYUTPING.id]: parts => parts.syllable,
+  [ROMANIZATIONS.YALE.id]: toYale,
+  [ROMANIZATIONS.YALE_NUMERIC.id]: toYaleNumeric,
+  [ROMANIZATIONS.GUANGDONG.id]: toGuangdong,
+  [ROMANIZATIONS.IPA.id]: parts => ToJyutping.jyutpingToIPA(parts.syllable),
+};
+
+/**
+ * Render one Jyutping syllable in another romanization system
+ * Syllables that are not valid Jyutping are returned unchanged
+ * @param {string} jyutping - Jyutping syllable with tone, e.g. "gwong2"
+ * @param {string} system - Romanization id
+ * @returns {string} - Rendered syllable
+ */
+function convertSyllable(jyutping, system = DEFAULT_ROMANIZATION) {
+  const parts = parseJyutpingSyllable(jyutping);
+  const convert = CONVERTERS[system];
+  if (!parts || !convert) return jyutping;
+  return convert(parts);
+}
+
+/**
+ * Render a space-separated Jyutping reading (one or more syllables)
+ * @param {string} reading - Jyutping reading, e.g. "gwong2 zau1"
+ * @param {string} system - Romanization id
+ * @returns {string} - Rendered reading
+ */
+function convertReading(reading, system = DEFAULT_ROMANIZATION) {
+  return String(reading || '').trim().split(/\s+/).filter(Boolean)
+    .map(syllable => convertSyllable(syllable, system))
+    .join(' ');
+}
+
+/**
+ * Add the rendered reading to every entry of a cantoneseWords array
+ * `pinyin` stays Jyutping so saved records and scoring keep working
+ * @param {Array<{char: string, pinyin: string}>} words - cantoneseWords array
+ * @param {string} system - Romanization id
+ * @returns {Array<object>} - Entries with an added `romanized` field
+ */
+function romanizeWords(words, system = DEFAULT_ROMANIZATION) {
+  if (!Array.isArray(words)) return [];
+  return words.map(word => ({
+    ...(typeof word === 'object' && word !== null ? word : {}),
+    romanized: convertReading(word?.pinyin, system),
+  }));
+}
+
+module.exports = {
+  ROMANIZATIONS,
+  ROMANIZATION_IDS,
+  DEFAULT_ROMANIZATION,
+  isValidRomanization,
+  convertSyllable,
+  convertReading,
+  romanizeWords,
+};
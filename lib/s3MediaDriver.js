@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// ============== S3-COMPATIBLE MEDIA DRIVER ==============
+// Talks to AWS S3, MinIO, Cloudflare R2 and other S3-compatible stores over plain HTTP
+// with AWS Signature Version 4, so no SDK is needed. Custom endpoints (MinIO) use
+// path-style URLs: <endpoint>/<bucket>/<key>.
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * SHA-256 hex digest
+ * @param {Buffer|string} data - Data to hash
+ * @returns {string} - Hex digest
+ */
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * HMAC-SHA256
+ * @param {Buffer|string} key - HMAC key
+ * @param {string} data - Data to sign
+ * @returns {Buffer} - Digest
+ */
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {object} request - { method, url, headers, payloadHash, date }
+ * @param {object} credentials - { accessKeyId, secretAccessKey, region, service }
+ * @returns {object} - Headers to send, including Authorization, x-amz-date and x-amz-content-sha256
+ */
+function signRequest({ method, url, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH, date = new Date() },
+  { accessKeyId, secretAccessKey, region, service = 's3' }) {
+  const target = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: target.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  const names = Object.keys(signed).sort();
+
+  const query = [...target.searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    target.pathname,
+    query,
+    names.map(name => `${name}:${signed[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), service), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host, ...rest } = signed;
+  return {
+    ...rest,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Percent-encode a string the way SigV4 expects (RFC 3986 unreserved characters kept)
+ * @param {string} value - Raw value
+ * @returns {string} - Encoded value
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Create the S3-compatible media driver
+ * @param {object} options - { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }
+ * @returns {object} - Driver with putObject / statObject / getObject / deleteObject
+ */
+function createS3MediaDriver({
+  bucket,
+  region = 'us-east-1',
+  endpoint = '',
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = Boolean(endpoint),
+} = {}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 media storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const credentials = { accessKeyId, secretAccessKey, region, service: 's3' };
+  const origin = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+
+  /**
+   * Build the URL of an object
+   * @param {string} key - Object key
+   * @returns {string} - Object URL
+   */
+  function objectUrl(key) {
+    const path = `/${encodeRfc3986(key)}`;
+    if (forcePathStyle) return `${origin}/${encodeRfc3986(bucket)}${path}`;
+    const base = new URL(origin);
+    return `${base.protocol}//${bucket}.${base.host}${path}`;
+  }
+
+  /**
+   * Send a signed request
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key
+   * @param {object} options - { headers, body }
+   * @returns {Promise<Response>} - Fetch response
+   */
+  async function send(method, key, { headers = {}, body } = {}) {
+    const url = objectUrl(key);
+    const payloadHash = body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH;
+    return fetch(url, {
+      method,
+      headers: signRequest({ method, url, headers, payloadHash }, credentials),
+      body,
+    });
+  }
+
+  /**
+   * Turn an unexpected S3 response into an error
+   * @param {Response} response - Fetch response
+   * @param {string} action - What was attempted
+   * @returns {Promise<Error>} - Error with the S3 error code
+   */
+  async function responseError(response, action) {
+    const text = await response.text().catch(() => '');
+    const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1] || response.statusText;
+    return new Error(`S3 ${action} failed (${response.status} ${code})`);
+  }
+
+  return {
+    name: 's3',
+    label: `S3 (${forcePathStyle ? `${origin}/${bucket}` : `${bucket}, ${region}`})`,
+
+    async putObject(key, body, contentType) {
+      const response = await send('PUT', key, {
+        headers: { 'content-type': contentType, 'content-length': body.length },
+        body,
+      });
+      if (!response.ok) throw await responseError(response, 'PutObject');
+      await response.arrayBuffer();
+    },
+
+    async statObject(key) {
+      const response = await send('HEAD', key);
+      if (response.status === 404) return null;
+      if (!response.ok) throw await responseError(response, 'HeadObject');
+      return { size: Number(response.headers.get('content-length')) };
+    },
+
+    async getObject(key, range = null) {
+      const headers = range ? { range: `bytes=${range.start}-${range.end}` } : {};
+      const response = await send('GET', key, { headers });
+      if (!response.ok) throw await responseError(response, 'GetObject');
+      return { body: Readable.fromWeb(response.body) };
+    },
+
+    async deleteObject(key) {
+      const response = await send('DELETE', key);
+      if (!response.ok && response.status !== 404) throw await responseError(response, 'DeleteObject');
+      await response.arrayBuffer();
+    },
+  };
+}
+
+module.exports = {
+  signRequest,
+  createS3MediaDriver,
+};
@@ -0,0 +1,174 @@
+// ============== PUBLIC SHARE PAGE (HTML) ==============
+
+const SITE_NAME = '拍照学粤语';
+
+/**
+ * Escape a value for safe use in HTML text and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Resolve a media URL to an absolute http(s) URL for crawlers
+ * Data URLs cannot be fetched by link unfurlers, so they are dropped
+ * @param {string} url - Image or audio URL (absolute, relative or data URL)
+ * @param {string} baseUrl - Public origin of this server
+ * @returns {string|null} - Absolute URL or null
+ */
+function toAbsoluteUrl(url, baseUrl) {
+  if (!url || url.startsWith('data:')) return null;
+  try {
+    const absolute = new URL(url, baseUrl);
+    return ['http:', 'https:'].includes(absolute.protocol) ? absolute.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Shorten text for meta descriptions
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum number of characters
+ * @returns {string} - Shortened text
+ */
+function truncate(text, maxLength) {
+  const chars = Array.from(text || '');
+  return chars.length > maxLength ? chars.slice(0, maxLength).join('') + '…' : chars.join('');
+}
+
+/**
+ * Render Cantonese text as ruby-annotated HTML using cantoneseWords
+ * Falls back to plain text when no per-character readings are available
+ * @param {string} cantonese - Cantonese text
+ * @param {Array<{char: string, pinyin: string}>} cantoneseWords - Per-character readings
+ * @returns {string} - HTML
+ */
+function renderRubyText(cantonese, cantoneseWords) {
+  if (!Array.isArray(cantoneseWords) || cantoneseWords.length === 0) {
+    return escapeHtml(cantonese);
+  }
+
+  return cantoneseWords.map(word => {
+    if (!word.pinyin) {
+      return escapeHtml(word.char);
+    }
+    return `<ruby>${escapeHtml(word.char)}<rp>(</rp><rt>${escapeHtml(word.pinyin)}</rt><rp>)</rp></ruby>`;
+  }).join('');
+}
+
+/**
+ * Shared page shell with styles
+ * @param {object} options - { title, head, body }
+ * @returns {string} - Complete HTML document
+ */
+function renderLayout({ title, head = '', body }) {
+  return `<!DOCTYPE html>
+<html lang="zh-HK">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+${head}
+<style>
+  body { margin: 0; background: #F7F9FC; color: #2D3436; font-family: -apple-system, "PingFang HK", "Noto Sans HK", "Microsoft JhengHei", sans-serif; }
+  main { max-width: 640px; margin: 0 auto; padding: 24px 16px 48px; }
+  .card { background: #fff; border-radius: 16px; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.06); padding: 20px; margin-bottom: 16px; }
+  .cover { width: 100%; border-radius: 16px; display: block; margin-bottom: 16px; }
+  .label { font-size: 13px; color: #4ECDC4; font-weight: 600; margin: 0 0 8px; }
+  .cantonese { font-size: 24px; line-height: 2.4; margin: 0; }
+  .cantonese rt { font-size: 11px; color: #FF6B6B; letter-spacing: 0; }
+  .mandarin { font-size: 16px; line-height: 1.7; margin: 0; color: #636E72; }
+  audio { width: 100%; margin-top: 12px; }
+  footer { text-align: center; font-size: 13px; color: #95A5A6; }
+</style>
+</head>
+<body>
+<main>
+${body}
+<footer>${escapeHtml(SITE_NAME)}</footer>
+</main>
+</body>
+</html>`;
+}
+
+/**
+ * Render the public share page for a shared story
+ * @param {object} shareRecord - Share record { mandarin, cantonese, cantoneseWords, imageUrl, audioUrl }
+ * @param {object} options - { pageUrl, baseUrl }
+ * @returns {string} - Complete HTML document
+ */
+function renderSharePage(shareRecord, { pageUrl, baseUrl }) {
+  const title = `${SITE_NAME} · ${truncate(shareRecord.cantonese, 20)}`;
+  const description = truncate(`${shareRecord.cantonese}（${shareRecord.mandarin}）`, 120);
+  const imageUrl = toAbsoluteUrl(shareRecord.imageUrl, baseUrl);
+  const audioUrl = toAbsoluteUrl(shareRecord.audioUrl, baseUrl);
+
+  // Open Graph tags are read by WeChat, WhatsApp and Telegram when unfurling links
+  const meta = [
+    ['og:type', 'article'],
+    ['og:site_name', SITE_NAME],
+    ['og:locale', 'zh_HK'],
+    ['og:title', title],
+    ['og:description', description],
+    ['og:url', pageUrl],
+    imageUrl && ['og:image', imageUrl],
+    audioUrl && ['og:audio', audioUrl],
+    audioUrl && ['og:audio:type', 'audio/mpeg'],
+  ].filter(Boolean).map(([property, content]) =>
+    `<meta property="${property}" content="${escapeHtml(content)}">`
+  );
+  meta.push(
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    `<meta name="twitter:card" content="${imageUrl ? 'summary_large_image' : 'summary'}">`,
+    `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}">`
+  );
+  if (imageUrl) {
+    meta.push(`<meta name="twitter:image" content="${escapeHtml(imageUrl)}">`);
+  }
+
+  // The page itself can display data URLs even though crawlers cannot
+  const body = `
+${shareRecord.imageUrl ? `<img class="cover" src="${escapeHtml(shareRecord.imageUrl)}" alt="">` : ''}
+<section class="card">
+  <p class="label">粤语</p>
+  <p class="cantonese">${renderRubyText(shareRecord.cantonese, shareRecord.cantoneseWords)}</p>
+  ${shareRecord.audioUrl ? `<audio controls preload="none" src="${escapeHtml(shareRecord.audioUrl)}"></audio>` : ''}
+</section>
+<section class="card">
+  <p class="label">普通话</p>
+  <p class="mandarin">${escapeHtml(shareRecord.mandarin)}</p>
+</section>`;
+
+  return renderLayout({ title, head: meta.join('\n'), body });
+}
+
+/**
+ * Render the page shown for unknown or expired share links
+ * @returns {string} - Complete HTML document
+ */
+function renderShareNotFoundPage() {
+  return renderLayout({
+    title: `${SITE_NAME} · 分享已失效`,
+    head: '<meta name="robots" content="noindex">',
+    body: `
+<section class="card">
+  <p class="label">分享已失效</p>
+  <p class="mandarin">这个分享链接不存在或已过期（分享链接有效期为30天）。</p>
+</section>`,
+  });
+}
+
+module.exports = {
+  escapeHtml,
+  renderSharePage,
+  renderShareNotFoundPage,
+};
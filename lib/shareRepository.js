@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const { mediaKeyFromUrl } = require('./mediaStore');
+
+// ============== SHARE RECORDS REPOSITORY ==============
+
+const SHARE_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+const SHARE_ID_LENGTH = 10;
+const SHARE_ID_MAX_ATTEMPTS = 5;
+const SHARE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Generate a random, URL-safe share ID
+ * Uses an unambiguous alphabet (no 0/O, 1/l/I) so IDs survive being read aloud or retyped
+ * @returns {string} - Share ID
+ */
+function generateShareId() {
+  const bytes = crypto.randomBytes(SHARE_ID_LENGTH);
+  let id = '';
+  for (let i = 0; i < SHARE_ID_LENGTH; i++) {
+    id += SHARE_ID_ALPHABET[bytes[i] % SHARE_ID_ALPHABET.length];
+  }
+  return id;
+}
+
+/**
+ * Convert a share_records row to the share record shape
+ * @param {object} row - Database row
+ * @returns {object} - Share record
+ */
+function mapShareRow(row) {
+  return {
+    shareId: row.share_id,
+    userId: row.user_id,
+    mandarin: row.mandarin,
+    cantonese: row.cantonese,
+    cantoneseWords: row.cantonese_words || [],
+    imageUrl: row.image_url,
+    audioUrl: row.audio_url,
+    createdAt: new Date(row.created_at).toISOString(),
+    expiresAt: new Date(row.expires_at).toISOString()
+  };
+}
+
+/**
+ * Create the share records repository
+ * Stores shares in share_records when a pool is given, otherwise in process memory
+ * @param {object} options - { pool }
+ * @returns {object} - Repository API
+ */
+function createShareRepository({ pool = null } = {}) {
+  const shareRecords = new Map(); // shareId -> share record
+
+  /**
+   * Create a shareable record with a collision-checked ID
+   * @param {object} data - Data to share { mandarin, cantonese, cantoneseWords, imageUrl, audioUrl, userId }
+   *   userId: signed-in creator (null for anonymous shares), so the share is erased with the account
+   * @returns {Promise<object>} - Share record with share ID
+   */
+  async function create(data) {
+    const createdAt = new Date();
+    const expiresAt = new Date(createdAt.getTime() + SHARE_TTL_MS);
+
+    for (let attempt = 0; attempt < SHARE_ID_MAX_ATTEMPTS; attempt++) {
+      const shareId = generateShareId();
+
+      if (pool) {
+        try {
+          // ON CONFLICT DO NOTHING returns no row when the ID is taken, so we retry with a new one
+          const result = await pool.query(
+            `INSERT INTO share_records
+             (share_id, mandarin, cantonese, cantonese_words, image_url, audio_url, created_at, expires_at, user_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             ON CONFLICT (share_id) DO NOTHING
+             RETURNING *`,
+            [shareId, data.mandarin, data.cantonese,
+             JSON.stringify(data.cantoneseWords || []),
+             data.imageUrl, data.audioUrl, createdAt, expiresAt, data.userId || null]
+          );
+          if (result.rows.length === 0) continue;
+
+          console.log(`Share record created: ${shareId}`);
+          return mapShareRow(result.rows[0]);
+        } catch (error) {
+          console.error('Database create share error:', error);
+          throw error;
+        }
+      }
+
+      if (shareRecords.has(shareId)) continue;
+
+      const shareRecord = {
+        shareId: shareId,
+        createdAt: createdAt.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        ...data,
+        userId: data.userId || null
+      };
+      shareRecords.set(shareId, shareRecord);
+      console.log(`Share record created: ${shareId}`);
+      return shareRecord;
+    }
+
+    throw new Error('Failed to allocate a unique share ID');
+  }
+
+  /**
+   * Get share record by ID
+   * @param {string} shareId - Share ID
+   * @returns {Promise<object|null>} - Share record or null if not found/expired
+   */
+  async function get(shareId) {
+    if (pool) {
+      try {
+        const result = await pool.query(
+          `SELECT * FROM share_records
+           WHERE share_id = $1 AND expires_at > CURRENT_TIMESTAMP`,
+          [shareId]
+        );
+        return result.rows.length > 0 ? mapShareRow(result.rows[0]) : null;
+      } catch (error) {
+        console.error('Database get share error:', error);
+        throw error;
+      }
+    }
+
+    const record = shareRecords.get(shareId);
+    if (!record) return null;
+
+    // Check if expired
+    if (new Date(record.expiresAt) < new Date()) {
+      shareRecords.delete(shareId);
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * Delete every expired share record
+   * @returns {Promise<number>} - Number of records removed
+   */
+  async function purgeExpired() {
+    if (pool) {
+      try {
+        const result = await pool.query(
+          'DELETE FROM share_records WHERE expires_at <= CURRENT_TIMESTAMP'
+        );
+        return result.rowCount;
+      } catch (error) {
+        console.error('Database purge shares error:', error);
+        throw error;
+      }
+    }
+
+    const now = new Date();
+    let removed = 0;
+    for (const [shareId, record] of shareRecords) {
+      if (new Date(record.expiresAt) <= now) {
+        shareRecords.delete(shareId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Delete every share a user created (account erasure)
+   * @param {string} userId - User identifier
+   * @returns {Promise<Array>} - Share records removed (callers collect their media)
+   */
+  async function removeUser(userId) {
+    if (pool) {
+      try {
+        const result = await pool.query(
+          'DELETE FROM share_records WHERE user_id = $1 RETURNING *',
+          [userId]
+        );
+        return result.rows.map(mapShareRow);
+      } catch (error) {
+        console.error('Database remove user shares error:', error);
+        throw error;
+      }
+    }
+
+    const removed = [];
+    for (const [shareId, record] of shareRecords) {
+      if (record.userId === userId) {
+        shareRecords.delete(shareId);
+        removed.push(record);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Find which media keys any share still links to (as audioUrl or imageUrl)
+   * @param {Array<string>} keys - Media keys
+   * @returns {Promise<Set<string>>} - Keys in use
+   */
+  async function findMediaReferences(keys) {
+    if (keys.length === 0) return new Set();
+
+    if (pool) {
+      try {
+        // audio_key and image_key are indexed columns generated from the URLs (migration 010)
+        const result = await pool.query(
+          `SELECT audio_key AS key FROM share_records WHERE audio_key = ANY($1)
+           UNION
+           SELECT image_key FROM share_records WHERE image_key = ANY($1)`,
+          [keys]
+        );
+        return new Set(result.rows.map(row => row.key));
+      } catch (error) {
+        console.error('Database find share media error:', error);
+        throw error;
+      }
+    }
+
+    const wanted = new Set(keys);
+    const found = new Set();
+    for (const record of shareRecords.values()) {
+      for (const key of [mediaKeyFromUrl(record.audioUrl), mediaKeyFromUrl(record.imageUrl)]) {
+        if (wanted.has(key)) found.add(key);
+      }
+    }
+    return found;
+  }
+
+  return {
+    create,
+    get,
+    purgeExpired,
+    removeUser,
+    findMediaReferences,
+  };
+}
+
+module.exports = {
+  createShareRepository,
+  generateShareId,
+};
@@ -0,0 +1,190 @@
+// ============== SPEECH TIMING (sentences & per-character timestamps) ==============
+// Works on cantoneseWords indexes so the app can highlight exactly the entries it renders.
+// Timestamps come from the TTS provider when it reports them (Tencent subtitles) and are
+// otherwise spread evenly over the Chinese characters of each sentence.
+
+const HAN_CHAR = /\p{Script=Han}/u;
+const SENTENCE_END = /[。！？!?；;\n]/;
+const CLAUSE_END = /[，、,：:]/;
+
+/**
+ * Split cantoneseWords into sentences
+ * Each sentence keeps its closing punctuation; stray punctuation before the first
+ * character or after the last sentence joins its neighbour
+ * @param {Array<{char: string}>} cantoneseWords - Per-character readings
+ * @returns {Array<{start: number, end: number, text: string}>} - Sentences spanning cantoneseWords[start, end)
+ */
+function splitSentences(cantoneseWords) {
+  if (!Array.isArray(cantoneseWords)) return [];
+
+  const sentences = [];
+  let start = 0;
+  let hasHan = false;
+
+  cantoneseWords.forEach((word, index) => {
+    const char = String(word.char || '');
+    if (HAN_CHAR.test(char)) hasHan = true;
+    if (hasHan && SENTENCE_END.test(char)) {
+      sentences.push({ start, end: index + 1 });
+      start = index + 1;
+      hasHan = false;
+    }
+  });
+
+  if (start < cantoneseWords.length) {
+    if (hasHan || sentences.length === 0) sentences.push({ start, end: cantoneseWords.length });
+    else sentences[sentences.length - 1].end = cantoneseWords.length;
+  }
+
+  return sentences.map(sentence => spanOf(cantoneseWords, sentence.start, sentence.end));
+}
+
+/**
+ * Build a span of cantoneseWords with its text
+ * @param {Array<{char: string}>} cantoneseWords - Per-character readings
+ * @param {number} start - First index
+ * @param {number} end - Index after the last
+ * @returns {{start: number, end: number, text: string}} - Span
+ */
+function spanOf(cantoneseWords, start, end) {
+  return {
+    start,
+    end,
+    text: cantoneseWords.slice(start, end).map(word => String(word.char || '')).join(''),
+  };
+}
+
+/**
+ * Split sentences that are too long for one TTS request
+ * Cuts after the last clause mark (，、：) that fits, or mid-clause when there is none
+ * @param {Array<{start: number, end: number, text: string}>} sentences - Output of splitSentences
+ * @param {Array<{char: string}>} cantoneseWords - Per-character readings
+ * @param {number} maxLength - Maximum characters per part
+ * @returns {Array<{start: number, end: number, text: string}>} - Parts in order
+ */
+function splitLongSentences(sentences, cantoneseWords, maxLength) {
+  const parts = [];
+
+  for (const sentence of sentences) {
+    if (Array.from(sentence.text).length <= maxLength) {
+      parts.push(sentence);
+      continue;
+    }
+
+    let start = sentence.start;
+    let length = 0;
+    let lastClauseEnd = null;
+
+    for (let index = sentence.start; index < sentence.end; index++) {
+      const char = String(cantoneseWords[index].char || '');
+      const charLength = Array.from(char).length;
+
+      if (length + charLength > maxLength && index > start) {
+        const cut = lastClauseEnd !== null ? lastClauseEnd : index;
+        parts.push(spanOf(cantoneseWords, start, cut));
+        start = cut;
+        length = Array.from(spanOf(cantoneseWords, start, index).text).length;
+        lastClauseEnd = null;
+      }
+
+      length += charLength;
+      if (CLAUSE_END.test(char)) lastClauseEnd = index + 1;
+    }
+
+    parts.push(spanOf(cantoneseWords, start, sentence.end));
+  }
+
+  return parts;
+}
+
+/**
+ * Group consecutive parts into as few TTS requests as possible
+ * @param {Array<{start: number, end: number, text: string}>} parts - Output of splitLongSentences
+ * @param {number} maxLength - Maximum characters per request
+ * @returns {Array<{start: number, end: number, text: string, parts: Array}>} - Chunks in order
+ */
+function packChunks(parts, maxLength) {
+  const chunks = [];
+
+  for (const part of parts) {
+    const last = chunks[chunks.length - 1];
+    if (last && Array.from(last.text + part.text).length <= maxLength) {
+      last.end = part.end;
+      last.text += part.text;
+      last.parts.push(part);
+    } else {
+      chunks.push({ start: part.start, end: part.end, text: part.text, parts: [part] });
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Map TTS subtitles onto cantoneseWords indexes
+ * @param {Array<{beginIndex: number, beginMs: number, endMs: number}>} subtitles - Character offsets into the synthesized text
+ * @param {Array<{char: string}>} cantoneseWords - Per-character readings
+ * @param {{start: number, end: number}} span - Entries that were synthesized, in order
+ * @param {number} offsetMs - Where the synthesized audio starts in the full track
+ * @returns {Array<{index: number, startMs: number, endMs: number}>} - Timings of the Chinese characters
+ */
+function mapSubtitles(subtitles, cantoneseWords, { start, end }, offsetMs = 0) {
+  // Character offset in the synthesized text -> cantoneseWords index
+  const owners = [];
+  for (let index = start; index < end; index++) {
+    for (const char of Array.from(String(cantoneseWords[index].char || ''))) {
+      owners.push(index);
+    }
+  }
+
+  const timings = new Map();
+  for (const subtitle of subtitles) {
+    const index = owners[subtitle.beginIndex];
+    if (index === undefined || !HAN_CHAR.test(String(cantoneseWords[index].char || ''))) continue;
+
+    // An entry spanning several subtitles runs from the first to the last
+    const current = timings.get(index);
+    if (current) {
+      current.endMs = Math.max(current.endMs, Math.round(offsetMs + subtitle.endMs));
+      continue;
+    }
+    timings.set(index, {
+      index,
+      startMs: Math.round(offsetMs + subtitle.beginMs),
+      endMs: Math.round(offsetMs + subtitle.endMs),
+    });
+  }
+
+  return [...timings.values()].sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Spread a sentence's duration evenly over its Chinese characters
+ * @param {Array<{char: string}>} cantoneseWords - Per-character readings
+ * @param {{start: number, end: number}} span - Entries spoken in the audio
+ * @param {number} offsetMs - Where the audio starts in the full track
+ * @param {number} durationMs - Length of the audio
+ * @returns {Array<{index: number, startMs: number, endMs: number}>} - Estimated timings
+ */
+function estimateCharTimings(cantoneseWords, { start, end }, offsetMs, durationMs) {
+  const indexes = [];
+  for (let index = start; index < end; index++) {
+    if (HAN_CHAR.test(String(cantoneseWords[index].char || ''))) indexes.push(index);
+  }
+  if (indexes.length === 0) return [];
+
+  const step = durationMs / indexes.length;
+  return indexes.map((index, position) => ({
+    index,
+    startMs: Math.round(offsetMs + position * step),
+    endMs: Math.round(offsetMs + (position + 1) * step),
+  }));
+}
+
+module.exports = {
+  splitSentences,
+  splitLongSentences,
+  packChunks,
+  mapSubtitles,
+  estimateCharTimings,
+};
@@ -0,0 +1,167 @@
+const { lookupText } = require('./cantoneseDictionary');
+const { convertScript } = require('./chineseScript');
+
+// ============== SPACED REPETITION (SM-2) ==============
+// Scheduling follows SuperMemo SM-2: grades 0-5, an ease factor per item (min 1.3),
+// intervals of 1 day, 6 days, then previous interval × ease. A grade below 3 is a lapse
+// and restarts the item at 1 day.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+const PASSING_GRADE = 3;
+
+// Named grades for four-button review UIs
+const GRADE_ALIASES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5,
+};
+
+const HAN_CHAR = /\p{Script=Han}/u;
+const MAX_PHRASE_LENGTH = 8; // longer runs are sentences, not phrases
+
+/**
+ * Parse a review grade
+ * @param {number|string} grade - 0-5 or again / hard / good / easy
+ * @returns {number|null} - Grade 0-5, or null when invalid
+ */
+function parseGrade(grade) {
+  if (typeof grade === 'string' && GRADE_ALIASES[grade.toLowerCase()] !== undefined) {
+    return GRADE_ALIASES[grade.toLowerCase()];
+  }
+  const value = typeof grade === 'string' && grade.trim() !== '' ? Number(grade) : grade;
+  return Number.isInteger(value) && value >= 0 && value <= 5 ? value : null;
+}
+
+/**
+ * Create the scheduling state of a new item (due immediately)
+ * @param {Date} now - Current time
+ * @returns {object} - { easeFactor, intervalDays, repetitions, lapses, dueAt, lastReviewedAt }
+ */
+function createInitialState(now = new Date()) {
+  return {
+    easeFactor: DEFAULT_EASE_FACTOR,
+    intervalDays: 0,
+    repetitions: 0,
+    lapses: 0,
+    dueAt: now.toISOString(),
+    lastReviewedAt: null,
+  };
+}
+
+/**
+ * Apply one review to an item's scheduling state
+ * @param {object} state - { easeFactor, intervalDays, repetitions, lapses }
+ * @param {number} grade - Grade 0-5
+ * @param {Date} now - Review time
+ * @returns {object} - New state with dueAt and lastReviewedAt
+ */
+function scheduleReview(state, grade, now = new Date()) {
+  let { easeFactor, intervalDays, repetitions, lapses } = { ...createInitialState(now), ...state };
+
+  if (grade >= PASSING_GRADE) {
+    if (repetitions === 0) intervalDays = 1;
+    else if (repetitions === 1) intervalDays = 6;
+    else intervalDays = Math.round(intervalDays * easeFactor);
+    repetitions += 1;
+  } else {
+    repetitions = 0;
+    intervalDays = 1;
+    lapses += 1;
+  }
+
+  const distance = 5 - grade;
+  easeFactor = Math.max(MIN_EASE_FACTOR, easeFactor + 0.1 - distance * (0.08 + distance * 0.02));
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    intervalDays,
+    repetitions,
+    lapses,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS).toISOString(),
+    lastReviewedAt: now.toISOString(),
+  };
+}
+
+/**
+ * Pull review items out of a saved story
+ * Every Chinese character becomes a "char" item and every run of 2-8 characters between
+ * punctuation becomes a "phrase" item. Text is stored in Simplified so both scripts share
+ * one deck entry; missing readings are filled from the offline dictionary.
+ * @param {Array<{char: string, pinyin: string}>} cantoneseWords - Readings from /api/generate
+ * @param {string} cantonese - Story text (used when cantoneseWords is empty)
+ * @returns {Array<{text: string, jyutping: string, kind: string, context: string}>} - Unique items
+ */
+function extractReviewItems(cantoneseWords, cantonese = '') {
+  const source = Array.isArray(cantoneseWords) && cantoneseWords.length > 0
+    ? cantoneseWords
+    : [{ char: cantonese, pinyin: '' }];
+
+  // One entry per character; readings only count when they line up with the characters
+  const characters = [];
+  for (const word of source) {
+    const chars = Array.from(convertScript(String(word?.char || ''), 'simplified'));
+    const syllables = String(word?.pinyin || '').trim().split(/\s+/).filter(Boolean);
+    const hanCount = chars.filter(char => HAN_CHAR.test(char)).length;
+    let syllableIndex = 0;
+
+    for (const char of chars) {
+      const isHan = HAN_CHAR.test(char);
+      characters.push({
+        char,
+        isHan,
+        jyutping: isHan && syllables.length === hanCount ? syllables[syllableIndex++] : null,
+      });
+    }
+  }
+
+  const dictionary = lookupText(characters.map(entry => entry.char).join(''));
+  characters.forEach((entry, index) => {
+    if (entry.isHan && !entry.jyutping) entry.jyutping = dictionary[index]?.jyutping || null;
+  });
+
+  // Split into runs of Chinese characters (clauses)
+  const runs = [];
+  let current = [];
+  for (const entry of characters) {
+    if (entry.isHan && entry.jyutping) {
+      current.push(entry);
+    } else if (current.length > 0) {
+      runs.push(current);
+      current = [];
+    }
+  }
+  if (current.length > 0) runs.push(current);
+
+  const items = new Map(); // text -> item
+  for (const run of runs) {
+    const context = run.map(entry => entry.char).join('');
+
+    if (run.length >= 2 && run.length <= MAX_PHRASE_LENGTH && !items.has(context)) {
+      items.set(context, {
+        text: context,
+        jyutping: run.map(entry => entry.jyutping).join(' '),
+        kind: 'phrase',
+        context,
+      });
+    }
+
+    for (const entry of run) {
+      if (!items.has(entry.char)) {
+        items.set(entry.char, { text: entry.char, jyutping: entry.jyutping, kind: 'char', context });
+      }
+    }
+  }
+
+  return [...items.values()];
+}
+
+module.exports = {
+  GRADE_ALIASES,
+  parseGrade,
+  createInitialState,
+  scheduleReview,
+  extractReviewItems,
+};
@@ -0,0 +1,437 @@
+const { ACHIEVEMENTS, findEarnedAchievementIds } = require('./achievements');
+
+// ============== USER STATISTICS & ACHIEVEMENTS REPOSITORY ==============
+
+const MAX_SCORE = 100;
+const MAX_PRACTICE_MINUTES = 24 * 60; // One update covers at most a day
+const MAX_COUNTER = 2147483647; // user_statistics columns are INTEGER
+
+/**
+ * Turn an untrusted value into a whole, non-negative counter value
+ * @param {any} value - Number or numeric string
+ * @param {number} max - Upper bound
+ * @returns {number} - Integer in [0, max]
+ */
+function toCounter(value, max = MAX_COUNTER) {
+  return Math.min(max, Math.max(0, Math.floor(Number(value) || 0)));
+}
+
+/**
+ * Build an empty statistics object
+ * @returns {object} - Default user statistics
+ */
+function createEmptyStats() {
+  return {
+    totalStories: 0,
+    practiceCount: 0,
+    bestScore: 0,
+    totalScore: 0,
+    totalStudyTime: 0, // in minutes
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+/**
+ * Convert a user_statistics row to the API statistics shape
+ * @param {object} row - Database row
+ * @returns {object} - User statistics
+ */
+function mapStatsRow(row) {
+  return {
+    totalStories: row.total_stories,
+    practiceCount: row.practice_count,
+    bestScore: row.best_score,
+    totalScore: row.total_score,
+    totalStudyTime: row.total_study_time,
+    lastUpdated: new Date(row.last_updated).toISOString()
+  };
+}
+
+/**
+ * Normalize an activity update into counter increments
+ * The score is held to 0-100 and the practice time to whole minutes, at most a day
+ * @param {object} data - Update data { score?, practiceTime?, isPractice? }
+ * @returns {object} - Increments for each counter
+ */
+function toIncrements(data = {}) {
+  const hasScore = data.isPractice && data.score !== undefined && data.score !== null;
+  const score = hasScore ? toCounter(data.score, MAX_SCORE) : 0;
+
+  return {
+    totalStories: data.isPractice ? 0 : 1,
+    practiceCount: data.isPractice ? 1 : 0,
+    score: score,
+    bestScore: hasScore ? score : 0,
+    studyTime: toCounter(data.practiceTime, MAX_PRACTICE_MINUTES)
+  };
+}
+
+/**
+ * Merge unlocked achievement records with the full achievement list
+ * @param {Map<string, string>} unlockedAt - achievementId -> ISO unlock time
+ * @returns {Array} - All achievements with unlock status
+ */
+function withUnlockStatus(unlockedAt) {
+  return Object.values(ACHIEVEMENTS).map(achievement => ({
+    ...achievement,
+    unlocked: unlockedAt.has(achievement.id),
+    unlockedAt: unlockedAt.get(achievement.id) || null
+  }));
+}
+
+/**
+ * Create the statistics repository
+ * Reads and writes user_statistics / user_achievements when a pool is given,
+ * otherwise keeps everything in process memory
+ * @param {object} options - { pool }
+ * @returns {object} - Repository API
+ */
+function createStatsRepository({ pool = null } = {}) {
+  const userStats = new Map(); // userId -> stats
+  const userAchievements = new Map(); // userId -> Map(achievementId -> unlockedAt)
+
+  /**
+   * Get user statistics (does not create a row)
+   * @param {string} userId - User identifier
+   * @returns {Promise<object>} - User statistics
+   */
+  async function getStats(userId) {
+    if (pool) {
+      try {
+        const result = await pool.query(
+          'SELECT * FROM user_statistics WHERE user_id = $1',
+          [userId]
+        );
+        return result.rows.length > 0 ? mapStatsRow(result.rows[0]) : createEmptyStats();
+      } catch (error) {
+        console.error('Database get stats error:', error);
+        throw error;
+      }
+    }
+
+    return userStats.has(userId) ? { ...userStats.get(userId) } : createEmptyStats();
+  }
+
+  /**
+   * Unlock every achievement earned by the given statistics
+   * @param {string} userId - User identifier
+   * @param {object} stats - Current user statistics
+   * @returns {Promise<Array>} - Achievements unlocked by this call
+   */
+  async function unlockEarnedAchievements(userId, stats) {
+    const earnedIds = findEarnedAchievementIds(stats);
+    if (earnedIds.length === 0) return [];
+
+    let newlyUnlocked = [];
+
+    if (pool) {
+      try {
+        // ON CONFLICT makes concurrent unlocks idempotent; RETURNING only yields new rows
+        const result = await pool.query(
+          `INSERT INTO user_achievements (user_id, achievement_id)
+           SELECT $1, unnest($2::varchar[])
+           ON CONFLICT (user_id, achievement_id) DO NOTHING
+           RETURNING achievement_id, unlocked_at`,
+          [userId, earnedIds]
+        );
+        newlyUnlocked = result.rows.map(row => ({
+          id: row.achievement_id,
+          unlockedAt: new Date(row.unlocked_at).toISOString()
+        }));
+      } catch (error) {
+        console.error('Database unlock achievements error:', error);
+        throw error;
+      }
+    } else {
+      if (!userAchievements.has(userId)) {
+        userAchievements.set(userId, new Map());
+      }
+      const unlocked = userAchievements.get(userId);
+      const now = new Date().toISOString();
+
+      for (const id of earnedIds) {
+        if (!unlocked.has(id)) {
+          unlocked.set(id, now);
+          newlyUnlocked.push({ id, unlockedAt: now });
+        }
+      }
+    }
+
+    return newlyUnlocked.map(({ id, unlockedAt }) => {
+      console.log(`Achievement unlocked: ${ACHIEVEMENTS[id].title} for user: ${userId}`);
+      return { ...ACHIEVEMENTS[id], unlockedAt };
+    });
+  }
+
+  /**
+   * Record a completed story or practice and unlock achievements
+   * Counters are incremented atomically so concurrent submissions are not lost
+   * @param {string} userId - User identifier
+   * @param {object} data - Update data { score?, practiceTime?, isPractice? }
+   * @returns {Promise<{stats: object, newAchievements: Array}>} - Updated stats and new unlocks
+   */
+  async function recordActivity(userId, data = {}) {
+    const inc = toIncrements(data);
+    let stats;
+
+    if (pool) {
+      try {
+        const result = await pool.query(
+          `INSERT INTO user_statistics
+           (user_id, total_stories, practice_count, best_score, total_score, total_study_time, last_updated)
+           VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+           ON CONFLICT (user_id) DO UPDATE SET
+             total_stories = user_statistics.total_stories + EXCLUDED.total_stories,
+             practice_count = user_statistics.practice_count + EXCLUDED.practice_count,
+             best_score = GREATEST(user_statistics.best_score, EXCLUDED.best_score),
+             total_score = user_statistics.total_score + EXCLUDED.total_score,
+             total_study_time = user_statistics.total_study_time + EXCLUDED.total_study_time,
+             last_updated = CURRENT_TIMESTAMP
+           RETURNING *`,
+          [userId, inc.totalStories, inc.practiceCount, inc.bestScore, inc.score, inc.studyTime]
+        );
+        stats = mapStatsRow(result.rows[0]);
+      } catch (error) {
+        console.error('Database update stats error:', error);
+        throw error;
+      }
+    } else {
+      const current = userStats.get(userId) || createEmptyStats();
+      current.totalStories += inc.totalStories;
+      current.practiceCount += inc.practiceCount;
+      current.bestScore = Math.max(current.bestScore, inc.bestScore);
+      current.totalScore += inc.score;
+      current.totalStudyTime += inc.studyTime;
+      current.lastUpdated = new Date().toISOString();
+      userStats.set(userId, current);
+      stats = { ...current };
+    }
+
+    const newAchievements = await unlockEarnedAchievements(userId, stats);
+    return { stats, newAchievements };
+  }
+
+  /**
+   * Get all achievements with the user's unlock status
+   * @param {string} userId - User identifier
+   * @returns {Promise<Array>} - Array of achievements
+   */
+  async function getAchievements(userId) {
+    const unlockedAt = new Map();
+
+    if (pool) {
+      try {
+        const result = await pool.query(
+          'SELECT achievement_id, unlocked_at FROM user_achievements WHERE user_id = $1',
+          [userId]
+        );
+        for (const row of result.rows) {
+          unlockedAt.set(row.achievement_id, new Date(row.unlocked_at).toISOString());
+        }
+      } catch (error) {
+        console.error('Database get achievements error:', error);
+        throw error;
+      }
+    } else if (userAchievements.has(userId)) {
+      for (const [id, time] of userAchievements.get(userId)) {
+        unlockedAt.set(id, time);
+      }
+    }
+
+    return withUnlockStatus(unlockedAt);
+  }
+
+  /**
+   * Move statistics and achievements from one user ID to another
+   * Counters are summed into the target; used when attaching a device history to an account.
+   * Combined counters may cross thresholds neither user reached alone, so call
+   * checkAchievements(toUserId) afterwards (after the commit when db is a transaction)
+   * @param {string} fromUserId - Source user identifier (removed afterwards)
+   * @param {string} toUserId - Target user identifier
+   * @param {object} options - { db } (a transaction client; defaults to the pool)
+   * @returns {Promise<void>}
+   */
+  async function mergeUser(fromUserId, toUserId, { db = pool } = {}) {
+    if (pool) {
+      try {
+        await db.query(
+          `WITH moved AS (
+             DELETE FROM user_statistics WHERE user_id = $1 RETURNING *
+           )
+           INSERT INTO user_statistics
+           (user_id, total_stories, practice_count, best_score, total_score, total_study_time, last_updated)
+           SELECT $2, total_stories, practice_count, best_score, total_score, total_study_time, CURRENT_TIMESTAMP
+           FROM moved
+           ON CONFLICT (user_id) DO UPDATE SET
+             total_stories = user_statistics.total_stories + EXCLUDED.total_stories,
+             practice_count = user_statistics.practice_count + EXCLUDED.practice_count,
+             best_score = GREATEST(user_statistics.best_score, EXCLUDED.best_score),
+             total_score = user_statistics.total_score + EXCLUDED.total_score,
+             total_study_time = user_statistics.total_study_time + EXCLUDED.total_study_time,
+             last_updated = CURRENT_TIMESTAMP`,
+          [fromUserId, toUserId]
+        );
+        await db.query(
+          `WITH moved AS (
+             DELETE FROM user_achievements WHERE user_id = $1 RETURNING achievement_id, unlocked_at
+           )
+           INSERT INTO user_achievements (user_id, achievement_id, unlocked_at)
+           SELECT $2, achievement_id, unlocked_at FROM moved
+           ON CONFLICT (user_id, achievement_id) DO NOTHING`,
+          [fromUserId, toUserId]
+        );
+      } catch (error) {
+        console.error('Database merge stats error:', error);
+        throw error;
+      }
+    } else {
+      const source = userStats.get(fromUserId);
+      if (source) {
+        const target = userStats.get(toUserId) || createEmptyStats();
+        target.totalStories += source.totalStories;
+        target.practiceCount += source.practiceCount;
+        target.bestScore = Math.max(target.bestScore, source.bestScore);
+        target.totalScore += source.totalScore;
+        target.totalStudyTime += source.totalStudyTime;
+        target.lastUpdated = new Date().toISOString();
+        userStats.set(toUserId, target);
+        userStats.delete(fromUserId);
+      }
+
+      const sourceAchievements = userAchievements.get(fromUserId);
+      if (sourceAchievements) {
+        const targetAchievements = userAchievements.get(toUserId) || new Map();
+        for (const [id, time] of sourceAchievements) {
+          if (!targetAchievements.has(id)) targetAchievements.set(id, time);
+        }
+        userAchievements.set(toUserId, targetAchievements);
+        userAchievements.delete(fromUserId);
+      }
+    }
+  }
+
+  /**
+   * Unlock whatever a user's current statistics have earned
+   * @param {string} userId - User identifier
+   * @returns {Promise<{stats: object, newAchievements: Array}>} - Current stats and new unlocks
+   */
+  async function checkAchievements(userId) {
+    const stats = await getStats(userId);
+    const newAchievements = await unlockEarnedAchievements(userId, stats);
+    return { stats, newAchievements };
+  }
+
+  /**
+   * Restore statistics and achievements from an export archive
+   * Each counter keeps the larger of the current and archived value and each achievement
+   * its earliest unlock time, so restoring the same archive twice changes nothing.
+   * Archived counters are untrusted: scores are held to 0-100 per practice and the story
+   * count to the stories the archive holds
+   * @param {string} userId - User identifier
+   * @param {object} archived - { stats, achievements: [{ id, unlockedAt }], storyCount }
+   * @returns {Promise<{stats: object, newAchievements: Array}>} - Restored stats and new unlocks
+   */
+  async function restoreUser(userId, { stats: archivedStats = {}, achievements = [], storyCount = 0 } = {}) {
+    const practiceCount = toCounter(archivedStats.practiceCount);
+    const restored = {
+      totalStories: toCounter(archivedStats.totalStories, storyCount),
+      practiceCount,
+      bestScore: toCounter(archivedStats.bestScore, MAX_SCORE),
+      totalScore: toCounter(archivedStats.totalScore, Math.min(practiceCount * MAX_SCORE, MAX_COUNTER)),
+      totalStudyTime: toCounter(archivedStats.totalStudyTime)
+    };
+    const unlocks = achievements.filter(({ id, unlockedAt }) => (
+      ACHIEVEMENTS[id] && !Number.isNaN(Date.parse(unlockedAt))
+    ));
+
+    if (pool) {
+      try {
+        await pool.query(
+          `INSERT INTO user_statistics
+           (user_id, total_stories, practice_count, best_score, total_score, total_study_time, last_updated)
+           VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+           ON CONFLICT (user_id) DO UPDATE SET
+             total_stories = GREATEST(user_statistics.total_stories, EXCLUDED.total_stories),
+             practice_count = GREATEST(user_statistics.practice_count, EXCLUDED.practice_count),
+             best_score = GREATEST(user_statistics.best_score, EXCLUDED.best_score),
+             total_score = GREATEST(user_statistics.total_score, EXCLUDED.total_score),
+             total_study_time = GREATEST(user_statistics.total_study_time, EXCLUDED.total_study_time),
+             last_updated = CURRENT_TIMESTAMP`,
+          [userId, restored.totalStories, restored.practiceCount, restored.bestScore,
+           restored.totalScore, restored.totalStudyTime]
+        );
+        if (unlocks.length > 0) {
+          await pool.query(
+            `INSERT INTO user_achievements (user_id, achievement_id, unlocked_at)
+             SELECT $1, unlock.id, unlock.unlocked_at
+             FROM unnest($2::varchar[], $3::timestamp[]) AS unlock(id, unlocked_at)
+             ON CONFLICT (user_id, achievement_id) DO UPDATE SET
+               unlocked_at = LEAST(user_achievements.unlocked_at, EXCLUDED.unlocked_at)`,
+            [userId, unlocks.map(unlock => unlock.id), unlocks.map(unlock => new Date(unlock.unlockedAt))]
+          );
+        }
+      } catch (error) {
+        console.error('Database restore stats error:', error);
+        throw error;
+      }
+    } else {
+      const current = userStats.get(userId) || createEmptyStats();
+      for (const key of Object.keys(restored)) {
+        current[key] = Math.max(current[key], restored[key]);
+      }
+      current.lastUpdated = new Date().toISOString();
+      userStats.set(userId, current);
+
+      const unlocked = userAchievements.get(userId) || new Map();
+      for (const { id, unlockedAt } of unlocks) {
+        const time = new Date(unlockedAt).toISOString();
+        if (!unlocked.has(id) || time < unlocked.get(id)) unlocked.set(id, time);
+      }
+      userAchievements.set(userId, unlocked);
+    }
+
+    // Restored counters may earn achievements the archive did not list
+    const stats = await getStats(userId);
+    const newAchievements = await unlockEarnedAchievements(userId, stats);
+    return { stats, newAchievements };
+  }
+
+  /**
+   * Delete a user's statistics and achievements (account erasure)
+   * @param {string} userId - User identifier
+   * @returns {Promise<{stats: boolean, achievements: number}>} - Whether stats existed, achievements removed
+   */
+  async function removeUser(userId) {
+    if (pool) {
+      try {
+        const statsResult = await pool.query('DELETE FROM user_statistics WHERE user_id = $1', [userId]);
+        const achievementsResult = await pool.query('DELETE FROM user_achievements WHERE user_id = $1', [userId]);
+        return { stats: statsResult.rowCount > 0, achievements: achievementsResult.rowCount };
+      } catch (error) {
+        console.error('Database remove user stats error:', error);
+        throw error;
+      }
+    }
+
+    const removed = {
+      stats: userStats.delete(userId),
+      achievements: userAchievements.get(userId)?.size || 0,
+    };
+    userAchievements.delete(userId);
+    return removed;
+  }
+
+  return {
+    getStats,
+    recordActivity,
+    getAchievements,
+    mergeUser,
+    checkAchievements,
+    restoreUser,
+    removeUser,
+  };
+}
+
+module.exports = {
+  createStatsRepository,
+};
@@ -0,0 +1,301 @@
+const { segmentWords } = require('./wordSegmentation');
+const { convertScript } = require('./chineseScript');
+const { mediaKeyFromUrl, parseDataUrl } = require('./mediaStore');
+const { isWordList, normalizeTags } = require('./recordRepository');
+const { normalizeCollectionName } = require('./collectionRepository');
+
+// ============== EXPORT & IMPORT FORMATS ==============
+// JSON archive (GET /api/export, POST /api/import), vocabulary CSV and an Anki deck.
+// The deck is Anki's tab-separated import format (File > Import, Anki 2.1.55+ reads the
+// #-headers). Its audio fields are [sound:<file>] references only: Anki plays them once
+// the files are in its collection.media folder, so the export ships them next to the deck.
+
+const ARCHIVE_FORMAT = 'learn-cantonese-archive';
+const ARCHIVE_VERSION = 1;
+const MAX_ARCHIVE_RECORDS = 1000;
+const ANKI_DECK_NAME = 'Learn Cantonese';
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status 400
+ */
+function archiveError(message) {
+  const error = new Error(`Invalid archive: ${message}`);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Build the JSON archive of a user's data
+ * @param {object} data - { user, profile, collections, records, stats, achievements }
+ * @returns {object} - Archive
+ */
+function buildArchive({ user, profile, collections, records, stats, achievements }) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    user: { userId: user.userId, username: user.username || null },
+    profile: {
+      cantoneseLevel: profile.cantoneseLevel,
+      preferences: profile.preferences || {},
+    },
+    collections: collections.map(({ id, name, createdAt }) => ({ id, name, createdAt })),
+    records: records.map(record => ({
+      id: record.id,
+      timestamp: record.timestamp,
+      mandarin: record.mandarin,
+      cantonese: record.cantonese,
+      cantoneseWords: record.cantoneseWords,
+      audioUrl: record.audioUrl || null,
+      imageUrl: record.imageUrl || null,
+      collectionId: record.collectionId || null,
+      tags: record.tags || [],
+      favorite: record.favorite === true,
+    })),
+    stats: {
+      totalStories: stats.totalStories,
+      practiceCount: stats.practiceCount,
+      bestScore: stats.bestScore,
+      totalScore: stats.totalScore,
+      totalStudyTime: stats.totalStudyTime,
+    },
+    achievements: achievements
+      .filter(achievement => achievement.unlocked)
+      .map(({ id, unlockedAt }) => ({ id, unlockedAt })),
+  };
+}
+
+/**
+ * Check that an archived audio or image link is one this app writes: a data: URL, a
+ * relative /media/:key link or a /media/:key link under this server's media base URL.
+ * Links to other hosts are refused, so an archive cannot plant them in a user's records
+ * @param {string} value - Link from the archive
+ * @param {string|null} mediaBaseUrl - Base of this server's media links (no trailing slash)
+ * @returns {boolean} - Whether the link may be imported
+ */
+function isMediaLink(value, mediaBaseUrl) {
+  if (parseDataUrl(value)) return true;
+
+  const path = value.startsWith('/media/') ? value
+    : mediaBaseUrl && value.startsWith(`${mediaBaseUrl}/media/`) ? value.slice(mediaBaseUrl.length)
+      : null;
+  return path !== null && path === `/media/${mediaKeyFromUrl(path)}`;
+}
+
+/**
+ * Check an uploaded archive and normalize it for import
+ * Profile values are checked by the caller, which owns the level and preference rules
+ * @param {any} archive - Parsed JSON
+ * @param {object} options - { mediaBaseUrl } (absolute media links must start with it)
+ * @returns {object} - { profile, collections, records, stats, achievements }
+ */
+function parseArchive(archive, { mediaBaseUrl = null } = {}) {
+  if (typeof archive !== 'object' || archive === null || Array.isArray(archive)) {
+    throw archiveError('expected a JSON object');
+  }
+  if (archive.format !== ARCHIVE_FORMAT) {
+    throw archiveError(`format must be "${ARCHIVE_FORMAT}"`);
+  }
+  if (archive.version !== ARCHIVE_VERSION) {
+    throw archiveError(`unsupported version ${archive.version} (expected ${ARCHIVE_VERSION})`);
+  }
+
+  const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+  const optionalArray = (value, name) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) throw archiveError(`${name} must be an array`);
+    return value;
+  };
+  const optionalString = (value, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') throw archiveError(`${name} must be a string`);
+    return value;
+  };
+  const optionalMediaLink = (value, name) => {
+    const link = optionalString(value, name);
+    if (link !== null && !isMediaLink(link, mediaBaseUrl)) {
+      throw archiveError(`${name} must be a data: URL or a /media/ link of this server`);
+    }
+    return link;
+  };
+
+  const records = optionalArray(archive.records, 'records');
+  if (records.length > MAX_ARCHIVE_RECORDS) {
+    throw archiveError(`too many records (max ${MAX_ARCHIVE_RECORDS})`);
+  }
+
+  const collections = optionalArray(archive.collections, 'collections').map((collection, index) => {
+    if (!isObject(collection) || typeof collection.id !== 'string' || typeof collection.name !== 'string') {
+      throw archiveError(`collections[${index}] needs an id and a name`);
+    }
+    // Checked here so a bad name fails the import before any collection is created
+    try {
+      return { id: collection.id, name: normalizeCollectionName(collection.name) };
+    } catch (error) {
+      throw archiveError(`collections[${index}]: ${error.message}`);
+    }
+  });
+
+  return {
+    profile: isObject(archive.profile) ? archive.profile : null,
+    collections,
+    records: records.map((record, index) => {
+      const name = `records[${index}]`;
+      if (!isObject(record)) throw archiveError(`${name} must be an object`);
+      if (typeof record.mandarin !== 'string' || !record.mandarin
+        || typeof record.cantonese !== 'string' || !record.cantonese) {
+        throw archiveError(`${name} needs mandarin and cantonese text`);
+      }
+      if (typeof record.timestamp !== 'string' || Number.isNaN(Date.parse(record.timestamp))) {
+        throw archiveError(`${name}.timestamp must be an ISO 8601 date-time`);
+      }
+      const cantoneseWords = optionalArray(record.cantoneseWords, `${name}.cantoneseWords`);
+      if (!isWordList(cantoneseWords)) {
+        throw archiveError(`${name}.cantoneseWords must contain objects`);
+      }
+      if (record.favorite !== undefined && typeof record.favorite !== 'boolean') {
+        throw archiveError(`${name}.favorite must be true or false`);
+      }
+      let tags;
+      try {
+        tags = normalizeTags(record.tags === undefined ? [] : record.tags);
+      } catch (error) {
+        throw archiveError(`${name}: ${error.message}`);
+      }
+
+      return {
+        timestamp: new Date(record.timestamp).toISOString(),
+        mandarin: record.mandarin,
+        cantonese: record.cantonese,
+        cantoneseWords,
+        audioUrl: optionalMediaLink(record.audioUrl, `${name}.audioUrl`),
+        imageUrl: optionalMediaLink(record.imageUrl, `${name}.imageUrl`),
+        collectionId: optionalString(record.collectionId, `${name}.collectionId`),
+        tags,
+        favorite: record.favorite === true,
+      };
+    }),
+    stats: isObject(archive.stats) ? archive.stats : {},
+    achievements: optionalArray(archive.achievements, 'achievements').filter(isObject),
+  };
+}
+
+/**
+ * Quote a CSV cell (RFC 4180); cells that spreadsheets would run as formulas get a leading '
+ * @param {any} value - Cell value
+ * @returns {string} - CSV cell
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV of the words in the user's stories, most frequent first
+ * @param {Array} records - Learning records, newest first
+ * @returns {string} - CSV with a UTF-8 BOM (so spreadsheet apps detect the encoding)
+ */
+function buildVocabularyCsv(records) {
+  const words = new Map(); // Simplified spelling -> entry
+
+  // Oldest story first, so firstSeen and example come from where the word was met first
+  for (const record of [...records].reverse()) {
+    for (const token of segmentWords(record.cantoneseWords)) {
+      if (token.pos === 'punctuation' || !token.text.trim()) continue;
+
+      const key = convertScript(token.text, 'simplified');
+      if (!words.has(key)) {
+        words.set(key, {
+          word: token.text,
+          jyutping: token.jyutping,
+          mandarin: token.mandarin,
+          english: token.english,
+          count: 0,
+          firstSeen: record.timestamp,
+          example: record.cantonese,
+        });
+      }
+      words.get(key).count++;
+    }
+  }
+
+  const columns = ['word', 'jyutping', 'mandarin', 'english', 'count', 'firstSeen', 'example'];
+  const rows = [...words.values()]
+    .sort((a, b) => b.count - a.count || a.firstSeen.localeCompare(b.firstSeen))
+    .map(entry => columns.map(column => csvCell(entry[column])).join(','));
+
+  return `\uFEFF${[columns.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+/**
+ * Escape a value for an HTML field of an Anki text import
+ * @param {string} value - Field text
+ * @returns {string} - Single-line HTML
+ */
+function ankiField(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\t/g, ' ')
+    .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Write a story's reading as spaced Jyutping, keeping punctuation in place
+ * @param {Array<{char: string, pinyin: string}>} cantoneseWords - Characters with readings
+ * @returns {string} - e.g. 'maa4 maa1 heoi3 gaai1 si5 maai5 sung3。'
+ */
+function storyJyutping(cantoneseWords) {
+  let text = '';
+  for (const word of cantoneseWords || []) {
+    const reading = String(word?.pinyin || '').trim();
+    if (reading) text += `${text ? ' ' : ''}${reading}`;
+    else text += String(word?.char || '');
+  }
+  return text;
+}
+
+/**
+ * Build an Anki deck with one note per story: Cantonese, Jyutping, Mandarin, audio and tags
+ * @param {Array} records - Learning records
+ * @param {object} options - { deckName, audioKeys }
+ *   audioKeys: Map of record ID -> audio file name shipped with the deck; by default the
+ *   media key of a /media/:key audioUrl
+ * @returns {string} - Deck in Anki's text import format
+ */
+function buildAnkiDeck(records, { deckName = ANKI_DECK_NAME, audioKeys = null } = {}) {
+  const lines = [
+    '#separator:tab',
+    '#html:true',
+    `#deck:${deckName}`,
+    '#columns:Cantonese\tJyutping\tMandarin\tAudio\tTags',
+    '#tags column:5',
+  ];
+
+  for (const record of records) {
+    const audioKey = audioKeys ? audioKeys.get(record.id) : mediaKeyFromUrl(record.audioUrl);
+
+    lines.push([
+      ankiField(record.cantonese),
+      ankiField(storyJyutping(record.cantoneseWords)),
+      ankiField(record.mandarin),
+      audioKey ? `[sound:${audioKey}]` : '',
+      (record.tags || []).map(tag => tag.replace(/\s+/g, '_')).join(' '),
+    ].join('\t'));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  buildArchive,
+  parseArchive,
+  buildVocabularyCsv,
+  buildAnkiDeck,
+};
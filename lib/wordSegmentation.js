@@ -0,0 +1,138 @@
+const LEXICON_ENTRIES = require('../data/cantonese-lexicon.json');
+const { lookupText } = require('./cantoneseDictionary');
+const { convertScript } = require('./chineseScript');
+
+// ============== WORD SEGMENTATION & GLOSSARY ==============
+// Forward maximum matching against a hand-curated lexicon of everyday written Cantonese
+// (data/cantonese-lexicon.json, Traditional HK spelling). Entries are indexed by their
+// Simplified form so stories in either script match. Characters the lexicon does not know
+// become single-character tokens without a gloss.
+
+const HAN_CHAR = /\p{Script=Han}/u;
+
+let lexicon = null;
+let maxWordLength = 1;
+
+/**
+ * Build the lexicon index on first use
+ * @returns {Map<string, object>} - Simplified word -> lexicon entry
+ */
+function getLexicon() {
+  if (!lexicon) {
+    lexicon = new Map();
+    for (const entry of LEXICON_ENTRIES) {
+      const key = convertScript(entry.word, 'simplified');
+      if (lexicon.has(key)) continue; // first spelling wins
+      lexicon.set(key, entry);
+      maxWordLength = Math.max(maxWordLength, Array.from(key).length);
+    }
+  }
+  return lexicon;
+}
+
+/**
+ * Look up a word in the lexicon
+ * @param {string} text - Word in Traditional or Simplified characters
+ * @returns {{word: string, jyutping: string, mandarin: string, english: string, pos: string}|null} - Lexicon entry (Traditional spelling, Simplified Mandarin)
+ */
+function lookupWord(text) {
+  if (!text) return null;
+  return getLexicon().get(convertScript(String(text), 'simplified')) || null;
+}
+
+/**
+ * Split cantoneseWords into word-level tokens
+ * Each token spans cantoneseWords[start, end), so the frontend can map a tap on any
+ * character back to its word. Readings come from the story itself and fall back to the
+ * lexicon, then to the character dictionary.
+ * @param {Array<{char: string, pinyin: string}>} cantoneseWords - Per-character readings
+ * @returns {Array<{text: string, start: number, end: number, jyutping: string|null, mandarin: string|null, english: string|null, pos: string|null, inLexicon: boolean}>} - Tokens in reading order
+ */
+function segmentWords(cantoneseWords) {
+  if (!Array.isArray(cantoneseWords) || cantoneseWords.length === 0) return [];
+
+  const index = getLexicon();
+  const units = cantoneseWords.map(word => {
+    const text = String(word?.char || '');
+    return {
+      text,
+      key: convertScript(text, 'simplified'),
+      pinyin: String(word?.pinyin || '').trim(),
+      isHan: HAN_CHAR.test(text),
+    };
+  });
+
+  const tokens = [];
+  let start = 0;
+
+  while (start < units.length) {
+    const unit = units[start];
+
+    if (!unit.isHan) {
+      tokens.push({
+        text: unit.text,
+        start,
+        end: start + 1,
+        jyutping: null,
+        mandarin: null,
+        english: null,
+        pos: 'punctuation',
+        inLexicon: false,
+      });
+      start++;
+      continue;
+    }
+
+    // Longest run of units starting here that spells a lexicon word
+    let end = start + 1;
+    let entry = index.get(unit.key) || null;
+    let key = unit.key;
+    for (let next = start + 1; next < units.length && units[next].isHan; next++) {
+      key += units[next].key;
+      if (Array.from(key).length > maxWordLength) break;
+      if (index.has(key)) {
+        end = next + 1;
+        entry = index.get(key);
+      }
+    }
+
+    const span = units.slice(start, end);
+    const text = span.map(item => item.text).join('');
+    const readings = span.map(item => item.pinyin);
+    let jyutping = readings.every(Boolean) ? readings.join(' ') : null;
+    if (!jyutping && entry) jyutping = entry.jyutping;
+    if (!jyutping) {
+      const fallback = lookupText(text).map(item => item.jyutping);
+      jyutping = fallback.every(Boolean) ? fallback.join(' ') : null;
+    }
+
+    tokens.push({
+      text,
+      start,
+      end,
+      jyutping,
+      mandarin: entry ? entry.mandarin : null,
+      english: entry ? entry.english : null,
+      pos: entry ? entry.pos : null,
+      inLexicon: Boolean(entry),
+    });
+    start = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Segment plain Cantonese text (no per-character readings)
+ * @param {string} text - Cantonese text
+ * @returns {Array<object>} - Tokens as returned by segmentWords, indexed by character
+ */
+function segmentText(text) {
+  return segmentWords(Array.from(String(text || '')).map(char => ({ char, pinyin: '' })));
+}
+
+module.exports = {
+  lookupWord,
+  segmentWords,
+  segmentText,
+};
@@ -0,0 +1,103 @@
+// ============== ZIP ARCHIVES ==============
+// Just enough of the ZIP format to bundle an export with its media files. Entries are
+// stored without compression: MP3 and JPEG data would not shrink, and the text parts are
+// small. No ZIP64, so an archive must stay under 4 GB and 65535 entries.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * Compute the CRC-32 (IEEE) checksum ZIP entries carry
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Unsigned checksum
+ */
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Encode a date as MS-DOS date and time fields
+ * @param {Date} date - Local time
+ * @returns {{time: number, date: number}} - DOS time and date
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: Buffer|string}>} entries - Files, with '/'-separated paths
+ * @param {object} options - { modifiedAt }
+ * @returns {Buffer} - ZIP file
+ */
+function buildZip(entries, { modifiedAt = new Date() } = {}) {
+  const { time, date } = dosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034B50, 0); // Local file header signature
+    local.writeUInt16LE(20, 4); // Version needed (2.0)
+    local.writeUInt16LE(0x0800, 6); // Flags: names are UTF-8
+    local.writeUInt16LE(0, 8); // Method: stored
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18); // Compressed size
+    local.writeUInt32LE(data.length, 22); // Uncompressed size
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // Extra field length
+    localParts.push(local, name, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0); // Central directory header signature
+    central.writeUInt16LE(20, 4); // Version made by
+    central.writeUInt16LE(20, 6); // Version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    // Extra, comment length, disk number, internal and external attributes stay 0
+    central.writeUInt32LE(offset, 42); // Offset of the local header
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0); // End of central directory signature
+  end.writeUInt16LE(entries.length, 8); // Entries on this disk
+  end.writeUInt16LE(entries.length, 10); // Entries in total
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16); // Offset of the central directory
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+module.exports = {
+  crc32,
+  buildZip,
+};
@@ -0,0 +1,59 @@
+-- Initial schema: user profiles, learning records, shares, statistics and achievements
+
+-- User profiles table
+CREATE TABLE IF NOT EXISTS user_profiles (
+  user_id VARCHAR(255) PRIMARY KEY,
+  cantonese_level VARCHAR(50) DEFAULT 'beginner',
+  preferences JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Learning records table
+CREATE TABLE IF NOT EXISTS learning_records (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id VARCHAR(255) NOT NULL,
+  mandarin TEXT NOT NULL,
+  cantonese TEXT NOT NULL,
+  cantonese_words JSONB,
+  audio_url TEXT,
+  image_url TEXT,
+  timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_learning_records_user_timestamp
+  ON learning_records (user_id, timestamp DESC);
+
+-- Share records table
+CREATE TABLE IF NOT EXISTS share_records (
+  share_id VARCHAR(20) PRIMARY KEY,
+  mandarin TEXT NOT NULL,
+  cantonese TEXT NOT NULL,
+  cantonese_words JSONB,
+  image_url TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL
+);
+
+-- User statistics table
+CREATE TABLE IF NOT EXISTS user_statistics (
+  user_id VARCHAR(255) PRIMARY KEY,
+  total_stories INTEGER DEFAULT 0,
+  practice_count INTEGER DEFAULT 0,
+  best_score INTEGER DEFAULT 0,
+  total_score INTEGER DEFAULT 0,
+  total_study_time INTEGER DEFAULT 0,
+  last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User achievements table
+CREATE TABLE IF NOT EXISTS user_achievements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id VARCHAR(255) NOT NULL,
+  achievement_id VARCHAR(50) NOT NULL,
+  unlocked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, achievement_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_achievements_user
+  ON user_achievements (user_id);
@@ -0,0 +1,6 @@
+-- Share pages play the story audio
+ALTER TABLE share_records ADD COLUMN IF NOT EXISTS audio_url TEXT;
+
+-- Periodic purge deletes by expiry
+CREATE INDEX IF NOT EXISTS idx_share_records_expires_at
+  ON share_records (expires_at);
@@ -0,0 +1,32 @@
+-- Registered accounts; user_id is the key referenced by all user_id columns
+CREATE TABLE IF NOT EXISTS user_accounts (
+  user_id VARCHAR(255) PRIMARY KEY,
+  username VARCHAR(64) NOT NULL,
+  password_hash TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_accounts_username_lower
+  ON user_accounts (LOWER(username));
+
+-- Opaque session tokens (only the SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS user_sessions (
+  token_hash VARCHAR(64) PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES user_accounts (user_id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user
+  ON user_sessions (user_id);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at
+  ON user_sessions (expires_at);
+
+-- Legacy device IDs whose history has been attached to an account
+CREATE TABLE IF NOT EXISTS device_links (
+  device_id VARCHAR(255) PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES user_accounts (user_id) ON DELETE CASCADE,
+  linked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,22 @@
+-- Spaced-repetition deck: characters and phrases pulled from saved learning records
+CREATE TABLE IF NOT EXISTS review_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id VARCHAR(255) NOT NULL,
+  text VARCHAR(64) NOT NULL,
+  jyutping VARCHAR(255) NOT NULL,
+  kind VARCHAR(16) NOT NULL,
+  context TEXT,
+  source_record_id VARCHAR(255),
+  ease_factor REAL NOT NULL DEFAULT 2.5,
+  interval_days INTEGER NOT NULL DEFAULT 0,
+  repetitions INTEGER NOT NULL DEFAULT 0,
+  lapses INTEGER NOT NULL DEFAULT 0,
+  due_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, text)
+);
+
+-- GET /api/review/due reads a user's items in due order
+CREATE INDEX IF NOT EXISTS idx_review_items_user_due
+  ON review_items (user_id, due_at);
@@ -0,0 +1,14 @@
+-- Shared tier of the AI result cache (generated stories, synthesized speech)
+-- Keys are SHA-256 hashes of the inputs; values are JSON with Buffers stored as base64
+CREATE TABLE IF NOT EXISTS cache_entries (
+  namespace VARCHAR(32) NOT NULL,
+  key CHAR(64) NOT NULL,
+  value JSONB NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (namespace, key)
+);
+
+-- Maintenance purges expired entries
+CREATE INDEX IF NOT EXISTS idx_cache_entries_expires_at
+  ON cache_entries (expires_at);
@@ -0,0 +1,27 @@
+-- Queued story generation (POST /api/jobs); workers claim rows with FOR UPDATE SKIP LOCKED
+-- The photo itself is kept in the media store under params->>'imageKey'
+CREATE TABLE IF NOT EXISTS generation_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id VARCHAR(255),
+  status VARCHAR(16) NOT NULL DEFAULT 'queued',
+  stage VARCHAR(16),
+  params JSONB NOT NULL,
+  result JSONB,
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+-- Workers look for the oldest runnable queued job
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_queued
+  ON generation_jobs (run_after, created_at)
+  WHERE status = 'queued';
+
+-- Maintenance purges finished jobs
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_finished_at
+  ON generation_jobs (finished_at);
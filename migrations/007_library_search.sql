@@ -0,0 +1,25 @@
+-- Library search (GET /api/library/search): substring search on the story text and
+-- Jyutping lookup, both served by trigram GIN indexes
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Space-separated Jyutping of cantonese_words in reading order, '-' for characters without
+-- a reading (punctuation), e.g. 'baa4 baa1 hai2 cyu4 fong2 zyu2 faan6 -'
+-- Written by the application on save; backfilled here for existing records
+ALTER TABLE learning_records ADD COLUMN IF NOT EXISTS jyutping TEXT NOT NULL DEFAULT '';
+
+UPDATE learning_records
+SET jyutping = COALESCE((
+  SELECT string_agg(COALESCE(NULLIF(lower(trim(word->>'pinyin')), ''), '-'), ' ' ORDER BY position)
+  FROM jsonb_array_elements(
+    CASE WHEN jsonb_typeof(cantonese_words) = 'array' THEN cantonese_words ELSE '[]'::jsonb END
+  ) WITH ORDINALITY AS words(word, position)
+), '');
+
+CREATE INDEX IF NOT EXISTS idx_learning_records_mandarin_trgm
+  ON learning_records USING GIN (mandarin gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_learning_records_cantonese_trgm
+  ON learning_records USING GIN (cantonese gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_learning_records_jyutping_trgm
+  ON learning_records USING GIN (jyutping gin_trgm_ops);
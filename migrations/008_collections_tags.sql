@@ -0,0 +1,27 @@
+-- User-defined collections of saved stories, plus free-form tags and a favorite flag on records
+
+CREATE TABLE IF NOT EXISTS collections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id VARCHAR(255) NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, name)
+);
+
+-- A record sits in at most one collection; deleting the collection keeps its records
+ALTER TABLE learning_records
+  ADD COLUMN IF NOT EXISTS collection_id UUID REFERENCES collections(id) ON DELETE SET NULL;
+ALTER TABLE learning_records ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE learning_records ADD COLUMN IF NOT EXISTS favorite BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_learning_records_collection
+  ON learning_records (collection_id)
+  WHERE collection_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_learning_records_tags
+  ON learning_records USING GIN (tags);
+
+CREATE INDEX IF NOT EXISTS idx_learning_records_favorite
+  ON learning_records (user_id, timestamp DESC)
+  WHERE favorite;
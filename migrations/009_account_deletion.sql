@@ -0,0 +1,27 @@
+-- Account deletion (DELETE /api/user): a grace period before erasure, share ownership and an audit trail
+
+-- Set while a deletion is pending; maintenance erases the account once it has passed
+ALTER TABLE user_accounts ADD COLUMN IF NOT EXISTS deletion_scheduled_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_user_accounts_deletion_scheduled_at
+  ON user_accounts (deletion_scheduled_at)
+  WHERE deletion_scheduled_at IS NOT NULL;
+
+-- Shares created while signed in are erased with the account (older shares have no owner)
+ALTER TABLE share_records ADD COLUMN IF NOT EXISTS user_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_share_records_user
+  ON share_records (user_id)
+  WHERE user_id IS NOT NULL;
+
+-- Who asked for what and when; outlives the account, so it holds only the opaque user ID and counts
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  action VARCHAR(64) NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_user
+  ON audit_log (user_id, created_at);
@@ -0,0 +1,46 @@
+-- Media keys as indexed columns, so erasing an account can check whether anything else still
+-- links to a file (removeUnreferencedMedia) by equality instead of scanning every URL
+
+-- The key of a /media/:key link (MEDIA_URL_PATTERN in lib/mediaStore.js), NULL for other URLs
+ALTER TABLE learning_records
+  ADD COLUMN IF NOT EXISTS audio_key TEXT GENERATED ALWAYS AS (substring(audio_url from '/media/([^/?#]+)$')) STORED,
+  ADD COLUMN IF NOT EXISTS image_key TEXT GENERATED ALWAYS AS (substring(image_url from '/media/([^/?#]+)$')) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_learning_records_audio_key
+  ON learning_records (audio_key)
+  WHERE audio_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_learning_records_image_key
+  ON learning_records (image_key)
+  WHERE image_key IS NOT NULL;
+
+ALTER TABLE share_records
+  ADD COLUMN IF NOT EXISTS audio_key TEXT GENERATED ALWAYS AS (substring(audio_url from '/media/([^/?#]+)$')) STORED,
+  ADD COLUMN IF NOT EXISTS image_key TEXT GENERATED ALWAYS AS (substring(image_url from '/media/([^/?#]+)$')) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_share_records_audio_key
+  ON share_records (audio_key)
+  WHERE audio_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_share_records_image_key
+  ON share_records (image_key)
+  WHERE image_key IS NOT NULL;
+
+-- A job needs its photo (params->>'imageKey') and every /media/:key link in its result
+-- Written by the queue on enqueue and when the result is stored; backfilled here for existing jobs
+ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS media_keys TEXT[] NOT NULL DEFAULT '{}';
+
+UPDATE generation_jobs
+SET media_keys = ARRAY(
+  SELECT DISTINCT media.key
+  FROM (
+    SELECT params->>'imageKey' AS key
+    UNION ALL
+    SELECT substring(link #>> '{}' from '/media/([^/?#]+)$')
+    FROM jsonb_path_query(COALESCE(result, 'null'::jsonb), 'strict $.** ? (@.type() == "string")') AS link
+  ) AS media
+  WHERE media.key IS NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_media_keys
+  ON generation_jobs USING GIN (media_keys);
@@ -0,0 +1,167 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const OpenAI = require('openai');
+
+// ============== DEEPINFRA PROVIDERS (Vision LLM, Text LLM, Whisper ASR) ==============
+
+const DEEPINFRA_OPENAI_URL = 'https://api.deepinfra.com/v1/openai';
+const DEEPINFRA_INFERENCE_URL = 'https://api.deepinfra.com/v1/inference';
+
+const DEFAULT_VISION_MODEL = 'Qwen/Qwen2.5-VL-32B-Instruct';
+const DEFAULT_TEXT_MODEL = 'Qwen/Qwen2.5-VL-32B-Instruct';
+const DEFAULT_ASR_MODEL = 'openai/whisper-large-v3';
+
+/**
+ * Create a lazy OpenAI-compatible client for DeepInfra
+ * The client is built on first use, so a missing key only fails the request, not startup
+ * @param {string} apiKey - DeepInfra API key
+ * @returns {Function} - () => OpenAI client
+ */
+function createClient(apiKey) {
+  let client = null;
+  return () => {
+    if (!client) {
+      client = new OpenAI({
+        apiKey,
+        baseURL: DEEPINFRA_OPENAI_URL,
+      });
+    }
+    return client;
+  };
+}
+
+/**
+ * Create the DeepInfra vision-LLM provider
+ * @param {object} options - { apiKey, model }
+ * @returns {object} - Provider with describeImage()
+ */
+function createDeepInfraVisionProvider({ apiKey, model = DEFAULT_VISION_MODEL } = {}) {
+  const getClient = createClient(apiKey);
+
+  return {
+    name: 'deepinfra',
+    label: `DeepInfra Vision (${model})`,
+
+    /**
+     * Ask the model about an image
+     * @param {object} request - { image: Buffer, mimeType, prompt, maxTokens, temperature }
+     * @returns {Promise<string>} - Model reply (empty string if none)
+     */
+    async describeImage({ image, mimeType = 'image/jpeg', prompt, maxTokens = 300, temperature = 0.3 }) {
+      const response = await getClient().chat.completions.create({
+        model,
+        messages: [
+          {
+            role: 'user',
+            content: [
+              {
+                type: 'image_url',
+                image_url: {
+                  url: `data:${mimeType};base64,${image.toString('base64')}`,
+                },
+              },
+              {
+                type: 'text',
+                text: prompt,
+              },
+            ],
+          },
+        ],
+        max_tokens: maxTokens,
+        temperature,
+      });
+
+      return response.choices[0]?.message?.content?.trim() || '';
+    },
+  };
+}
+
+/**
+ * Create the DeepInfra text-LLM provider
+ * @param {object} options - { apiKey, model }
+ * @returns {object} - Provider with complete()
+ */
+function createDeepInfraTextProvider({ apiKey, model = DEFAULT_TEXT_MODEL } = {}) {
+  const getClient = createClient(apiKey);
+
+  return {
+    name: 'deepinfra',
+    label: `DeepInfra Text (${model})`,
+
+    /**
+     * Complete a text prompt
+     * @param {object} request - { prompt, maxTokens, temperature }
+     * @returns {Promise<string>} - Model reply (empty string if none)
+     */
+    async complete({ prompt, maxTokens = 500, temperature = 0.3 }) {
+      const response = await getClient().chat.completions.create({
+        model,
+        messages: [
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        max_tokens: maxTokens,
+        temperature,
+      });
+
+      return response.choices[0]?.message?.content?.trim() || '';
+    },
+  };
+}
+
+/**
+ * Create the DeepInfra Whisper ASR provider
+ * @param {object} options - { apiKey, model, timeoutMs }
+ * @returns {object} - Provider with transcribe()
+ */
+function createDeepInfraAsrProvider({ apiKey, model = DEFAULT_ASR_MODEL, timeoutMs = 60000 } = {}) {
+  return {
+    name: 'deepinfra',
+    label: `DeepInfra Whisper (${model})`,
+
+    /**
+     * Transcribe speech
+     * @param {Buffer} audioBuffer - Audio file buffer
+     * @returns {Promise<{text: string, confidence: number}>} - Transcript and confidence (0-1)
+     */
+    async transcribe(audioBuffer) {
+      const form = new FormData();
+      form.append('audio', audioBuffer, {
+        filename: 'audio.mp3',
+        contentType: 'audio/mp3',
+      });
+
+      // The model is part of the URL; /v1/openai/whisper returns 404
+      const response = await axios.post(`${DEEPINFRA_INFERENCE_URL}/${model}`, form, {
+        headers: {
+          ...form.getHeaders(),
+          'Authorization': `Bearer ${apiKey}`,
+        },
+        timeout: timeoutMs,
+      });
+
+      const text = response.data.text?.trim() || '';
+
+      // Calculate average confidence from segments if available
+      let confidence = 0.95; // Default high confidence
+      if (response.data.segments && response.data.segments.length > 0) {
+        const avgProbability = response.data.segments.reduce(
+          (sum, seg) => sum + (seg.avg_logprob || 0),
+          0
+        ) / response.data.segments.length;
+        // Convert logprob to confidence (rough approximation)
+        confidence = Math.max(0.5, Math.min(1.0, (avgProbability + 2) / 4));
+      }
+
+      return { text, confidence };
+    },
+  };
+}
+
+module.exports = {
+  createDeepInfraVisionProvider,
+  createDeepInfraTextProvider,
+  createDeepInfraAsrProvider,
+};
@@ -0,0 +1,90 @@
+const {
+  createDeepInfraVisionProvider,
+  createDeepInfraTextProvider,
+  createDeepInfraAsrProvider,
+} = require('./deepinfra');
+const { createTencentTtsProvider } = require('./tencent');
+const {
+  createMockVisionProvider,
+  createMockTextProvider,
+  createMockAsrProvider,
+  createMockTtsProvider,
+} = require('./mock');
+
+// ============== AI PROVIDER REGISTRY ==============
+// Each kind of provider has one interface:
+//   vision.describeImage({ image, mimeType, prompt, maxTokens, temperature }) -> Promise<string>
+//   text.complete({ prompt, maxTokens, temperature })                         -> Promise<string>
+//   asr.transcribe(audioBuffer)                                               -> Promise<{ text, confidence }>
+//   tts.synthesize({ text, voice: 'female' | 'male', speed })                 -> Promise<Buffer> (MP3)
+//   tts.synthesizeWithTimings({ text, voice, speed }) (optional)              -> Promise<{ audio, subtitles }>
+
+const FACTORIES = {
+  vision: {
+    deepinfra: env => createDeepInfraVisionProvider({
+      apiKey: env.DEEPINFRA_API_KEY,
+      model: env.DEEPINFRA_VISION_MODEL || undefined,
+    }),
+    mock: () => createMockVisionProvider(),
+  },
+  text: {
+    deepinfra: env => createDeepInfraTextProvider({
+      apiKey: env.DEEPINFRA_API_KEY,
+      model: env.DEEPINFRA_TEXT_MODEL || undefined,
+    }),
+    mock: () => createMockTextProvider(),
+  },
+  asr: {
+    deepinfra: env => createDeepInfraAsrProvider({
+      apiKey: env.DEEPINFRA_API_KEY,
+      model: env.DEEPINFRA_ASR_MODEL || undefined,
+      timeoutMs: Number(env.API_TIMEOUT_MS) || undefined,
+    }),
+    mock: () => createMockAsrProvider(),
+  },
+  tts: {
+    tencent: env => createTencentTtsProvider({
+      secretId: env.TENCENT_SECRET_ID,
+      secretKey: env.TENCENT_SECRET_KEY,
+      region: env.TENCENT_TTS_REGION || undefined,
+    }),
+    mock: () => createMockTtsProvider(),
+  },
+};
+
+const DEFAULT_PROVIDERS = {
+  vision: 'deepinfra',
+  text: 'deepinfra',
+  asr: 'deepinfra',
+  tts: 'tencent',
+};
+
+/**
+ * Create the AI providers selected by configuration
+ * AI_PROVIDER=mock switches every kind to the offline mock; VISION_PROVIDER,
+ * TEXT_PROVIDER, ASR_PROVIDER and TTS_PROVIDER override single kinds
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {{vision: object, text: object, asr: object, tts: object}} - Providers
+ */
+function createProviders(env = process.env) {
+  const providers = {};
+
+  for (const kind of Object.keys(FACTORIES)) {
+    const fallback = env.AI_PROVIDER === 'mock' ? 'mock' : DEFAULT_PROVIDERS[kind];
+    const name = (env[`${kind.toUpperCase()}_PROVIDER`] || fallback).toLowerCase();
+    const factory = FACTORIES[kind][name];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown ${kind} provider "${name}". Available: ${Object.keys(FACTORIES[kind]).join(', ')}`
+      );
+    }
+    providers[kind] = factory(env);
+  }
+
+  return providers;
+}
+
+module.exports = {
+  createProviders,
+};
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { lookupText } = require('../lib/cantoneseDictionary');
+
+// ============== MOCK PROVIDERS (offline, deterministic) ==============
+// Used for tests and local development without API keys or network access.
+// The same input always produces the same output.
+
+// Canned scenes: the vision mock picks one per image, the text mock translates it
+const MOCK_SCENES = [
+  {
+    mandarin: '桌子上放着一杯奶茶。我们在街边喝奶茶，真的很好喝。',
+    cantonese: '枱(toi2)面(min6)有(jau5)杯(bui1)奶(naai5)茶(caa4)。我(ngo5)哋(dei6)喺(hai2)街(gaai1)边(bin1)饮(jam2)奶(naai5)茶(caa4)，真(zan1)系(hai6)好(hou2)正(zeng3)。',
+  },
+  {
+    mandarin: '公园里有一只小狗在跑。今天天气很好。',
+    cantonese: '公(gung1)园(jyun2)入(jap6)面(min6)有(jau5)只(zek3)细(sai3)狗(gau2)喺(hai2)度(dou6)跑(paau2)。今(gam1)日(jat6)天(tin1)气(hei3)好(hou2)好(hou2)。',
+  },
+  {
+    mandarin: '爸爸在厨房做饭。饭很香。',
+    cantonese: '爸(baa4)爸(baa1)喺(hai2)厨(cyu4)房(fong2)煮(zyu2)饭(faan6)。啲(di1)饭(faan6)好(hou2)香(hoeng1)。',
+  },
+];
+
+// Transcript for audio that was not produced by the mock TTS
+const MOCK_DEFAULT_TRANSCRIPT = '我哋去饮茶';
+
+// ============== MOCK AUDIO ==============
+// A real (silent) MP3 with the spoken text stored in an ID3v2.4 TXXX frame, so the
+// mock ASR can "recognize" exactly what the mock TTS "said".
+
+const TRANSCRIPT_FRAME_DESCRIPTION = 'mock-transcript';
+
+// MPEG-1 Layer III, 32 kbps, 44.1 kHz, mono: 104 bytes and 1152 samples (~26 ms) per frame
+const SILENT_FRAME = (() => {
+  const frame = Buffer.alloc(104);
+  frame.set([0xff, 0xfb, 0x10, 0xc0]);
+  return frame;
+})();
+const FRAMES_PER_CHARACTER = 10; // ~0.26 s of audio per character
+const FRAME_DURATION_MS = (1152 / 44100) * 1000;
+
+/**
+ * Encode a number as a 4-byte ID3v2 synchsafe integer
+ * @param {number} value - Value below 2^28
+ * @returns {Buffer} - Encoded bytes
+ */
+function synchsafe(value) {
+  return Buffer.from([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+}
+
+/**
+ * Decode a 4-byte ID3v2 synchsafe integer
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Byte offset
+ * @returns {number} - Decoded value
+ */
+function readSynchsafe(buffer, offset) {
+  return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+}
+
+/**
+ * Build a silent MP3 that carries its transcript
+ * @param {string} text - Text the audio "contains"
+ * @returns {Buffer} - MP3 file
+ */
+function encodeMockAudio(text) {
+  const body = Buffer.concat([
+    Buffer.from([0x03]), // UTF-8
+    Buffer.from(`${TRANSCRIPT_FRAME_DESCRIPTION}\0${text}`, 'utf8'),
+  ]);
+  const frame = Buffer.concat([Buffer.from('TXXX'), synchsafe(body.length), Buffer.from([0, 0]), body]);
+  const tag = Buffer.concat([Buffer.from('ID3'), Buffer.from([4, 0, 0]), synchsafe(frame.length), frame]);
+
+  const frameCount = Math.max(4, Array.from(text).length * FRAMES_PER_CHARACTER);
+  return Buffer.concat([tag, ...new Array(frameCount).fill(SILENT_FRAME)]);
+}
+
+/**
+ * Read the transcript back from audio made by encodeMockAudio
+ * @param {Buffer} buffer - Audio file
+ * @returns {string|null} - Transcript, or null for any other audio
+ */
+function decodeMockAudio(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+    return null;
+  }
+
+  const tagEnd = 10 + readSynchsafe(buffer, 6);
+  let offset = 10;
+
+  while (offset + 10 <= tagEnd) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = readSynchsafe(buffer, offset + 4);
+    if (!/^[A-Z0-9]{4}$/.test(id) || size === 0) break;
+
+    if (id === 'TXXX') {
+      const [description, value] = buffer.toString('utf8', offset + 11, offset + 10 + size).split('\0');
+      if (description === TRANSCRIPT_FRAME_DESCRIPTION) return value;
+    }
+    offset += 10 + size;
+  }
+
+  return null;
+}
+
+// ============== MOCK PROVIDERS ==============
+
+/**
+ * Pick the canned scene for an image
+ * @param {Buffer} image - Image bytes
+ * @returns {object} - Scene
+ */
+function sceneForImage(image) {
+  const digest = crypto.createHash('sha256').update(image || Buffer.alloc(0)).digest();
+  return MOCK_SCENES[digest[0] % MOCK_SCENES.length];
+}
+
+/**
+ * Annotate text with dictionary readings in the 字(粤拼) format the prompts ask for
+ * @param {string} text - Chinese text
+ * @returns {string} - Annotated text
+ */
+function annotateWithJyutping(text) {
+  return lookupText(text)
+    .map(({ char, jyutping }) => (jyutping ? `${char}(${jyutping})` : char))
+    .join('');
+}
+
+/**
+ * Create the mock vision-LLM provider
+ * @returns {object} - Provider with describeImage()
+ */
+function createMockVisionProvider() {
+  return {
+    name: 'mock',
+    label: 'Mock Vision (offline)',
+
+    async describeImage({ image }) {
+      return sceneForImage(image).mandarin;
+    },
+  };
+}
+
+/**
+ * Create the mock text-LLM provider
+ * Recognizes the translation and bilingual-story prompts used by app.js
+ * @returns {object} - Provider with complete()
+ */
+function createMockTextProvider() {
+  return {
+    name: 'mock',
+    label: 'Mock Text (offline)',
+
+    async complete({ prompt }) {
+      const scene = MOCK_SCENES.find(item => prompt.includes(item.mandarin));
+
+      // Bilingual story (fallback path)
+      if (prompt.includes('（粤语版）')) {
+        const chosen = scene || MOCK_SCENES[0];
+        const cantonese = chosen.cantonese.replace(/\([a-z0-9]+\)/g, '');
+        return `**（普通话版）**\n${chosen.mandarin}\n\n**（粤语版）**\n${cantonese}`;
+      }
+
+      // Cantonese translation with Jyutping
+      if (prompt.includes('粤拼')) {
+        if (scene) return scene.cantonese;
+        // Unknown text: "translate" it as-is with dictionary readings
+        const source = prompt.split('\n\n')[1] || '';
+        return annotateWithJyutping(source.trim());
+      }
+
+      return (scene || MOCK_SCENES[0]).mandarin;
+    },
+  };
+}
+
+/**
+ * Create the mock ASR provider
+ * @returns {object} - Provider with transcribe()
+ */
+function createMockAsrProvider() {
+  return {
+    name: 'mock',
+    label: 'Mock ASR (offline)',
+
+    async transcribe(audioBuffer) {
+      const transcript = decodeMockAudio(audioBuffer);
+      if (transcript !== null) {
+        return { text: transcript, confidence: 0.95 };
+      }
+      return { text: MOCK_DEFAULT_TRANSCRIPT, confidence: 0.5 };
+    },
+  };
+}
+
+/**
+ * Create the mock TTS provider
+ * @returns {object} - Provider with synthesize() and synthesizeWithTimings()
+ */
+function createMockTtsProvider() {
+  return {
+    name: 'mock',
+    label: 'Mock TTS (offline, silent MP3)',
+
+    async synthesize({ text }) {
+      return encodeMockAudio(text);
+    },
+
+    // Every character lasts FRAMES_PER_CHARACTER frames, matching the audio
+    async synthesizeWithTimings({ text }) {
+      const characterMs = FRAMES_PER_CHARACTER * FRAME_DURATION_MS;
+      return {
+        audio: encodeMockAudio(text),
+        subtitles: Array.from(text).map((char, index) => ({
+          text: char,
+          beginIndex: index,
+          endIndex: index + 1,
+          beginMs: Math.round(index * characterMs),
+          endMs: Math.round((index + 1) * characterMs),
+        })),
+      };
+    },
+  };
+}
+
+module.exports = {
+  MOCK_SCENES,
+  MOCK_DEFAULT_TRANSCRIPT,
+  encodeMockAudio,
+  decodeMockAudio,
+  createMockVisionProvider,
+  createMockTextProvider,
+  createMockAsrProvider,
+  createMockTtsProvider,
+};
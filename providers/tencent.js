@@ -0,0 +1,105 @@
+const tencentcloud = require('tencentcloud-sdk-nodejs');
+
+// ============== TENCENT CLOUD TTS PROVIDER ==============
+
+// Tencent Cloud TTS Cantonese voices
+const VOICE_TYPES = {
+  female: 101019, // 智彤 - 粤语女声
+  male: 101020, // 智伟 - 粤语男声
+};
+
+// Slightly faster than Tencent's normal (0) so stories don't drag
+const DEFAULT_SPEED = 1.0;
+
+/**
+ * Create the Tencent Cloud TTS provider
+ * @param {object} options - { secretId, secretKey, region }
+ * @returns {object} - Provider with synthesize()
+ */
+function createTencentTtsProvider({ secretId, secretKey, region = 'ap-guangzhou' } = {}) {
+  const TtsClient = tencentcloud.tts.v20190823.Client;
+  const client = new TtsClient({
+    credential: {
+      secretId,
+      secretKey,
+    },
+    region,
+    profile: {
+      httpProfile: {
+        endpoint: 'tts.tencentcloudapi.com',
+      },
+    },
+  });
+
+  /**
+   * Call TextToVoice
+   * @param {string} text - Text to speak
+   * @param {string} voice - 'female' | 'male'
+   * @param {number} speed - Tencent speed, -2 (0.6x) to 6 (2.5x), 0 is normal
+   * @param {boolean} enableSubtitle - Ask for per-character timestamps
+   * @returns {Promise<object>} - TextToVoice response
+   */
+  async function textToVoice(text, voice, speed, enableSubtitle) {
+    const params = {
+      Text: text,
+      SessionId: Date.now().toString(),
+      VoiceType: VOICE_TYPES[voice] || VOICE_TYPES.female,
+      PrimaryLanguage: 1, // 1 = Chinese
+      SampleRate: 16000,
+      Codec: 'mp3',
+      Speed: speed,
+      Volume: 5.0,
+      EnableSubtitle: enableSubtitle,
+    };
+
+    const response = await client.TextToVoice(params);
+
+    if (!response.Audio) {
+      throw new Error('No audio data returned from Tencent Cloud TTS');
+    }
+
+    return response;
+  }
+
+  return {
+    name: 'tencent',
+    label: 'Tencent Cloud TTS (粤语)',
+
+    /**
+     * Synthesize Cantonese speech
+     * @param {object} request - { text, voice: 'female' | 'male', speed }
+     * @returns {Promise<Buffer>} - MP3 audio
+     */
+    async synthesize({ text, voice = 'female', speed = DEFAULT_SPEED }) {
+      const response = await textToVoice(text, voice, speed, false);
+
+      // Tencent returns base64 encoded audio
+      return Buffer.from(response.Audio, 'base64');
+    },
+
+    /**
+     * Synthesize Cantonese speech with per-character timestamps (Tencent subtitles)
+     * @param {object} request - { text, voice: 'female' | 'male', speed }
+     * @returns {Promise<{audio: Buffer, subtitles: Array<{text, beginIndex, endIndex, beginMs, endMs}>}>} - MP3 audio and timings
+     */
+    async synthesizeWithTimings({ text, voice = 'female', speed = DEFAULT_SPEED }) {
+      const response = await textToVoice(text, voice, speed, true);
+
+      return {
+        audio: Buffer.from(response.Audio, 'base64'),
+        subtitles: (response.Subtitles || []).map(subtitle => ({
+          text: subtitle.Text,
+          beginIndex: subtitle.BeginIndex,
+          endIndex: subtitle.EndIndex,
+          beginMs: subtitle.BeginTime,
+          endMs: subtitle.EndTime,
+        })),
+      };
+    },
+  };
+}
+
+module.exports = {
+  VOICE_TYPES,
+  createTencentTtsProvider,
+};
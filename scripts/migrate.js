@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Database migration CLI
+ *
+ * Usage:
+ *   npm run migrate            # same as "up"
+ *   npm run migrate -- up      # apply pending migrations
+ *   npm run migrate -- status  # list applied and pending migrations
+ */
+require('dotenv').config();
+const { createPoolFromEnv } = require('../lib/db');
+const { createMigrator, formatMigrationName } = require('../lib/migrator');
+
+async function main() {
+  const command = process.argv[2] || 'up';
+
+  const pool = createPoolFromEnv();
+  if (!pool) {
+    console.error('❌ DATABASE_URL is not set');
+    process.exitCode = 1;
+    return;
+  }
+
+  const migrator = createMigrator({ pool });
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.up();
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database schema is up to date');
+    } else if (command === 'status') {
+      const migrations = await migrator.status();
+      for (const migration of migrations) {
+        const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+        const note = migration.modified ? ' (modified since applied)' : '';
+        console.log(`${formatMigrationName(migration)}  ${state}${note}`);
+      }
+    } else {
+      console.error(`Unknown command: ${command}. Use "up" or "status".`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,133 @@
+const { app, pool, providers, mediaStore, jobQueue, initializeDatabase, runMaintenance } = require('./app');
+
+// ============== SERVER BOOTSTRAP ==============
+// app.js only builds the Express app; this file connects to the database, applies
+// migrations, schedules maintenance, starts the job workers and starts listening.
+
+const PORT = process.env.PORT || 3000;
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Check the database connection and apply pending migrations
+ * @throws {Error} - The database is unreachable or a migration failed
+ */
+async function prepareDatabase() {
+  if (!pool) {
+    console.log('⚠️  No DATABASE_URL provided, using in-memory storage');
+    return;
+  }
+
+  try {
+    const client = await pool.connect();
+    client.release();
+    console.log('✅ PostgreSQL connected successfully');
+  } catch (error) {
+    console.error('❌ PostgreSQL connection error:', error);
+    throw error;
+  }
+
+  await initializeDatabase();
+}
+
+/**
+ * Print the startup banner
+ */
+function printBanner() {
+  const storageType = pool ? 'PostgreSQL Database' : 'In-Memory Storage';
+
+  console.log(`
+╔════════════════════════════════════════════════════════════╗
+║          🎤 拍照学粤语 API Server Started 🎤             ║
+╠════════════════════════════════════════════════════════════╣
+║  Server running on: http://localhost:${PORT}                  ║
+║                                                         ║
+║  Auth (Bearer token):                                   ║
+║  Register:        POST /api/auth/register                  ║
+║  Login:           POST /api/auth/login                     ║
+║  Logout:          POST /api/auth/logout                    ║
+║  Current User:    GET  /api/auth/me                        ║
+║  Link Device:     POST /api/auth/link-device               ║
+║                                                         ║
+║  Core APIs:                                             ║
+║  Health check:    GET  /health                             ║
+║  Cache Stats:     GET  /api/cache/stats                    ║
+║  Clear Cache:     DELETE /api/cache/:namespace             ║
+║  Generate:        POST /api/generate (支持用户水平调整)   ║
+║  Generate (SSE):  POST /api/generate/stream                ║
+║  Queue Job:       POST /api/jobs                           ║
+║  Job Status:      GET  /api/jobs/:id                       ║
+║  Evaluate:        POST /api/evaluate                       ║
+║                                                         ║
+║  Save & Library:                                         ║
+║  Save:            POST /api/save                           ║
+║  History:         GET  /api/history                        ║
+║  Library:         GET  /api/library                        ║
+║  Search Library:  GET  /api/library/search                 ║
+║  Organize:        PATCH /api/history/:id                   ║
+║  Delete:          DELETE /api/history/:id                  ║
+║  Collections:     GET|POST /api/collections                ║
+║  Edit Collection: PUT|DELETE /api/collections/:id          ║
+║  Tags:            GET  /api/tags                           ║
+║  Export:          GET  /api/export?format=json|csv|anki    ║
+║  Import:          POST /api/import                         ║
+║                                                         ║
+║  Review (SRS):                                           ║
+║  Due Items:       GET  /api/review/due                     ║
+║  Grade Item:      POST /api/review/:itemId                 ║
+║                                                         ║
+║  Share & Social:                                         ║
+║  Share:           POST /api/share                          ║
+║  Get Share:       GET  /api/share/:id                      ║
+║  Share Page:      GET  /share/:id (HTML)                   ║
+║  Media:           GET  /media/:key                         ║
+║                                                         ║
+║  User & Gamification:                                    ║
+║  Profile:         GET  /api/user/profile                   ║
+║  Update Profile:  PUT  /api/user/profile                  ║
+║  Get Levels:     GET  /api/user/levels                    ║
+║  Romanizations:  GET  /api/user/romanizations             ║
+║  User Stats:      GET  /api/user/stats                     ║
+║  Update Stats:    POST /api/user/stats                    ║
+║  Achievements:    GET  /api/achievements                   ║
+║  Delete Account:  DELETE /api/user                         ║
+╚════════════════════════════════════════════════════════════╝
+
+✅ APIs configured:
+   - ${providers.vision.label} - 图像识别与文本生成
+   - ${providers.text.label} - 粤语翻译与拼音
+   - ${providers.tts.label} - 语音合成
+   - ${providers.asr.label} - 语音识别
+   - ${storageType} - 存储系统
+   - ${mediaStore.label} - 图片与音频存储
+   - Achievement System (6 成就) - 成就系统
+
+🆕 Features:
+   - Automatic Jyutping romanization for Cantonese text
+   - Structured bilingual output with pinyin annotations
+   - Intelligent voice selection (Male/Female)
+   - Enhanced scoring with tone accuracy & encouragement
+   - User statistics & leveling system
+   - Achievement tracking & unlocking
+   - Adaptive difficulty based on user's Cantonese level (初级/中级/高级)
+
+⚠️  Make sure all required environment variables are set!
+${!pool ? '⚠️  No DATABASE_URL found - using in-memory storage (data will be lost on restart)\n' : ''}`);
+}
+
+/**
+ * Start the HTTP server
+ */
+async function start() {
+  await prepareDatabase();
+
+  setInterval(runMaintenance, MAINTENANCE_INTERVAL_MS).unref();
+  jobQueue.start();
+
+  app.listen(PORT, printBanner);
+}
+
+start().catch(() => {
+  // prepareDatabase has logged the cause
+  console.error('❌ Server not started: the database is unavailable or could not be migrated');
+  process.exit(1);
+});
@@ -0,0 +1,3 @@
+const { defineApiSuite } = require('./helpers/apiSuite');
+
+defineApiSuite('in-memory storage');
@@ -0,0 +1,8 @@
+const { defineApiSuite } = require('./helpers/apiSuite');
+
+// Runs against a disposable database, e.g.
+// TEST_DATABASE_URL=postgresql://postgres@localhost:5432/learn_cantonese_test npm test
+defineApiSuite('PostgreSQL', {
+  databaseUrl: process.env.TEST_DATABASE_URL,
+  skip: !process.env.TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set',
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { cacheKey, createLruCache, createCache } = require('../lib/cache');
+
+describe('cacheKey', () => {
+  it('hashes Buffers by content and keeps part boundaries', () => {
+    assert.match(cacheKey('a'), /^[0-9a-f]{64}$/);
+    assert.equal(cacheKey(Buffer.from('photo'), 'beginner'), cacheKey(Buffer.from('photo'), 'beginner'));
+    assert.notEqual(cacheKey('ab', 'c'), cacheKey('a', 'bc'));
+    assert.notEqual(cacheKey(Buffer.from('photo'), 'beginner'), cacheKey(Buffer.from('photo'), 'advanced'));
+  });
+});
+
+describe('createLruCache', () => {
+  it('evicts the least recently used entry', () => {
+    const lru = createLruCache(2);
+    const later = Date.now() + 60000;
+    lru.set('a', 1, later);
+    lru.set('b', 2, later);
+    lru.get('a'); // b is now the oldest
+    lru.set('c', 3, later);
+
+    assert.equal(lru.get('b'), undefined);
+    assert.equal(lru.get('a'), 1);
+    assert.equal(lru.get('c'), 3);
+    assert.equal(lru.size, 2);
+  });
+
+  it('drops expired entries and clears by prefix', () => {
+    const lru = createLruCache(10);
+    lru.set('tts:x', 1, Date.now() - 1);
+    lru.set('story:y', 2, Date.now() + 60000);
+    lru.set('story:z', 3, Date.now() + 60000);
+
+    assert.equal(lru.get('tts:x'), undefined);
+    assert.equal(lru.clear('story:'), 2);
+    assert.equal(lru.size, 0);
+  });
+});
+
+describe('createCache (memory tier)', () => {
+  it('round-trips Buffers and hands out copies', async () => {
+    const cache = createCache();
+    const value = { audio: Buffer.from([0xff, 0xfb]), subtitles: [{ beginIndex: 0 }] };
+    await cache.set('tts', 'k', value);
+
+    const first = await cache.get('tts', 'k');
+    assert.deepEqual(first, value);
+    first.subtitles.push({ beginIndex: 1 });
+    assert.deepEqual(await cache.get('tts', 'k'), value);
+  });
+
+  it('computes once for concurrent misses and does not cache errors', async () => {
+    const cache = createCache();
+    let calls = 0;
+    const compute = async () => {
+      calls++;
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return 'story';
+    };
+
+    const results = await Promise.all([1, 2, 3].map(() => cache.wrap('story', 'k', compute)));
+    assert.deepEqual(results, ['story', 'story', 'story']);
+    assert.equal(calls, 1);
+
+    await assert.rejects(cache.wrap('story', 'bad', async () => {
+      throw new Error('provider down');
+    }), /provider down/);
+    assert.equal(await cache.wrap('story', 'bad', async () => 'recovered'), 'recovered');
+  });
+
+  it('honours TTL, shouldCache and invalidation', async () => {
+    const cache = createCache();
+
+    await cache.wrap('tts', 'short', async () => 'x', { ttlMs: -1 });
+    assert.equal(await cache.get('tts', 'short'), undefined);
+
+    await cache.wrap('tts', 'skip', async () => 'x', { shouldCache: () => false });
+    assert.equal(await cache.get('tts', 'skip'), undefined);
+
+    await cache.set('tts', 'a', 1);
+    await cache.set('tts', 'b', 2);
+    await cache.set('story', 'c', 3);
+    assert.equal(await cache.invalidate('tts', 'a'), 1);
+    assert.equal(await cache.invalidate('tts'), 1);
+    assert.equal(await cache.get('story', 'c'), 3);
+  });
+
+  it('counts hits and misses per namespace', async () => {
+    const cache = createCache({ maxEntries: 5 });
+    await cache.get('story', 'k');
+    await cache.set('story', 'k', 'v');
+    await cache.get('story', 'k');
+    await cache.get('story', 'k');
+
+    const stats = cache.stats();
+    assert.deepEqual(stats.tiers, ['memory']);
+    assert.deepEqual(stats.memory, { entries: 1, maxEntries: 5 });
+    assert.equal(stats.namespaces.story.hits, 2);
+    assert.equal(stats.namespaces.story.memoryHits, 2);
+    assert.equal(stats.namespaces.story.misses, 1);
+    assert.equal(stats.namespaces.story.hitRate, 0.667);
+  });
+
+  it('passes straight through when disabled', async () => {
+    const cache = createCache({ enabled: false });
+    let calls = 0;
+    await cache.wrap('story', 'k', async () => ++calls);
+    await cache.wrap('story', 'k', async () => ++calls);
+    assert.equal(calls, 2);
+    assert.equal(cache.stats().enabled, false);
+  });
+});
@@ -0,0 +1,1955 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer, fileForm, TEST_CACHE_ADMIN_TOKEN } = require('./testServer');
+const { readZip } = require('./zip');
+const { MOCK_SCENES, encodeMockAudio, decodeMockAudio } = require('../../providers/mock');
+const { convertScript } = require('../../lib/chineseScript');
+const { getMp3Duration } = require('../../lib/mp3');
+const { createCache, cacheKey } = require('../../lib/cache');
+const { createJobQueue } = require('../../lib/jobQueue');
+
+// ============== API INTEGRATION SUITE ==============
+// Shared by the in-memory and PostgreSQL test files so both backends run the same checks.
+
+const IMAGE = Buffer.from('not really a jpeg, the mock vision provider only hashes it');
+
+// An advanced-level story: well over one TTS request (150 characters)
+const LONG_STORY = Array.from({ length: 6 }, () => MOCK_SCENES.map(scene => scene.cantonese).join('')).join('');
+
+const SAMPLE_STORY = {
+  mandarin: '爸爸在厨房做饭。饭很香。',
+  cantonese: '爸爸喺厨房煮饭。啲饭好香。',
+  cantoneseWords: [
+    { char: '爸', pinyin: 'baa4' },
+    { char: '爸', pinyin: 'baa1' },
+    { char: '喺', pinyin: 'hai2' },
+    { char: '厨', pinyin: 'cyu4' },
+    { char: '房', pinyin: 'fong2' },
+    { char: '煮', pinyin: 'zyu2' },
+    { char: '饭', pinyin: 'faan6' },
+    { char: '。', pinyin: '' },
+    { char: '啲', pinyin: 'di1' },
+    { char: '饭', pinyin: 'faan6' },
+    { char: '好', pinyin: 'hou2' },
+    { char: '香', pinyin: 'hoeng1' },
+    { char: '。', pinyin: '' },
+  ],
+};
+
+const MARKET_STORY = {
+  mandarin: '妈妈去菜市场买菜。',
+  cantonese: '妈妈去街市买餸。',
+  cantoneseWords: [
+    { char: '妈', pinyin: 'maa4' },
+    { char: '妈', pinyin: 'maa1' },
+    { char: '去', pinyin: 'heoi3' },
+    { char: '街', pinyin: 'gaai1' },
+    { char: '市', pinyin: 'si5' },
+    { char: '买', pinyin: 'maai5' },
+    { char: '餸', pinyin: 'sung3' },
+    { char: '。', pinyin: '' },
+  ],
+};
+
+/**
+ * Upload an image to /api/generate
+ * @param {object} server - Test server
+ * @param {object} options - { token, query }
+ * @returns {Promise<object>} - Response
+ */
+function generate(server, { token, query = '' } = {}) {
+  const form = fileForm('image', IMAGE, { filename: 'photo.jpg', type: 'image/jpeg' });
+  return server.request('POST', `/api/generate${query}`, { token, form });
+}
+
+/**
+ * Upload an image to /api/generate/stream
+ * @param {object} server - Test server
+ * @param {object} options - { token, query }
+ * @returns {Promise<Response>} - Streaming fetch response
+ */
+function generateStream(server, { token, query = '' } = {}) {
+  const form = fileForm('image', IMAGE, { filename: 'photo.jpg', type: 'image/jpeg' });
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  return fetch(`${server.baseUrl}/api/generate/stream${query}`, { method: 'POST', headers, body: form });
+}
+
+/**
+ * Upload an image to /api/jobs
+ * @param {object} server - Test server
+ * @param {object} options - { token }
+ * @returns {Promise<object>} - Response
+ */
+function submitJob(server, { token } = {}) {
+  const form = fileForm('image', IMAGE, { filename: 'photo.jpg', type: 'image/jpeg' });
+  return server.request('POST', '/api/jobs', { token, form });
+}
+
+/**
+ * Poll GET /api/jobs/:id until the job has finished
+ * @param {object} server - Test server
+ * @param {string} jobId - Job ID
+ * @param {object} options - { token }
+ * @returns {Promise<object>} - Finished job status
+ */
+async function waitForJob(server, jobId, { token } = {}) {
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    const response = await server.request('GET', `/api/jobs/${jobId}`, { token });
+    assert.equal(response.status, 200);
+    if (['succeeded', 'failed'].includes(response.body.data.status)) return response.body.data;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+/**
+ * Parse Server-Sent Events as they arrive
+ * @param {Response} response - Streaming fetch response
+ * @returns {AsyncGenerator<{event: string, data: object}>} - Events in order
+ */
+async function* readEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const event = block.match(/^event: (.*)$/m);
+      const data = block.match(/^data: (.*)$/m);
+      if (event && data) yield { event: event[1], data: JSON.parse(data[1]) };
+    }
+  }
+}
+
+/**
+ * Download stored media
+ * @param {string} url - /media/:key URL from an API response
+ * @returns {Promise<Buffer>} - Media bytes
+ */
+async function audioOf(url) {
+  assert.match(url, /\/media\/[0-9a-f]{64}\.mp3$/);
+  const response = await fetch(url);
+  assert.equal(response.status, 200);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Upload a recording to /api/evaluate
+ * @param {object} server - Test server
+ * @param {string} spokenText - What the mock ASR will "hear"
+ * @param {object} fields - Other form fields
+ * @returns {Promise<object>} - Response
+ */
+function evaluate(server, spokenText, fields = {}) {
+  const form = fileForm('audio', encodeMockAudio(spokenText), {
+    filename: 'recording.mp3',
+    type: 'audio/mp3',
+    fields,
+  });
+  return server.request('POST', '/api/evaluate', { form });
+}
+
+/**
+ * Define the API test suite for one storage backend
+ * @param {string} label - Backend name shown in the test output
+ * @param {object} options - { databaseUrl, skip }
+ */
+function defineApiSuite(label, { databaseUrl, skip } = {}) {
+  describe(`API (${label})`, { skip }, () => {
+    let server;
+
+    before(async () => {
+      server = await startTestServer({ databaseUrl });
+    });
+
+    after(async () => {
+      if (server) await server.close();
+    });
+
+    describe('GET /health', () => {
+      it('reports the server is running', async () => {
+        const response = await server.request('GET', '/health');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.success, true);
+      });
+    });
+
+    describe('/api/auth/*', () => {
+      it('registers, logs in, reads the current user and logs out', async () => {
+        const username = `auth_${crypto.randomBytes(4).toString('hex')}`;
+
+        const registered = await server.request('POST', '/api/auth/register', {
+          json: { username, password: 'password123' },
+        });
+        assert.equal(registered.status, 201);
+        assert.ok(registered.body.data.token);
+
+        const duplicate = await server.request('POST', '/api/auth/register', {
+          json: { username, password: 'password123' },
+        });
+        assert.equal(duplicate.status, 409);
+
+        const badLogin = await server.request('POST', '/api/auth/login', {
+          json: { username, password: 'wrong-password' },
+        });
+        assert.equal(badLogin.status, 401);
+
+        const login = await server.request('POST', '/api/auth/login', {
+          json: { username, password: 'password123' },
+        });
+        assert.equal(login.status, 200);
+        const { token } = login.body.data;
+
+        const me = await server.request('GET', '/api/auth/me', { token });
+        assert.equal(me.body.data.username, username);
+
+        const logout = await server.request('POST', '/api/auth/logout', { token });
+        assert.equal(logout.status, 200);
+
+        const afterLogout = await server.request('GET', '/api/auth/me', { token });
+        assert.equal(afterLogout.status, 401);
+      });
+
+      it('moves device history to the account on link-device', async () => {
+        const user = await server.registerUser('linker');
+        const deviceId = `device_${crypto.randomBytes(6).toString('hex')}`;
+
+        const missing = await server.request('POST', '/api/auth/link-device', { token: user.token, json: {} });
+        assert.equal(missing.status, 400);
+
+        const linked = await server.request('POST', '/api/auth/link-device', {
+          token: user.token,
+          json: { deviceId },
+        });
+        assert.equal(linked.status, 200);
+        assert.equal(linked.body.data.deviceId, deviceId);
+        assert.equal(linked.body.data.recordsMoved, 0);
+      });
+
+      it('moves a device history written to PostgreSQL in one transaction', { skip: !databaseUrl && 'in-memory only' }, async () => {
+        const deviceId = `device_${crypto.randomBytes(6).toString('hex')}`;
+        await server.pool.query(
+          `INSERT INTO learning_records (user_id, mandarin, cantonese, cantonese_words)
+           VALUES ($1, $2, $3, $4)`,
+          [deviceId, SAMPLE_STORY.mandarin, SAMPLE_STORY.cantonese, JSON.stringify(SAMPLE_STORY.cantoneseWords)]
+        );
+        await server.pool.query(
+          'INSERT INTO user_statistics (user_id, total_stories) VALUES ($1, 1)',
+          [deviceId]
+        );
+
+        const username = `device_${crypto.randomBytes(4).toString('hex')}`;
+        const registered = await server.request('POST', '/api/auth/register', {
+          json: { username, password: 'password123', deviceId },
+        });
+        assert.equal(registered.status, 201);
+        assert.deepEqual(registered.body.data.linkedDevice, { deviceId, recordsMoved: 1 });
+
+        const { token } = registered.body.data;
+        const history = await server.request('GET', '/api/history', { token });
+        assert.equal(history.body.data.records.length, 1);
+        const stats = await server.request('GET', '/api/user/stats', { token });
+        assert.equal(stats.body.data.totalStories, 1);
+        const achievements = await server.request('GET', '/api/achievements', { token });
+        assert.ok(achievements.body.data.achievements.some(item => item.id === 'first_story' && item.unlocked));
+      });
+
+      it('does not create the account when registering with an unusable deviceId', async () => {
+        const owner = await server.registerUser('owner');
+        const deviceId = `device_${crypto.randomBytes(6).toString('hex')}`;
+        await server.request('POST', '/api/auth/link-device', { token: owner.token, json: { deviceId } });
+        const username = `late_${crypto.randomBytes(4).toString('hex')}`;
+
+        for (const [json, status] of [
+          [{ username, password: 'password123', deviceId }, 409],
+          [{ username, password: 'password123', deviceId: 'acct_someone' }, 400],
+        ]) {
+          const rejected = await server.request('POST', '/api/auth/register', { json });
+          assert.equal(rejected.status, status, json.deviceId);
+        }
+
+        const login = await server.request('POST', '/api/auth/login', { json: { username, password: 'password123' } });
+        assert.equal(login.status, 401);
+        const retry = await server.request('POST', '/api/auth/register', { json: { username, password: 'password123' } });
+        assert.equal(retry.status, 201);
+      });
+
+      it('rejects protected routes without a token', async () => {
+        for (const path of ['/api/history', '/api/library', '/api/achievements', '/api/user/profile', '/api/user/stats']) {
+          const response = await server.request('GET', path);
+          assert.equal(response.status, 401, path);
+          assert.equal(response.body.success, false);
+        }
+      });
+    });
+
+    describe('POST /api/generate', () => {
+      // Tests stub providers, so each one starts with nothing cached
+      beforeEach(async () => {
+        await server.cache.clear();
+      });
+
+      it('returns a bilingual story with checked Jyutping and audio', async () => {
+        const response = await generate(server);
+        assert.equal(response.status, 200);
+
+        const { data } = response.body;
+        assert.ok(MOCK_SCENES.some(scene => scene.mandarin === data.mandarin));
+        assert.equal(data.cantoneseWords.map(word => word.char).join(''), data.cantonese);
+        assert.ok(data.cantoneseWords.every(word => word.romanized === word.pinyin));
+        assert.ok(Array.isArray(data.lowConfidenceChars));
+
+        // Tokens tile cantoneseWords and carry glosses for lexicon words
+        assert.equal(data.cantoneseTokens.map(token => token.text).join(''), data.cantonese);
+        assert.equal(data.cantoneseTokens.at(-1).end, data.cantoneseWords.length);
+        assert.ok(data.cantoneseTokens.some(token => token.inLexicon && token.end - token.start > 1 && token.english));
+        assert.equal(data.userLevel, 'beginner');
+        assert.equal(data.script, 'simplified');
+        assert.equal(data.romanization, 'jyutping');
+
+        // The mock TTS embeds what it was asked to say
+        assert.equal(convertScript(decodeMockAudio(await audioOf(data.audioUrl)), 'simplified'), data.cantonese);
+      });
+
+      it('returns sentence audio and character timings', async () => {
+        const { data } = (await generate(server)).body;
+        assert.equal(data.timingSource, 'provider');
+        assert.ok(data.audioSegments.length >= 2);
+        assert.equal(data.audioSegments.map(segment => segment.text).join(''), data.cantonese);
+        assert.equal(data.audioSegments[0].startMs, 0);
+        assert.equal(data.audioSegments.at(-1).endMs, getMp3Duration(await audioOf(data.audioUrl)));
+
+        // Segments tile the track and each one is playable on its own
+        for (let i = 0; i < data.audioSegments.length; i++) {
+          const segment = data.audioSegments[i];
+          if (i > 0) assert.equal(segment.startMs, data.audioSegments[i - 1].endMs);
+          assert.ok(Math.abs(getMp3Duration(await audioOf(segment.audioUrl)) - (segment.endMs - segment.startMs)) <= 1);
+        }
+
+        // Every Chinese character is timed, in order
+        const hanIndexes = data.cantoneseWords
+          .map((word, index) => (/\p{Script=Han}/u.test(word.char) ? index : -1))
+          .filter(index => index >= 0);
+        assert.deepEqual(data.charTimings.map(timing => timing.index), hanIndexes);
+        assert.ok(data.charTimings.every((timing, i) => timing.endMs > timing.startMs
+          && (i === 0 || timing.startMs >= data.charTimings[i - 1].endMs)));
+      });
+
+      it('estimates timings from sentence-by-sentence synthesis without provider timestamps', async (t) => {
+        t.mock.method(server.providers.tts, 'synthesizeWithTimings', async ({ text }) => ({
+          audio: encodeMockAudio(text),
+          subtitles: [],
+        }));
+        const synthesize = t.mock.method(server.providers.tts, 'synthesize');
+
+        const { data } = (await generate(server)).body;
+        assert.equal(data.timingSource, 'estimated');
+        assert.equal(synthesize.mock.callCount(), data.audioSegments.length);
+        assert.deepEqual(
+          await Promise.all(data.audioSegments.map(async segment => decodeMockAudio(await audioOf(segment.audioUrl)))),
+          synthesize.mock.calls.map(call => call.arguments[0].text)
+        );
+        assert.equal(data.charTimings.at(-1).endMs, data.audioSegments.at(-1).endMs);
+        // Segment offsets add up rounded durations, so allow 1 ms per segment
+        const drift = getMp3Duration(await audioOf(data.audioUrl)) - data.audioSegments.at(-1).endMs;
+        assert.ok(Math.abs(drift) <= data.audioSegments.length);
+      });
+
+      it('synthesizes long stories in chunks and joins them into one track', async (t) => {
+        const originalComplete = server.providers.text.complete;
+        t.mock.method(server.providers.text, 'complete', async (request) => (
+          request.prompt.includes('粤拼') ? LONG_STORY : originalComplete(request)
+        ));
+
+        // Track how many TTS requests run at once
+        const originalSynthesize = server.providers.tts.synthesizeWithTimings;
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const synthesize = t.mock.method(server.providers.tts, 'synthesizeWithTimings', async (request) => {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await new Promise(resolve => setTimeout(resolve, 5));
+          inFlight--;
+          return originalSynthesize(request);
+        });
+
+        const { data } = (await generate(server)).body;
+        assert.ok(Array.from(data.cantonese).length > 300);
+        assert.ok(synthesize.mock.callCount() >= 3);
+        assert.ok(synthesize.mock.calls.every(call => Array.from(call.arguments[0].text).length <= 150));
+        assert.ok(maxInFlight > 1 && maxInFlight <= 3);
+
+        // Nothing is cut off: every sentence and character is in the audio
+        assert.equal(data.audioSegments.map(segment => segment.text).join(''), data.cantonese);
+        assert.equal(data.charTimings.length, data.cantoneseWords.filter(word => /\p{Script=Han}/u.test(word.char)).length);
+        for (let i = 1; i < data.audioSegments.length; i++) {
+          assert.equal(data.audioSegments[i].startMs, data.audioSegments[i - 1].endMs);
+        }
+        assert.equal(data.audioPlaylist, null);
+        const drift = getMp3Duration(await audioOf(data.audioUrl)) - data.audioSegments.at(-1).endMs;
+        assert.ok(Math.abs(drift) <= synthesize.mock.callCount());
+      });
+
+      it('falls back to a playlist when the audio cannot be joined', async (t) => {
+        const originalComplete = server.providers.text.complete;
+        t.mock.method(server.providers.text, 'complete', async (request) => (
+          request.prompt.includes('粤拼') ? LONG_STORY : originalComplete(request)
+        ));
+        const synthesize = t.mock.method(server.providers.tts, 'synthesizeWithTimings', async ({ text }) => ({
+          audio: Buffer.from(`unparseable audio for ${text}`),
+          subtitles: Array.from(text).map((char, index) => ({ beginIndex: index, beginMs: index * 100, endMs: (index + 1) * 100 })),
+        }));
+
+        const { data } = (await generate(server)).body;
+        assert.equal(data.audioUrl, null);
+        assert.equal(data.audioPlaylist.length, synthesize.mock.callCount());
+        assert.equal(data.audioSegments.map(segment => segment.text).join(''), data.cantonese);
+      });
+
+      it('is deterministic for the same image', async () => {
+        const first = await generate(server);
+        const second = await generate(server);
+        assert.equal(first.body.data.cantonese, second.body.data.cantonese);
+      });
+
+      it('uses the signed-in user\'s level and display preferences', async () => {
+        const user = await server.registerUser('generator');
+        await server.request('PUT', '/api/user/profile', {
+          token: user.token,
+          json: { cantoneseLevel: 'advanced', preferences: { script: 'traditional', romanization: 'yale' } },
+        });
+
+        const response = await generate(server, { token: user.token });
+        assert.equal(response.status, 200);
+
+        const { data } = response.body;
+        assert.equal(data.userLevel, 'advanced');
+        assert.equal(data.script, 'traditional');
+        assert.equal(data.romanization, 'yale');
+        assert.equal(data.cantonese, convertScript(data.cantonese, 'traditional'));
+      });
+
+      it('falls back to the bilingual prompt when the translation fails', async (t) => {
+        const originalComplete = server.providers.text.complete;
+        t.mock.method(server.providers.text, 'complete', async (request) => {
+          if (request.prompt.includes('粤拼')) throw new Error('translation unavailable');
+          return originalComplete(request);
+        });
+
+        const response = await generate(server);
+        assert.equal(response.status, 200);
+        assert.ok(response.body.data.cantonese.length > 0);
+        // Fallback text carries no readings, so they all come from the dictionary
+        assert.ok(response.body.data.cantoneseWords
+          .filter(word => word.pinyin)
+          .every(word => word.source === 'dictionary'));
+      });
+
+      it('returns 500 when every provider call fails', async (t) => {
+        t.mock.method(server.providers.vision, 'describeImage', async () => {
+          throw new Error('vision offline');
+        });
+
+        const response = await generate(server);
+        assert.equal(response.status, 500);
+        assert.equal(response.body.success, false);
+        assert.match(response.body.error, /vision offline/);
+      });
+
+      it('validates the request', async () => {
+        const noImage = await server.request('POST', '/api/generate', { form: new FormData() });
+        assert.equal(noImage.status, 400);
+
+        const badRomanization = await generate(server, { query: '?romanization=wade-giles' });
+        assert.equal(badRomanization.status, 400);
+
+        const notAnImage = await server.request('POST', '/api/generate', {
+          form: fileForm('image', IMAGE, { filename: 'notes.txt', type: 'text/plain' }),
+        });
+        assert.equal(notAnImage.status, 400);
+      });
+    });
+
+    describe('POST /api/generate/stream', () => {
+      beforeEach(async () => {
+        await server.cache.clear();
+      });
+
+      it('streams each stage and finishes with the /api/generate data', async () => {
+        const response = await generateStream(server, { query: '?script=traditional' });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+        const events = [];
+        for await (const event of readEvents(response)) events.push(event);
+        assert.deepEqual(events.map(event => event.event), ['start', 'mandarin', 'cantonese', 'audio', 'done']);
+        assert.deepEqual(events[0].data.stages, ['mandarin', 'cantonese', 'audio']);
+
+        const [, mandarin, cantonese, audio, done] = events.map(event => event.data);
+        assert.equal(mandarin.mandarin, done.mandarin);
+        assert.equal(cantonese.cantonese, done.cantonese);
+        assert.equal(cantonese.script, 'traditional');
+        assert.deepEqual(cantonese.cantoneseWords, done.cantoneseWords);
+        assert.equal(audio.audioUrl, done.audioUrl);
+        assert.equal(convertScript(decodeMockAudio(await audioOf(audio.audioUrl)), 'simplified'),
+          convertScript(done.cantonese, 'simplified'));
+
+        // Same story and audio as the one-shot endpoint
+        const oneShot = (await generate(server, { query: '?script=traditional' })).body.data;
+        assert.equal(oneShot.cantonese, done.cantonese);
+        assert.equal(oneShot.audioUrl, done.audioUrl);
+        assert.deepEqual(Object.keys(done).sort(), Object.keys(oneShot).sort());
+      });
+
+      it('sends the story before the audio is ready', async (t) => {
+        const originalSynthesize = server.providers.tts.synthesizeWithTimings;
+        let release;
+        const audioGate = new Promise(resolve => {
+          release = resolve;
+        });
+        t.mock.method(server.providers.tts, 'synthesizeWithTimings', async (request) => {
+          await audioGate;
+          return originalSynthesize(request);
+        });
+
+        const seen = [];
+        for await (const { event } of readEvents(await generateStream(server))) {
+          seen.push(event);
+          if (event === 'cantonese') {
+            assert.ok(!seen.includes('audio'));
+            release();
+          }
+        }
+        assert.deepEqual(seen.slice(-2), ['audio', 'done']);
+      });
+
+      it('reports failures as an error event', async (t) => {
+        t.mock.method(server.providers.vision, 'describeImage', async () => {
+          throw new Error('vision offline');
+        });
+
+        const response = await generateStream(server);
+        assert.equal(response.status, 200);
+
+        const events = [];
+        for await (const event of readEvents(response)) events.push(event);
+        assert.deepEqual(events.map(event => event.event), ['start', 'error']);
+        assert.match(events[1].data.error, /vision offline/);
+      });
+
+      it('validates the request before streaming', async () => {
+        const noImage = await server.request('POST', '/api/generate/stream', { form: new FormData() });
+        assert.equal(noImage.status, 400);
+        assert.equal(noImage.body.success, false);
+
+        const badScript = await generateStream(server, { query: '?script=latin' });
+        assert.equal(badScript.status, 400);
+        assert.match(badScript.headers.get('content-type'), /application\/json/);
+        await badScript.arrayBuffer();
+      });
+    });
+
+    describe('/api/jobs', () => {
+      beforeEach(async () => {
+        await server.cache.clear();
+      });
+
+      it('queues generation and returns the /api/generate data when done', async () => {
+        const submitted = await submitJob(server);
+        assert.equal(submitted.status, 202);
+        assert.equal(submitted.body.success, true);
+        const { jobId, status, statusUrl } = submitted.body.data;
+        assert.equal(status, 'queued');
+        assert.equal(statusUrl, `/api/jobs/${jobId}`);
+        assert.equal(submitted.headers.get('location'), statusUrl);
+
+        const job = await waitForJob(server, jobId);
+        assert.equal(job.status, 'succeeded');
+        assert.equal(job.stage, 'audio');
+        assert.equal(job.attempts, 1);
+        assert.equal(job.error, null);
+        assert.ok(job.finishedAt);
+        assert.equal(decodeMockAudio(await audioOf(job.result.audioUrl)), job.result.cantonese);
+
+        const oneShot = (await generate(server)).body.data;
+        assert.equal(job.result.cantonese, oneShot.cantonese);
+        assert.equal(job.result.imageUrl, oneShot.imageUrl);
+        assert.deepEqual(Object.keys(job.result).sort(), Object.keys(oneShot).sort());
+      });
+
+      it('retries a failed attempt', async (t) => {
+        t.mock.method(server.providers.tts, 'synthesizeWithTimings', async () => {
+          throw new Error('tts offline');
+        }, { times: 1 });
+
+        const job = await waitForJob(server, (await submitJob(server)).body.data.jobId);
+        assert.equal(job.status, 'succeeded');
+        assert.equal(job.attempts, 2);
+        assert.ok(job.result.audioUrl);
+      });
+
+      it('fails the job after the last attempt', async (t) => {
+        t.mock.method(server.providers.vision, 'describeImage', async () => {
+          throw new Error('vision offline');
+        });
+
+        const job = await waitForJob(server, (await submitJob(server)).body.data.jobId);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.attempts, job.maxAttempts);
+        assert.match(job.error, /vision offline/);
+        assert.equal(job.result, null);
+      });
+
+      it('validates uploads and hides other users\' jobs', async () => {
+        const noImage = await server.request('POST', '/api/jobs', { form: new FormData() });
+        assert.equal(noImage.status, 400);
+
+        const owner = await server.registerUser('jobowner');
+        const other = await server.registerUser('jobother');
+        const { jobId } = (await submitJob(server, { token: owner.token })).body.data;
+        await waitForJob(server, jobId, { token: owner.token });
+
+        assert.equal((await server.request('GET', `/api/jobs/${jobId}`)).status, 404);
+        assert.equal((await server.request('GET', `/api/jobs/${jobId}`, { token: other.token })).status, 404);
+        assert.equal((await server.request('GET', '/api/jobs/not-a-job')).status, 404);
+        assert.equal((await server.request('GET', `/api/jobs/${crypto.randomUUID()}`)).status, 404);
+      });
+
+      it('lets instances share the queue through PostgreSQL', { skip: !databaseUrl && 'in-memory only' }, async (t) => {
+        t.mock.method(console, 'log', () => {});
+        // Keep the app's workers away from these jobs
+        await server.jobQueue.stop();
+        t.after(() => server.jobQueue.start());
+
+        const ranBy = new Map();
+        let runs = 0;
+        const worker = name => createJobQueue({
+          pool: server.pool,
+          concurrency: 1,
+          pollIntervalMs: 10,
+          handler: async (job) => {
+            runs++;
+            ranBy.set(job.id, name);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            return name;
+          },
+        });
+        const workers = [worker('a'), worker('b')];
+
+        const jobs = [];
+        for (let i = 0; i < 4; i++) jobs.push(await workers[0].enqueue({ params: { i } }));
+        workers.forEach(queue => queue.start());
+
+        try {
+          for (const { id } of jobs) {
+            const deadline = Date.now() + 10000;
+            while ((await workers[0].get(id)).status !== 'succeeded') {
+              assert.ok(Date.now() < deadline, `job ${id} did not finish`);
+              await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            assert.equal((await workers[1].get(id)).result, ranBy.get(id));
+          }
+        } finally {
+          await Promise.all(workers.map(queue => queue.stop()));
+        }
+
+        // Every job ran exactly once, and both instances took some
+        assert.equal(runs, 4);
+        assert.equal(ranBy.size, 4);
+        assert.deepEqual(new Set(ranBy.values()), new Set(['a', 'b']));
+
+        // A job left running by a dead worker goes back to the queue once its lease is over
+        const stale = await workers[0].enqueue({ params: {} });
+        await server.pool.query(
+          `UPDATE generation_jobs SET status = 'running', locked_at = NOW() - INTERVAL '1 hour' WHERE id = $1`,
+          [stale.id]
+        );
+        assert.ok(await workers[0].requeueStale() >= 1);
+        assert.equal((await workers[0].get(stale.id)).status, 'queued');
+        await server.pool.query('DELETE FROM generation_jobs WHERE id = $1', [stale.id]);
+      });
+    });
+
+    describe('story and speech cache', () => {
+      beforeEach(async () => {
+        await server.cache.clear();
+      });
+
+      it('reuses stories and speech for the same photo', async (t) => {
+        const describeImage = t.mock.method(server.providers.vision, 'describeImage');
+        const complete = t.mock.method(server.providers.text, 'complete');
+        const synthesize = t.mock.method(server.providers.tts, 'synthesizeWithTimings');
+        const before = (await server.request('GET', '/api/cache/stats', { token: TEST_CACHE_ADMIN_TOKEN })).body.data;
+
+        const first = (await generate(server)).body.data;
+        const calls = [describeImage, complete, synthesize].map(mock => mock.mock.callCount());
+        assert.ok(calls.every(count => count > 0));
+
+        const second = (await generate(server)).body.data;
+        assert.deepEqual([describeImage, complete, synthesize].map(mock => mock.mock.callCount()), calls);
+        assert.equal(second.cantonese, first.cantonese);
+        assert.equal(second.audioUrl, first.audioUrl);
+        assert.deepEqual(second.charTimings, first.charTimings);
+
+        // A different level is a different story
+        const user = await server.registerUser('cachelevel');
+        await server.request('PUT', '/api/user/profile', { token: user.token, json: { cantoneseLevel: 'advanced' } });
+        await generate(server, { token: user.token });
+        assert.ok(describeImage.mock.callCount() > calls[0]);
+
+        const after = (await server.request('GET', '/api/cache/stats', { token: TEST_CACHE_ADMIN_TOKEN })).body.data;
+        assert.equal(after.enabled, true);
+        assert.deepEqual(after.tiers, server.pool ? ['memory', 'postgres'] : ['memory']);
+        assert.equal(after.namespaces.story.hits - (before.namespaces.story?.hits || 0), 1);
+        assert.equal(after.namespaces.story.misses - (before.namespaces.story?.misses || 0), 2);
+        assert.ok(after.namespaces.tts.hits > (before.namespaces.tts?.hits || 0));
+      });
+
+      it('does not cache failures', async (t) => {
+        t.mock.method(server.providers.tts, 'synthesizeWithTimings', async () => {
+          throw new Error('tts offline');
+        }, { times: 1 });
+
+        assert.equal((await generate(server)).status, 500);
+        assert.equal((await generate(server)).status, 200);
+      });
+
+      it('requires the admin token for cache stats', async () => {
+        const anonymous = await server.request('GET', '/api/cache/stats');
+        assert.equal(anonymous.status, 401);
+        assert.equal(anonymous.body.success, false);
+
+        const user = await server.registerUser('cachestats');
+        const userToken = await server.request('GET', '/api/cache/stats', { token: user.token });
+        assert.equal(userToken.status, 401);
+
+        const admin = await server.request('GET', '/api/cache/stats', { token: TEST_CACHE_ADMIN_TOKEN });
+        assert.equal(admin.status, 200);
+        assert.equal(admin.body.data.enabled, true);
+      });
+
+      it('invalidates a namespace with the admin token', async (t) => {
+        await generate(server);
+        const describeImage = t.mock.method(server.providers.vision, 'describeImage');
+
+        const anonymous = await server.request('DELETE', '/api/cache/story');
+        assert.equal(anonymous.status, 401);
+        const badToken = await server.request('DELETE', '/api/cache/story', { token: 'not-the-admin' });
+        assert.equal(badToken.status, 401);
+
+        const unknown = await server.request('DELETE', '/api/cache/everything', { token: TEST_CACHE_ADMIN_TOKEN });
+        assert.equal(unknown.status, 400);
+
+        const cleared = await server.request('DELETE', '/api/cache/story', { token: TEST_CACHE_ADMIN_TOKEN });
+        assert.equal(cleared.status, 200);
+        assert.ok(cleared.body.data.removed >= 1);
+
+        await generate(server);
+        assert.ok(describeImage.mock.callCount() > 0);
+      });
+
+      it('shares entries between instances through PostgreSQL', { skip: !databaseUrl && 'in-memory only' }, async () => {
+        const key = cacheKey('shared', crypto.randomUUID());
+        const writer = createCache({ pool: server.pool });
+        const reader = createCache({ pool: server.pool });
+
+        await writer.set('story', key, { audio: Buffer.from([1, 2, 3]), text: '粤语' });
+        assert.deepEqual(await reader.get('story', key), { audio: Buffer.from([1, 2, 3]), text: '粤语' });
+        assert.equal(reader.stats().namespaces.story.databaseHits, 1);
+
+        // Expired entries are misses and are purged
+        await writer.set('tts', key, 'stale', -1000);
+        assert.equal(await reader.get('tts', key), undefined);
+        assert.ok(await reader.purgeExpired() >= 1);
+      });
+    });
+
+    describe('POST /api/evaluate', () => {
+      const expected = '爸爸喺厨房煮饭。';
+
+      it('scores a perfect reading highly', async () => {
+        const response = await evaluate(server, expected, { originalText: expected });
+        assert.equal(response.status, 200);
+
+        const { data } = response.body;
+        assert.equal(data.similarity, 100);
+        assert.equal(data.toneAccuracy, 100);
+        assert.ok(data.score >= 90);
+        assert.ok(data.diff.every(entry => entry.status === 'matched'));
+      });
+
+      it('reports mistakes per character', async () => {
+        const response = await evaluate(server, '爸爸喺客厅煮饭。', { originalText: expected });
+        assert.equal(response.status, 200);
+
+        const { data } = response.body;
+        assert.ok(data.similarity < 100);
+        assert.ok(data.diffSummary.substituted > 0);
+      });
+
+      it('scores with the story readings the diff shows', async () => {
+        // The story reads 行 as hong4 (银行), the dictionary default is haang4; 航 is hong4
+        const cantoneseWords = JSON.stringify([{ char: '行', pinyin: 'hong4' }]);
+        const response = await evaluate(server, '航', { originalText: '行', cantoneseWords });
+        assert.equal(response.status, 200);
+
+        const { data } = response.body;
+        assert.equal(data.diff[0].jyutping, 'hong4');
+        assert.equal(data.diff[0].samePronunciation, true);
+        assert.equal(data.syllableAccuracy, 100);
+
+        const withoutReadings = await evaluate(server, '航', { originalText: '行' });
+        assert.ok(withoutReadings.body.data.syllableAccuracy < 100);
+
+        const sameCharacter = await evaluate(server, '行', { originalText: '行', cantoneseWords });
+        assert.equal(sameCharacter.body.data.syllableAccuracy, 100);
+        assert.equal(sameCharacter.body.data.diff[0].actualJyutping, 'hong4');
+      });
+
+      it('accepts speech in the other script', async () => {
+        const response = await evaluate(server, '爸爸喺廚房煮飯。', { originalText: expected });
+        assert.equal(response.body.data.similarity, 100);
+
+        // Cantonese characters OpenCC would simplify to rare forms (𩠌, 𠮶) are kept
+        const shopping = await evaluate(server, '我去街市買餸，嗰度好多人。', { originalText: '我去街市買餸，嗰度好多人。' });
+        assert.equal(shopping.body.data.originalText, '我去街市买餸，嗰度好多人。');
+        assert.equal(shopping.body.data.userText, '我去街市买餸，嗰度好多人。');
+      });
+
+      it('validates the request', async () => {
+        const noAudio = await server.request('POST', '/api/evaluate', { form: new FormData() });
+        assert.equal(noAudio.status, 400);
+
+        const noText = await evaluate(server, expected);
+        assert.equal(noText.status, 400);
+
+        for (const cantoneseWords of ['[not json', '{}', '"饭"', '[null]', '[{"char":"饭"},[]]']) {
+          const badWords = await evaluate(server, expected, { originalText: expected, cantoneseWords });
+          assert.equal(badWords.status, 400, cantoneseWords);
+        }
+      });
+
+      it('rejects texts too long to align', async () => {
+        const tooLong = await evaluate(server, expected, { originalText: '饭'.repeat(501) });
+        assert.equal(tooLong.status, 400);
+        assert.match(tooLong.body.error, /originalText is too long/);
+
+        const longRecording = await evaluate(server, '饭'.repeat(501), { originalText: expected });
+        assert.equal(longRecording.status, 400);
+        assert.match(longRecording.body.error, /Recording is too long/);
+      });
+
+      it('returns 500 when speech recognition hears nothing', async (t) => {
+        t.mock.method(server.providers.asr, 'transcribe', async () => ({ text: '', confidence: 0 }));
+
+        const response = await evaluate(server, expected, { originalText: expected });
+        assert.equal(response.status, 500);
+        assert.match(response.body.error, /Failed to recognize speech/);
+      });
+    });
+
+    describe('/api/save, /api/history, /api/library', () => {
+      it('saves, lists, groups and deletes records', async () => {
+        const user = await server.registerUser('saver');
+
+        const invalid = await server.request('POST', '/api/save', { token: user.token, json: { mandarin: 'x' } });
+        assert.equal(invalid.status, 400);
+        for (const cantoneseWords of ['abc', [null], [['饭']], { char: '饭' }]) {
+          const badWords = await server.request('POST', '/api/save', { token: user.token, json: { ...SAMPLE_STORY, cantoneseWords } });
+          assert.equal(badWords.status, 400, JSON.stringify(cantoneseWords));
+        }
+        const review = await server.request('GET', '/api/review/due', { token: user.token });
+        assert.equal(review.body.data.items.length, 0);
+
+        const saved = await server.request('POST', '/api/save', { token: user.token, json: SAMPLE_STORY });
+        assert.equal(saved.status, 200);
+        assert.ok(saved.body.data.id);
+        await server.request('POST', '/api/save', { token: user.token, json: SAMPLE_STORY });
+
+        const history = await server.request('GET', '/api/history', { token: user.token });
+        assert.equal(history.status, 200);
+        assert.equal(history.body.data.count, 2);
+        assert.equal(history.body.data.records[0].cantonese, SAMPLE_STORY.cantonese);
+
+        const limited = await server.request('GET', '/api/history?limit=1&romanization=yale&script=traditional', {
+          token: user.token,
+        });
+        assert.equal(limited.body.data.count, 1);
+        assert.equal(limited.body.data.records[0].cantonese, '爸爸喺廚房煮飯。啲飯好香。');
+        assert.equal(limited.body.data.records[0].cantoneseWords[0].romanized, 'bàh');
+        assert.deepEqual(
+          limited.body.data.records[0].cantoneseTokens.slice(0, 4).map(token => `${token.text}:${token.romanized}`),
+          ['爸爸:bàh bā', '喺:hái', '廚房:chyùh fóng', '煮飯:jyú faahn']
+        );
+        assert.equal(limited.body.data.records[0].cantoneseTokens[3].mandarin, '做飯');
+
+        const library = await server.request('GET', '/api/library', { token: user.token });
+        assert.equal(library.status, 200);
+        assert.equal(library.body.data.total, 2);
+        assert.equal(library.body.data.grouped.length, 1);
+        assert.equal(library.body.data.grouped[0].stories.length, 2);
+        assert.equal(library.body.data.recent.length, 2);
+
+        const missing = await server.request('DELETE', `/api/history/${crypto.randomUUID()}`, { token: user.token });
+        assert.equal(missing.status, 404);
+
+        const deleted = await server.request('DELETE', `/api/history/${saved.body.data.id}`, { token: user.token });
+        assert.equal(deleted.status, 200);
+
+        const remaining = await server.request('GET', '/api/history', { token: user.token });
+        assert.equal(remaining.body.data.count, 1);
+      });
+
+      it('still lists and exports a record with malformed cantoneseWords', async () => {
+        const user = await server.registerUser('malformed');
+        // Saved before /api/save checked the entries
+        await server.recordRepository.save(user.userId, {
+          ...SAMPLE_STORY,
+          cantoneseWords: [null, 'x', { char: '饭', pinyin: 'faan6' }],
+        });
+
+        const history = await server.request('GET', '/api/history', { token: user.token });
+        assert.equal(history.status, 200, JSON.stringify(history.body));
+        const [record] = history.body.data.records;
+        assert.equal(record.cantoneseWords.length, 3);
+        assert.equal(record.cantoneseWords[2].char, '饭');
+
+        for (const format of ['json', 'csv', 'anki']) {
+          const exported = await server.request('GET', `/api/export?format=${format}`, { token: user.token });
+          assert.equal(exported.status, 200, format);
+        }
+      });
+
+      it('pages through history with a cursor', async () => {
+        const user = await server.registerUser('pager');
+        const savedIds = [];
+        for (let i = 0; i < 5; i++) {
+          const saved = await server.request('POST', '/api/save', {
+            token: user.token,
+            json: { ...SAMPLE_STORY, mandarin: `${SAMPLE_STORY.mandarin}${i}` },
+          });
+          savedIds.unshift(saved.body.data.id); // Newest first
+        }
+
+        const seen = [];
+        let cursor = null;
+        do {
+          const query = cursor ? `?limit=2&cursor=${cursor}` : '?limit=2';
+          const page = await server.request('GET', `/api/history${query}`, { token: user.token });
+          assert.equal(page.status, 200);
+          assert.ok(page.body.data.count <= 2);
+          seen.push(...page.body.data.records.map(record => record.id));
+          cursor = page.body.data.nextCursor;
+        } while (cursor);
+        assert.deepEqual(seen, savedIds);
+
+        const all = await server.request('GET', '/api/history', { token: user.token });
+        assert.equal(all.body.data.count, 5);
+        assert.equal(all.body.data.nextCursor, null);
+
+        const badCursor = await server.request('GET', '/api/history?cursor=not-a-cursor', { token: user.token });
+        assert.equal(badCursor.status, 400);
+        const badLimit = await server.request('GET', '/api/history?limit=0', { token: user.token });
+        assert.equal(badLimit.status, 400);
+      });
+
+      it('reads records written straight to PostgreSQL', { skip: !databaseUrl && 'in-memory only' }, async () => {
+        const user = await server.registerUser('dbreader');
+        const { rows } = await server.pool.query(
+          `INSERT INTO learning_records (user_id, mandarin, cantonese, cantonese_words, timestamp)
+           VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP - INTERVAL '2 days') RETURNING id`,
+          [user.userId, SAMPLE_STORY.mandarin, SAMPLE_STORY.cantonese, JSON.stringify(SAMPLE_STORY.cantoneseWords)]
+        );
+
+        const history = await server.request('GET', '/api/history', { token: user.token });
+        assert.deepEqual(history.body.data.records.map(record => record.id), [rows[0].id]);
+        assert.equal(history.body.data.records[0].userId, user.userId);
+
+        const library = await server.request('GET', '/api/library', { token: user.token });
+        assert.equal(library.body.data.total, 1);
+
+        const stats = await server.request('GET', '/api/user/stats', { token: user.token });
+        assert.equal(stats.body.data.thisWeekCount, 1);
+        assert.equal(stats.body.data.todayCount, 0);
+
+        const deleted = await server.request('DELETE', `/api/history/${rows[0].id}`, { token: user.token });
+        assert.equal(deleted.status, 200);
+        const { rowCount } = await server.pool.query('SELECT 1 FROM learning_records WHERE id = $1', [rows[0].id]);
+        assert.equal(rowCount, 0);
+      });
+
+      it('keeps each user\'s records private', async () => {
+        const owner = await server.registerUser('owner');
+        const other = await server.registerUser('other');
+
+        const saved = await server.request('POST', '/api/save', { token: owner.token, json: SAMPLE_STORY });
+
+        const otherHistory = await server.request('GET', '/api/history', { token: other.token });
+        assert.equal(otherHistory.body.data.count, 0);
+
+        const otherDelete = await server.request('DELETE', `/api/history/${saved.body.data.id}`, { token: other.token });
+        assert.equal(otherDelete.status, 404);
+      });
+    });
+
+    describe('GET /api/library/search', () => {
+      let user;
+      let kitchenId;
+      let marketId;
+
+      before(async () => {
+        user = await server.registerUser('searcher');
+        kitchenId = (await server.request('POST', '/api/save', { token: user.token, json: SAMPLE_STORY })).body.data.id;
+        marketId = (await server.request('POST', '/api/save', { token: user.token, json: MARKET_STORY })).body.data.id;
+      });
+
+      /**
+       * Search as the test user and return the matching record IDs
+       * @param {string} query - Query string without the leading '?'
+       * @returns {Promise<Array<string>>} - Record IDs, newest first
+       */
+      async function searchIds(query) {
+        const response = await server.request('GET', `/api/library/search?${query}`, { token: user.token });
+        assert.equal(response.status, 200, JSON.stringify(response.body));
+        return response.body.data.records.map(record => record.id);
+      }
+
+      it('finds stories by text in either script', async () => {
+        assert.deepEqual(await searchIds(`q=${encodeURIComponent('街市')}`), [marketId]);
+        assert.deepEqual(await searchIds(`q=${encodeURIComponent('菜市场')}`), [marketId]);
+        assert.deepEqual(await searchIds(`q=${encodeURIComponent('廚房')}`), [kitchenId]);
+        assert.deepEqual(await searchIds(`q=${encodeURIComponent('。')}`), [marketId, kitchenId]);
+        assert.deepEqual(await searchIds(`q=${encodeURIComponent('%')}`), []);
+      });
+
+      it('finds stories by adjacent Jyutping syllables, with or without tones', async () => {
+        assert.deepEqual(await searchIds('jyutping=gaai1+si5'), [marketId]);
+        assert.deepEqual(await searchIds('jyutping=GAAI+si'), [marketId]);
+        assert.deepEqual(await searchIds('jyutping=maa'), [marketId]);
+        assert.deepEqual(await searchIds('jyutping=faan6'), [kitchenId]);
+        assert.deepEqual(await searchIds('jyutping=si5+gaai1'), []);
+        assert.deepEqual(await searchIds('jyutping=gaai2+si5'), []);
+        assert.deepEqual(await searchIds('jyutping=faan6+di1'), []); // Split by a full stop
+        assert.deepEqual(await searchIds(`jyutping=hoeng1&q=${encodeURIComponent('街市')}`), []);
+
+        const invalid = await server.request('GET', '/api/library/search?jyutping=gaai7', { token: user.token });
+        assert.equal(invalid.status, 400);
+      });
+
+      it('filters by date and pages the results', async () => {
+        const today = new Date().toISOString().slice(0, 10);
+        const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+        assert.deepEqual(await searchIds(`from=${today}&to=${today}`), [marketId, kitchenId]);
+        assert.deepEqual(await searchIds(`from=${tomorrow}`), []);
+        assert.deepEqual(await searchIds(`to=${yesterday}`), []);
+
+        const first = await server.request('GET', `/api/library/search?from=${today}&limit=1&romanization=yale`, {
+          token: user.token,
+        });
+        assert.deepEqual(first.body.data.records.map(record => record.id), [marketId]);
+        assert.equal(first.body.data.records[0].cantoneseWords[3].romanized, 'gāai');
+        assert.equal(first.body.data.query.to, null);
+        assert.ok(first.body.data.nextCursor);
+        assert.deepEqual(await searchIds(`from=${today}&limit=1&cursor=${first.body.data.nextCursor}`), [kitchenId]);
+
+        const badDate = await server.request('GET', '/api/library/search?from=yesterday', { token: user.token });
+        assert.equal(badDate.status, 400);
+      });
+
+      it('requires a filter and only searches the user\'s own stories', async () => {
+        const empty = await server.request('GET', '/api/library/search', { token: user.token });
+        assert.equal(empty.status, 400);
+
+        const other = await server.registerUser('othersearcher');
+        const response = await server.request('GET', `/api/library/search?q=${encodeURIComponent('街市')}`, {
+          token: other.token,
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.count, 0);
+      });
+    });
+
+    describe('/api/collections, /api/tags, PATCH /api/history/:id', () => {
+      it('creates, renames, lists and deletes collections', async () => {
+        const user = await server.registerUser('collector');
+
+        const created = await server.request('POST', '/api/collections', {
+          token: user.token,
+          json: { name: '  菜市场  ' },
+        });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.data.name, '菜市场');
+        assert.equal(created.body.data.recordCount, 0);
+        const collectionId = created.body.data.id;
+
+        const duplicate = await server.request('POST', '/api/collections', { token: user.token, json: { name: '菜市场' } });
+        assert.equal(duplicate.status, 409);
+        const blank = await server.request('POST', '/api/collections', { token: user.token, json: { name: ' ' } });
+        assert.equal(blank.status, 400);
+        const tooLong = await server.request('POST', '/api/collections', { token: user.token, json: { name: 'x'.repeat(51) } });
+        assert.equal(tooLong.status, 400);
+
+        const other = await server.request('POST', '/api/collections', { token: user.token, json: { name: '厨房' } });
+        const clash = await server.request('PUT', `/api/collections/${other.body.data.id}`, {
+          token: user.token,
+          json: { name: '菜市场' },
+        });
+        assert.equal(clash.status, 409);
+
+        const renamed = await server.request('PUT', `/api/collections/${collectionId}`, {
+          token: user.token,
+          json: { name: '街市' },
+        });
+        assert.equal(renamed.status, 200);
+        assert.equal(renamed.body.data.name, '街市');
+
+        const saved = await server.request('POST', '/api/save', { token: user.token, json: MARKET_STORY });
+        await server.request('PATCH', `/api/history/${saved.body.data.id}`, { token: user.token, json: { collectionId } });
+
+        const listed = await server.request('GET', '/api/collections', { token: user.token });
+        assert.deepEqual(
+          listed.body.data.collections.map(collection => `${collection.name}:${collection.recordCount}`),
+          ['街市:1', '厨房:0']
+        );
+
+        const stranger = await server.registerUser('collectionstranger');
+        const foreignRename = await server.request('PUT', `/api/collections/${collectionId}`, {
+          token: stranger.token,
+          json: { name: 'mine' },
+        });
+        assert.equal(foreignRename.status, 404);
+        const foreignDelete = await server.request('DELETE', `/api/collections/${collectionId}`, { token: stranger.token });
+        assert.equal(foreignDelete.status, 404);
+
+        const deleted = await server.request('DELETE', `/api/collections/${collectionId}`, { token: user.token });
+        assert.equal(deleted.status, 200);
+        assert.equal(deleted.body.data.recordsUncategorized, 1);
+
+        const history = await server.request('GET', '/api/history', { token: user.token });
+        assert.equal(history.body.data.count, 1);
+        assert.equal(history.body.data.records[0].collectionId, null);
+        const gone = await server.request('DELETE', `/api/collections/${collectionId}`, { token: user.token });
+        assert.equal(gone.status, 404);
+      });
+
+      it('keeps stories in a collection whose delete fails', { skip: !databaseUrl && 'in-memory only' }, async (t) => {
+        const user = await server.registerUser('collectionrollback');
+        const collectionId = (await server.request('POST', '/api/collections', { token: user.token, json: { name: '街市' } })).body.data.id;
+        const saved = await server.request('POST', '/api/save', { token: user.token, json: MARKET_STORY });
+        await server.request('PATCH', `/api/history/${saved.body.data.id}`, { token: user.token, json: { collectionId } });
+
+        t.mock.method(server.collectionRepository, 'remove', async () => {
+          throw new Error('connection lost');
+        });
+        const failed = await server.request('DELETE', `/api/collections/${collectionId}`, { token: user.token });
+        assert.equal(failed.status, 500);
+
+        const history = await server.request('GET', '/api/history', { token: user.token });
+        assert.equal(history.body.data.records[0].collectionId, collectionId);
+      });
+
+      it('files, tags and favorites stories, and filters the search by them', async () => {
+        const user = await server.registerUser('organizer');
+        const kitchenId = (await server.request('POST', '/api/save', { token: user.token, json: SAMPLE_STORY })).body.data.id;
+        const marketId = (await server.request('POST', '/api/save', { token: user.token, json: MARKET_STORY })).body.data.id;
+        const collection = await server.request('POST', '/api/collections', { token: user.token, json: { name: '日常' } });
+        const collectionId = collection.body.data.id;
+
+        const organized = await server.request('PATCH', `/api/history/${marketId}`, {
+          token: user.token,
+          json: { collectionId, tags: [' 买菜 ', '家庭', '买菜', ''], favorite: true },
+        });
+        assert.equal(organized.status, 200);
+        assert.deepEqual(organized.body.data, { id: marketId, collectionId, tags: ['买菜', '家庭'], favorite: true });
+        await server.request('PATCH', `/api/history/${kitchenId}`, { token: user.token, json: { tags: ['家庭'] } });
+
+        const history = await server.request('GET', '/api/history', { token: user.token });
+        assert.deepEqual(
+          history.body.data.records.map(record => [record.id, record.collectionId, record.tags, record.favorite]),
+          [[marketId, collectionId, ['买菜', '家庭'], true], [kitchenId, null, ['家庭'], false]]
+        );
+
+        const tags = await server.request('GET', '/api/tags', { token: user.token });
+        assert.deepEqual(tags.body.data.tags, [{ tag: '家庭', count: 2 }, { tag: '买菜', count: 1 }]);
+
+        const search = async query => (await server.request('GET', `/api/library/search?${query}`, { token: user.token }))
+          .body.data.records.map(record => record.id);
+        assert.deepEqual(await search(`collectionId=${collectionId}`), [marketId]);
+        assert.deepEqual(await search(`tag=${encodeURIComponent('家庭')}`), [marketId, kitchenId]);
+        assert.deepEqual(await search('favorite=true'), [marketId]);
+        assert.deepEqual(await search(`favorite=false&tag=${encodeURIComponent('家庭')}`), [kitchenId]);
+        const badFavorite = await server.request('GET', '/api/library/search?favorite=yes', { token: user.token });
+        assert.equal(badFavorite.status, 400);
+
+        // Partial updates leave the other fields alone
+        const unfiled = await server.request('PATCH', `/api/history/${marketId}`, {
+          token: user.token,
+          json: { collectionId: null },
+        });
+        assert.deepEqual(unfiled.body.data, { id: marketId, collectionId: null, tags: ['买菜', '家庭'], favorite: true });
+
+        const invalid = [
+          {},
+          { tags: '买菜' },
+          { tags: Array.from({ length: 11 }, (_, i) => `tag${i}`) },
+          { tags: ['x'.repeat(21)] },
+          { favorite: 'yes' },
+        ];
+        for (const json of invalid) {
+          const response = await server.request('PATCH', `/api/history/${marketId}`, { token: user.token, json });
+          assert.equal(response.status, 400, JSON.stringify(json));
+        }
+      });
+
+      it('keeps collections and organization private to their owner', async () => {
+        const owner = await server.registerUser('orgowner');
+        const other = await server.registerUser('orgother');
+        const recordId = (await server.request('POST', '/api/save', { token: owner.token, json: SAMPLE_STORY })).body.data.id;
+        const collectionId = (await server.request('POST', '/api/collections', {
+          token: owner.token,
+          json: { name: 'private' },
+        })).body.data.id;
+        const otherRecordId = (await server.request('POST', '/api/save', { token: other.token, json: SAMPLE_STORY })).body.data.id;
+
+        const foreignRecord = await server.request('PATCH', `/api/history/${recordId}`, {
+          token: other.token,
+          json: { favorite: true },
+        });
+        assert.equal(foreignRecord.status, 404);
+
+        const foreignCollection = await server.request('PATCH', `/api/history/${otherRecordId}`, {
+          token: other.token,
+          json: { collectionId },
+        });
+        assert.equal(foreignCollection.status, 404);
+
+        const otherCollections = await server.request('GET', '/api/collections', { token: other.token });
+        assert.deepEqual(otherCollections.body.data.collections, []);
+        const otherSearch = await server.request('GET', `/api/library/search?collectionId=${collectionId}`, { token: other.token });
+        assert.equal(otherSearch.status, 404);
+
+        const sameName = await server.request('POST', '/api/collections', { token: other.token, json: { name: 'private' } });
+        assert.equal(sameName.status, 201);
+      });
+
+      it('groups the library by collection or tag', async () => {
+        const user = await server.registerUser('grouper');
+        const kitchenId = (await server.request('POST', '/api/save', { token: user.token, json: SAMPLE_STORY })).body.data.id;
+        const marketId = (await server.request('POST', '/api/save', { token: user.token, json: MARKET_STORY })).body.data.id;
+        const empty = await server.request('POST', '/api/collections', { token: user.token, json: { name: '空' } });
+        const market = await server.request('POST', '/api/collections', { token: user.token, json: { name: '街市' } });
+        await server.request('PATCH', `/api/history/${marketId}`, {
+          token: user.token,
+          json: { collectionId: market.body.data.id, tags: ['买菜', '家庭'] },
+        });
+
+        const byCollection = await server.request('GET', '/api/library?groupBy=collection', { token: user.token });
+        assert.equal(byCollection.status, 200);
+        assert.equal(byCollection.body.data.groupBy, 'collection');
+        assert.deepEqual(
+          byCollection.body.data.grouped.map(group => [group.collection && group.collection.id, group.stories.map(story => story.id)]),
+          [[empty.body.data.id, []], [market.body.data.id, [marketId]], [null, [kitchenId]]]
+        );
+        assert.deepEqual(byCollection.body.data.grouped[1].stories[0].tags, ['买菜', '家庭']);
+
+        const byTag = await server.request('GET', '/api/library?groupBy=tag', { token: user.token });
+        assert.deepEqual(
+          byTag.body.data.grouped.map(group => [group.tag, group.stories.map(story => story.id)]),
+          [['买菜', [marketId]], ['家庭', [marketId]], [null, [kitchenId]]]
+        );
+
+        const byDate = await server.request('GET', '/api/library', { token: user.token });
+        assert.equal(byDate.body.data.groupBy, 'date');
+        assert.equal(byDate.body.data.grouped[0].stories.length, 2);
+
+        const invalid = await server.request('GET', '/api/library?groupBy=size', { token: user.token });
+        assert.equal(invalid.status, 400);
+      });
+
+      it('exempts favorites from the in-memory history cap', { skip: !!databaseUrl && 'in-memory only' }, async () => {
+        const user = await server.registerUser('hoarder');
+        const firstId = (await server.request('POST', '/api/save', { token: user.token, json: SAMPLE_STORY })).body.data.id;
+        const secondId = (await server.request('POST', '/api/save', { token: user.token, json: SAMPLE_STORY })).body.data.id;
+        await server.request('PATCH', `/api/history/${firstId}`, { token: user.token, json: { favorite: true } });
+
+        for (let i = 0; i < 100; i++) {
+          await server.request('POST', '/api/save', { token: user.token, json: SAMPLE_STORY });
+        }
+
+        const favorites = await server.request('GET', '/api/library/search?favorite=true', { token: user.token });
+        assert.deepEqual(favorites.body.data.records.map(record => record.id), [firstId]);
+        const all = await server.request('GET', '/api/library/search?favorite=false&limit=100', { token: user.token });
+        assert.equal(all.body.data.count, 100);
+        assert.ok(!all.body.data.records.some(record => record.id === secondId));
+      });
+    });
+
+    describe('/api/export, /api/import', () => {
+      /**
+       * Set up an account with organized stories, stats and a changed profile
+       * @returns {Promise<{user: object, archive: object}>} - Account and its JSON export
+       */
+      async function exportedAccount() {
+        const user = await server.registerUser('exporter');
+        await server.request('POST', '/api/save', { token: user.token, json: SAMPLE_STORY });
+        const market = await server.request('POST', '/api/save', { token: user.token, json: MARKET_STORY });
+        const collection = await server.request('POST', '/api/collections', { token: user.token, json: { name: '街市' } });
+        await server.request('PATCH', `/api/history/${market.body.data.id}`, {
+          token: user.token,
+          json: { collectionId: collection.body.data.id, tags: ['买菜'], favorite: true },
+        });
+        await server.request('POST', '/api/user/stats', { token: user.token, json: { isPractice: true, score: 100, practiceTime: 5 } });
+        await server.request('PUT', '/api/user/profile', {
+          token: user.token,
+          json: { cantoneseLevel: 'advanced', preferences: { romanization: 'yale' } },
+        });
+
+        const exported = await server.request('GET', '/api/export', { token: user.token });
+        assert.equal(exported.status, 200);
+        assert.match(exported.headers.get('content-disposition'), /attachment; filename="learn-cantonese-\d{4}-\d{2}-\d{2}\.json"/);
+        return { user, archive: exported.body };
+      }
+
+      it('exports a full JSON archive', async () => {
+        const { user, archive } = await exportedAccount();
+
+        assert.equal(archive.format, 'learn-cantonese-archive');
+        assert.equal(archive.version, 1);
+        assert.equal(archive.user.userId, user.userId);
+        assert.equal(archive.profile.cantoneseLevel, 'advanced');
+        assert.equal(archive.profile.preferences.romanization, 'yale');
+        assert.deepEqual(archive.collections.map(collection => collection.name), ['街市']);
+        assert.deepEqual(archive.records.map(record => record.cantonese), [MARKET_STORY.cantonese, SAMPLE_STORY.cantonese]);
+        assert.equal(archive.records[0].collectionId, archive.collections[0].id);
+        assert.deepEqual(archive.records[0].tags, ['买菜']);
+        assert.equal(archive.records[0].favorite, true);
+        assert.deepEqual(archive.records[0].cantoneseWords, MARKET_STORY.cantoneseWords);
+        assert.equal(archive.stats.practiceCount, 1);
+        assert.equal(archive.stats.bestScore, 100);
+        assert.ok(archive.achievements.some(achievement => achievement.id === 'perfect_score'));
+
+        const invalid = await server.request('GET', '/api/export?format=pdf', { token: user.token });
+        assert.equal(invalid.status, 400);
+      });
+
+      it('restores an archive into another account, and importing again changes nothing', async () => {
+        const { archive } = await exportedAccount();
+        const restorer = await server.registerUser('restorer');
+
+        const first = await server.request('POST', '/api/import', { token: restorer.token, json: archive });
+        assert.equal(first.status, 200, JSON.stringify(first.body));
+        assert.equal(first.body.data.recordsImported, 2);
+        assert.equal(first.body.data.recordsSkipped, 0);
+        assert.equal(first.body.data.collectionsCreated, 1);
+        assert.ok(first.body.data.reviewItemsAdded > 0);
+        assert.equal(first.body.data.stats.bestScore, 100);
+
+        // Uploading the exported file works the same way
+        const again = await server.request('POST', '/api/import', {
+          token: restorer.token,
+          form: fileForm('archive', Buffer.from(JSON.stringify(archive)), { filename: 'archive.json', type: 'application/json' }),
+        });
+        assert.equal(again.status, 200, JSON.stringify(again.body));
+        assert.equal(again.body.data.recordsImported, 0);
+        assert.equal(again.body.data.recordsSkipped, 2);
+        assert.equal(again.body.data.collectionsCreated, 0);
+        assert.equal(again.body.data.reviewItemsAdded, 0);
+        assert.equal(again.body.data.stats.practiceCount, 1);
+
+        const restored = (await server.request('GET', '/api/export', { token: restorer.token })).body;
+        const storyFields = record => [record.timestamp, record.mandarin, record.cantonese, record.cantoneseWords, record.tags, record.favorite];
+        assert.deepEqual(restored.records.map(storyFields), archive.records.map(storyFields));
+        const collections = await server.request('GET', '/api/collections', { token: restorer.token });
+        assert.deepEqual(
+          collections.body.data.collections.map(collection => `${collection.name}:${collection.recordCount}`),
+          ['街市:1']
+        );
+        assert.equal(restored.records[0].collectionId, collections.body.data.collections[0].id);
+
+        const profile = await server.request('GET', '/api/user/profile', { token: restorer.token });
+        assert.equal(profile.body.data.cantoneseLevel, 'advanced');
+        assert.equal(profile.body.data.preferences.romanization, 'yale');
+        const achievements = await server.request('GET', '/api/achievements', { token: restorer.token });
+        for (const { id, unlockedAt } of archive.achievements) {
+          assert.equal(achievements.body.data.achievements.find(achievement => achievement.id === id).unlockedAt, unlockedAt);
+        }
+      });
+
+      it('skips stories the account already has when importing its own export', async () => {
+        const { user, archive } = await exportedAccount();
+
+        const response = await server.request('POST', '/api/import', { token: user.token, json: archive });
+        assert.equal(response.status, 200, JSON.stringify(response.body));
+        assert.equal(response.body.data.recordsImported, 0);
+        assert.equal(response.body.data.recordsSkipped, 2);
+
+        const history = await server.request('GET', '/api/history', { token: user.token });
+        assert.equal(history.body.data.count, 2);
+      });
+
+      it('holds restored counters to what the archive can back up', async () => {
+        const user = await server.registerUser('inflated');
+        const archive = {
+          format: 'learn-cantonese-archive',
+          version: 1,
+          records: [{ mandarin: '你好', cantonese: '你好', timestamp: '2025-02-08T10:30:00.000Z' }],
+          stats: { totalStories: 100000, practiceCount: 2, bestScore: 1e9, totalScore: 1e9, totalStudyTime: 7 },
+        };
+
+        const response = await server.request('POST', '/api/import', { token: user.token, json: archive });
+        assert.equal(response.status, 200, JSON.stringify(response.body));
+        const { stats } = response.body.data;
+        assert.equal(stats.totalStories, 1);
+        assert.equal(stats.practiceCount, 2);
+        assert.equal(stats.bestScore, 100);
+        assert.equal(stats.totalScore, 200);
+        assert.equal(stats.totalStudyTime, 7);
+      });
+
+      it('rejects archives it cannot read', async () => {
+        const user = await server.registerUser('badimporter');
+        const base = { format: 'learn-cantonese-archive', version: 1 };
+        const invalid = [
+          { records: [] },
+          { ...base, version: 2 },
+          { ...base, records: [{ mandarin: '你好', timestamp: '2025-02-08T10:30:00.000Z' }] },
+          { ...base, records: [{ mandarin: '你好', cantonese: '你好', timestamp: 'yesterday' }] },
+          { ...base, records: [{ mandarin: '你好', cantonese: '你好', timestamp: '2025-02-08T10:30:00.000Z', tags: 'x' }] },
+          { ...base, records: [{ mandarin: '你好', cantonese: '你好', timestamp: '2025-02-08T10:30:00.000Z', audioUrl: 'javascript:alert(1)' }] },
+          { ...base, records: [{ mandarin: '你好', cantonese: '你好', timestamp: '2025-02-08T10:30:00.000Z', audioUrl: `https://attacker.example/media/${'ab'.repeat(32)}.mp3` }] },
+          { ...base, profile: { cantoneseLevel: 'expert' } },
+          { ...base, profile: { preferences: { script: 'cursive' } } },
+          { ...base, collections: [{ id: 'c1', name: '街市' }, { id: 'c2', name: 'x'.repeat(51) }] },
+        ];
+        for (const json of invalid) {
+          const response = await server.request('POST', '/api/import', { token: user.token, json });
+          assert.equal(response.status, 400, JSON.stringify(json));
+        }
+
+        const notJson = await server.request('POST', '/api/import', {
+          token: user.token,
+          form: fileForm('archive', Buffer.from('not json'), { filename: 'archive.json', type: 'application/json' }),
+        });
+        assert.equal(notJson.status, 400);
+
+        const history = await server.request('GET', '/api/history', { token: user.token });
+        assert.equal(history.body.data.count, 0);
+        const collections = await server.request('GET', '/api/collections', { token: user.token });
+        assert.equal(collections.body.data.collections.length, 0);
+      });
+
+      it('exports vocabulary as CSV and stories as an Anki deck with their audio', async () => {
+        const user = await server.registerUser('ankier');
+        // Kept inline when the media store was unavailable at save time
+        const inlineAudio = encodeMockAudio('饭好香。');
+        await server.recordRepository.save(user.userId, {
+          ...SAMPLE_STORY,
+          audioUrl: `data:audio/mp3;base64,${inlineAudio.toString('base64')}`,
+        });
+        const generated = await generate(server, { token: user.token });
+        const story = generated.body.data;
+        await server.request('POST', '/api/save', {
+          token: user.token,
+          json: { mandarin: story.mandarin, cantonese: story.cantonese, cantoneseWords: story.cantoneseWords, audioUrl: story.audioUrl },
+        });
+        const saved = await server.request('POST', '/api/save', { token: user.token, json: MARKET_STORY });
+        await server.request('PATCH', `/api/history/${saved.body.data.id}`, { token: user.token, json: { tags: ['买 菜'] } });
+
+        const csv = await server.request('GET', '/api/export?format=csv', { token: user.token });
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers.get('content-type'), /^text\/csv/);
+        assert.match(csv.headers.get('content-disposition'), /\.csv"$/);
+        const lines = csv.body.replace(/^\uFEFF/, '').trim().split('\r\n');
+        assert.equal(lines[0], 'word,jyutping,mandarin,english,count,firstSeen,example');
+        assert.ok(lines.some(line => line.startsWith('街市,gaai1 si5,')), lines.join('\n'));
+        assert.ok(!lines.some(line => line.startsWith('。')));
+
+        const anki = await fetch(`${server.baseUrl}/api/export?format=anki`, {
+          headers: { Authorization: `Bearer ${user.token}` },
+        });
+        assert.equal(anki.status, 200);
+        assert.match(anki.headers.get('content-type'), /^application\/zip/);
+        assert.match(anki.headers.get('content-disposition'), /\.zip"$/);
+        const files = readZip(Buffer.from(await anki.arrayBuffer()));
+
+        const deck = files.get('learn-cantonese-anki.txt').toString('utf8').trim().split('\n');
+        assert.deepEqual(deck.slice(0, 2), ['#separator:tab', '#html:true']);
+        const notes = deck.filter(line => !line.startsWith('#')).map(line => line.split('\t'));
+        assert.deepEqual(notes[0], [MARKET_STORY.cantonese, 'maa4 maa1 heoi3 gaai1 si5 maai5 sung3。', MARKET_STORY.mandarin, '', '买_菜']);
+        assert.equal(notes[1][0], story.cantonese);
+        const audioKey = story.audioUrl.split('/media/')[1];
+        assert.equal(notes[1][3], `[sound:${audioKey}]`);
+        assert.deepEqual(files.get(`collection.media/${audioKey}`), await audioOf(story.audioUrl));
+
+        // Every referenced sound is in the archive, inline audio included
+        const inlineKey = notes[2][3].match(/^\[sound:(.+)\]$/)[1];
+        assert.deepEqual(files.get(`collection.media/${inlineKey}`), inlineAudio);
+        assert.equal(files.size, 3);
+      });
+    });
+
+    describe('/api/review/*', () => {
+      it('builds a deck from saved stories and schedules reviews', async () => {
+        const user = await server.registerUser('reviewer');
+
+        const saved = await server.request('POST', '/api/save', { token: user.token, json: SAMPLE_STORY });
+        assert.ok(saved.body.data.reviewItemsAdded > 0);
+
+        // Saving the same story again adds nothing new
+        const again = await server.request('POST', '/api/save', { token: user.token, json: SAMPLE_STORY });
+        assert.equal(again.body.data.reviewItemsAdded, 0);
+
+        const due = await server.request('GET', '/api/review/due', { token: user.token });
+        assert.equal(due.status, 200);
+        assert.equal(due.body.data.dueCount, saved.body.data.reviewItemsAdded);
+        assert.equal(due.body.data.totalCount, saved.body.data.reviewItemsAdded);
+
+        const phrase = due.body.data.items.find(item => item.text === '爸爸喺厨房煮饭');
+        assert.equal(phrase.kind, 'phrase');
+        assert.equal(phrase.jyutping, 'baa4 baa1 hai2 cyu4 fong2 zyu2 faan6');
+
+        const localized = await server.request('GET', '/api/review/due?limit=1&script=traditional&romanization=yale', {
+          token: user.token,
+        });
+        assert.equal(localized.body.data.items.length, 1);
+        assert.equal(localized.body.data.items[0].text, '爸爸喺廚房煮飯');
+        assert.equal(localized.body.data.items[0].romanized, 'bàh bā hái chyùh fóng jyú faahn');
+
+        const graded = await server.request('POST', `/api/review/${phrase.id}`, {
+          token: user.token,
+          json: { grade: 'good' },
+        });
+        assert.equal(graded.status, 200);
+        assert.equal(graded.body.data.grade, 4);
+        assert.equal(graded.body.data.item.intervalDays, 1);
+        assert.equal(graded.body.data.item.repetitions, 1);
+        assert.ok(new Date(graded.body.data.nextDueAt) > new Date());
+
+        const after = await server.request('GET', '/api/review/due?limit=100', { token: user.token });
+        assert.equal(after.body.data.dueCount, due.body.data.dueCount - 1);
+        assert.ok(!after.body.data.items.some(item => item.id === phrase.id));
+      });
+
+      it('validates grades and item ownership', async () => {
+        const owner = await server.registerUser('deckowner');
+        const other = await server.registerUser('deckother');
+        await server.request('POST', '/api/save', { token: owner.token, json: SAMPLE_STORY });
+        const due = await server.request('GET', '/api/review/due', { token: owner.token });
+        const itemId = due.body.data.items[0].id;
+
+        for (const grade of [undefined, 6, -1, 2.5, 'perfect']) {
+          const response = await server.request('POST', `/api/review/${itemId}`, { token: owner.token, json: { grade } });
+          assert.equal(response.status, 400, String(grade));
+        }
+
+        const foreign = await server.request('POST', `/api/review/${itemId}`, { token: other.token, json: { grade: 5 } });
+        assert.equal(foreign.status, 404);
+
+        const unknown = await server.request('POST', '/api/review/not-an-item', { token: owner.token, json: { grade: 5 } });
+        assert.equal(unknown.status, 404);
+
+        const anonymous = await server.request('GET', '/api/review/due');
+        assert.equal(anonymous.status, 401);
+      });
+    });
+
+    describe('/api/share, /share/:id', () => {
+      it('creates a share link that can be read as JSON and HTML', async () => {
+        const invalid = await server.request('POST', '/api/share', { json: { cantonese: 'x' } });
+        assert.equal(invalid.status, 400);
+        const badWords = await server.request('POST', '/api/share', { json: { ...SAMPLE_STORY, cantoneseWords: 'abc' } });
+        assert.equal(badWords.status, 400);
+
+        const created = await server.request('POST', '/api/share', { json: SAMPLE_STORY });
+        assert.equal(created.status, 200);
+        const { shareId, shareUrl } = created.body.data;
+        assert.ok(shareUrl.endsWith(`/share/${shareId}`));
+
+        const shared = await server.request('GET', `/api/share/${shareId}?script=traditional`);
+        assert.equal(shared.status, 200);
+        assert.equal(shared.body.data.mandarin, '爸爸在廚房做飯。飯很香。');
+
+        const page = await server.request('GET', `/share/${shareId}`);
+        assert.equal(page.status, 200);
+        assert.match(page.headers.get('content-type'), /text\/html/);
+        assert.ok(page.body.includes('爸爸喺厨房煮饭'));
+      });
+
+      it('returns 404 for unknown share IDs', async () => {
+        const json = await server.request('GET', '/api/share/does-not-exist');
+        assert.equal(json.status, 404);
+
+        const page = await server.request('GET', '/share/does-not-exist');
+        assert.equal(page.status, 404);
+      });
+    });
+
+    describe('GET /media/:key', () => {
+      it('serves generated images and audio by content hash', async () => {
+        const { data } = (await generate(server)).body;
+        assert.match(data.imageUrl, /\/media\/[0-9a-f]{64}\.jpg$/);
+        assert.match(data.audioUrl, /\/media\/[0-9a-f]{64}\.mp3$/);
+
+        const image = await fetch(data.imageUrl);
+        assert.equal(image.status, 200);
+        assert.equal(image.headers.get('content-type'), 'image/jpeg');
+        assert.equal(image.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+        assert.deepEqual(Buffer.from(await image.arrayBuffer()), IMAGE);
+        const etag = image.headers.get('etag');
+        assert.equal(etag, `"${crypto.createHash('sha256').update(IMAGE).digest('hex')}"`);
+
+        const cached = await fetch(data.imageUrl, { headers: { 'If-None-Match': etag } });
+        assert.equal(cached.status, 304);
+
+        // The same photo is stored once
+        assert.equal((await generate(server)).body.data.imageUrl, data.imageUrl);
+      });
+
+      it('serves byte ranges', async () => {
+        const { data } = (await generate(server)).body;
+        const audio = await audioOf(data.audioUrl);
+
+        const partial = await fetch(data.audioUrl, { headers: { Range: 'bytes=10-19' } });
+        assert.equal(partial.status, 206);
+        assert.equal(partial.headers.get('content-range'), `bytes 10-19/${audio.length}`);
+        assert.equal(partial.headers.get('content-length'), '10');
+        assert.deepEqual(Buffer.from(await partial.arrayBuffer()), audio.subarray(10, 20));
+
+        const suffix = await fetch(data.audioUrl, { headers: { Range: 'bytes=-4' } });
+        assert.equal(suffix.status, 206);
+        assert.deepEqual(Buffer.from(await suffix.arrayBuffer()), audio.subarray(-4));
+
+        const unsatisfiable = await fetch(data.audioUrl, { headers: { Range: `bytes=${audio.length}-` } });
+        assert.equal(unsatisfiable.status, 416);
+        assert.equal(unsatisfiable.headers.get('content-range'), `bytes */${audio.length}`);
+
+        const head = await fetch(data.audioUrl, { method: 'HEAD' });
+        assert.equal(head.status, 200);
+        assert.equal(head.headers.get('content-length'), String(audio.length));
+        assert.equal(head.headers.get('accept-ranges'), 'bytes');
+      });
+
+      it('returns 404 for unknown or malformed keys', async () => {
+        for (const key of [`${'0'.repeat(64)}.mp3`, 'not-a-key.mp3', `${'a'.repeat(64)}.exe`]) {
+          const response = await server.request('GET', `/media/${key}`);
+          assert.equal(response.status, 404, key);
+          assert.equal(response.body.success, false);
+        }
+      });
+
+      it('moves data URLs sent to /api/save and /api/share into the store', async () => {
+        const user = await server.registerUser('media');
+        const audio = encodeMockAudio('爸爸喺厨房煮饭。');
+        const story = {
+          ...SAMPLE_STORY,
+          audioUrl: `data:audio/mp3;base64,${audio.toString('base64')}`,
+          imageUrl: `data:image/png;base64,${IMAGE.toString('base64')}`,
+        };
+
+        await server.request('POST', '/api/save', { token: user.token, json: story });
+        const [record] = (await server.request('GET', '/api/history', { token: user.token })).body.data.records;
+        assert.deepEqual(await audioOf(record.audioUrl), audio);
+        assert.match(record.imageUrl, /\/media\/[0-9a-f]{64}\.png$/);
+
+        const { shareId } = (await server.request('POST', '/api/share', { json: story })).body.data;
+        const shared = (await server.request('GET', `/api/share/${shareId}`)).body.data;
+        assert.equal(shared.audioUrl, record.audioUrl);
+        assert.equal(shared.imageUrl, record.imageUrl);
+      });
+    });
+
+    describe('/api/user/*', () => {
+      it('reads and updates the profile', async () => {
+        const user = await server.registerUser('profile');
+
+        const profile = await server.request('GET', '/api/user/profile', { token: user.token });
+        assert.equal(profile.status, 200);
+        assert.equal(profile.body.data.userId, user.userId);
+        assert.equal(profile.body.data.cantoneseLevel, 'beginner');
+
+        const updated = await server.request('PUT', '/api/user/profile', {
+          token: user.token,
+          json: { cantoneseLevel: 'intermediate', preferences: { romanization: 'ipa' } },
+        });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.data.cantoneseLevel, 'intermediate');
+        assert.equal(updated.body.data.preferences.romanization, 'ipa');
+
+        // Preferences are merged, not replaced
+        const merged = await server.request('PUT', '/api/user/profile', {
+          token: user.token,
+          json: { preferences: { script: 'traditional' } },
+        });
+        assert.deepEqual(merged.body.data.preferences, { romanization: 'ipa', script: 'traditional' });
+
+        const unchanged = await server.request('PUT', '/api/user/profile', { token: user.token, json: {} });
+        assert.equal(unchanged.body.data.message, '资料未变更');
+      });
+
+      it('rejects invalid profile updates', async () => {
+        const user = await server.registerUser('invalid');
+
+        for (const json of [
+          { cantoneseLevel: 'expert' },
+          { cantoneseLevel: 5 },
+          { cantoneseLevel: ['beginner'] },
+          { cantoneseLevel: '' },
+          { preferences: 'jyutping' },
+          { preferences: { romanization: 'pinyin' } },
+          { preferences: { script: 'latin' } },
+        ]) {
+          const response = await server.request('PUT', '/api/user/profile', { token: user.token, json });
+          assert.equal(response.status, 400, JSON.stringify(json));
+        }
+      });
+
+      it('lists levels and romanization systems', async () => {
+        const levels = await server.request('GET', '/api/user/levels');
+        assert.deepEqual(levels.body.data.map(level => level.id), ['beginner', 'intermediate', 'advanced']);
+
+        const romanizations = await server.request('GET', '/api/user/romanizations');
+        const jyutping = romanizations.body.data.find(system => system.id === 'jyutping');
+        assert.equal(jyutping.isDefault, true);
+        assert.equal(jyutping.example, 'gwong2 dung1 waa2');
+      });
+
+      it('records activity and unlocks achievements', async () => {
+        const user = await server.registerUser('stats');
+
+        const empty = await server.request('GET', '/api/user/stats', { token: user.token });
+        assert.equal(empty.status, 200);
+        assert.equal(empty.body.data.totalStories, 0);
+        assert.equal(empty.body.data.level, 1);
+
+        const story = await server.request('POST', '/api/user/stats', { token: user.token, json: { practiceTime: 3 } });
+        assert.equal(story.status, 200);
+        assert.deepEqual(story.body.data.newAchievements.map(item => item.id), ['first_story']);
+
+        const practice = await server.request('POST', '/api/user/stats', {
+          token: user.token,
+          json: { score: 100, isPractice: true },
+        });
+        assert.ok(practice.body.data.newAchievements.some(item => item.id === 'perfect_score'));
+
+        const stats = await server.request('GET', '/api/user/stats', { token: user.token });
+        assert.equal(stats.body.data.totalStories, 1);
+        assert.equal(stats.body.data.practiceCount, 1);
+        assert.equal(stats.body.data.bestScore, 100);
+        assert.equal(stats.body.data.averageScore, 100);
+
+        const achievements = await server.request('GET', '/api/achievements', { token: user.token });
+        assert.equal(achievements.status, 200);
+        assert.equal(achievements.body.data.total, 6);
+        assert.ok(achievements.body.data.unlocked >= 2);
+      });
+
+      it('clamps scores and practice time and rejects non-numbers', async () => {
+        const user = await server.registerUser('clamped');
+        const post = json => server.request('POST', '/api/user/stats', { token: user.token, json });
+
+        for (const json of [{ score: 'abc', isPractice: true }, { practiceTime: {} }, { practiceTime: '' }]) {
+          assert.equal((await post(json)).status, 400, JSON.stringify(json));
+        }
+
+        const inflated = await post({ score: 1e9, isPractice: true, practiceTime: 1.5 });
+        assert.equal(inflated.status, 200, JSON.stringify(inflated.body));
+        assert.equal(inflated.body.data.stats.bestScore, 100);
+        assert.equal(inflated.body.data.stats.totalStudyTime, 1);
+
+        const negative = await post({ score: -50, isPractice: true, practiceTime: -100 });
+        assert.equal(negative.status, 200);
+        assert.equal(negative.body.data.stats.totalStudyTime, 1);
+        assert.equal(negative.body.data.stats.totalScore, 100);
+
+        const huge = await post({ practiceTime: 1e12 });
+        assert.equal(huge.status, 200, JSON.stringify(huge.body));
+        assert.equal(huge.body.data.stats.totalStudyTime, 1 + 24 * 60);
+      });
+    });
+
+    describe('DELETE /api/user', () => {
+      const DAY_MS = 24 * 60 * 60 * 1000;
+
+      /**
+       * Log in with the password registerUser sets
+       * @param {string} username - Username
+       * @returns {Promise<object>} - Response
+       */
+      function login(username) {
+        return server.request('POST', '/api/auth/login', { json: { username, password: 'password123' } });
+      }
+
+      it('schedules deletion, signs out and is cancelled by logging in again', async () => {
+        const user = await server.registerUser('leaving');
+        await server.request('POST', '/api/save', { token: user.token, json: SAMPLE_STORY });
+
+        for (const [json, status] of [
+          [{}, 400],
+          [{ password: 'wrong-password' }, 401],
+          [{ password: 'password123', immediate: 'yes' }, 400],
+        ]) {
+          const rejected = await server.request('DELETE', '/api/user', { token: user.token, json });
+          assert.equal(rejected.status, status, JSON.stringify(json));
+        }
+
+        const scheduled = await server.request('DELETE', '/api/user', {
+          token: user.token,
+          json: { password: 'password123' },
+        });
+        assert.equal(scheduled.status, 202);
+        assert.equal(scheduled.body.data.status, 'scheduled');
+        assert.equal(scheduled.body.data.gracePeriodDays, 30);
+        const deleteAt = Date.parse(scheduled.body.data.deletionScheduledAt);
+        assert.ok(Math.abs(deleteAt - (Date.now() + 30 * DAY_MS)) < 60 * 1000);
+
+        const signedOut = await server.request('GET', '/api/auth/me', { token: user.token });
+        assert.equal(signedOut.status, 401);
+
+        const back = await login(user.username);
+        assert.equal(back.status, 200);
+        assert.equal(back.body.data.deletionCancelled, true);
+        const history = await server.request('GET', '/api/history', { token: back.body.data.token });
+        assert.equal(history.body.data.records.length, 1);
+
+        // Nothing is left to erase once the grace period would have ended
+        await server.purgeDeletedAccounts(new Date(Date.now() + 31 * DAY_MS));
+        const again = await login(user.username);
+        assert.equal(again.status, 200);
+        assert.equal(again.body.data.deletionCancelled, undefined);
+
+        const audit = await server.auditRepository.listByUser(user.userId);
+        assert.deepEqual(audit.map(entry => entry.action), ['account.deletion_requested', 'account.deletion_cancelled']);
+        assert.equal(audit[0].details.scheduledFor, scheduled.body.data.deletionScheduledAt);
+      });
+
+      it('erases everything immediately, keeping media other accounts still link to', async () => {
+        const user = await server.registerUser('erased');
+        const other = await server.registerUser('stays');
+        const nonce = crypto.randomBytes(8).toString('hex');
+        const audio = encodeMockAudio(`爸爸喺厨房煮饭。${nonce}`);
+        const story = {
+          ...SAMPLE_STORY,
+          audioUrl: `data:audio/mp3;base64,${audio.toString('base64')}`,
+          imageUrl: `data:image/png;base64,${Buffer.from(`photo ${nonce}`).toString('base64')}`,
+        };
+
+        await server.request('POST', '/api/save', { token: user.token, json: story });
+        await server.request('POST', '/api/save', { token: other.token, json: { ...story, imageUrl: null } });
+        const [record] = (await server.request('GET', '/api/history', { token: user.token })).body.data.records;
+        const collection = await server.request('POST', '/api/collections', { token: user.token, json: { name: '厨房' } });
+        await server.request('PATCH', `/api/history/${record.id}`, {
+          token: user.token,
+          json: { collectionId: collection.body.data.id, tags: ['家'], favorite: true },
+        });
+        await server.request('POST', '/api/user/stats', { token: user.token, json: { practiceTime: 3 } });
+        await server.request('PUT', '/api/user/profile', { token: user.token, json: { cantoneseLevel: 'advanced' } });
+        const { shareId } = (await server.request('POST', '/api/share', { token: user.token, json: story })).body.data;
+
+        const deleted = await server.request('DELETE', '/api/user', {
+          token: user.token,
+          json: { password: 'password123', immediate: true },
+        });
+        assert.equal(deleted.status, 200);
+        assert.equal(deleted.body.data.status, 'erased');
+        const { erased } = deleted.body.data;
+        assert.equal(erased.records, 1);
+        assert.equal(erased.collections, 1);
+        assert.equal(erased.shares, 1);
+        assert.ok(erased.reviewItems > 0);
+        assert.ok(erased.achievements >= 1);
+        assert.equal(erased.stats, true);
+        assert.equal(erased.profile, true);
+        assert.equal(erased.mediaRemoved, 1); // The photo; the audio is in the other account's history
+        assert.equal(erased.mediaKept, 1);
+
+        assert.equal((await fetch(record.imageUrl)).status, 404);
+        assert.deepEqual(await audioOf(record.audioUrl), audio);
+        assert.equal((await server.request('GET', `/api/share/${shareId}`)).status, 404);
+        assert.equal((await login(user.username)).status, 401);
+
+        // The username is free again, and the new account starts empty
+        const reused = await server.request('POST', '/api/auth/register', {
+          json: { username: user.username, password: 'password123' },
+        });
+        assert.equal(reused.status, 201);
+        assert.notEqual(reused.body.data.userId, user.userId);
+        const history = await server.request('GET', '/api/history', { token: reused.body.data.token });
+        assert.equal(history.body.data.records.length, 0);
+
+        const audit = await server.auditRepository.listByUser(user.userId);
+        assert.deepEqual(audit.map(entry => entry.action), ['account.deletion_requested', 'account.erased']);
+        assert.equal(audit[1].details.trigger, 'request');
+        assert.equal(audit[1].details.records, 1);
+      });
+
+      it('keeps media that another generation job still links to', async () => {
+        const user = await server.registerUser('jobshare');
+        const photo = Buffer.concat([IMAGE, crypto.randomBytes(8)]);
+        const form = fileForm('image', photo, { filename: 'photo.jpg', type: 'image/jpeg' });
+        const { jobId } = (await server.request('POST', '/api/jobs', { form })).body.data;
+        const job = await waitForJob(server, jobId);
+        assert.equal(job.status, 'succeeded');
+
+        // The account saves the anonymous job's photo, then is erased
+        await server.request('POST', '/api/save', { token: user.token, json: { ...SAMPLE_STORY, imageUrl: job.result.imageUrl } });
+        const deleted = await server.request('DELETE', '/api/user', {
+          token: user.token,
+          json: { password: 'password123', immediate: true },
+        });
+        assert.equal(deleted.body.data.erased.mediaRemoved, 0);
+        assert.equal((await fetch(job.result.imageUrl)).status, 200);
+      });
+
+      it('looks media keys up in indexed columns', { skip: !databaseUrl && 'in-memory only' }, async () => {
+        const user = await server.registerUser('mediakeys');
+        const form = fileForm('image', Buffer.concat([IMAGE, crypto.randomBytes(8)]), { filename: 'photo.jpg', type: 'image/jpeg' });
+        const { jobId } = (await server.request('POST', '/api/jobs', { form })).body.data;
+        const job = await waitForJob(server, jobId);
+        const imageKey = job.result.imageUrl.split('/media/')[1];
+        const audioKey = job.result.audioUrl.split('/media/')[1];
+
+        const jobRow = await server.pool.query('SELECT media_keys FROM generation_jobs WHERE id = $1', [jobId]);
+        assert.ok(jobRow.rows[0].media_keys.includes(imageKey));
+        assert.ok(jobRow.rows[0].media_keys.includes(audioKey));
+
+        const saved = await server.request('POST', '/api/save', {
+          token: user.token,
+          json: { ...SAMPLE_STORY, imageUrl: job.result.imageUrl, audioUrl: job.result.audioUrl },
+        });
+        const recordRow = await server.pool.query(
+          'SELECT audio_key, image_key FROM learning_records WHERE id = $1',
+          [saved.body.data.id]
+        );
+        assert.deepEqual(recordRow.rows[0], { audio_key: audioKey, image_key: imageKey });
+      });
+
+      it('erases scheduled accounts once the grace period has ended', async () => {
+        const user = await server.registerUser('expired');
+        await server.request('POST', '/api/save', { token: user.token, json: MARKET_STORY });
+        await server.request('DELETE', '/api/user', { token: user.token, json: { password: 'password123' } });
+
+        await server.purgeDeletedAccounts();
+        let audit = await server.auditRepository.listByUser(user.userId);
+        assert.deepEqual(audit.map(entry => entry.action), ['account.deletion_requested']);
+
+        const erased = await server.purgeDeletedAccounts(new Date(Date.now() + 31 * DAY_MS));
+        assert.ok(erased >= 1);
+        audit = await server.auditRepository.listByUser(user.userId);
+        assert.equal(audit.at(-1).action, 'account.erased');
+        assert.equal(audit.at(-1).details.trigger, 'grace_period');
+        assert.equal(audit.at(-1).details.records, 1);
+        assert.equal((await login(user.username)).status, 401);
+      });
+    });
+  });
+}
+
+module.exports = {
+  defineApiSuite,
+};
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ============== TEST SERVER ==============
+// Boots the Express app on a random port with the offline mock providers.
+// app.js reads its configuration at require time, so each test file (node --test runs
+// every file in its own process) picks one storage backend.
+
+const TEST_CACHE_ADMIN_TOKEN = 'test-cache-admin-token';
+
+/**
+ * Start the app for a test file
+ * @param {object} options - { databaseUrl } (omit for in-memory storage)
+ * @returns {Promise<object>} - { baseUrl, providers, pool, cache, jobQueue, recordRepository, collectionRepository, auditRepository, purgeDeletedAccounts, request, registerUser, close }
+ */
+async function startTestServer({ databaseUrl = '' } = {}) {
+  // Set before app.js loads dotenv, which never overrides existing variables
+  Object.assign(process.env, {
+    DATABASE_URL: databaseUrl,
+    DB_MIGRATE_ON_START: 'true',
+    AI_PROVIDER: 'mock',
+    VISION_PROVIDER: '',
+    TEXT_PROVIDER: '',
+    ASR_PROVIDER: '',
+    TTS_PROVIDER: '',
+    MEDIA_STORAGE: 'local',
+    MEDIA_LOCAL_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'learn-cantonese-media-')),
+    MEDIA_PUBLIC_URL: '',
+    CACHE_ENABLED: 'true',
+    CACHE_ADMIN_TOKEN: TEST_CACHE_ADMIN_TOKEN,
+    JOB_CONCURRENCY: '2',
+    JOB_MAX_ATTEMPTS: '3',
+    JOB_RETRY_DELAY_MS: '20',
+    JOB_POLL_INTERVAL_MS: '20',
+  });
+
+  const {
+    app, pool, providers, cache, jobQueue, recordRepository, collectionRepository, auditRepository, initializeDatabase,
+    purgeDeletedAccounts,
+  } = require('../../app');
+  await initializeDatabase();
+  jobQueue.start();
+
+  const server = await new Promise(resolve => {
+    const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a request and parse the response
+   * @param {string} method - HTTP method
+   * @param {string} path - Path including any query string
+   * @param {object} options - { token, json, form }
+   * @returns {Promise<{status: number, headers: Headers, body: any}>} - Parsed response
+   */
+  async function request(method, path, { token, json, form } = {}) {
+    const headers = {};
+    let body;
+
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (json !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(json);
+    } else if (form) {
+      body = form;
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, { method, headers, body });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? JSON.parse(text) : text,
+    };
+  }
+
+  /**
+   * Register a fresh account
+   * @param {string} prefix - Username prefix
+   * @returns {Promise<{userId: string, username: string, token: string}>} - Account and token
+   */
+  async function registerUser(prefix = 'tester') {
+    const username = `${prefix}_${crypto.randomBytes(4).toString('hex')}`;
+    const response = await request('POST', '/api/auth/register', {
+      json: { username, password: 'password123' },
+    });
+    if (response.status !== 201) {
+      throw new Error(`Failed to register test user: ${JSON.stringify(response.body)}`);
+    }
+    return response.body.data;
+  }
+
+  async function close() {
+    await jobQueue.stop();
+    await new Promise(resolve => server.close(resolve));
+    if (pool) await pool.end();
+    fs.rmSync(process.env.MEDIA_LOCAL_DIR, { recursive: true, force: true });
+  }
+
+  return {
+    baseUrl, providers, pool, cache, jobQueue, recordRepository, collectionRepository, auditRepository, purgeDeletedAccounts,
+    request, registerUser, close,
+  };
+}
+
+/**
+ * Build a multipart body with one uploaded file
+ * @param {string} field - File field name
+ * @param {Buffer} buffer - File contents
+ * @param {object} options - { filename, type, fields }
+ * @returns {FormData} - Form data
+ */
+function fileForm(field, buffer, { filename, type, fields = {} } = {}) {
+  const form = new FormData();
+  form.append(field, new Blob([buffer], { type }), filename);
+  for (const [key, value] of Object.entries(fields)) {
+    form.append(key, typeof value === 'string' ? value : JSON.stringify(value));
+  }
+  return form;
+}
+
+module.exports = {
+  TEST_CACHE_ADMIN_TOKEN,
+  startTestServer,
+  fileForm,
+};
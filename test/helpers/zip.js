@@ -0,0 +1,34 @@
+const zlib = require('zlib');
+
+/**
+ * Read the files of a ZIP archive (stored or deflated entries, no ZIP64)
+ * @param {Buffer} buffer - ZIP file
+ * @returns {Map<string, Buffer>} - File name -> contents, in archive order
+ */
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+  if (end < 0) throw new Error('Not a ZIP archive');
+
+  const files = new Map();
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let index = 0; index < buffer.readUInt16LE(end + 10); index++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + size);
+    files.set(name, method === 8 ? zlib.inflateRawSync(data) : Buffer.from(data));
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
+
+module.exports = {
+  readZip,
+};
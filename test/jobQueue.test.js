@@ -0,0 +1,200 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('../lib/jobQueue');
+
+/**
+ * Poll a job until it has finished
+ * @param {object} queue - Job queue
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object>} - Finished job
+ */
+async function waitForJob(queue, jobId) {
+  const deadline = Date.now() + 5000;
+  while (Date.now() < deadline) {
+    const job = await queue.get(jobId);
+    if (job.status === 'succeeded' || job.status === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+describe('createJobQueue (memory)', () => {
+  // Keep the per-job log lines out of the test report
+  beforeEach((t) => {
+    for (const level of ['log', 'warn', 'error']) t.mock.method(console, level, () => {});
+  });
+
+  it('runs queued jobs and records the result and stage', async () => {
+    const queue = createJobQueue({
+      pollIntervalMs: 5,
+      handler: async (job, { reportStage }) => {
+        reportStage('mandarin');
+        return { doubled: job.params.n * 2 };
+      },
+    });
+    queue.start();
+
+    try {
+      const queued = await queue.enqueue({ userId: 'u1', params: { n: 21 } });
+      assert.equal(queued.status, 'queued');
+      assert.equal(queued.attempts, 0);
+
+      const job = await waitForJob(queue, queued.id);
+      assert.equal(job.status, 'succeeded');
+      assert.equal(job.stage, 'mandarin');
+      assert.deepEqual(job.result, { doubled: 42 });
+      assert.equal(job.attempts, 1);
+      assert.equal(job.userId, 'u1');
+      assert.ok(job.finishedAt);
+    } finally {
+      await queue.stop();
+    }
+  });
+
+  it('retries failed attempts and gives up after maxAttempts', async () => {
+    const calls = new Map();
+    const queue = createJobQueue({
+      maxAttempts: 3,
+      retryDelayMs: 5,
+      pollIntervalMs: 5,
+      handler: async (job) => {
+        const count = (calls.get(job.id) || 0) + 1;
+        calls.set(job.id, count);
+        if (job.params.failUntil >= count) throw new Error(`attempt ${count} failed`);
+        return 'ok';
+      },
+    });
+    queue.start();
+
+    try {
+      const flaky = await queue.enqueue({ params: { failUntil: 1 } });
+      const broken = await queue.enqueue({ params: { failUntil: Infinity } });
+
+      const recovered = await waitForJob(queue, flaky.id);
+      assert.equal(recovered.status, 'succeeded');
+      assert.equal(recovered.attempts, 2);
+      assert.equal(recovered.error, null);
+
+      const failed = await waitForJob(queue, broken.id);
+      assert.equal(failed.status, 'failed');
+      assert.equal(failed.attempts, 3);
+      assert.equal(failed.error, 'attempt 3 failed');
+      assert.equal(failed.result, null);
+      assert.equal(calls.get(broken.id), 3);
+    } finally {
+      await queue.stop();
+    }
+  });
+
+  it('runs at most `concurrency` jobs at once', async () => {
+    let runningNow = 0;
+    let peak = 0;
+    const queue = createJobQueue({
+      concurrency: 2,
+      pollIntervalMs: 5,
+      handler: async () => {
+        runningNow++;
+        peak = Math.max(peak, runningNow);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        runningNow--;
+      },
+    });
+    queue.start();
+
+    try {
+      const jobs = await Promise.all([1, 2, 3, 4, 5].map(n => queue.enqueue({ params: { n } })));
+      for (const job of jobs) {
+        assert.equal((await waitForJob(queue, job.id)).status, 'succeeded');
+      }
+      assert.equal(peak, 2);
+    } finally {
+      await queue.stop();
+    }
+  });
+
+  it('requeues a job whose worker stopped responding', async () => {
+    let release;
+    const hung = new Promise(resolve => {
+      release = resolve;
+    });
+    let calls = 0;
+    const queue = createJobQueue({
+      leaseMs: 20,
+      pollIntervalMs: 5,
+      handler: async () => {
+        calls++;
+        if (calls === 1) await hung;
+        return calls;
+      },
+    });
+    queue.start();
+
+    try {
+      const queued = await queue.enqueue({ params: {} });
+      const job = await waitForJob(queue, queued.id);
+      assert.equal(job.status, 'succeeded');
+      assert.equal(job.attempts, 2);
+      assert.equal(job.result, 2);
+    } finally {
+      release();
+      await queue.stop();
+    }
+  });
+
+  it('looks up jobs by UUID and purges finished ones', async () => {
+    const queue = createJobQueue({ handler: async () => 'done', pollIntervalMs: 5 });
+    assert.equal(await queue.get('not-a-uuid'), null);
+    assert.equal(await queue.get('00000000-0000-4000-8000-000000000000'), null);
+
+    const pending = await queue.enqueue({ params: {} }); // Queued before the workers start
+    queue.start();
+    const finished = await waitForJob(queue, pending.id);
+    await queue.stop();
+
+    const waiting = await queue.enqueue({ params: {} });
+    assert.equal(await queue.purgeFinished(-1000), 1);
+    assert.equal(await queue.get(finished.id), null);
+    assert.equal((await queue.get(waiting.id)).status, 'queued');
+  });
+
+  it('hands the result of a job deleted while running to onDiscard', async () => {
+    const discarded = [];
+    let queue;
+    queue = createJobQueue({
+      pollIntervalMs: 5,
+      handler: async (job) => {
+        await queue.removeUser(job.userId); // The account is erased mid-run
+        return { imageUrl: '/media/new.jpg' };
+      },
+      onDiscard: async (job, result) => { discarded.push({ jobId: job.id, result }); },
+    });
+
+    const job = await queue.enqueue({ userId: 'u1', params: {} });
+    queue.start();
+    try {
+      const deadline = Date.now() + 5000;
+      while (discarded.length === 0 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      assert.deepEqual(discarded, [{ jobId: job.id, result: { imageUrl: '/media/new.jpg' } }]);
+      assert.equal(await queue.get(job.id), null);
+    } finally {
+      await queue.stop();
+    }
+  });
+
+  it('finds media keys that jobs still use', async () => {
+    const queue = createJobQueue({ handler: async () => ({ audioPlaylist: ['/media/b.mp3'] }), pollIntervalMs: 5 });
+    const done = await queue.enqueue({ params: { imageKey: 'a.jpg' } });
+    queue.start();
+    try {
+      await waitForJob(queue, done.id);
+    } finally {
+      await queue.stop();
+    }
+
+    const found = await queue.findMediaReferences(['a.jpg', 'b.mp3', 'c.png']);
+    assert.deepEqual([...found].sort(), ['a.jpg', 'b.mp3']);
+    assert.equal((await queue.findMediaReferences([])).size, 0);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFrames, getMp3Duration, concatMp3, splitMp3 } = require('../lib/mp3');
+const { encodeMockAudio } = require('../providers/mock');
+
+// MPEG-2 Layer III, 32 kbps, 16 kHz, mono: 144 bytes and 576 samples (36 ms) per frame
+const FRAME_16K = (() => {
+  const frame = Buffer.alloc(144);
+  frame.set([0xff, 0xf3, 0x48, 0xc0]);
+  return frame;
+})();
+
+/**
+ * Build a 16 kHz MP3 with a LAME-style Info header frame
+ * @param {number} frameCount - Audio frames
+ * @returns {Buffer} - MP3 file
+ */
+function mp3At16k(frameCount) {
+  const info = Buffer.from(FRAME_16K);
+  info.write('Info', 4 + 9, 'latin1');
+  return Buffer.concat([info, ...new Array(frameCount).fill(FRAME_16K)]);
+}
+
+describe('parseFrames / getMp3Duration', () => {
+  it('skips the ID3 tag and measures MPEG-1 audio', () => {
+    const audio = encodeMockAudio('你好');
+    assert.equal(parseFrames(audio).length, 20);
+    assert.equal(getMp3Duration(audio), 522);
+  });
+
+  it('measures MPEG-2 audio and ignores the Info header frame', () => {
+    assert.equal(parseFrames(mp3At16k(25)).length, 25);
+    assert.equal(getMp3Duration(mp3At16k(25)), 900);
+  });
+
+  it('returns 0 for data that is not MP3', () => {
+    assert.equal(getMp3Duration(Buffer.from('not audio')), 0);
+    assert.equal(getMp3Duration(null), 0);
+  });
+});
+
+describe('concatMp3', () => {
+  it('joins the audio frames of every input', () => {
+    const joined = concatMp3([mp3At16k(10), mp3At16k(15)]);
+    assert.equal(joined.length, 25 * 144);
+    assert.equal(getMp3Duration(joined), 900);
+  });
+
+  it('refuses inputs with different sample rates', () => {
+    assert.throws(() => concatMp3([mp3At16k(10), encodeMockAudio('你')]), /sample rate/);
+  });
+});
+
+describe('splitMp3', () => {
+  it('cuts on the nearest frame boundary and tiles the track', () => {
+    const pieces = splitMp3(mp3At16k(25), [100, 500]);
+    assert.deepEqual(pieces.map(piece => [piece.startMs, piece.endMs]), [[0, 108], [108, 504], [504, 900]]);
+    assert.equal(pieces.reduce((sum, piece) => sum + piece.audio.length, 0), 25 * 144);
+    assert.equal(getMp3Duration(pieces[1].audio), 396);
+  });
+
+  it('returns empty pieces for cuts past the end', () => {
+    const pieces = splitMp3(mp3At16k(5), [Infinity]);
+    assert.equal(pieces[1].audio.length, 0);
+    assert.equal(pieces[1].startMs, 180);
+  });
+});
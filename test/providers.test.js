@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createProviders } = require('../providers');
+const { encodeMockAudio, decodeMockAudio, MOCK_DEFAULT_TRANSCRIPT } = require('../providers/mock');
+
+describe('createProviders', () => {
+  it('uses DeepInfra and Tencent by default', () => {
+    const providers = createProviders({});
+    assert.equal(providers.vision.name, 'deepinfra');
+    assert.equal(providers.text.name, 'deepinfra');
+    assert.equal(providers.asr.name, 'deepinfra');
+    assert.equal(providers.tts.name, 'tencent');
+  });
+
+  it('switches every kind with AI_PROVIDER and lets single kinds override it', () => {
+    const providers = createProviders({ AI_PROVIDER: 'mock', TTS_PROVIDER: 'tencent' });
+    assert.equal(providers.vision.name, 'mock');
+    assert.equal(providers.asr.name, 'mock');
+    assert.equal(providers.tts.name, 'tencent');
+  });
+
+  it('rejects unknown providers', () => {
+    assert.throws(() => createProviders({ ASR_PROVIDER: 'nope' }), /Unknown asr provider "nope". Available: deepinfra, mock/);
+  });
+});
+
+describe('mock audio', () => {
+  it('round-trips the transcript through a valid MP3', () => {
+    const audio = encodeMockAudio('我哋喺街边饮奶茶');
+    assert.equal(audio.toString('latin1', 0, 3), 'ID3');
+    assert.equal(decodeMockAudio(audio), '我哋喺街边饮奶茶');
+  });
+
+  it('falls back to a fixed transcript for other audio', async () => {
+    const { asr } = createProviders({ AI_PROVIDER: 'mock' });
+    assert.equal(decodeMockAudio(Buffer.from('RIFF....WAVE')), null);
+    assert.deepEqual(await asr.transcribe(Buffer.from('RIFF....WAVE')), {
+      text: MOCK_DEFAULT_TRANSCRIPT,
+      confidence: 0.5,
+    });
+  });
+
+  it('synthesizes the same audio for the same text', async () => {
+    const { tts } = createProviders({ AI_PROVIDER: 'mock' });
+    const first = await tts.synthesize({ text: '早晨' });
+    const second = await tts.synthesize({ text: '早晨', voice: 'male' });
+    assert.ok(first.equals(second));
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitSentences, splitLongSentences, packChunks, mapSubtitles, estimateCharTimings } = require('../lib/speechTiming');
+
+/**
+ * Build cantoneseWords entries from text, one per character
+ * @param {string} text - Cantonese text
+ * @returns {Array<{char: string, pinyin: string}>} - Entries
+ */
+function wordsOf(text) {
+  return Array.from(text).map(char => ({ char, pinyin: '' }));
+}
+
+describe('splitSentences', () => {
+  it('ends sentences on closing punctuation', () => {
+    const sentences = splitSentences(wordsOf('爸爸煮饭。啲饭好香！好正'));
+    assert.deepEqual(sentences, [
+      { start: 0, end: 5, text: '爸爸煮饭。' },
+      { start: 5, end: 10, text: '啲饭好香！' },
+      { start: 10, end: 12, text: '好正' },
+    ]);
+  });
+
+  it('attaches trailing punctuation to the last sentence', () => {
+    const sentences = splitSentences(wordsOf('好香。」'));
+    assert.deepEqual(sentences.map(sentence => sentence.text), ['好香。」']);
+  });
+});
+
+describe('splitLongSentences / packChunks', () => {
+  const words = wordsOf('一二三四五，六七八九十，一二三四五六七八九十一二。好。');
+  const parts = splitLongSentences(splitSentences(words), words, 8);
+
+  it('cuts long sentences after clause marks, or mid-clause when there is none', () => {
+    assert.deepEqual(parts.map(part => part.text), ['一二三四五，', '六七八九十，', '一二三四五六七八', '九十一二。', '好。']);
+    assert.ok(parts.every((part, i) => i === 0 || part.start === parts[i - 1].end));
+  });
+
+  it('packs consecutive parts up to the limit', () => {
+    const chunks = packChunks(parts, 8);
+    assert.deepEqual(chunks.map(chunk => chunk.text), ['一二三四五，', '六七八九十，', '一二三四五六七八', '九十一二。好。']);
+    assert.equal(chunks[3].parts.length, 2);
+    assert.deepEqual([chunks[3].start, chunks[3].end], [parts[3].start, words.length]);
+  });
+});
+
+describe('mapSubtitles', () => {
+  it('maps character offsets to entries and skips punctuation', () => {
+    const words = [{ char: '好' }, { char: '，' }, { char: '正' }, { char: '。' }];
+    const subtitles = ['好', '，', '正', '。'].map((text, index) => ({
+      text, beginIndex: index, beginMs: index * 200, endMs: index * 200 + 150,
+    }));
+    assert.deepEqual(mapSubtitles(subtitles, words, { start: 0, end: 4 }, 1000), [
+      { index: 0, startMs: 1000, endMs: 1150 },
+      { index: 2, startMs: 1400, endMs: 1550 },
+    ]);
+  });
+
+  it('offsets indexes when only part of the story was synthesized', () => {
+    const words = wordsOf('好香。好正。');
+    const timings = mapSubtitles([{ beginIndex: 1, beginMs: 0, endMs: 100 }], words, { start: 3, end: 6 });
+    assert.deepEqual(timings, [{ index: 4, startMs: 0, endMs: 100 }]);
+  });
+});
+
+describe('estimateCharTimings', () => {
+  it('spreads the duration over the Chinese characters', () => {
+    const timings = estimateCharTimings(wordsOf('好香。'), { start: 0, end: 3 }, 500, 1000);
+    assert.deepEqual(timings, [
+      { index: 0, startMs: 500, endMs: 1000 },
+      { index: 1, startMs: 1000, endMs: 1500 },
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGrade, createInitialState, scheduleReview, extractReviewItems } = require('../lib/srs');
+
+const NOW = new Date('2026-01-01T00:00:00Z');
+
+describe('scheduleReview (SM-2)', () => {
+  it('grows the interval 1 → 6 → interval × ease on passing grades', () => {
+    let state = createInitialState(NOW);
+    const intervals = [];
+    for (let i = 0; i < 4; i++) {
+      state = scheduleReview(state, 4, NOW);
+      intervals.push(state.intervalDays);
+    }
+    assert.deepEqual(intervals, [1, 6, 15, 38]);
+    assert.equal(state.easeFactor, 2.5);
+    assert.equal(state.dueAt, '2026-02-08T00:00:00.000Z');
+  });
+
+  it('restarts the item and lowers the ease on a lapse', () => {
+    let state = scheduleReview(createInitialState(NOW), 5, NOW);
+    state = scheduleReview(state, 5, NOW);
+    state = scheduleReview(state, 1, NOW);
+    assert.equal(state.intervalDays, 1);
+    assert.equal(state.repetitions, 0);
+    assert.equal(state.lapses, 1);
+    assert.equal(state.easeFactor, 2.16);
+  });
+
+  it('never drops the ease below 1.3', () => {
+    let state = createInitialState(NOW);
+    for (let i = 0; i < 10; i++) state = scheduleReview(state, 0, NOW);
+    assert.equal(state.easeFactor, 1.3);
+  });
+});
+
+describe('parseGrade', () => {
+  it('accepts 0-5 and named grades', () => {
+    assert.equal(parseGrade(0), 0);
+    assert.equal(parseGrade('5'), 5);
+    assert.equal(parseGrade('Again'), 1);
+    assert.equal(parseGrade('easy'), 5);
+  });
+
+  it('rejects anything else', () => {
+    for (const grade of [6, -1, 2.5, '', 'perfect', null, undefined]) {
+      assert.equal(parseGrade(grade), null, String(grade));
+    }
+  });
+});
+
+describe('extractReviewItems', () => {
+  it('pulls characters and short phrases with their readings', () => {
+    const items = extractReviewItems([
+      { char: '饮', pinyin: 'jam2' },
+      { char: '茶', pinyin: 'caa4' },
+      { char: '。', pinyin: '' },
+      { char: '好', pinyin: 'hou2' },
+    ]);
+    assert.deepEqual(items.map(item => `${item.kind}:${item.text}:${item.jyutping}`), [
+      'phrase:饮茶:jam2 caa4',
+      'char:饮:jam2',
+      'char:茶:caa4',
+      'char:好:hou2',
+    ]);
+  });
+
+  it('stores Traditional text in Simplified and fills readings from the dictionary', () => {
+    const items = extractReviewItems([], '飲茶');
+    assert.deepEqual(items.map(item => `${item.text}:${item.jyutping}`), ['饮茶:jam2 caa4', '饮:jam2', '茶:caa4']);
+  });
+
+  it('skips clauses too long to be phrases', () => {
+    const items = extractReviewItems([], '我哋今日喺街边一齐饮奶茶');
+    assert.ok(items.every(item => item.kind === 'char'));
+  });
+});
@@ -0,0 +1,147 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildArchive, parseArchive, buildVocabularyCsv, buildAnkiDeck } = require('../lib/userArchive');
+
+const AUDIO_KEY = `${'ab'.repeat(32)}.mp3`;
+
+const RECORDS = [
+  {
+    id: 'r2',
+    timestamp: '2025-02-09T08:00:00.000Z',
+    mandarin: '他说"好"，然后<走>了',
+    cantonese: '=佢话好',
+    cantoneseWords: [{ char: '佢', pinyin: 'keoi5' }, { char: '话', pinyin: 'waa6' }, { char: '好', pinyin: 'hou2' }],
+    audioUrl: `https://example.com/media/${AUDIO_KEY}`,
+    imageUrl: null,
+    collectionId: null,
+    tags: ['日常 对话'],
+    favorite: true,
+  },
+  {
+    id: 'r1',
+    timestamp: '2025-02-08T08:00:00.000Z',
+    mandarin: '饭很香。',
+    cantonese: '啲饭好香。',
+    cantoneseWords: [
+      { char: '啲', pinyin: 'di1' },
+      { char: '饭', pinyin: 'faan6' },
+      { char: '好', pinyin: 'hou2' },
+      { char: '香', pinyin: 'hoeng1' },
+      { char: '。', pinyin: '' },
+    ],
+    audioUrl: 'data:audio/mp3;base64,AAEC',
+    imageUrl: null,
+    collectionId: null,
+    tags: [],
+    favorite: false,
+  },
+];
+
+describe('buildVocabularyCsv', () => {
+  it('counts words across stories, most frequent first, with quoting', () => {
+    const csv = buildVocabularyCsv(RECORDS);
+    assert.ok(csv.startsWith('\uFEFFword,jyutping,mandarin,english,count,firstSeen,example\r\n'));
+
+    const rows = csv.slice(1).trim().split('\r\n').slice(1);
+    assert.equal(rows[0].split(',')[0], '好');
+    assert.equal(rows[0].split(',')[4], '2');
+    assert.ok(rows[0].endsWith(',2025-02-08T08:00:00.000Z,啲饭好香。')); // First met in the older story
+    assert.ok(!rows.some(row => row.startsWith('。')));
+    assert.ok(rows.some(row => row.endsWith(",'=佢话好"))); // Not run as a formula
+  });
+});
+
+describe('buildAnkiDeck', () => {
+  it('writes one note per story with escaped HTML fields, audio and tags', () => {
+    const lines = buildAnkiDeck(RECORDS).split('\n');
+    assert.deepEqual(lines.slice(0, 5), [
+      '#separator:tab',
+      '#html:true',
+      '#deck:Learn Cantonese',
+      '#columns:Cantonese\tJyutping\tMandarin\tAudio\tTags',
+      '#tags column:5',
+    ]);
+    assert.deepEqual(lines[5].split('\t'), [
+      '=佢话好',
+      'keoi5 waa6 hou2',
+      '他说"好"，然后&lt;走&gt;了',
+      `[sound:${AUDIO_KEY}]`,
+      '日常_对话',
+    ]);
+    assert.deepEqual(lines[6].split('\t'), ['啲饭好香。', 'di1 faan6 hou2 hoeng1。', '饭很香。', '', '']);
+
+    // With the files actually shipped, only those are referenced
+    const shipped = buildAnkiDeck(RECORDS, { audioKeys: new Map([['r1', AUDIO_KEY]]) }).split('\n');
+    assert.equal(shipped[5].split('\t')[3], '');
+    assert.equal(shipped[6].split('\t')[3], `[sound:${AUDIO_KEY}]`);
+  });
+});
+
+describe('archives', () => {
+  it('parses what buildArchive writes', () => {
+    const archive = buildArchive({
+      user: { userId: 'acct_1', username: 'someone' },
+      profile: { cantoneseLevel: 'beginner', preferences: { script: 'traditional' } },
+      collections: [],
+      records: RECORDS,
+      stats: { totalStories: 2, practiceCount: 1, bestScore: 90, totalScore: 90, totalStudyTime: 3, lastUpdated: 'x' },
+      achievements: [{ id: 'first_story', unlocked: true, unlockedAt: '2025-02-08T08:00:00.000Z' }, { id: 'ten_stories', unlocked: false }],
+    });
+    const parsed = parseArchive(JSON.parse(JSON.stringify(archive)), { mediaBaseUrl: 'https://example.com' });
+
+    assert.deepEqual(parsed.records.map(record => record.timestamp), RECORDS.map(record => record.timestamp));
+    assert.deepEqual(parsed.records[0].tags, ['日常 对话']);
+    assert.equal(parsed.records[0].favorite, true);
+    assert.deepEqual(parsed.achievements, [{ id: 'first_story', unlockedAt: '2025-02-08T08:00:00.000Z' }]);
+    assert.equal(parsed.stats.bestScore, 90);
+    assert.deepEqual(parsed.profile.preferences, { script: 'traditional' });
+  });
+
+  it('accepts data: URLs and /media/ links for audio and images', () => {
+    const base = { format: 'learn-cantonese-archive', version: 1 };
+    const story = { mandarin: '你好', cantonese: '你好', timestamp: '2025-02-08T08:00:00.000Z' };
+    const links = [`/media/${AUDIO_KEY}`, `https://cdn.example.com/app/media/${AUDIO_KEY}`, 'data:image/png;base64,AAEC'];
+    const options = { mediaBaseUrl: 'https://cdn.example.com/app' };
+
+    const parsed = parseArchive({ ...base, records: links.map(imageUrl => ({ ...story, imageUrl })) }, options);
+    assert.deepEqual(parsed.records.map(record => record.imageUrl), links);
+
+    // Only this server's media links: not other hosts, nor other paths on the same host
+    for (const imageUrl of [
+      `https://attacker.example/media/${AUDIO_KEY}`,
+      `https://cdn.example.com/media/${AUDIO_KEY}`,
+      `https://cdn.example.com/app.evil/media/${AUDIO_KEY}`,
+      `https://cdn.example.com/app/media/${AUDIO_KEY}?x=1`,
+      `/media/../media/${AUDIO_KEY}`,
+    ]) {
+      assert.throws(() => parseArchive({ ...base, records: [{ ...story, imageUrl }] }, options),
+        error => error.status === 400, imageUrl);
+    }
+  });
+
+  it('rejects malformed archives with a 400', () => {
+    const base = { format: 'learn-cantonese-archive', version: 1 };
+    const story = { mandarin: '你好', cantonese: '你好', timestamp: '2025-02-08T08:00:00.000Z' };
+
+    for (const archive of [
+      null,
+      [],
+      { ...base, format: 'other' },
+      { ...base, records: {} },
+      { ...base, records: [{ ...story, cantonese: '' }] },
+      { ...base, records: [{ ...story, cantoneseWords: ['你'] }] },
+      { ...base, records: [{ ...story, favorite: 'yes' }] },
+      { ...base, records: [{ ...story, tags: ['x'.repeat(21)] }] },
+      { ...base, records: Array.from({ length: 1001 }, () => story) },
+      { ...base, collections: [{ name: 'no id' }] },
+      { ...base, collections: [{ id: 'c1', name: '  ' }] },
+      { ...base, collections: [{ id: 'c1', name: 'x'.repeat(51) }] },
+      { ...base, records: [{ ...story, audioUrl: 'javascript:alert(1)' }] },
+      { ...base, records: [{ ...story, imageUrl: `javascript:alert(1)//media/${AUDIO_KEY}` }] },
+      { ...base, records: [{ ...story, imageUrl: 'https://example.com/photo.jpg' }] },
+      { ...base, records: [{ ...story, audioUrl: 'data:text/html;base64,PGI+' }] },
+    ]) {
+      assert.throws(() => parseArchive(archive), error => error.status === 400, JSON.stringify(archive)?.slice(0, 80));
+    }
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { lookupWord, segmentWords, segmentText } = require('../lib/wordSegmentation');
+
+describe('segmentText', () => {
+  it('prefers the longest lexicon word', () => {
+    const tokens = segmentText('唔使客氣，冇問題');
+    assert.deepEqual(tokens.map(token => token.text), ['唔使客氣', '，', '冇問題']);
+    assert.equal(tokens[0].english, 'you\'re welcome');
+    assert.equal(tokens[1].pos, 'punctuation');
+  });
+
+  it('matches Traditional and Simplified spellings alike', () => {
+    const traditional = segmentText('我哋去街市買餸');
+    const simplified = segmentText('我哋去街市买餸');
+    assert.deepEqual(traditional.map(token => token.text), ['我哋', '去', '街市', '買餸']);
+    assert.deepEqual(
+      simplified.map(token => [token.start, token.end, token.jyutping, token.english]),
+      traditional.map(token => [token.start, token.end, token.jyutping, token.english])
+    );
+  });
+
+  it('keeps unknown characters as single tokens without a gloss', () => {
+    const [token] = segmentText('龘');
+    assert.equal(token.inLexicon, false);
+    assert.equal(token.english, null);
+    assert.equal(token.jyutping, 'daap6');
+  });
+});
+
+describe('segmentWords', () => {
+  it('spans cantoneseWords indexes and keeps the story\'s own readings', () => {
+    const tokens = segmentWords([
+      { char: '唔', pinyin: 'm4' },
+      { char: '該', pinyin: 'm4' },
+      { char: '！', pinyin: '' },
+    ]);
+    assert.deepEqual(tokens.map(token => [token.text, token.start, token.end, token.jyutping]), [
+      ['唔該', 0, 2, 'm4 m4'],
+      ['！', 2, 3, null],
+    ]);
+  });
+
+  it('falls back to the lexicon reading when the story has none', () => {
+    const [token] = segmentWords([{ char: '食', pinyin: '' }, { char: '飯', pinyin: '' }]);
+    assert.equal(token.jyutping, 'sik6 faan6');
+    assert.equal(token.mandarin, '吃饭');
+  });
+});
+
+describe('lookupWord', () => {
+  it('finds entries in either script', () => {
+    assert.equal(lookupWord('唔该').word, '唔該');
+    assert.equal(lookupWord('xyz'), null);
+  });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { crc32, buildZip } = require('../lib/zip');
+const { readZip } = require('./helpers/zip');
+
+describe('zip', () => {
+  it('computes the IEEE CRC-32', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+  });
+
+  it('builds an archive whose files read back unchanged', () => {
+    const audio = Buffer.from([0xff, 0xf3, 0x48, 0xc0, 0, 1, 2]);
+    const zip = buildZip([
+      { name: '牌卡.txt', data: '粤语\n' },
+      { name: 'collection.media/a.mp3', data: audio },
+      { name: 'empty', data: Buffer.alloc(0) },
+    ], { modifiedAt: new Date(2025, 1, 8, 10, 30, 0) });
+
+    const files = readZip(zip);
+    assert.deepEqual([...files.keys()], ['牌卡.txt', 'collection.media/a.mp3', 'empty']);
+    assert.equal(files.get('牌卡.txt').toString('utf8'), '粤语\n');
+    assert.deepEqual(files.get('collection.media/a.mp3'), audio);
+    assert.equal(files.get('empty').length, 0);
+
+    // The local header stores the CRC of the data and the DOS date (2025-02-08)
+    assert.equal(zip.readUInt32LE(14), crc32(Buffer.from('粤语\n')));
+    assert.equal(zip.readUInt16LE(12), ((2025 - 1980) << 9) | (2 << 5) | 8);
+  });
+});